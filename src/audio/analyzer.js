@@ -0,0 +1,475 @@
+/**
+ * BREATHING COSMOS - BREATH ANALYZER
+ * Spectral breath-noise detection and inhale/exhale classification
+ */
+
+import { clamp, lerp } from '../utils.js';
+
+// ========================================
+// DEFAULTS
+// ========================================
+
+const DEFAULT_OPTIONS = {
+    sampleRate: 44100,
+    fftSize: 1024,
+
+    // Broadband breath noise lives above voice fundamentals and hum
+    bandLow: 300,
+    bandHigh: 5000,
+
+    // Level mapping relative to the adaptive noise floor (dB)
+    onThreshold: 6,
+    offThreshold: 3,
+    dynamicRange: 30,
+
+    // Noise floor time constants (seconds)
+    floorFallTime: 0.3,
+    floorRiseTime: 3.0,
+    floorStuckTime: 8.0,
+
+    // Event timing (seconds)
+    minEventDuration: 0.15, // Shorter bursts are clicks and taps
+    decisionTime: 0.25, // Audio gathered before classifying direction
+    releaseTime: 0.12, // Quiet time before an event ends
+
+    // Below this flatness a frame is tonal (speech, music), not airflow
+    minFlatness: 0.15,
+    maxVoicedRatio: 0.4,
+
+    // Onset slope that separates gentle inhales from sharp exhales (dB/s)
+    slopeReference: 40
+};
+
+// ========================================
+// FFT
+// ========================================
+
+// In-place iterative radix-2 FFT
+function fft(re, im) {
+    const n = re.length;
+
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        const wRe = Math.cos(angle);
+        const wIm = Math.sin(angle);
+        const half = size >> 1;
+
+        for (let start = 0; start < n; start += size) {
+            let curRe = 1;
+            let curIm = 0;
+
+            for (let k = 0; k < half; k++) {
+                const a = start + k;
+                const b = a + half;
+                const tRe = re[b] * curRe - im[b] * curIm;
+                const tIm = re[b] * curIm + im[b] * curRe;
+
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+
+                const nextRe = curRe * wRe - curIm * wIm;
+                curIm = curRe * wIm + curIm * wRe;
+                curRe = nextRe;
+            }
+        }
+    }
+}
+
+function toDecibels(power) {
+    return 10 * Math.log10(power + 1e-12);
+}
+
+// ========================================
+// BREATH ANALYZER
+// ========================================
+
+export class BreathAnalyzer {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        const { fftSize, sampleRate, bandLow, bandHigh } = this.options;
+
+        // FFT buffers
+        this.re = new Float32Array(fftSize);
+        this.im = new Float32Array(fftSize);
+        this.power = new Float32Array(fftSize / 2);
+
+        // Hann window
+        this.window = new Float32Array(fftSize);
+        for (let i = 0; i < fftSize; i++) {
+            this.window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (fftSize - 1));
+        }
+
+        // Breath band bins
+        this.binWidth = sampleRate / fftSize;
+        this.bandStart = Math.max(1, Math.floor(bandLow / this.binWidth));
+        this.bandEnd = Math.min(fftSize / 2 - 1, Math.ceil(bandHigh / this.binWidth));
+
+        this.reset();
+    }
+
+    // Update thresholds and mapping, e.g. from a calibration profile
+    configure(options = {}) {
+        Object.assign(this.options, options);
+
+        if (typeof options.noiseFloor === 'number') {
+            this.noiseFloor = options.noiseFloor;
+        }
+    }
+
+    reset() {
+        // Adaptive noise floor (dB), seeded by the first frame
+        this.noiseFloor = null;
+        this.stuckTimer = 0;
+
+        // Current event
+        this.isActive = false;
+        this.eventTime = 0;
+        this.quietTime = 0;
+        this.eventFrames = 0;
+        this.voicedFrames = 0;
+        this.onsetLevel = 0;
+        this.onsetPeak = 0;
+        this.centroidSum = 0;
+        this.direction = null;
+        this.lastDirection = null;
+
+        // Adaptive centroid prototypes (Hz): inhales hiss higher
+        this.inhaleCentroid = 2200;
+        this.exhaleCentroid = 1400;
+
+        this.level = 0;
+    }
+
+    // ========================================
+    // SPECTRUM
+    // ========================================
+
+    _computeSpectrum(samples) {
+        const { fftSize } = this.options;
+        const offset = Math.max(0, samples.length - fftSize);
+
+        for (let i = 0; i < fftSize; i++) {
+            const sample = samples[offset + i] || 0;
+            this.re[i] = sample * this.window[i];
+            this.im[i] = 0;
+        }
+
+        fft(this.re, this.im);
+
+        for (let i = 0; i < this.power.length; i++) {
+            this.power[i] = (this.re[i] * this.re[i] + this.im[i] * this.im[i]) / fftSize;
+        }
+    }
+
+    _bandFeatures() {
+        let energy = 0;
+        let weighted = 0;
+        let logSum = 0;
+
+        for (let i = this.bandStart; i <= this.bandEnd; i++) {
+            const p = this.power[i];
+            energy += p;
+            weighted += p * i * this.binWidth;
+            logSum += Math.log(p + 1e-12);
+        }
+
+        const bins = this.bandEnd - this.bandStart + 1;
+        const mean = energy / bins;
+
+        return {
+            energy: toDecibels(energy),
+            centroid: energy > 0 ? weighted / energy : 0,
+            // Geometric / arithmetic mean: ~0.5 for noise, near 0 for tones
+            flatness: mean > 0 ? Math.exp(logSum / bins) / mean : 0
+        };
+    }
+
+    // Band energy (dB), centroid (Hz) and flatness of one block.
+    // Leaves the power spectrum in `this.power` for display.
+    analyzeSpectrum(samples) {
+        this._computeSpectrum(samples);
+        return this._bandFeatures();
+    }
+
+    // ========================================
+    // NOISE FLOOR
+    // ========================================
+
+    _updateNoiseFloor(energy, deltaTime) {
+        if (this.noiseFloor === null) {
+            this.noiseFloor = energy;
+            return;
+        }
+
+        const { floorFallTime, floorRiseTime, floorStuckTime } = this.options;
+
+        let tau;
+        if (energy < this.noiseFloor) {
+            tau = floorFallTime;
+        } else if (!this.isActive) {
+            tau = floorRiseTime;
+        } else if (this.stuckTimer > floorStuckTime) {
+            // Continuous "breath" this long is a fan or new room noise
+            tau = floorRiseTime;
+        } else {
+            return;
+        }
+
+        const alpha = 1 - Math.exp(-deltaTime / tau);
+        this.noiseFloor = lerp(this.noiseFloor, energy, alpha);
+    }
+
+    // ========================================
+    // CLASSIFICATION
+    // ========================================
+
+    _classify() {
+        const { slopeReference } = this.options;
+
+        const centroid = this.centroidSum / Math.max(1, this.eventFrames);
+        const slope = (this.onsetPeak - this.onsetLevel) / Math.max(this.eventTime, 1e-3);
+
+        // Spectral shape: closer to the inhale prototype scores positive
+        const mid = (this.inhaleCentroid + this.exhaleCentroid) / 2;
+        const spread = Math.max(200, Math.abs(this.inhaleCentroid - this.exhaleCentroid) / 2);
+        const shapeScore = clamp((centroid - mid) / spread, -1, 1);
+
+        // Envelope slope: inhales swell gently, exhales start sharply
+        const slopeScore = clamp((slopeReference - slope) / slopeReference, -1, 1);
+
+        // Breaths alternate, so lean toward the opposite of the last one
+        let priorScore = 0;
+        if (this.lastDirection === 'exhale') priorScore = 1;
+        if (this.lastDirection === 'inhale') priorScore = -1;
+
+        const score = shapeScore * 1.0 + slopeScore * 0.8 + priorScore * 0.6;
+        const direction = score >= 0 ? 'inhale' : 'exhale';
+
+        // Let the prototypes follow this user's breath
+        if (direction === 'inhale') {
+            this.inhaleCentroid = lerp(this.inhaleCentroid, centroid, 0.2);
+        } else {
+            this.exhaleCentroid = lerp(this.exhaleCentroid, centroid, 0.2);
+        }
+
+        return direction;
+    }
+
+    _startEvent(level) {
+        this.isActive = true;
+        this.eventTime = 0;
+        this.quietTime = 0;
+        this.eventFrames = 0;
+        this.voicedFrames = 0;
+        this.onsetLevel = level;
+        this.onsetPeak = level;
+        this.centroidSum = 0;
+        this.direction = null;
+    }
+
+    _endEvent() {
+        if (this.direction) {
+            this.lastDirection = this.direction;
+        }
+
+        this.isActive = false;
+        this.direction = null;
+        this.stuckTimer = 0;
+    }
+
+    // ========================================
+    // PROCESS
+    // ========================================
+
+    // Analyze one block of time-domain samples (-1..1).
+    // Returns the breath level (0-1) and the airflow direction, if known.
+    process(samples, deltaTime) {
+        const {
+            onThreshold, offThreshold, dynamicRange, minFlatness,
+            maxVoicedRatio, minEventDuration, decisionTime, releaseTime
+        } = this.options;
+
+        const features = this.analyzeSpectrum(samples);
+        const isVoiced = features.flatness < minFlatness;
+
+        this._updateNoiseFloor(features.energy, deltaTime);
+
+        const aboveFloor = features.energy - this.noiseFloor;
+
+        // Event detection with hysteresis
+        if (!this.isActive) {
+            if (aboveFloor > onThreshold && !isVoiced) {
+                this._startEvent(aboveFloor);
+            }
+        } else if (aboveFloor < offThreshold) {
+            this.quietTime += deltaTime;
+            if (this.quietTime >= releaseTime) {
+                this._endEvent();
+            }
+        } else {
+            this.quietTime = 0;
+        }
+
+        if (this.isActive) {
+            this.eventTime += deltaTime;
+            this.stuckTimer += deltaTime;
+            this.eventFrames++;
+            this.centroidSum += features.centroid;
+            if (isVoiced) this.voicedFrames++;
+
+            if (this.eventTime <= decisionTime) {
+                this.onsetPeak = Math.max(this.onsetPeak, aboveFloor);
+            }
+
+            // Decide once enough of the event has been heard
+            if (!this.direction && this.eventTime >= Math.max(decisionTime, minEventDuration)) {
+                const voicedRatio = this.voicedFrames / this.eventFrames;
+                this.direction = voicedRatio > maxVoicedRatio ? 'rejected' : this._classify();
+            }
+        }
+
+        const isBreath = this.isActive && !isVoiced &&
+            (this.direction === 'inhale' || this.direction === 'exhale');
+
+        this.level = isBreath ? clamp((aboveFloor - offThreshold) / dynamicRange, 0, 1) : 0;
+
+        return {
+            level: this.level,
+            direction: isBreath ? this.direction : null,
+            isActive: this.isActive,
+            noiseFloor: this.noiseFloor,
+            energy: features.energy,
+            centroid: features.centroid,
+            flatness: features.flatness
+        };
+    }
+}
+
+// ========================================
+// OFFLINE ANALYSIS (WAV FIXTURES)
+// ========================================
+
+// Decode a PCM (8/16/24/32-bit int) or 32-bit float WAV into mono samples
+export function decodeWav(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    const readTag = (offset) => String.fromCharCode(
+        view.getUint8(offset), view.getUint8(offset + 1),
+        view.getUint8(offset + 2), view.getUint8(offset + 3)
+    );
+
+    if (readTag(0) !== 'RIFF' || readTag(8) !== 'WAVE') {
+        throw new Error('Not a WAV file');
+    }
+
+    let format = null;
+    let offset = 12;
+
+    while (offset + 8 <= view.byteLength) {
+        const tag = readTag(offset);
+        const size = view.getUint32(offset + 4, true);
+        const body = offset + 8;
+
+        if (tag === 'fmt ') {
+            format = {
+                audioFormat: view.getUint16(body, true),
+                channels: view.getUint16(body + 2, true),
+                sampleRate: view.getUint32(body + 4, true),
+                bitsPerSample: view.getUint16(body + 14, true)
+            };
+        } else if (tag === 'data') {
+            if (!format) throw new Error('WAV data chunk before fmt chunk');
+            const length = Math.min(size, view.byteLength - body);
+            return {
+                sampleRate: format.sampleRate,
+                samples: readPcm(view, body, length, format)
+            };
+        }
+
+        offset = body + size + (size % 2);
+    }
+
+    throw new Error('WAV file has no data chunk');
+}
+
+function readPcm(view, start, length, format) {
+    const { audioFormat, channels, bitsPerSample } = format;
+    const bytes = bitsPerSample / 8;
+    const frameCount = Math.floor(length / (bytes * channels));
+    const samples = new Float32Array(frameCount);
+
+    // 1 = integer PCM, 3 = IEEE float, 0xfffe = extensible (assume PCM/float by size)
+    const isFloat = audioFormat === 3 || (audioFormat === 0xfffe && bitsPerSample === 32);
+
+    for (let i = 0; i < frameCount; i++) {
+        let sum = 0;
+
+        for (let c = 0; c < channels; c++) {
+            const pos = start + (i * channels + c) * bytes;
+
+            if (isFloat) {
+                sum += view.getFloat32(pos, true);
+            } else if (bitsPerSample === 8) {
+                sum += (view.getUint8(pos) - 128) / 128;
+            } else if (bitsPerSample === 16) {
+                sum += view.getInt16(pos, true) / 32768;
+            } else if (bitsPerSample === 24) {
+                const value = view.getUint8(pos) | (view.getUint8(pos + 1) << 8) | (view.getInt8(pos + 2) << 16);
+                sum += value / 8388608;
+            } else {
+                sum += view.getInt32(pos, true) / 2147483648;
+            }
+        }
+
+        samples[i] = sum / channels;
+    }
+
+    return samples;
+}
+
+// Run a recording through the analyzer at a fixed hop, as if it were
+// arriving live. Returns per-frame results and the detected breath events.
+export function analyzeRecording(samples, sampleRate, options = {}) {
+    const analyzer = new BreathAnalyzer({ ...options, sampleRate });
+    const { fftSize } = analyzer.options;
+    const hopSize = options.hopSize || Math.round(sampleRate / 60);
+    const deltaTime = hopSize / sampleRate;
+
+    const frames = [];
+    const events = [];
+    let current = null;
+
+    for (let end = fftSize; end <= samples.length; end += hopSize) {
+        const time = end / sampleRate;
+        const result = analyzer.process(samples.subarray(end - fftSize, end), deltaTime);
+        frames.push({ time, ...result });
+
+        if (result.direction && (!current || current.direction !== result.direction)) {
+            current = { direction: result.direction, start: time, end: time };
+            events.push(current);
+        } else if (result.direction && current) {
+            current.end = time;
+        } else if (!result.isActive) {
+            current = null;
+        }
+    }
+
+    return { frames, events };
+}
+
+export default BreathAnalyzer;
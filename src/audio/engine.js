@@ -19,6 +19,9 @@ export class AudioEngine {
         this.isMuted = false;
 
         this.currentPalette = 'deepSpace';
+
+        // Synth output as a MediaStream, created on first request
+        this.recordingDestination = null;
     }
 
     async init() {
@@ -88,6 +91,19 @@ export class AudioEngine {
         }
     }
 
+    // MediaStream carrying the synth's output (muted or not), for
+    // recording alongside the visuals. null before init().
+    getRecordingStream() {
+        if (!this.isInitialized) return null;
+
+        if (!this.recordingDestination) {
+            this.recordingDestination = this.ctx.createMediaStreamDestination();
+            this.synth.output.connect(this.recordingDestination);
+        }
+
+        return this.recordingDestination.stream;
+    }
+
     setPalette(paletteName) {
         this.currentPalette = paletteName;
         // Phase 2: Different sound palettes
@@ -27,6 +27,11 @@ export class BreathingSynth {
         // Filter
         this.filter = null;
 
+        // Fixed end of the chain. The nodes above are rebuilt after every
+        // stop(), so listeners (e.g. a video recording) connect here.
+        this.output = this.ctx.createGain();
+        this.output.connect(this.ctx.destination);
+
         // State
         this.isPlaying = false;
         this.currentBreathFreq = 200;
@@ -39,7 +44,7 @@ export class BreathingSynth {
         // Create master gain
         this.masterGain = this.ctx.createGain();
         this.masterGain.gain.value = 0.3; // Lower volume for subtlety
-        this.masterGain.connect(this.ctx.destination);
+        this.masterGain.connect(this.output);
 
         // Create filter (low-pass for warmth)
         this.filter = this.ctx.createBiquadFilter();
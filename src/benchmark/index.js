@@ -0,0 +1,147 @@
+/**
+ * BREATHING COSMOS - PARTICLE BENCHMARK
+ * Frame times of the legacy nebula (object per particle, gradient per
+ * glow) against the pooled nebula with cached glow sprites, Canvas 2D
+ */
+
+import { NebulaVisual } from '../visuals/nebula.js';
+import { LegacyNebulaVisual } from './legacy.js';
+
+const PARTICLE_COUNTS = [1500, 5000, 10000];
+const WARMUP_FRAMES = 30;
+const MEASURED_FRAMES = 240;
+const SEED = 1;
+
+// Held at the same particle count as the legacy nebula
+function createPooled(width, height, count) {
+    const visual = new NebulaVisual(width, height, SEED);
+    visual.particleLimit = count;
+    return visual;
+}
+
+const IMPLEMENTATIONS = [
+    { name: 'Legacy', create: (w, h, count) => new LegacyNebulaVisual(w, h, SEED, { maxParticles: count }) },
+    { name: 'Pooled', create: createPooled }
+];
+
+// ========================================
+// BENCHMARK
+// ========================================
+
+function particleCount(visual) {
+    const { particles } = visual;
+    return Array.isArray(particles) ? particles.length : particles.count;
+}
+
+// Keep the nebula at exactly `count` particles so both sides draw the
+// same load, whatever the spawn timer would have done
+function topUp(visual, count, intensity) {
+    while (particleCount(visual) < count) {
+        visual._spawnParticle(intensity);
+    }
+}
+
+function nextFrame() {
+    return new Promise(resolve => requestAnimationFrame(resolve));
+}
+
+function summarize(times) {
+    const sorted = [...times].sort((a, b) => a - b);
+    const mean = times.reduce((sum, t) => sum + t, 0) / times.length;
+
+    return {
+        mean,
+        p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+        max: sorted[sorted.length - 1]
+    };
+}
+
+async function measure(implementation, count, canvas, ctx) {
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    const visual = implementation.create(width, height, count);
+    const times = [];
+
+    for (let frame = 0; frame < WARMUP_FRAMES + MEASURED_FRAMES; frame++) {
+        await nextFrame();
+
+        // A slow breath, the same for both implementations
+        const intensity = (Math.sin(frame * 0.05) + 1) / 2;
+        topUp(visual, count, intensity);
+
+        const start = performance.now();
+
+        visual.update({ intensity, phase: 'inhale', totalCycles: 0 }, 1 / 60);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.15)';
+        ctx.fillRect(0, 0, width, height);
+        visual.render(ctx);
+
+        if (frame >= WARMUP_FRAMES) {
+            times.push(performance.now() - start);
+        }
+    }
+
+    return summarize(times);
+}
+
+// ========================================
+// PAGE
+// ========================================
+
+function setupCanvas(canvas) {
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = canvas.clientWidth * dpr;
+    canvas.height = canvas.clientHeight * dpr;
+
+    const ctx = canvas.getContext('2d');
+    ctx.scale(dpr, dpr);
+    return ctx;
+}
+
+function addRow(table, cells) {
+    const row = document.createElement('tr');
+    for (const text of cells) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+    }
+    table.appendChild(row);
+}
+
+async function run() {
+    const button = document.getElementById('run-benchmark');
+    const status = document.getElementById('benchmark-status');
+    const results = document.getElementById('benchmark-results');
+    const canvas = document.getElementById('benchmark-canvas');
+
+    button.disabled = true;
+    results.innerHTML = '';
+    const ctx = setupCanvas(canvas);
+
+    for (const count of PARTICLE_COUNTS) {
+        const stats = [];
+
+        for (const implementation of IMPLEMENTATIONS) {
+            status.textContent = `${implementation.name}, ${count.toLocaleString()} particles...`;
+            stats.push(await measure(implementation, count, canvas, ctx));
+        }
+
+        const [legacy, pooled] = stats;
+        IMPLEMENTATIONS.forEach((implementation, i) => {
+            const { mean, p95, max } = stats[i];
+            addRow(results, [
+                count.toLocaleString(),
+                implementation.name,
+                mean.toFixed(2),
+                p95.toFixed(2),
+                max.toFixed(2),
+                i === 0 ? '' : `${(legacy.mean / pooled.mean).toFixed(1)}x`
+            ]);
+        });
+    }
+
+    status.textContent = 'Done. Times are update + render per frame, in milliseconds.';
+    button.disabled = false;
+}
+
+document.getElementById('run-benchmark').addEventListener('click', run);
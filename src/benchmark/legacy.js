@@ -0,0 +1,249 @@
+/**
+ * BREATHING COSMOS - LEGACY NEBULA
+ * The nebula as it was before the particle pool and glow sprites: one
+ * object per particle and a radial gradient per particle per frame.
+ * Kept only as the "before" side of the benchmark page.
+ */
+
+import { Vector2, SeededRandom, clamp, getColorFromPalette, hexToRgba } from '../utils.js';
+import { Starfield } from '../visuals/starfield.js';
+
+const BASE_MAX_PARTICLES = 1500;
+const BASE_SPAWN_RATE = 0.05;
+
+// ========================================
+// PARTICLE CLASS
+// ========================================
+
+class Particle {
+    // `rng` is the owning visual's SeededRandom so replays spawn identical particles
+    constructor(x, y, palette = 'deepSpace', rng) {
+        this.position = new Vector2(x, y);
+        this.velocity = new Vector2(rng.range(-0.5, 0.5), rng.range(-0.5, 0.5));
+        this.acceleration = new Vector2(0, 0);
+
+        this.baseSize = rng.range(1, 4);
+        this.size = this.baseSize;
+        this.maxSize = this.baseSize * 3;
+
+        this.life = 1.0;
+        this.maxLife = rng.range(3, 8);
+        this.age = 0;
+
+        this.palette = palette;
+        this.colorPosition = rng.range(0.3, 0.9);
+
+        this.twinklePhase = rng.range(0, Math.PI * 2);
+        this.twinkleSpeed = rng.range(1, 3);
+
+        this.opacity = rng.range(0.4, 1.0);
+    }
+
+    update(deltaTime, breathIntensity, canvasWidth, canvasHeight) {
+        // Age particle
+        this.age += deltaTime;
+        this.life = 1.0 - (this.age / this.maxLife);
+
+        // Apply forces
+        this.velocity.add(this.acceleration);
+        this.velocity.limit(2);
+        this.position.add(this.velocity.copy().multiply(deltaTime * 60)); // 60 FPS normalized
+
+        // Breathing effect on size
+        const breathScale = 1.0 + (breathIntensity * 0.8);
+        this.size = clamp(this.baseSize * breathScale, this.baseSize, this.maxSize);
+
+        // Slight drift toward center on exhale
+        if (breathIntensity < 0.3) {
+            const centerX = canvasWidth / 2;
+            const centerY = canvasHeight / 2;
+            const toCenter = new Vector2(centerX - this.position.x, centerY - this.position.y);
+            toCenter.normalize().multiply(0.02);
+            this.acceleration.add(toCenter);
+        } else {
+            // Expand outward on inhale
+            const centerX = canvasWidth / 2;
+            const centerY = canvasHeight / 2;
+            const fromCenter = new Vector2(this.position.x - centerX, this.position.y - centerY);
+            fromCenter.normalize().multiply(0.01 * breathIntensity);
+            this.acceleration.add(fromCenter);
+        }
+
+        // Wrap around edges
+        if (this.position.x < 0) this.position.x = canvasWidth;
+        if (this.position.x > canvasWidth) this.position.x = 0;
+        if (this.position.y < 0) this.position.y = canvasHeight;
+        if (this.position.y > canvasHeight) this.position.y = 0;
+
+        // Twinkle effect
+        this.twinklePhase += this.twinkleSpeed * deltaTime;
+
+        // Reset acceleration
+        this.acceleration.multiply(0);
+
+        return this.life > 0;
+    }
+
+    render(ctx) {
+        if (this.life <= 0) return;
+
+        const twinkle = (Math.sin(this.twinklePhase) + 1) / 2;
+        const alpha = this.opacity * this.life * (0.6 + twinkle * 0.4);
+
+        // Get color from palette
+        const color = getColorFromPalette(this.palette, this.colorPosition);
+
+        // Draw glow
+        const glowRadius = this.size * 3;
+        const glowGradient = ctx.createRadialGradient(
+            this.position.x, this.position.y, 0,
+            this.position.x, this.position.y, glowRadius
+        );
+
+        glowGradient.addColorStop(0, hexToRgba(color, alpha * 0.8));
+        glowGradient.addColorStop(0.5, hexToRgba(color, alpha * 0.3));
+        glowGradient.addColorStop(1, hexToRgba(color, 0));
+
+        ctx.fillStyle = glowGradient;
+        ctx.beginPath();
+        ctx.arc(this.position.x, this.position.y, glowRadius, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Draw core
+        ctx.fillStyle = hexToRgba(color, alpha);
+        ctx.beginPath();
+        ctx.arc(this.position.x, this.position.y, this.size, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+}
+
+// ========================================
+// LEGACY NEBULA
+// ========================================
+
+export class LegacyNebulaVisual {
+    // options: { maxParticles } - the rendering backend's particle budget
+    constructor(canvasWidth, canvasHeight, seed = 1, options = {}) {
+        this.canvasWidth = canvasWidth;
+        this.canvasHeight = canvasHeight;
+
+        // All randomness comes from the session seed so a recorded
+        // breath timeline replays into the same nebula
+        this.seed = seed;
+        this.rng = new SeededRandom(seed);
+
+        this.particles = [];
+        this.targetParticleCount = 800; // Start lower for performance
+        this.maxParticles = options.maxParticles || BASE_MAX_PARTICLES;
+
+        this.palette = 'deepSpace';
+
+        this.spawnTimer = 0;
+        this.spawnRate = BASE_SPAWN_RATE * BASE_MAX_PARTICLES / this.maxParticles; // Seconds between spawns
+
+        // Background stars (static)
+        this.starfield = new Starfield(canvasWidth, canvasHeight, seed);
+    }
+
+    setPalette(paletteName) {
+        this.palette = paletteName;
+    }
+
+    update(breathState, deltaTime) {
+        const { intensity } = breathState;
+
+        // Spawn particles based on breath intensity
+        this.spawnTimer += deltaTime;
+
+        const spawnMultiplier = 1.0 + (intensity * 2); // More spawns on inhale
+        const adjustedSpawnRate = this.spawnRate / spawnMultiplier;
+
+        while (this.spawnTimer >= adjustedSpawnRate && this.particles.length < this.maxParticles) {
+            this.spawnTimer -= adjustedSpawnRate;
+            this._spawnParticle(intensity);
+        }
+
+        // Update particles
+        this.particles = this.particles.filter(particle =>
+            particle.update(deltaTime, intensity, this.canvasWidth, this.canvasHeight)
+        );
+
+        // Adjust target particle count based on breath cycles
+        if (breathState.totalCycles > 0) {
+            this.targetParticleCount = Math.min(
+                800 + (breathState.totalCycles * 50),
+                this.maxParticles
+            );
+        }
+
+        // Update background stars twinkle
+        this.starfield.update(deltaTime);
+    }
+
+    _spawnParticle(breathIntensity) {
+        // Spawn from center with radial burst
+        const centerX = this.canvasWidth / 2;
+        const centerY = this.canvasHeight / 2;
+
+        const angle = this.rng.range(0, Math.PI * 2);
+        const distance = this.rng.range(0, 100 * breathIntensity);
+
+        const x = centerX + Math.cos(angle) * distance;
+        const y = centerY + Math.sin(angle) * distance;
+
+        const particle = new Particle(x, y, this.palette, this.rng);
+
+        // Give initial velocity based on spawn angle
+        const speed = this.rng.range(10, 30) * breathIntensity;
+        particle.velocity = new Vector2(
+            Math.cos(angle) * speed,
+            Math.sin(angle) * speed
+        );
+
+        this.particles.push(particle);
+    }
+
+    render(ctx) {
+        // Render background stars first, one rgba() string per star
+        for (const star of this.starfield.stars) {
+            const twinkle = (Math.sin(star.twinklePhase) + 1) / 2;
+            const alpha = star.opacity * (0.7 + twinkle * 0.3);
+
+            ctx.fillStyle = hexToRgba('#ffffff', alpha);
+            ctx.beginPath();
+            ctx.arc(star.x, star.y, star.size, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        // Render particles with blend mode
+        ctx.globalCompositeOperation = 'lighter';
+
+        for (const particle of this.particles) {
+            particle.render(ctx);
+        }
+
+        ctx.globalCompositeOperation = 'source-over';
+    }
+
+    resize(width, height) {
+        this.canvasWidth = width;
+        this.canvasHeight = height;
+
+        // Regenerate background stars for new canvas size
+        this.starfield.resize(width, height);
+    }
+
+    // Pass a seed to start a new (or replayed) session from scratch
+    reset(seed = this.seed) {
+        this.particles = [];
+        this.spawnTimer = 0;
+        this.targetParticleCount = 800;
+
+        this.seed = seed;
+        this.rng = new SeededRandom(seed);
+        this.starfield = new Starfield(this.canvasWidth, this.canvasHeight, seed);
+    }
+}
+
+export default LegacyNebulaVisual;
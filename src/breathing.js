@@ -1,20 +1,14 @@
 /**
  * BREATHING COSMOS - BREATHING DETECTION
- * Handles breath input modes: manual, microphone, guided
+ * Turns breath input sources into a smoothed breath state
  */
 
-import { clamp, Easing } from './utils.js';
+import { clamp } from './utils.js';
+import { BreathPhase, PhaseStateMachine } from './phases.js';
+import { createInputSource } from './inputs/index.js';
+import { BreathMetrics } from './metrics.js';
 
-// ========================================
-// BREATHING STATE
-// ========================================
-
-export const BreathPhase = {
-    INHALE: 'inhale',
-    HOLD_IN: 'hold_in',
-    EXHALE: 'exhale',
-    HOLD_OUT: 'hold_out'
-};
+export { BreathPhase };
 
 // ========================================
 // BREATHING DETECTOR
@@ -22,8 +16,10 @@ export const BreathPhase = {
 
 export class BreathingDetector {
     constructor() {
-        // Current mode: 'manual', 'mic', 'guided'
-        this.mode = 'manual';
+        // Active input source and its registry name ('manual', 'mic', 'guided', ...)
+        this.source = null;
+        this.mode = null;
+        this._switchToken = 0;
 
         // Breath state
         this.state = {
@@ -34,19 +30,13 @@ export class BreathingDetector {
             isActive: false
         };
 
-        // Manual mode
-        this.isPressed = false;
         this.targetIntensity = 0.5;
 
-        // Microphone (Phase 2)
-        this.audioContext = null;
-        this.analyser = null;
-        this.microphone = null;
-        this.micDataArray = null;
+        // Phase tracking from the intensity slope (or source hints)
+        this.phaseMachine = new PhaseStateMachine();
 
-        // Guided mode (Phase 2)
-        this.guidedPattern = null;
-        this.guidedTimer = 0;
+        // Rolling respiration metrics fed by phase events
+        this.metrics = new BreathMetrics();
 
         // Smoothing
         this.smoothingFactor = 0.15;
@@ -57,157 +47,67 @@ export class BreathingDetector {
             phaseChange: [],
             cycleComplete: []
         };
-
-        this._setupManualControls();
     }
 
     // ========================================
-    // MANUAL MODE
+    // INPUT SOURCES
     // ========================================
 
-    _setupManualControls() {
-        // Spacebar hold = inhale
-        window.addEventListener('keydown', (e) => {
-            if (e.code === 'Space' && !e.repeat && this.mode === 'manual') {
-                e.preventDefault();
-                this.isPressed = true;
-                this.targetIntensity = 1.0;
-            }
-        });
-
-        window.addEventListener('keyup', (e) => {
-            if (e.code === 'Space' && this.mode === 'manual') {
-                e.preventDefault();
-                this.isPressed = false;
-                this.targetIntensity = 0.0;
-            }
-        });
-
-        // Mouse/touch hold
-        const canvas = document.getElementById('cosmos-canvas');
-
-        const handlePointerDown = (e) => {
-            if (this.mode === 'manual') {
-                this.isPressed = true;
-                this.targetIntensity = 1.0;
-            }
-        };
-
-        const handlePointerUp = (e) => {
-            if (this.mode === 'manual') {
-                this.isPressed = false;
-                this.targetIntensity = 0.0;
-            }
-        };
-
-        canvas.addEventListener('mousedown', handlePointerDown);
-        canvas.addEventListener('mouseup', handlePointerUp);
-        canvas.addEventListener('mouseleave', handlePointerUp);
+    // Switch to a registered source by name, or to a source instance.
+    // The previous source stays in use until the new one has attached,
+    // then is detached so its listeners and streams are released.
+    // Resolves false, keeping the previous source, if the new one could
+    // not attach (e.g. mic permission denied).
+    async setInputSource(source, options = {}) {
+        const next = typeof source === 'string' ? createInputSource(source, options) : source;
+        const token = ++this._switchToken;
 
-        canvas.addEventListener('touchstart', handlePointerDown);
-        canvas.addEventListener('touchend', handlePointerUp);
-        canvas.addEventListener('touchcancel', handlePointerUp);
-    }
+        // Already in use; attaching again would double its listeners
+        if (next === this.source) return true;
 
-    // ========================================
-    // MICROPHONE MODE (Phase 2)
-    // ========================================
+        const attached = await next.attach(this);
 
-    async initMicrophone() {
-        try {
-            const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            this.microphone = this.audioContext.createMediaStreamSource(stream);
-            this.analyser = this.audioContext.createAnalyser();
-
-            this.analyser.fftSize = 256;
-            this.analyser.smoothingTimeConstant = 0.8;
-
-            this.microphone.connect(this.analyser);
-
-            const bufferLength = this.analyser.frequencyBinCount;
-            this.micDataArray = new Uint8Array(bufferLength);
-
-            this.mode = 'mic';
-            return true;
-        } catch (error) {
-            console.error('Microphone access denied:', error);
-            this.mode = 'manual';
+        // Another switch started while this one was attaching
+        if (token !== this._switchToken) {
+            if (attached) next.detach();
             return false;
         }
-    }
 
-    _updateFromMicrophone() {
-        if (!this.analyser || !this.micDataArray) return;
-
-        this.analyser.getByteFrequencyData(this.micDataArray);
-
-        // Calculate RMS volume
-        let sum = 0;
-        for (let i = 0; i < this.micDataArray.length; i++) {
-            sum += this.micDataArray[i] * this.micDataArray[i];
+        if (!attached) {
+            return false;
         }
-        const rms = Math.sqrt(sum / this.micDataArray.length);
 
-        // Map RMS to intensity (0-255 -> 0-1)
-        const rawIntensity = clamp(rms / 128, 0, 1);
+        if (this.source) {
+            this.source.detach();
+        }
 
-        // Detect breathing pattern from volume changes
-        // Rising = inhale, falling = exhale
-        const delta = rawIntensity - this.state.intensity;
+        this.source = next;
+        this.mode = next.name || 'custom';
 
-        if (Math.abs(delta) > 0.01) {
-            this.targetIntensity = rawIntensity;
+        // Start in the source's own phase without counting a cycle
+        const initialPhase = next.getInitialPhase();
+        if (initialPhase) {
+            this._resetPhase(initialPhase);
         }
-    }
 
-    // ========================================
-    // GUIDED MODE (Phase 2)
-    // ========================================
-
-    setGuidedPattern(pattern) {
-        // Pattern: { inhale: 4, holdIn: 7, exhale: 8, holdOut: 0 }
-        this.guidedPattern = pattern;
-        this.guidedTimer = 0;
-        this.mode = 'guided';
+        return true;
     }
 
-    _updateFromGuided(deltaTime) {
-        if (!this.guidedPattern) return;
-
-        const p = this.guidedPattern;
-        this.guidedTimer += deltaTime;
+    async initMicrophone() {
+        // Already listening: keep the open stream
+        if (this.mode === 'mic') return true;
 
-        const totalTime = p.inhale + p.holdIn + p.exhale + p.holdOut;
+        return this.setInputSource('mic');
+    }
 
-        if (this.guidedTimer >= totalTime) {
-            this.guidedTimer = 0;
-            this._emitEvent('cycleComplete');
+    setGuidedPattern(pattern) {
+        if (this.mode === 'guided') {
+            this.source.setPattern(pattern);
+            this._resetPhase(this.source.getInitialPhase() || this.state.phase);
+            return Promise.resolve(true);
         }
 
-        // Determine phase and intensity
-        let elapsed = this.guidedTimer;
-
-        if (elapsed < p.inhale) {
-            // Inhale
-            const t = elapsed / p.inhale;
-            this.targetIntensity = Easing.easeInOutSine(t);
-            this.state.phase = BreathPhase.INHALE;
-        } else if (elapsed < p.inhale + p.holdIn) {
-            // Hold inhale
-            this.targetIntensity = 1.0;
-            this.state.phase = BreathPhase.HOLD_IN;
-        } else if (elapsed < p.inhale + p.holdIn + p.exhale) {
-            // Exhale
-            const t = (elapsed - p.inhale - p.holdIn) / p.exhale;
-            this.targetIntensity = 1.0 - Easing.easeInOutSine(t);
-            this.state.phase = BreathPhase.EXHALE;
-        } else {
-            // Hold exhale
-            this.targetIntensity = 0.0;
-            this.state.phase = BreathPhase.HOLD_OUT;
-        }
+        return this.setInputSource('guided', { pattern });
     }
 
     // ========================================
@@ -217,18 +117,10 @@ export class BreathingDetector {
     update(deltaTime) {
         if (!this.state.isActive) return;
 
-        // Update based on mode
-        switch (this.mode) {
-            case 'mic':
-                this._updateFromMicrophone();
-                break;
-            case 'guided':
-                this._updateFromGuided(deltaTime);
-                break;
-            case 'manual':
-            default:
-                // Manual mode - targetIntensity set by input handlers
-                break;
+        const hints = this.source ? this.source.sample(deltaTime) || {} : {};
+
+        if (typeof hints.intensity === 'number') {
+            this.targetIntensity = clamp(hints.intensity, 0, 1);
         }
 
         // Smooth intensity transition
@@ -240,36 +132,46 @@ export class BreathingDetector {
 
         // Update duration
         this.state.duration += deltaTime;
+        this.metrics.update(deltaTime);
 
-        // Phase detection (for manual/mic modes)
-        if (this.mode !== 'guided') {
-            const prevPhase = this.state.phase;
-
-            // Simple threshold-based phase detection
-            if (this.state.intensity > 0.8) {
-                this.state.phase = BreathPhase.INHALE;
-            } else if (this.state.intensity > 0.6) {
-                this.state.phase = BreathPhase.HOLD_IN;
-            } else if (this.state.intensity > 0.2) {
-                this.state.phase = BreathPhase.EXHALE;
-            } else {
-                this.state.phase = BreathPhase.HOLD_OUT;
-            }
-
-            // Detect phase change
-            if (prevPhase !== this.state.phase) {
-                this.state.duration = 0;
-                this._emitEvent('phaseChange', this.state.phase);
-
-                // Count complete cycles (exhale -> inhale)
-                if (prevPhase === BreathPhase.EXHALE && this.state.phase === BreathPhase.INHALE) {
-                    this.state.totalCycles++;
-                    this._emitEvent('cycleComplete');
-                }
-            }
+        // Phase detection: source hints (guided timing, mic airflow)
+        // win, otherwise the intensity slope decides
+        const transition = this.phaseMachine.update(this.state.intensity, deltaTime, hints.phase);
+        if (transition) {
+            this._applyTransition(transition);
         }
     }
 
+    _applyTransition(transition) {
+        this.state.phase = transition.phase;
+        this.state.duration = 0;
+
+        const phaseEvent = {
+            phase: transition.phase,
+            previousPhase: transition.previousPhase,
+            duration: transition.duration
+        };
+        this.metrics.onPhaseChange(phaseEvent);
+        this._emitEvent('phaseChange', phaseEvent);
+
+        if (transition.completesCycle) {
+            this.state.totalCycles++;
+
+            const cycleEvent = {
+                totalCycles: this.state.totalCycles,
+                cycleLength: transition.cycleLength
+            };
+            this.metrics.onCycleComplete(cycleEvent);
+            this._emitEvent('cycleComplete', cycleEvent);
+        }
+    }
+
+    _resetPhase(phase) {
+        this.state.phase = phase;
+        this.state.duration = 0;
+        this.phaseMachine.reset(phase, this.state.intensity);
+    }
+
     // ========================================
     // CONTROL
     // ========================================
@@ -282,11 +184,21 @@ export class BreathingDetector {
         this.state.isActive = false;
     }
 
+    destroy() {
+        this._switchToken++;
+        if (this.source) {
+            this.source.detach();
+            this.source = null;
+            this.mode = null;
+        }
+    }
+
     reset() {
         this.state.totalCycles = 0;
         this.state.duration = 0;
         this.state.intensity = 0.5;
-        this.state.phase = BreathPhase.EXHALE;
+        this._resetPhase(BreathPhase.EXHALE);
+        this.metrics.reset();
     }
 
     // ========================================
@@ -310,17 +222,20 @@ export class BreathingDetector {
     // ========================================
 
     getState() {
-        return { ...this.state };
+        return {
+            ...this.state,
+            metrics: this.metrics.getSnapshot()
+        };
     }
 
-    getPhaseText() {
+    getPhaseText(phase = this.state.phase) {
         const phrases = {
             [BreathPhase.INHALE]: 'Inhale',
             [BreathPhase.HOLD_IN]: 'Hold',
             [BreathPhase.EXHALE]: 'Exhale',
             [BreathPhase.HOLD_OUT]: 'Rest'
         };
-        return phrases[this.state.phase] || 'Breathe';
+        return phrases[phase] || 'Breathe';
     }
 }
 
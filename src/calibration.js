@@ -0,0 +1,239 @@
+/**
+ * BREATHING COSMOS - MICROPHONE CALIBRATION
+ * Measures room noise and breath loudness to build per-device profiles
+ */
+
+import { BreathAnalyzer } from './audio/analyzer.js';
+import { clamp, Storage } from './utils.js';
+
+const MIC_PROFILES_KEY = 'breathingCosmos.micProfiles';
+
+// ========================================
+// CALIBRATION STEPS
+// ========================================
+
+export const CalibrationSteps = [
+    {
+        id: 'silence',
+        prompt: 'Stay quiet for a moment while we listen to the room',
+        duration: 5
+    },
+    {
+        id: 'deep',
+        prompt: 'Take 3 slow, deep breaths',
+        breaths: 3,
+        timeout: 45
+    },
+    {
+        id: 'shallow',
+        prompt: 'Now take 3 light, shallow breaths',
+        breaths: 3,
+        timeout: 45
+    }
+];
+
+// ========================================
+// MIC PROFILES
+// ========================================
+
+export const MicProfiles = {
+    load() {
+        const profiles = Storage.get(MIC_PROFILES_KEY, {});
+        return profiles && typeof profiles === 'object' ? profiles : {};
+    },
+
+    get(deviceId) {
+        return this.load()[deviceId] || null;
+    },
+
+    save(profile) {
+        const profiles = this.load();
+        profiles[profile.deviceId] = profile;
+        return Storage.set(MIC_PROFILES_KEY, profiles);
+    },
+
+    remove(deviceId) {
+        const profiles = this.load();
+        delete profiles[deviceId];
+        return Storage.set(MIC_PROFILES_KEY, profiles);
+    }
+};
+
+// ========================================
+// CALIBRATION SESSION
+// ========================================
+
+export class CalibrationSession {
+    constructor(options = {}) {
+        this.analyzer = new BreathAnalyzer(options);
+        this.deviceId = options.deviceId || 'default';
+        this.deviceLabel = options.deviceLabel || '';
+
+        this.stepIndex = 0;
+        this.stepTime = 0;
+        this.isComplete = false;
+        this.error = null;
+
+        // Room silence
+        this.silenceSamples = [];
+        this.noiseFloor = null;
+        this.noiseSpread = 0;
+
+        // Breath events per step: { peak, integral, duration }
+        this.events = { deep: [], shallow: [] };
+        this.currentEvent = null;
+        this.quietTime = 0;
+
+        // Live readout for the meter
+        this.level = 0;
+        this.aboveFloor = 0;
+    }
+
+    get step() {
+        return CalibrationSteps[this.stepIndex] || null;
+    }
+
+    // Progress through the current step (0-1)
+    get stepProgress() {
+        const step = this.step;
+        if (!step) return 1;
+
+        if (step.duration) {
+            return clamp(this.stepTime / step.duration, 0, 1);
+        }
+
+        // Each breath is heard as an inhale and an exhale
+        return clamp(this.events[step.id].length / (step.breaths * 2), 0, 1);
+    }
+
+    // Spectrum of the last processed block (power per FFT bin)
+    get spectrum() {
+        return this.analyzer.power;
+    }
+
+    process(samples, deltaTime) {
+        if (this.isComplete || this.error) return;
+
+        const step = this.step;
+        const { energy } = this.analyzer.analyzeSpectrum(samples);
+        this.stepTime += deltaTime;
+
+        if (step.id === 'silence') {
+            this.silenceSamples.push(energy);
+            this.aboveFloor = 0;
+            this.level = clamp((energy + 90) / 90, 0, 1);
+
+            if (this.stepTime >= step.duration) {
+                this._finishSilence();
+            }
+            return;
+        }
+
+        this.aboveFloor = energy - this.noiseFloor;
+        this.level = clamp(this.aboveFloor / 40, 0, 1);
+        this._trackBreathEvent(step, deltaTime);
+
+        const heard = this.events[step.id].length;
+        if (heard >= step.breaths * 2) {
+            this._nextStep();
+        } else if (this.stepTime >= step.timeout) {
+            // Accept a partial step if we heard at least something
+            if (heard >= 2) {
+                this._nextStep();
+            } else {
+                this.error = 'We could not hear your breath. Move closer to the microphone and try again.';
+            }
+        }
+    }
+
+    // ========================================
+    // STEPS
+    // ========================================
+
+    _finishSilence() {
+        const values = this.silenceSamples;
+        const mean = values.reduce((sum, v) => sum + v, 0) / Math.max(1, values.length);
+        const variance = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / Math.max(1, values.length);
+
+        this.noiseFloor = mean;
+        this.noiseSpread = Math.sqrt(variance);
+        this._nextStep();
+    }
+
+    _trackBreathEvent(step, deltaTime) {
+        const threshold = Math.max(4, this.noiseSpread * 3);
+
+        if (this.aboveFloor > threshold) {
+            if (!this.currentEvent) {
+                this.currentEvent = { peak: 0, integral: 0, duration: 0 };
+            }
+            this.currentEvent.peak = Math.max(this.currentEvent.peak, this.aboveFloor);
+            this.currentEvent.integral += this.aboveFloor * deltaTime;
+            this.currentEvent.duration += deltaTime;
+            this.quietTime = 0;
+        } else if (this.currentEvent) {
+            this.quietTime += deltaTime;
+
+            if (this.quietTime >= 0.2) {
+                // Ignore clicks and taps
+                if (this.currentEvent.duration >= 0.3) {
+                    this.events[step.id].push(this.currentEvent);
+                }
+                this.currentEvent = null;
+            }
+        }
+    }
+
+    _nextStep() {
+        this.stepIndex++;
+        this.stepTime = 0;
+        this.currentEvent = null;
+        this.quietTime = 0;
+
+        if (this.stepIndex >= CalibrationSteps.length) {
+            this.isComplete = true;
+        }
+    }
+
+    // ========================================
+    // PROFILE
+    // ========================================
+
+    createProfile() {
+        const median = (values) => {
+            if (values.length === 0) return 0;
+            const sorted = [...values].sort((a, b) => a - b);
+            return sorted[Math.floor(sorted.length / 2)];
+        };
+
+        const deep = this.events.deep;
+        const shallow = this.events.shallow.length > 0 ? this.events.shallow : deep;
+
+        const deepPeak = median(deep.map(e => e.peak));
+        const shallowPeak = median(shallow.map(e => e.peak));
+
+        // Thresholds sit between room noise and the lightest breath
+        const offThreshold = clamp(this.noiseSpread * 2, 2, 6);
+        const onThreshold = clamp(shallowPeak * 0.5, offThreshold + 1, 12);
+        const dynamicRange = Math.max(10, deepPeak - offThreshold);
+
+        // Gain: one deep breath should take the cosmos from empty to nearly full
+        const deepFlow = median(deep.map(e =>
+            clamp((e.integral / e.duration - offThreshold) / dynamicRange, 0.05, 1) * e.duration
+        ));
+        const flowRate = clamp(0.9 / Math.max(deepFlow, 0.01), 0.1, 5);
+
+        return {
+            deviceId: this.deviceId,
+            deviceLabel: this.deviceLabel,
+            noiseFloor: this.noiseFloor,
+            onThreshold,
+            offThreshold,
+            dynamicRange,
+            flowRate,
+            createdAt: Date.now()
+        };
+    }
+}
+
+export default CalibrationSession;
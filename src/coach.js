@@ -0,0 +1,188 @@
+/**
+ * BREATHING COSMOS - RESONANCE COACH
+ * Scores the user's breath against a paced target and slows it toward a goal rate
+ */
+
+import { GuidedInputSource } from './inputs/guided.js';
+import { createPacedPattern } from './patterns.js';
+import { BreathPhase } from './phases.js';
+import { clamp } from './utils.js';
+
+// ========================================
+// DEFAULTS
+// ========================================
+
+const DEFAULT_OPTIONS = {
+    startRate: 10, // Breaths per minute at the start
+    goalRate: 6, // Resonance breathing for most adults
+    inhaleShare: 0.4, // Slightly longer exhales
+
+    stepSize: 0.5, // bpm removed per step
+    stepInterval: 45, // Minimum seconds at a pace before stepping down
+    stepThreshold: 70, // Average score (0-100) needed to step down
+    scoreWindow: 3 // Recent cycles averaged for the step decision
+};
+
+// Holds count as matching either hold, so a pause at the top or
+// bottom is not punished when the target has no hold there
+function isHold(phase) {
+    return phase === BreathPhase.HOLD_IN || phase === BreathPhase.HOLD_OUT;
+}
+
+function phasesMatch(target, actual) {
+    return target === actual || (isHold(target) && isHold(actual));
+}
+
+// ========================================
+// RESONANCE COACH
+// ========================================
+
+export class ResonanceCoach {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.options.startRate = Math.max(this.options.startRate, this.options.goalRate);
+
+        // Target pacer (the same timer guided mode uses)
+        this.rate = this.options.startRate;
+        this.guide = new GuidedInputSource({
+            pattern: createPacedPattern(this.rate, this.options.inhaleShare)
+        });
+
+        // Current target
+        this.target = { intensity: 0, phase: this.guide.getInitialPhase() };
+
+        // Per-cycle accumulators
+        this.cycleFrames = 0;
+        this.cycleError = 0;
+        this.cycleMatches = 0;
+
+        // History
+        this.scores = [];
+        this.paceSteps = [{ time: 0, rate: this.rate }];
+        this.elapsed = 0;
+        this.timeAtPace = 0;
+        this.isRunning = false;
+
+        // Event listeners
+        this.listeners = {
+            cycleScored: [],
+            paceChange: []
+        };
+    }
+
+    start() {
+        this.isRunning = true;
+    }
+
+    stop() {
+        this.isRunning = false;
+        return this.getSummary();
+    }
+
+    // ========================================
+    // UPDATE
+    // ========================================
+
+    update(breathState, deltaTime) {
+        if (!this.isRunning) return;
+
+        this.elapsed += deltaTime;
+        this.timeAtPace += deltaTime;
+
+        const previousStep = this.guide.stepIndex;
+        this.target = this.guide.sample(deltaTime);
+
+        // Target wrapped back to its first step: one paced cycle done
+        if (this.guide.stepIndex < previousStep && this.cycleFrames > 0) {
+            this._scoreCycle();
+        }
+
+        this.cycleFrames++;
+        this.cycleError += Math.abs(this.target.intensity - breathState.intensity);
+        if (phasesMatch(this.target.phase, breathState.phase)) {
+            this.cycleMatches++;
+        }
+    }
+
+    _scoreCycle() {
+        // Blend how closely intensity followed the target with how often
+        // the phase agreed
+        const tracking = clamp(1 - (this.cycleError / this.cycleFrames) * 2, 0, 1);
+        const phaseMatch = this.cycleMatches / this.cycleFrames;
+        const score = Math.round((tracking * 0.6 + phaseMatch * 0.4) * 100);
+
+        const entry = { time: this.elapsed, rate: this.rate, score };
+        this.scores.push(entry);
+
+        this.cycleFrames = 0;
+        this.cycleError = 0;
+        this.cycleMatches = 0;
+
+        this._emitEvent('cycleScored', entry);
+        this._maybeStepDown();
+    }
+
+    _maybeStepDown() {
+        const { goalRate, stepSize, stepInterval, stepThreshold, scoreWindow, inhaleShare } = this.options;
+
+        if (this.rate <= goalRate || this.timeAtPace < stepInterval) return;
+
+        const recent = this.scores.slice(-scoreWindow);
+        if (recent.length < scoreWindow) return;
+
+        const average = recent.reduce((sum, e) => sum + e.score, 0) / recent.length;
+        if (average < stepThreshold) return;
+
+        this.rate = Math.max(goalRate, this.rate - stepSize);
+        this.timeAtPace = 0;
+        this.guide.setPattern(createPacedPattern(this.rate, inhaleShare));
+        this.paceSteps.push({ time: this.elapsed, rate: this.rate });
+
+        this._emitEvent('paceChange', { rate: this.rate, reachedGoal: this.rate <= goalRate });
+    }
+
+    // ========================================
+    // SUMMARY
+    // ========================================
+
+    get lastScore() {
+        const last = this.scores[this.scores.length - 1];
+        return last ? last.score : null;
+    }
+
+    getSummary() {
+        const values = this.scores.map(e => e.score);
+
+        return {
+            duration: this.elapsed,
+            cycles: values.length,
+            averageScore: values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : null,
+            bestScore: values.length ? Math.max(...values) : null,
+            startRate: this.options.startRate,
+            endRate: this.rate,
+            goalRate: this.options.goalRate,
+            reachedGoal: this.rate <= this.options.goalRate,
+            threshold: this.options.stepThreshold,
+            scores: this.scores.slice(),
+            paceSteps: this.paceSteps.slice()
+        };
+    }
+
+    // ========================================
+    // EVENTS
+    // ========================================
+
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    _emitEvent(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => callback(data));
+        }
+    }
+}
+
+export default ResonanceCoach;
@@ -0,0 +1,128 @@
+/**
+ * BREATHING COSMOS - LOCAL DATABASE
+ * Shared IndexedDB connection with promise-based store access
+ */
+
+const DB_NAME = 'breathingCosmos';
+const DB_VERSION = 2;
+
+// Object stores created on upgrade. Add new stores here and bump DB_VERSION.
+const STORES = {
+    sessions: { keyPath: 'id', indexes: ['startedAt'] },
+    artworks: { keyPath: 'id', indexes: ['createdAt'] },
+    artworkImages: { keyPath: 'id' }
+};
+
+let connection = null;
+
+// ========================================
+// CONNECTION
+// ========================================
+
+export function openDatabase() {
+    if (connection) return connection;
+
+    connection = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB not available'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+
+            for (const [name, config] of Object.entries(STORES)) {
+                if (db.objectStoreNames.contains(name)) continue;
+
+                const store = db.createObjectStore(name, { keyPath: config.keyPath });
+                (config.indexes || []).forEach(index => store.createIndex(index, index));
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Database upgrade blocked by another tab'));
+    });
+
+    // Allow a later retry (e.g. after private browsing is turned off)
+    connection.catch(() => {
+        connection = null;
+    });
+
+    return connection;
+}
+
+// Run a single request against a store and resolve once its
+// transaction has committed
+async function run(storeName, mode, makeRequest) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+// Run `work(transaction)` across several stores and resolve once it has
+// committed: everything is written or, on an error, nothing is
+async function runAll(storeNames, mode, work) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        work(transaction);
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+// ========================================
+// STORE ACCESS
+// ========================================
+
+export const Database = {
+    get(storeName, key) {
+        return run(storeName, 'readonly', store => store.get(key));
+    },
+
+    getAll(storeName) {
+        return run(storeName, 'readonly', store => store.getAll());
+    },
+
+    put(storeName, value) {
+        return run(storeName, 'readwrite', store => store.put(value));
+    },
+
+    delete(storeName, key) {
+        return run(storeName, 'readwrite', store => store.delete(key));
+    },
+
+    clear(storeName) {
+        return run(storeName, 'readwrite', store => store.clear());
+    },
+
+    // Put [storeName, value] pairs in one transaction
+    putEach(entries) {
+        const storeNames = [...new Set(entries.map(([storeName]) => storeName))];
+        return runAll(storeNames, 'readwrite', transaction => {
+            entries.forEach(([storeName, value]) => transaction.objectStore(storeName).put(value));
+        });
+    },
+
+    // Delete `key` from each of the stores in one transaction
+    deleteEach(storeNames, key) {
+        return runAll(storeNames, 'readwrite', transaction => {
+            storeNames.forEach(storeName => transaction.objectStore(storeName).delete(key));
+        });
+    }
+};
+
+export default Database;
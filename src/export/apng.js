@@ -0,0 +1,90 @@
+/**
+ * BREATHING COSMOS - APNG ENCODER
+ * Looping animated PNGs in full color
+ */
+
+import { PNG_SIGNATURE, pngChunk, headerChunk, filterRows, deflate } from './png.js';
+
+// Frame delays are given in hundredths of a second, as for GIFs
+const DELAY_DENOMINATOR = 100;
+
+// Frame control: replace the whole picture, keep nothing of the last one
+const DISPOSE_NONE = 0;
+const BLEND_SOURCE = 0;
+
+// ========================================
+// APNG ENCODER
+// ========================================
+
+// Frames go in with addFrame(); finish() returns the APNG, which loops
+// forever. Browsers without APNG support show the first frame.
+export class ApngEncoder {
+    constructor(width, height, frameCount) {
+        this.width = width;
+        this.height = height;
+        this.frameCount = frameCount;
+        this.framesAdded = 0;
+
+        // fcTL and fdAT chunks share one sequence
+        this.sequence = 0;
+
+        const control = new Uint8Array(8);
+        const view = new DataView(control.buffer);
+        view.setUint32(0, frameCount);
+        view.setUint32(4, 0); // Plays: forever
+
+        this.parts = [new Uint8Array(PNG_SIGNATURE), headerChunk(width, height), pngChunk('acTL', control)];
+    }
+
+    // image: RGBA pixels (e.g. ImageData) of the full size.
+    // delay: how long it shows, in hundredths of a second.
+    async addFrame(image, delay) {
+        if (this.framesAdded === this.frameCount) {
+            throw new Error('More frames than announced');
+        }
+
+        const data = await deflate(filterRows([image], this.width));
+
+        this.parts.push(this._frameControl(delay));
+
+        // The first frame doubles as the still image
+        if (this.framesAdded === 0) {
+            this.parts.push(pngChunk('IDAT', data));
+        } else {
+            const frameData = new Uint8Array(data.length + 4);
+            new DataView(frameData.buffer).setUint32(0, this.sequence++);
+            frameData.set(data, 4);
+            this.parts.push(pngChunk('fdAT', frameData));
+        }
+
+        this.framesAdded++;
+    }
+
+    finish() {
+        if (this.framesAdded !== this.frameCount) {
+            throw new Error(`Expected ${this.frameCount} frames, got ${this.framesAdded}`);
+        }
+
+        this.parts.push(pngChunk('IEND'));
+        return new Blob(this.parts, { type: 'image/png' });
+    }
+
+    _frameControl(delay) {
+        const data = new Uint8Array(26);
+        const view = new DataView(data.buffer);
+
+        view.setUint32(0, this.sequence++);
+        view.setUint32(4, this.width);
+        view.setUint32(8, this.height);
+        view.setUint32(12, 0); // x offset
+        view.setUint32(16, 0); // y offset
+        view.setUint16(20, delay);
+        view.setUint16(22, DELAY_DENOMINATOR);
+        data[24] = DISPOSE_NONE;
+        data[25] = BLEND_SOURCE;
+
+        return pngChunk('fcTL', data);
+    }
+}
+
+export default ApngEncoder;
@@ -0,0 +1,112 @@
+/**
+ * BREATHING COSMOS - ARTWORK EXPORT
+ * Print-size images re-rendered from the visuals' current state, tile
+ * by tile, rather than upscaled from the screen
+ */
+
+import { PngEncoder } from './png.js';
+import { CoordinateSpace } from '../visuals/space.js';
+import { renderVignette } from '../visuals/backends/canvas2d.js';
+import { createCanvas } from '../utils.js';
+
+// Long and short edge in pixels. Artwork is landscape or portrait to
+// match the screen.
+export const ARTWORK_SIZES = {
+    uhd4k: { name: '4K', long: 3840, short: 2160 },
+    uhd8k: { name: '8K', long: 7680, short: 4320 },
+    a3: { name: 'A3 print, 300 dpi', long: 4961, short: 3508, dpi: 300 }
+};
+
+export const DEFAULT_ARTWORK_SIZE = 'uhd4k';
+
+// Tiles stay far below every browser's canvas limits (iOS caps a canvas
+// at 16.7 million pixels, others at 16384 or 32767 pixels a side)
+const TILE_SIZE = 2048;
+
+// Watermark in CSS pixels at the screen's scale, as on screenshots
+const WATERMARK_TEXT = 'Breathing Cosmos';
+const WATERMARK_FONT_SIZE = 16;
+const WATERMARK_MARGIN = 20;
+
+// { width, height, dpi } of a size from ARTWORK_SIZES, turned to match
+// a visual of visualWidth x visualHeight
+export function getArtworkSize(sizeName, visualWidth, visualHeight) {
+    const size = ARTWORK_SIZES[sizeName] || ARTWORK_SIZES[DEFAULT_ARTWORK_SIZE];
+    const landscape = visualWidth >= visualHeight;
+
+    return {
+        width: landscape ? size.long : size.short,
+        height: landscape ? size.short : size.long,
+        dpi: size.dpi || null
+    };
+}
+
+// Bottom-right signature on a width x height picture, `scale` times the
+// size it has on a 1x screen
+export function drawWatermark(ctx, width, height, scale = 1) {
+    ctx.save();
+    ctx.font = `${WATERMARK_FONT_SIZE * scale}px "Work Sans", sans-serif`;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillText(WATERMARK_TEXT, width - WATERMARK_MARGIN * scale, height - WATERMARK_MARGIN * scale);
+    ctx.restore();
+}
+
+// ========================================
+// RENDERING
+// ========================================
+
+// Draw `visual` at width x height and encode it as a PNG blob.
+// options: { width, height, dpi, watermark }
+//   The visual covers the picture, centred, like it covers the screen.
+//   Its state must not change until this resolves.
+// onProgress(fraction) is called as tiles finish.
+//
+// Each tile is a fresh render(ctx) in the visual's own coordinates,
+// scaled up, so lines and glows stay sharp at any size. Motion trails
+// only exist on screen, so the artwork shows the current moment alone.
+export async function renderArtwork(visual, options, onProgress = () => {}) {
+    const { width, height, dpi, watermark = true } = options;
+
+    const space = new CoordinateSpace(visual.canvasWidth, visual.canvasHeight, width, height);
+
+    const canvas = createCanvas(Math.min(width, TILE_SIZE), Math.min(height, TILE_SIZE));
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    const encoder = new PngEncoder(width, height, { dpi });
+
+    const tileCount = Math.ceil(width / TILE_SIZE) * Math.ceil(height / TILE_SIZE);
+    let tilesDone = 0;
+
+    // One band of tiles at a time, so the encoder gets whole rows
+    for (let top = 0; top < height; top += TILE_SIZE) {
+        const band = [];
+
+        for (let left = 0; left < width; left += TILE_SIZE) {
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.globalAlpha = 1;
+            ctx.globalCompositeOperation = 'source-over';
+            ctx.fillStyle = '#000';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+            space.apply(ctx, left, top);
+            visual.render(ctx);
+
+            // Whole-picture pixels for the overlays
+            ctx.setTransform(1, 0, 0, 1, -left, -top);
+            renderVignette(ctx, width, height);
+            if (watermark) {
+                drawWatermark(ctx, width, height, space.scale);
+            }
+
+            band.push(ctx.getImageData(0, 0, Math.min(TILE_SIZE, width - left), Math.min(TILE_SIZE, height - top)));
+            onProgress(++tilesDone / tileCount);
+        }
+
+        await encoder.writeRows(band);
+    }
+
+    return encoder.finish();
+}
+
+export default renderArtwork;
@@ -0,0 +1,333 @@
+/**
+ * BREATHING COSMOS - GIF ENCODER
+ * Looping animated GIFs with a color table built from the palette
+ */
+
+import { hexToRgb, getColorFromPalette } from '../utils.js';
+
+const COLOR_COUNT = 256;
+const GRAY_STEPS = 16;
+
+// Palette colors the table fits while each keeps a step towards black
+// and one towards white
+const MAX_RAMP_COLORS = Math.floor((COLOR_COUNT - 1 - GRAY_STEPS) / 2);
+
+// Share of each palette color's ramp that runs up from black; the rest
+// runs on towards white, where additive glows pile up
+const DARK_SHARE = 2 / 3;
+
+// LZW codes are at most 12 bits
+const MIN_CODE_SIZE = 8;
+const MAX_CODE = 4096;
+
+// Open-addressing table for LZW strings: prime size, well above 4096
+const HASH_SIZE = 5003;
+
+// ========================================
+// COLOR TABLE
+// ========================================
+
+// At most `count` colors, picked evenly along the palette as the
+// visuals blend between its stops
+function resampleColors(colors, count) {
+    if (colors.length <= count) return colors;
+
+    return Array.from({ length: count }, (_, i) => getColorFromPalette(colors, i / (count - 1)));
+}
+
+// 256 RGB entries for pictures in the given palette colors: black, a
+// gray ramp, and for each color a ramp from black up to it and on to
+// white. A quantized nebula keeps its hues instead of drifting to the
+// nearest web-safe color. Palettes with more colors than the table can
+// shade are resampled along their length to as many as it can.
+export function buildColorTable(colors) {
+    const table = new Uint8Array(COLOR_COUNT * 3);
+    const rgbs = resampleColors(colors.filter(hexToRgb), MAX_RAMP_COLORS).map(hexToRgb);
+    let count = 0;
+
+    const add = (r, g, b) => {
+        table[count * 3] = Math.round(r);
+        table[count * 3 + 1] = Math.round(g);
+        table[count * 3 + 2] = Math.round(b);
+        count++;
+    };
+
+    add(0, 0, 0);
+    for (let i = 1; i <= GRAY_STEPS; i++) {
+        const v = (i / GRAY_STEPS) * 255;
+        add(v, v, v);
+    }
+
+    const perColor = Math.floor((COLOR_COUNT - count) / Math.max(1, rgbs.length));
+    const darkSteps = Math.round(perColor * DARK_SHARE);
+    const lightSteps = perColor - darkSteps;
+
+    for (const { r, g, b } of rgbs) {
+        for (let i = 1; i <= darkSteps; i++) {
+            const t = i / darkSteps;
+            add(r * t, g * t, b * t);
+        }
+        for (let i = 1; i <= lightSteps; i++) {
+            const t = i / (lightSteps + 1);
+            add(r + (255 - r) * t, g + (255 - g) * t, b + (255 - b) * t);
+        }
+    }
+
+    return table;
+}
+
+// Nearest color table entry for each pixel. Results are cached per
+// 18-bit color, fine enough to tell the dark ends of the ramps apart.
+export class Quantizer {
+    constructor(table) {
+        this.table = table;
+        this.cache = new Int16Array(1 << 18).fill(-1);
+    }
+
+    // RGBA pixels -> color table indices
+    quantize(data, indices = new Uint8Array(data.length / 4)) {
+        const { cache } = this;
+
+        for (let i = 0, p = 0; i < indices.length; i++, p += 4) {
+            const key = ((data[p] >> 2) << 12) | ((data[p + 1] >> 2) << 6) | (data[p + 2] >> 2);
+            let index = cache[key];
+            if (index < 0) {
+                index = cache[key] = this._nearest(data[p], data[p + 1], data[p + 2]);
+            }
+            indices[i] = index;
+        }
+
+        return indices;
+    }
+
+    // Weighted RGB distance, roughly as the eye sees it
+    _nearest(r, g, b) {
+        const { table } = this;
+        let best = 0;
+        let bestDistance = Infinity;
+
+        for (let i = 0; i < COLOR_COUNT; i++) {
+            const dr = r - table[i * 3];
+            const dg = g - table[i * 3 + 1];
+            const db = b - table[i * 3 + 2];
+            const distance = 2 * dr * dr + 4 * dg * dg + 3 * db * db;
+
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = i;
+            }
+        }
+
+        return best;
+    }
+}
+
+// ========================================
+// BYTE OUTPUT
+// ========================================
+
+class ByteWriter {
+    constructor(capacity = 4096) {
+        this.bytes = new Uint8Array(capacity);
+        this.length = 0;
+    }
+
+    byte(value) {
+        if (this.length === this.bytes.length) {
+            const grown = new Uint8Array(this.bytes.length * 2);
+            grown.set(this.bytes);
+            this.bytes = grown;
+        }
+        this.bytes[this.length++] = value;
+    }
+
+    short(value) {
+        this.byte(value & 0xff);
+        this.byte((value >> 8) & 0xff);
+    }
+
+    string(text) {
+        for (let i = 0; i < text.length; i++) {
+            this.byte(text.charCodeAt(i));
+        }
+    }
+
+    array(values) {
+        for (let i = 0; i < values.length; i++) {
+            this.byte(values[i]);
+        }
+    }
+
+    toBytes() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+// ========================================
+// LZW
+// ========================================
+
+// Compressed image data for color table indices, in the sub-blocks of
+// up to 255 bytes a GIF expects
+function writeImageData(out, indices) {
+    const clearCode = 1 << MIN_CODE_SIZE;
+    const endCode = clearCode + 1;
+
+    const keys = new Int32Array(HASH_SIZE);
+    const codes = new Int16Array(HASH_SIZE);
+
+    let codeSize = MIN_CODE_SIZE + 1;
+    let nextCode = endCode + 1;
+
+    // Bits waiting to fill a byte, and the sub-block being filled
+    let bits = 0;
+    let bitCount = 0;
+    const block = new Uint8Array(255);
+    let blockLength = 0;
+
+    const flushBlock = () => {
+        out.byte(blockLength);
+        out.array(block.subarray(0, blockLength));
+        blockLength = 0;
+    };
+
+    const emit = (code) => {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+
+        while (bitCount >= 8) {
+            block[blockLength++] = bits & 0xff;
+            if (blockLength === 255) flushBlock();
+            bits >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    const resetTable = () => {
+        keys.fill(-1);
+        codeSize = MIN_CODE_SIZE + 1;
+        nextCode = endCode + 1;
+    };
+
+    out.byte(MIN_CODE_SIZE);
+    resetTable();
+    emit(clearCode);
+
+    let prefix = indices[0];
+
+    for (let i = 1; i < indices.length; i++) {
+        const value = indices[i];
+        const key = (prefix << 8) | value;
+
+        // Look the string up; stop at its slot or an empty one
+        let slot = key % HASH_SIZE;
+        while (keys[slot] !== -1 && keys[slot] !== key) {
+            slot = slot + 1 === HASH_SIZE ? 0 : slot + 1;
+        }
+
+        if (keys[slot] === key) {
+            prefix = codes[slot];
+            continue;
+        }
+
+        emit(prefix);
+
+        // The decoder widens its codes one entry behind the encoder
+        if (nextCode === MAX_CODE) {
+            emit(clearCode);
+            resetTable();
+        } else {
+            if (nextCode >= 1 << codeSize) codeSize++;
+            keys[slot] = key;
+            codes[slot] = nextCode++;
+        }
+
+        prefix = value;
+    }
+
+    emit(prefix);
+    emit(endCode);
+
+    if (bitCount > 0) {
+        block[blockLength++] = bits & 0xff;
+        if (blockLength === 255) flushBlock();
+    }
+    if (blockLength > 0) flushBlock();
+
+    out.byte(0); // Block terminator
+}
+
+// ========================================
+// GIF ENCODER
+// ========================================
+
+// Frames go in with addFrame(); finish() returns the GIF, which loops
+// forever. Every frame is a full picture in the shared color table.
+export class GifEncoder {
+    // colors: palette colors (hex) to build the color table around
+    constructor(width, height, colors) {
+        this.width = width;
+        this.height = height;
+
+        const table = buildColorTable(colors);
+        this.quantizer = new Quantizer(table);
+        this.indices = new Uint8Array(width * height);
+
+        const header = new ByteWriter(1024);
+        header.string('GIF89a');
+
+        // Logical screen: global color table of 2^(7+1) entries, 8-bit color
+        header.short(width);
+        header.short(height);
+        header.byte(0xf7);
+        header.byte(0); // Background color index
+        header.byte(0); // Square pixels
+        header.array(table);
+
+        // Loop forever
+        header.byte(0x21);
+        header.byte(0xff);
+        header.byte(11);
+        header.string('NETSCAPE2.0');
+        header.byte(3);
+        header.byte(1);
+        header.short(0);
+        header.byte(0);
+
+        this.parts = [header.toBytes()];
+    }
+
+    // image: RGBA pixels (e.g. ImageData) of the full size.
+    // delay: how long it shows, in hundredths of a second.
+    addFrame(image, delay) {
+        const out = new ByteWriter(image.width * image.height);
+
+        // Graphic control: keep the frame in place, no transparency
+        out.byte(0x21);
+        out.byte(0xf9);
+        out.byte(4);
+        out.byte(1 << 2);
+        out.short(delay);
+        out.byte(0);
+        out.byte(0);
+
+        // Image descriptor covering the whole screen
+        out.byte(0x2c);
+        out.short(0);
+        out.short(0);
+        out.short(this.width);
+        out.short(this.height);
+        out.byte(0);
+
+        writeImageData(out, this.quantizer.quantize(image.data, this.indices));
+
+        this.parts.push(out.toBytes());
+    }
+
+    finish() {
+        this.parts.push(new Uint8Array([0x3b]));
+        return new Blob(this.parts, { type: 'image/gif' });
+    }
+}
+
+export default GifEncoder;
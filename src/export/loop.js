@@ -0,0 +1,212 @@
+/**
+ * BREATHING COSMOS - BREATH LOOPS
+ * One full breath cycle captured as a seamlessly looping GIF or APNG
+ */
+
+import { GifEncoder } from './gif.js';
+import { ApngEncoder } from './apng.js';
+
+export const LOOP_FORMATS = {
+    gif: { name: 'GIF', extension: 'gif' },
+    apng: { name: 'APNG', extension: 'png' }
+};
+
+export const DEFAULT_LOOP_FORMAT = 'gif';
+
+// Longest edge in pixels, which caps the file size
+export const LOOP_SIZES = {
+    small: { name: 'Small', edge: 320 },
+    medium: { name: 'Medium', edge: 480 },
+    large: { name: 'Large', edge: 640 }
+};
+
+export const DEFAULT_LOOP_SIZE = 'medium';
+
+// Frames are captured this often to begin with. A breath long enough to
+// need more than MAX_LOOP_FRAMES drops every other frame and carries on
+// at half the rate, so frames stay evenly spaced and memory bounded.
+const LOOP_FRAME_RATE = 15;
+const MAX_LOOP_FRAMES = 90;
+
+// Seconds of simulation to wait for a breath to start, or to finish
+const MAX_WAIT = 60;
+
+// Browsers show delays under 2 hundredths of a second much slower
+const MIN_DELAY = 2;
+
+// { width, height } of a loop for a visual of visualWidth x visualHeight
+export function getLoopSize(sizeName, visualWidth, visualHeight) {
+    const { edge } = LOOP_SIZES[sizeName] || LOOP_SIZES[DEFAULT_LOOP_SIZE];
+    const scale = edge / Math.max(visualWidth, visualHeight);
+
+    return {
+        width: Math.max(1, Math.round(visualWidth * scale)),
+        height: Math.max(1, Math.round(visualHeight * scale))
+    };
+}
+
+// Frame delays in hundredths of a second for frames taken at `times`,
+// the last one lasting until the loop starts over after `duration`.
+// Rounding errors don't add up, so the loop keeps the breath's length.
+function getDelays(times, duration) {
+    const ends = [...times.slice(1), times[0] + duration];
+
+    return times.map((time, i) => {
+        const delay = Math.round(ends[i] * 100) - Math.round(time * 100);
+        return Math.max(MIN_DELAY, delay);
+    });
+}
+
+// ========================================
+// LOOP CAPTURE
+// ========================================
+
+// Takes frames from a renderer from the start of the next breath to the
+// start of the one after, so the loop joins up where the breath does.
+// The app drives it: advance() with simulation time, onCycleComplete()
+// when a breath ends and onRender() after each rendered frame.
+// `result` resolves to { frames, delays } once the breath is captured.
+export class LoopCapture {
+    constructor(visuals, width, height) {
+        this.visuals = visuals;
+        this.width = width;
+        this.height = height;
+
+        // 'waiting' for a breath to start, 'capturing' it, or 'done'
+        this.state = 'waiting';
+        this.time = 0; // Seconds of simulation in the current state
+
+        this.interval = 1 / LOOP_FRAME_RATE;
+        this.frames = []; // { time, image } with image a promise
+
+        this.result = new Promise((resolve, reject) => {
+            this._resolve = resolve;
+            this._reject = reject;
+        });
+    }
+
+    get frameCount() {
+        return this.frames.length;
+    }
+
+    advance(deltaTime) {
+        if (this.state === 'done') return;
+
+        this.time += deltaTime;
+        if (this.time > MAX_WAIT) {
+            this._fail(this.state === 'waiting'
+                ? 'No breath started within a minute'
+                : 'The breath lasted over a minute');
+        }
+    }
+
+    // A breath has ended and the next one begins
+    onCycleComplete() {
+        if (this.state === 'waiting') {
+            this.state = 'capturing';
+            this.time = 0;
+        } else if (this.state === 'capturing') {
+            this._finish();
+        }
+    }
+
+    // Take a frame of what was just rendered, if one is due
+    onRender() {
+        if (this.state !== 'capturing') return;
+        if (this.time < this.frames.length * this.interval) return;
+
+        if (this.frames.length === MAX_LOOP_FRAMES) {
+            this.frames = this.frames.filter((frame, i) => i % 2 === 0);
+            this.interval *= 2;
+        }
+
+        // RemoteRenderer resolves to the frame; VisualRenderer returns it
+        const image = Promise.resolve(this.visuals.captureFrame(this.width, this.height));
+        this.frames.push({ time: this.time, image });
+    }
+
+    cancel() {
+        this._fail('Loop capture cancelled');
+    }
+
+    async _finish() {
+        this.state = 'done';
+
+        if (this.frames.length < 2) {
+            this._reject(new Error('The breath was too short to capture'));
+            return;
+        }
+
+        try {
+            const frames = await Promise.all(this.frames.map(frame => frame.image));
+            const delays = getDelays(this.frames.map(frame => frame.time), this.time);
+            this._resolve({ frames, delays });
+        } catch (error) {
+            this._reject(error);
+        }
+    }
+
+    _fail(message) {
+        if (this.state === 'done') return;
+
+        this.state = 'done';
+        this._reject(new Error(message));
+    }
+}
+
+// ========================================
+// ENCODING
+// ========================================
+
+// frames: RGBA images of one size; delays: hundredths of a second each.
+// options: { format, colors } with colors the palette (hex) a GIF's color
+// table is built around.
+export async function encodeFrames(frames, delays, options, onProgress = () => {}) {
+    const { width, height } = frames[0];
+    const encoder = options.format === 'apng'
+        ? new ApngEncoder(width, height, frames.length)
+        : new GifEncoder(width, height, options.colors);
+
+    for (let i = 0; i < frames.length; i++) {
+        await encoder.addFrame(frames[i], delays[i]);
+        onProgress((i + 1) / frames.length);
+    }
+
+    return encoder.finish();
+}
+
+// encodeFrames() in a worker, so the animation carries on smoothly.
+// Browsers that can't load module workers encode on the main thread.
+export function encodeLoop(frames, delays, options, onProgress = () => {}) {
+    if (typeof Worker === 'undefined') {
+        return encodeFrames(frames, delays, options, onProgress);
+    }
+
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+
+        worker.addEventListener('message', ({ data }) => {
+            if (data.type === 'progress') {
+                onProgress(data.progress);
+            } else if (data.type === 'result') {
+                worker.terminate();
+                if (data.error) {
+                    reject(new Error(data.error));
+                } else {
+                    resolve(data.blob);
+                }
+            }
+        });
+
+        // The frames are copied, not transferred, so they are still here
+        worker.addEventListener('error', (e) => {
+            e.preventDefault();
+            worker.terminate();
+            encodeFrames(frames, delays, options, onProgress).then(resolve, reject);
+        });
+
+        worker.postMessage({ frames, delays, options });
+    });
+}
+
+export default LoopCapture;
@@ -0,0 +1,196 @@
+/**
+ * BREATHING COSMOS - PNG ENCODER
+ * Streams rows of pixels into a PNG, so images can be larger than any
+ * one canvas the browser allows
+ */
+
+export const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// 8-bit truecolor without alpha; artwork is always opaque
+const BIT_DEPTH = 8;
+const COLOR_TYPE_RGB = 2;
+const BYTES_PER_PIXEL = 3;
+
+// Rows store each pixel's difference from the one to its left, which
+// compresses smooth glows and black space well
+const FILTER_SUB = 1;
+
+const INCHES_PER_METER = 39.3701;
+
+// ========================================
+// CHUNKS
+// ========================================
+
+let crcTable = null;
+
+// The CRC-32 that PNG chunks (and zip entries) carry
+export function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Length, type, data and a CRC over type and data
+export function pngChunk(type, data = new Uint8Array(0)) {
+    const chunk = new Uint8Array(data.length + 12);
+    const view = new DataView(chunk.buffer);
+
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) {
+        chunk[4 + i] = type.charCodeAt(i);
+    }
+    chunk.set(data, 8);
+    view.setUint32(data.length + 8, crc32(chunk.subarray(4, data.length + 8)));
+
+    return chunk;
+}
+
+export function headerChunk(width, height, colorType = COLOR_TYPE_RGB) {
+    const data = new Uint8Array(13);
+    const view = new DataView(data.buffer);
+
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    data[8] = BIT_DEPTH;
+    data[9] = colorType;
+    // Compression, filter and interlace methods are all 0
+
+    return pngChunk('IHDR', data);
+}
+
+// Physical pixel size, so print software picks up the intended dpi
+function resolutionChunk(dpi) {
+    const data = new Uint8Array(9);
+    const view = new DataView(data.buffer);
+    const pixelsPerMeter = Math.round(dpi * INCHES_PER_METER);
+
+    view.setUint32(0, pixelsPerMeter);
+    view.setUint32(4, pixelsPerMeter);
+    data[8] = 1; // Unit: meters
+
+    return pngChunk('pHYs', data);
+}
+
+// ========================================
+// ROWS
+// ========================================
+
+// Filtered RGB rows from RGBA images (e.g. ImageData) laid side by
+// side, left to right. They share one height and fill `width`.
+export function filterRows(images, width) {
+    const rowCount = images[0].height;
+    const rowLength = 1 + width * BYTES_PER_PIXEL;
+    const rows = new Uint8Array(rowLength * rowCount);
+
+    if (images.reduce((sum, image) => sum + image.width, 0) !== width) {
+        throw new Error('Rows must span the whole image width');
+    }
+
+    for (let y = 0; y < rowCount; y++) {
+        let out = y * rowLength;
+        rows[out++] = FILTER_SUB;
+
+        // Uint8Array stores the differences modulo 256
+        let red = 0;
+        let green = 0;
+        let blue = 0;
+
+        for (const { data, width: imageWidth } of images) {
+            const end = (y + 1) * imageWidth * 4;
+            for (let p = y * imageWidth * 4; p < end; p += 4) {
+                rows[out++] = data[p] - red;
+                rows[out++] = data[p + 1] - green;
+                rows[out++] = data[p + 2] - blue;
+
+                red = data[p];
+                green = data[p + 1];
+                blue = data[p + 2];
+            }
+        }
+    }
+
+    return rows;
+}
+
+// Compress a whole buffer at once, in the zlib format PNG expects
+export async function deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// ========================================
+// PNG ENCODER
+// ========================================
+
+// Rows go in top to bottom with writeRows(); finish() returns the PNG.
+// Compression runs in a CompressionStream as rows arrive, so only the
+// compressed image is held in memory.
+export class PngEncoder {
+    // options: { dpi } physical resolution to record
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        this.rowsWritten = 0;
+
+        this.parts = [new Uint8Array(PNG_SIGNATURE), headerChunk(width, height)];
+        if (options.dpi) {
+            this.parts.push(resolutionChunk(options.dpi));
+        }
+
+        // 'deflate' is the zlib format PNG expects
+        const stream = new CompressionStream('deflate');
+        this.writer = stream.writable.getWriter();
+        this.reading = this._readCompressed(stream.readable.getReader());
+    }
+
+    // Add a band of rows from RGBA images laid side by side (see
+    // filterRows)
+    async writeRows(images) {
+        const rowCount = images[0].height;
+        if (this.rowsWritten + rowCount > this.height) {
+            throw new Error('More rows than the image height');
+        }
+
+        const rows = filterRows(images, this.width);
+
+        this.rowsWritten += rowCount;
+        await this.writer.write(rows);
+    }
+
+    // Resolves to the finished PNG once every row is in
+    async finish() {
+        if (this.rowsWritten !== this.height) {
+            throw new Error(`Expected ${this.height} rows, got ${this.rowsWritten}`);
+        }
+
+        await this.writer.close();
+        await this.reading;
+
+        this.parts.push(pngChunk('IEND'));
+        return new Blob(this.parts, { type: 'image/png' });
+    }
+
+    // Each piece of compressed output becomes an IDAT chunk as it comes
+    async _readCompressed(reader) {
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) return;
+            this.parts.push(pngChunk('IDAT', value));
+        }
+    }
+}
+
+export default PngEncoder;
@@ -0,0 +1,101 @@
+/**
+ * BREATHING COSMOS - VIDEO CLIPS
+ * Records the canvas and the soundscape into a WebM clip
+ */
+
+// Clip lengths offered, in seconds
+export const CLIP_LENGTHS = [15, 30, 60];
+export const DEFAULT_CLIP_LENGTH = 30;
+
+const MIME_TYPE = 'video/webm;codecs=vp9,opus';
+const FRAME_RATE = 60;
+const VIDEO_BITS_PER_SECOND = 8000000;
+
+// The recorder hands over data every second instead of all at the end
+const TIMESLICE = 1000;
+
+// MediaRecorder with VP9/Opus WebM, and a canvas that can be captured
+export function isClipRecordingSupported(canvas) {
+    return typeof MediaRecorder !== 'undefined' &&
+        typeof canvas.captureStream === 'function' &&
+        MediaRecorder.isTypeSupported(MIME_TYPE);
+}
+
+// ========================================
+// CLIP RECORDER
+// ========================================
+
+// Records whatever the canvas shows, so UI on top of it never ends up
+// in the clip. Works the same when a worker draws the canvas.
+export class ClipRecorder {
+    constructor(canvas) {
+        this.canvas = canvas;
+
+        this.recorder = null;
+        this.duration = 0;
+        this.startTime = 0;
+        this.timer = null;
+    }
+
+    get isRecording() {
+        return this.recorder !== null;
+    }
+
+    // Seconds recorded so far
+    get elapsed() {
+        return this.isRecording ? (performance.now() - this.startTime) / 1000 : 0;
+    }
+
+    // Record `duration` seconds of the canvas, with the audio tracks of
+    // audioStream if given. Resolves to the clip once it is finished or
+    // stop() cuts it short.
+    record(duration, audioStream = null) {
+        if (this.isRecording) {
+            return Promise.reject(new Error('A clip is already recording'));
+        }
+
+        const video = this.canvas.captureStream(FRAME_RATE);
+        const audioTracks = audioStream ? audioStream.getAudioTracks() : [];
+        const recorder = new MediaRecorder(new MediaStream([...video.getVideoTracks(), ...audioTracks]), {
+            mimeType: MIME_TYPE,
+            videoBitsPerSecond: VIDEO_BITS_PER_SECOND
+        });
+
+        const chunks = [];
+        recorder.addEventListener('dataavailable', (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        });
+
+        return new Promise((resolve, reject) => {
+            // A failed recorder still fires 'stop' afterwards
+            recorder.addEventListener('error', (e) => {
+                reject(e.error || new Error('Recording failed'));
+            });
+
+            recorder.addEventListener('stop', () => {
+                clearTimeout(this.timer);
+                this.recorder = null;
+
+                // The audio tracks belong to the audio engine and carry on
+                video.getTracks().forEach(track => track.stop());
+
+                resolve(new Blob(chunks, { type: 'video/webm' }));
+            });
+
+            this.recorder = recorder;
+            this.duration = duration;
+            this.startTime = performance.now();
+
+            recorder.start(TIMESLICE);
+            this.timer = setTimeout(() => this.stop(), duration * 1000);
+        });
+    }
+
+    stop() {
+        if (this.recorder && this.recorder.state !== 'inactive') {
+            this.recorder.stop();
+        }
+    }
+}
+
+export default ClipRecorder;
@@ -0,0 +1,18 @@
+/**
+ * BREATHING COSMOS - ENCODER WORKER
+ * Encodes breath loops off the main thread, one per worker
+ */
+
+import { encodeFrames } from './loop.js';
+
+self.addEventListener('message', async ({ data }) => {
+    const { frames, delays, options } = data;
+    const onProgress = progress => self.postMessage({ type: 'progress', progress });
+
+    try {
+        const blob = await encodeFrames(frames, delays, options, onProgress);
+        self.postMessage({ type: 'result', blob });
+    } catch (error) {
+        self.postMessage({ type: 'result', error: error.message });
+    }
+});
@@ -0,0 +1,110 @@
+/**
+ * BREATHING COSMOS - ZIP ARCHIVES
+ * Bundles files into one download. PNGs are compressed already, so
+ * entries are stored as they are.
+ */
+
+import { crc32 } from './png.js';
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const VERSION = 20; // 2.0: folders and stored entries
+const FLAG_UTF8 = 1 << 11;
+const METHOD_STORE = 0;
+
+// Entries and offsets have 32 bits without the ZIP64 extension
+const MAX_ZIP_SIZE = 0xffffffff;
+
+// Time and date as MS-DOS packs them, to the nearest two seconds
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = (Math.max(0, date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+// ========================================
+// ZIP WRITER
+// ========================================
+
+// Files go in with add(); finish() returns the archive. Only the
+// headers are built here, the files' own blobs are reused as they are.
+export class ZipWriter {
+    constructor() {
+        this.parts = [];
+        this.directory = [];
+        this.offset = 0;
+    }
+
+    // data: a Blob or bytes; date: when the file was made
+    async add(name, data, date = new Date()) {
+        const blob = data instanceof Blob ? data : new Blob([data]);
+        const crc = crc32(new Uint8Array(await blob.arrayBuffer()));
+        const nameBytes = new TextEncoder().encode(name);
+        const { time, day } = dosDateTime(date);
+
+        if (this.offset + blob.size + nameBytes.length + 30 > MAX_ZIP_SIZE) {
+            throw new Error('The archive is too large');
+        }
+
+        const header = new Uint8Array(30 + nameBytes.length);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, LOCAL_HEADER, true);
+        view.setUint16(4, VERSION, true);
+        view.setUint16(6, FLAG_UTF8, true);
+        view.setUint16(8, METHOD_STORE, true);
+        view.setUint16(10, time, true);
+        view.setUint16(12, day, true);
+        view.setUint32(14, crc, true);
+        view.setUint32(18, blob.size, true); // Compressed size
+        view.setUint32(22, blob.size, true); // Uncompressed size
+        view.setUint16(26, nameBytes.length, true);
+        view.setUint16(28, 0, true); // Extra field length
+        header.set(nameBytes, 30);
+
+        this.directory.push({ nameBytes, crc, size: blob.size, time, day, offset: this.offset });
+        this.parts.push(header, blob);
+        this.offset += header.length + blob.size;
+    }
+
+    finish() {
+        const start = this.offset;
+        let size = 0;
+
+        for (const entry of this.directory) {
+            const record = new Uint8Array(46 + entry.nameBytes.length);
+            const view = new DataView(record.buffer);
+            view.setUint32(0, CENTRAL_HEADER, true);
+            view.setUint16(4, VERSION, true); // Made by
+            view.setUint16(6, VERSION, true); // Needed to extract
+            view.setUint16(8, FLAG_UTF8, true);
+            view.setUint16(10, METHOD_STORE, true);
+            view.setUint16(12, entry.time, true);
+            view.setUint16(14, entry.day, true);
+            view.setUint32(16, entry.crc, true);
+            view.setUint32(20, entry.size, true);
+            view.setUint32(24, entry.size, true);
+            view.setUint16(28, entry.nameBytes.length, true);
+            // Extra field, comment, disk number and attributes stay 0
+            view.setUint32(42, entry.offset, true);
+            record.set(entry.nameBytes, 46);
+
+            this.parts.push(record);
+            size += record.length;
+        }
+
+        const end = new Uint8Array(22);
+        const view = new DataView(end.buffer);
+        view.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+        view.setUint16(8, this.directory.length, true); // Entries on this disk
+        view.setUint16(10, this.directory.length, true); // Entries in total
+        view.setUint32(12, size, true);
+        view.setUint32(16, start, true);
+        this.parts.push(end);
+
+        return new Blob(this.parts, { type: 'application/zip' });
+    }
+}
+
+export default ZipWriter;
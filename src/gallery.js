@@ -0,0 +1,137 @@
+/**
+ * BREATHING COSMOS - ARTWORK GALLERY
+ * Every saved picture kept on this device, with a thumbnail and the
+ * session that made it
+ */
+
+import { Database } from './db.js';
+import { createCanvas, canvasToBlob } from './utils.js';
+
+// Metadata and thumbnails, read whenever the gallery is browsed
+const ARTWORKS_STORE = 'artworks';
+
+// Full images and breath recordings, read one piece at a time
+const IMAGES_STORE = 'artworkImages';
+
+// Longest thumbnail edge in pixels
+const THUMBNAIL_EDGE = 320;
+
+// Browsers name a full storage quota differently
+export function isQuotaError(error) {
+    return !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+}
+
+// ========================================
+// IMAGES
+// ========================================
+
+// Pixel size from a PNG or GIF header, without decoding the image
+async function readImageSize(image) {
+    const view = new DataView(await image.slice(0, 24).arrayBuffer());
+
+    if (image.type === 'image/gif') {
+        return { width: view.getUint16(6, true), height: view.getUint16(8, true) };
+    }
+    return { width: view.getUint32(16), height: view.getUint32(20) };
+}
+
+// Print-size artwork is decoded straight to thumbnail size where the
+// browser can, rather than at full size first
+async function createThumbnail(image, width, height) {
+    const scale = Math.min(1, THUMBNAIL_EDGE / Math.max(width, height));
+    const thumbWidth = Math.max(1, Math.round(width * scale));
+    const thumbHeight = Math.max(1, Math.round(height * scale));
+
+    const bitmap = await createImageBitmap(image, {
+        resizeWidth: thumbWidth,
+        resizeHeight: thumbHeight,
+        resizeQuality: 'high'
+    });
+
+    const canvas = createCanvas(thumbWidth, thumbHeight);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, thumbWidth, thumbHeight);
+    bitmap.close();
+
+    return canvasToBlob(canvas, 'image/jpeg');
+}
+
+// Download name for a piece, e.g. breathing-cosmos-1920x1080-1700000000000.png
+export function getArtworkFilename(artwork) {
+    const prefix = artwork.kind === 'loop' ? 'breathing-cosmos-loop' : 'breathing-cosmos';
+    const extension = artwork.type === 'image/gif' ? 'gif' : 'png';
+    return `${prefix}-${artwork.width}x${artwork.height}-${artwork.createdAt}.${extension}`;
+}
+
+// ========================================
+// GALLERY STORE
+// ========================================
+
+export const Gallery = {
+    // All pieces without their full images, newest first
+    async load() {
+        const artworks = await Database.getAll(ARTWORKS_STORE);
+        return artworks.sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    // image: the saved PNG or GIF.
+    // details: { kind: 'screenshot' | 'artwork' | 'loop', duration,
+    // cycles, palette: { id, name, colors }, mode, session } with session
+    // an encoded breath recording (see share.js) or null.
+    // Resolves to the stored metadata.
+    async add(image, { session = null, ...details }) {
+        const createdAt = Date.now();
+        const id = `artwork-${createdAt}-${Math.random().toString(36).slice(2, 8)}`;
+
+        const { width, height } = await readImageSize(image);
+        const thumbnail = await createThumbnail(image, width, height);
+
+        const artwork = {
+            ...details,
+            id,
+            createdAt,
+            type: image.type,
+            width,
+            height,
+            bytes: image.size,
+            thumbnail,
+            hasSession: !!session
+        };
+
+        // Both or neither, so no piece is left without its image.
+        // A full quota rejects with isQuotaError(error).
+        await Database.putEach([
+            [ARTWORKS_STORE, artwork],
+            [IMAGES_STORE, { id, image, session }]
+        ]);
+
+        return artwork;
+    },
+
+    // { id, image, session } for one piece
+    async open(id) {
+        const entry = await Database.get(IMAGES_STORE, id);
+        if (!entry) {
+            throw new Error('This piece is no longer in the gallery');
+        }
+        return entry;
+    },
+
+    remove(id) {
+        return Database.deleteEach([ARTWORKS_STORE, IMAGES_STORE], id);
+    },
+
+    // { usage, quota } in bytes for everything this site stores, or
+    // null where the browser doesn't say
+    async estimateStorage() {
+        if (!navigator.storage || !navigator.storage.estimate) return null;
+
+        try {
+            const { usage, quota } = await navigator.storage.estimate();
+            return { usage, quota };
+        } catch (e) {
+            return null;
+        }
+    }
+};
+
+export default Gallery;
@@ -0,0 +1,211 @@
+/**
+ * BREATHING COSMOS - SESSION HISTORY
+ * Persists finished sessions and derives streaks and weekly trends
+ */
+
+import { Database } from './db.js';
+import { Storage } from './utils.js';
+
+const SESSIONS_STORE = 'sessions';
+
+// Used when IndexedDB is unavailable (e.g. some private browsing modes)
+const FALLBACK_KEY = 'breathingCosmos.sessions';
+
+// Sessions shorter than this, or without a full breath, are not kept
+const MIN_SESSION_DURATION = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ========================================
+// SESSION STORE
+// ========================================
+
+let warnedFallback = false;
+
+async function withFallback(action, fallback) {
+    try {
+        return await action();
+    } catch (e) {
+        if (!warnedFallback) {
+            console.warn('IndexedDB not available, using localStorage:', e);
+            warnedFallback = true;
+        }
+        return fallback();
+    }
+}
+
+function loadFallback() {
+    const sessions = Storage.get(FALLBACK_KEY, []);
+    return Array.isArray(sessions) ? sessions : [];
+}
+
+export const SessionHistory = {
+    // All saved sessions, newest first
+    async load() {
+        const sessions = await withFallback(
+            () => Database.getAll(SESSIONS_STORE),
+            () => loadFallback()
+        );
+        return sessions.sort((a, b) => b.startedAt - a.startedAt);
+    },
+
+    save(session) {
+        return withFallback(
+            () => Database.put(SESSIONS_STORE, session),
+            () => {
+                const sessions = loadFallback().filter(s => s.id !== session.id);
+                sessions.push(session);
+                return Storage.set(FALLBACK_KEY, sessions);
+            }
+        );
+    },
+
+    remove(id) {
+        return withFallback(
+            () => Database.delete(SESSIONS_STORE, id),
+            () => Storage.set(FALLBACK_KEY, loadFallback().filter(s => s.id !== id))
+        );
+    },
+
+    clear() {
+        return withFallback(
+            () => Database.clear(SESSIONS_STORE),
+            () => Storage.remove(FALLBACK_KEY)
+        );
+    }
+};
+
+// ========================================
+// SESSION RECORDER
+// ========================================
+
+export class SessionRecorder {
+    constructor() {
+        this.session = null;
+    }
+
+    begin() {
+        const now = Date.now();
+
+        this.session = {
+            id: `session-${now}`,
+            startedAt: now,
+            duration: 0, // Active (unpaused) time in seconds
+            cycles: 0,
+            breathsPerMinute: null, // Average over the whole session
+            mode: null,
+            pattern: null,
+            palette: null,
+            metrics: null,
+            coach: null
+        };
+    }
+
+    // Count active time only; call while the breath detector is running
+    update(deltaTime) {
+        if (this.session) {
+            this.session.duration += deltaTime;
+        }
+    }
+
+    // Copy the latest session details onto the record.
+    // details: { cycles, mode, pattern, palette, metrics, coach }
+    capture(details) {
+        if (!this.session) return;
+
+        Object.assign(this.session, details);
+
+        const minutes = this.session.duration / 60;
+        this.session.breathsPerMinute = minutes > 0 && this.session.cycles > 0
+            ? this.session.cycles / minutes
+            : null;
+    }
+
+    get isWorthKeeping() {
+        return !!this.session &&
+            this.session.duration >= MIN_SESSION_DURATION &&
+            this.session.cycles > 0;
+    }
+
+    end() {
+        const session = this.session;
+        this.session = null;
+        return session;
+    }
+}
+
+// ========================================
+// ANALYTICS
+// ========================================
+
+function startOfDay(time) {
+    const date = new Date(time);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+}
+
+// Weeks start on Monday
+function startOfWeek(time) {
+    const date = new Date(startOfDay(time));
+    date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+    return date.getTime();
+}
+
+// Whole days between two local midnights (DST-safe)
+function daysBetween(from, to) {
+    return Math.round((to - from) / DAY_MS);
+}
+
+// Consecutive days with at least one session. The current streak
+// survives until the end of the day after the last session.
+export function getStreaks(sessions, now = Date.now()) {
+    const days = [...new Set(sessions.map(s => startOfDay(s.startedAt)))].sort((a, b) => a - b);
+    if (days.length === 0) return { current: 0, longest: 0 };
+
+    let longest = 1;
+    let run = 1;
+    for (let i = 1; i < days.length; i++) {
+        run = daysBetween(days[i - 1], days[i]) === 1 ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    }
+
+    const sinceLast = daysBetween(days[days.length - 1], startOfDay(now));
+    const current = sinceLast <= 1 ? run : 0;
+
+    return { current, longest };
+}
+
+export function getTotalMinutes(sessions) {
+    return sessions.reduce((total, s) => total + s.duration, 0) / 60;
+}
+
+// Duration-weighted breaths per minute and practice minutes for the
+// last `weeks` weeks, oldest first
+export function getWeeklyTrend(sessions, weeks = 8, now = Date.now()) {
+    const thisWeek = startOfWeek(now);
+    const buckets = [];
+
+    for (let i = weeks - 1; i >= 0; i--) {
+        const date = new Date(thisWeek);
+        date.setDate(date.getDate() - i * 7);
+        buckets.push({ weekStart: date.getTime(), minutes: 0, breaths: 0, breathsPerMinute: null });
+    }
+
+    for (const session of sessions) {
+        const bucket = buckets.find(b => b.weekStart === startOfWeek(session.startedAt));
+        if (!bucket) continue;
+
+        bucket.minutes += session.duration / 60;
+        bucket.breaths += session.cycles;
+    }
+
+    for (const bucket of buckets) {
+        if (bucket.minutes > 0 && bucket.breaths > 0) {
+            bucket.breathsPerMinute = bucket.breaths / bucket.minutes;
+        }
+    }
+
+    return buckets;
+}
+
+export default SessionHistory;
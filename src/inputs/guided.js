@@ -0,0 +1,66 @@
+/**
+ * BREATHING COSMOS - GUIDED INPUT
+ * Follows a timed breathing pattern
+ */
+
+import { BreathInputSource, registerInputSource } from './source.js';
+import { expandPattern } from '../patterns.js';
+import { lerp, Easing } from '../utils.js';
+
+// ========================================
+// GUIDED INPUT SOURCE
+// ========================================
+
+export class GuidedInputSource extends BreathInputSource {
+    constructor(options = {}) {
+        super(options);
+
+        this.pattern = null;
+        this.steps = [];
+        this.stepIndex = 0;
+        this.timer = 0;
+
+        if (options.pattern) {
+            this.setPattern(options.pattern);
+        }
+    }
+
+    setPattern(pattern) {
+        // Pattern: { inhale: 4, holdIn: 7, exhale: 8, holdOut: 0 }
+        // or { steps: [{ phase, duration, from, to }, ...] }
+        this.pattern = pattern;
+        this.steps = expandPattern(pattern);
+        this.stepIndex = 0;
+        this.timer = 0;
+    }
+
+    getInitialPhase() {
+        return this.steps.length > 0 ? this.steps[0].phase : null;
+    }
+
+    sample(deltaTime) {
+        if (this.steps.length === 0) return {};
+
+        this.timer += deltaTime;
+
+        // Advance through as many steps as the elapsed time covers
+        let step = this.steps[this.stepIndex];
+        while (this.timer >= step.duration) {
+            this.timer -= step.duration;
+            this.stepIndex = (this.stepIndex + 1) % this.steps.length;
+            step = this.steps[this.stepIndex];
+        }
+
+        // Ease intensity across the step
+        const t = step.duration > 0 ? this.timer / step.duration : 1;
+
+        return {
+            intensity: lerp(step.from, step.to, Easing.easeInOutSine(t)),
+            phase: step.phase
+        };
+    }
+}
+
+registerInputSource('guided', (options) => new GuidedInputSource(options));
+
+export default GuidedInputSource;
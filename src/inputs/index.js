@@ -0,0 +1,10 @@
+/**
+ * BREATHING COSMOS - INPUT SOURCES
+ * Registers the built-in breath inputs
+ */
+
+export * from './source.js';
+export { ManualInputSource } from './manual.js';
+export { MicrophoneInputSource } from './microphone.js';
+export { GuidedInputSource } from './guided.js';
+export { ScriptedInputSource } from './scripted.js';
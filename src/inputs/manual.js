@@ -0,0 +1,119 @@
+/**
+ * BREATHING COSMOS - MANUAL INPUT
+ * Hold spacebar, mouse or touch to inhale; release to exhale
+ */
+
+import { BreathInputSource, registerInputSource } from './source.js';
+
+// ========================================
+// MANUAL INPUT SOURCE
+// ========================================
+
+export class ManualInputSource extends BreathInputSource {
+    constructor(options = {}) {
+        super(options);
+
+        this.isPressed = false;
+        this.targetIntensity = 0.5;
+
+        // Bound handlers so detach() can remove exactly what attach() added
+        this._onKeyDown = this._onKeyDown.bind(this);
+        this._onKeyUp = this._onKeyUp.bind(this);
+        this._onPointerDown = this._onPointerDown.bind(this);
+        this._onPointerUp = this._onPointerUp.bind(this);
+
+        this.target = null;
+    }
+
+    attach(detector) {
+        super.attach(detector);
+
+        this.targetIntensity = detector.state.intensity;
+        this.target = this.options.target || document.getElementById('cosmos-canvas');
+
+        // Spacebar hold = inhale
+        window.addEventListener('keydown', this._onKeyDown);
+        window.addEventListener('keyup', this._onKeyUp);
+
+        // Mouse/touch hold
+        if (this.target) {
+            this.target.addEventListener('mousedown', this._onPointerDown);
+            this.target.addEventListener('mouseup', this._onPointerUp);
+            this.target.addEventListener('mouseleave', this._onPointerUp);
+
+            this.target.addEventListener('touchstart', this._onPointerDown);
+            this.target.addEventListener('touchend', this._onPointerUp);
+            this.target.addEventListener('touchcancel', this._onPointerUp);
+        }
+
+        return true;
+    }
+
+    detach() {
+        window.removeEventListener('keydown', this._onKeyDown);
+        window.removeEventListener('keyup', this._onKeyUp);
+
+        if (this.target) {
+            this.target.removeEventListener('mousedown', this._onPointerDown);
+            this.target.removeEventListener('mouseup', this._onPointerUp);
+            this.target.removeEventListener('mouseleave', this._onPointerUp);
+
+            this.target.removeEventListener('touchstart', this._onPointerDown);
+            this.target.removeEventListener('touchend', this._onPointerUp);
+            this.target.removeEventListener('touchcancel', this._onPointerUp);
+            this.target = null;
+        }
+
+        this.isPressed = false;
+        super.detach();
+    }
+
+    sample(deltaTime) {
+        return { intensity: this.targetIntensity };
+    }
+
+    // ========================================
+    // HANDLERS
+    // ========================================
+
+    // Ignore the spacebar while typing in form fields
+    _isTyping(e) {
+        return e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA';
+    }
+
+    _onKeyDown(e) {
+        if (e.code === 'Space' && !e.repeat && !this._isTyping(e)) {
+            e.preventDefault();
+            this._press();
+        }
+    }
+
+    _onKeyUp(e) {
+        if (e.code === 'Space' && !this._isTyping(e)) {
+            e.preventDefault();
+            this._release();
+        }
+    }
+
+    _onPointerDown() {
+        this._press();
+    }
+
+    _onPointerUp() {
+        this._release();
+    }
+
+    _press() {
+        this.isPressed = true;
+        this.targetIntensity = 1.0;
+    }
+
+    _release() {
+        this.isPressed = false;
+        this.targetIntensity = 0.0;
+    }
+}
+
+registerInputSource('manual', (options) => new ManualInputSource(options));
+
+export default ManualInputSource;
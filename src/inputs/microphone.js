@@ -0,0 +1,154 @@
+/**
+ * BREATHING COSMOS - MICROPHONE INPUT
+ * Listens for breath noise and tracks lung fullness from airflow
+ */
+
+import { BreathInputSource, registerInputSource } from './source.js';
+import { BreathAnalyzer } from '../audio/analyzer.js';
+import { MicProfiles } from '../calibration.js';
+import { BreathPhase } from '../phases.js';
+import { clamp } from '../utils.js';
+
+// ========================================
+// MICROPHONE INPUT SOURCE
+// ========================================
+
+export class MicrophoneInputSource extends BreathInputSource {
+    constructor(options = {}) {
+        super(options);
+
+        // Web Audio
+        this.stream = null;
+        this.audioContext = null;
+        this.microphone = null;
+        this.analyser = null;
+        this.dataArray = null;
+
+        // Device and calibration
+        this.deviceId = null;
+        this.deviceLabel = '';
+        this.profile = null;
+
+        // Breath tracking
+        this.breathAnalyzer = new BreathAnalyzer(options.analyzer);
+        this.phase = BreathPhase.EXHALE;
+        this.volume = 0.5; // Estimated lung fullness (0-1)
+        this.flowRate = 0.6; // Lung fill per second at full airflow
+    }
+
+    async attach(detector) {
+        super.attach(detector);
+
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            const track = stream.getAudioTracks()[0];
+            const settings = track && track.getSettings ? track.getSettings() : {};
+
+            this.stream = stream;
+            this.deviceId = settings.deviceId || 'default';
+            this.deviceLabel = track ? track.label : '';
+
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            this.microphone = this.audioContext.createMediaStreamSource(stream);
+            this.analyser = this.audioContext.createAnalyser();
+
+            this.analyser.fftSize = 1024;
+
+            this.microphone.connect(this.analyser);
+
+            this.dataArray = new Float32Array(this.analyser.fftSize);
+            this.breathAnalyzer = new BreathAnalyzer({
+                ...this.options.analyzer,
+                sampleRate: this.audioContext.sampleRate,
+                fftSize: this.analyser.fftSize
+            });
+
+            this.volume = detector.state.intensity;
+
+            // Returning users skip calibration on a known device
+            const profile = MicProfiles.get(this.deviceId);
+            if (profile) {
+                this.applyProfile(profile);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Microphone access denied:', error);
+            this.detach();
+            return false;
+        }
+    }
+
+    detach() {
+        if (this.microphone) {
+            this.microphone.disconnect();
+            this.microphone = null;
+        }
+
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+
+        this.analyser = null;
+        this.dataArray = null;
+        super.detach();
+    }
+
+    // Use noise floor, thresholds and gain measured by calibration
+    applyProfile(profile) {
+        this.profile = profile;
+        this.flowRate = profile.flowRate;
+
+        this.breathAnalyzer.configure({
+            noiseFloor: profile.noiseFloor,
+            onThreshold: profile.onThreshold,
+            offThreshold: profile.offThreshold,
+            dynamicRange: profile.dynamicRange
+        });
+    }
+
+    // Latest block of raw microphone samples (-1..1)
+    readSamples() {
+        if (!this.analyser || !this.dataArray) return null;
+
+        this.analyser.getFloatTimeDomainData(this.dataArray);
+        return this.dataArray;
+    }
+
+    sample(deltaTime) {
+        const samples = this.readSamples();
+        if (samples) {
+            this.processAudioFrame(samples, deltaTime);
+        }
+
+        return { intensity: this.volume, phase: this.phase };
+    }
+
+    // Feed one block of time-domain samples (live or from a recording)
+    processAudioFrame(samples, deltaTime) {
+        const { level, direction } = this.breathAnalyzer.process(samples, deltaTime);
+
+        // Integrate airflow into lung fullness: inhales fill, exhales empty
+        if (direction === 'inhale') {
+            this.volume = clamp(this.volume + level * this.flowRate * deltaTime, 0, 1);
+            this.phase = BreathPhase.INHALE;
+        } else if (direction === 'exhale') {
+            this.volume = clamp(this.volume - level * this.flowRate * deltaTime, 0, 1);
+            this.phase = BreathPhase.EXHALE;
+        } else if (this.phase === BreathPhase.INHALE) {
+            this.phase = BreathPhase.HOLD_IN;
+        } else if (this.phase === BreathPhase.EXHALE) {
+            this.phase = BreathPhase.HOLD_OUT;
+        }
+    }
+}
+
+registerInputSource('mic', (options) => new MicrophoneInputSource(options));
+
+export default MicrophoneInputSource;
@@ -0,0 +1,60 @@
+/**
+ * BREATHING COSMOS - SCRIPTED INPUT
+ * Plays back breath keyframes, for demos and automated checks
+ */
+
+import { BreathInputSource, registerInputSource } from './source.js';
+import { lerp } from '../utils.js';
+
+// ========================================
+// SCRIPTED INPUT SOURCE
+// ========================================
+
+export class ScriptedInputSource extends BreathInputSource {
+    constructor(options = {}) {
+        super(options);
+
+        // Keyframes: [{ time, intensity, phase? }, ...] sorted by time (seconds)
+        this.keyframes = options.keyframes || [];
+        this.loop = options.loop !== false;
+        this.time = 0;
+    }
+
+    get duration() {
+        const last = this.keyframes[this.keyframes.length - 1];
+        return last ? last.time : 0;
+    }
+
+    sample(deltaTime) {
+        const frames = this.keyframes;
+        if (frames.length === 0) return {};
+
+        this.time += deltaTime;
+        if (this.loop && this.duration > 0) {
+            this.time %= this.duration;
+        }
+
+        // Find the keyframe pair around the current time
+        let next = frames.findIndex(frame => frame.time > this.time);
+        if (next === -1) {
+            const last = frames[frames.length - 1];
+            return { intensity: last.intensity, phase: last.phase };
+        }
+        if (next === 0) {
+            return { intensity: frames[0].intensity, phase: frames[0].phase };
+        }
+
+        const a = frames[next - 1];
+        const b = frames[next];
+        const t = (this.time - a.time) / (b.time - a.time);
+
+        return {
+            intensity: lerp(a.intensity, b.intensity, t),
+            phase: a.phase
+        };
+    }
+}
+
+registerInputSource('scripted', (options) => new ScriptedInputSource(options));
+
+export default ScriptedInputSource;
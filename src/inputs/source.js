@@ -0,0 +1,79 @@
+/**
+ * BREATHING COSMOS - BREATH INPUT SOURCES
+ * Base interface and registry for pluggable breath inputs
+ */
+
+// ========================================
+// INPUT SOURCE INTERFACE
+// ========================================
+
+// A source feeds BreathingDetector. Subclasses override:
+//   attach(detector)  - install listeners / open streams; may be async,
+//                       resolve false if the source is unavailable
+//   detach()          - remove everything attach() installed
+//   sample(deltaTime) - return hints { intensity?, phase? } for this frame.
+//                       `intensity` is the target lung fullness (0-1);
+//                       `phase` is a BreathPhase value, or omitted to let
+//                       the detector infer it.
+export class BreathInputSource {
+    constructor(options = {}) {
+        this.options = options;
+        this.detector = null;
+    }
+
+    attach(detector) {
+        this.detector = detector;
+        return true;
+    }
+
+    detach() {
+        this.detector = null;
+    }
+
+    sample(deltaTime) {
+        return {};
+    }
+
+    // Phase to start in, without counting a breath cycle
+    getInitialPhase() {
+        return null;
+    }
+}
+
+// ========================================
+// REGISTRY
+// ========================================
+
+const registry = new Map();
+
+export function registerInputSource(name, factory) {
+    if (typeof factory !== 'function') {
+        throw new Error(`Input source "${name}" needs a factory function`);
+    }
+    registry.set(name, factory);
+}
+
+export function unregisterInputSource(name) {
+    registry.delete(name);
+}
+
+export function createInputSource(name, options = {}) {
+    const factory = registry.get(name);
+    if (!factory) {
+        throw new Error(`Unknown breath input source: ${name}`);
+    }
+
+    const source = factory(options);
+    source.name = name;
+    return source;
+}
+
+export function hasInputSource(name) {
+    return registry.has(name);
+}
+
+export function getInputSourceNames() {
+    return [...registry.keys()];
+}
+
+export default BreathInputSource;
@@ -4,10 +4,20 @@
  */
 
 import { BreathingDetector } from './breathing.js';
-import { VisualRenderer } from './visuals/renderer.js';
+import { createRenderer } from './visuals/remote.js';
 import { AudioEngine } from './audio/engine.js';
 import { UIController } from './ui.js';
-import { FPSCounter } from './utils.js';
+import { ResonanceCoach } from './coach.js';
+import { SessionHistory, SessionRecorder } from './history.js';
+import { Gallery, isQuotaError } from './gallery.js';
+import { BreathTimeline, FixedStepClock, TimelinePlayer, createSessionSeed, quantizeIntensity } from './timeline.js';
+import { createShareUrl, encodeSharedSession, decodeSharedSession, readShareHash, clearShareHash } from './share.js';
+import { QualityGovernor, QualitySetting, DEFAULT_QUALITY_TIER } from './quality.js';
+import { CustomPalettes, PREVIEW_PALETTE, findPalette } from './palettes.js';
+import { getArtworkSize } from './export/artwork.js';
+import { ClipRecorder } from './export/video.js';
+import { LoopCapture, LOOP_FORMATS, getLoopSize, encodeLoop } from './export/loop.js';
+import { FPSCounter, getPaletteColors, isBuiltInPalette, downloadBlob } from './utils.js';
 
 // ========================================
 // MAIN APPLICATION
@@ -20,14 +30,36 @@ class BreathingCosmosApp {
         this.visuals = null;
         this.audio = null;
         this.ui = null;
+        this.coach = null;
+
+        // Session history
+        this.recorder = new SessionRecorder();
+
+        // Breath timeline of the current session and an active replay
+        this.seed = null;
+        this.timeline = null;
+        this.player = null;
+        this.sharedTimeline = null; // Opened from a share URL
 
         // Animation
         this.isRunning = false;
         this.lastTime = 0;
         this.animationFrameId = null;
+        this.clock = new FixedStepClock();
+
+        // Video clips, set up with the canvas
+        this.clipRecorder = null;
+
+        // Breath loop being captured
+        this.loopCapture = null;
 
         // Performance
         this.fpsCounter = new FPSCounter();
+        this.fps = 60;
+
+        // 'auto' lets the governor pick the quality tier; a tier name pins it
+        this.qualitySetting = QualitySetting.load();
+        this.governor = new QualityGovernor();
 
         this._init();
     }
@@ -44,13 +76,36 @@ class BreathingCosmosApp {
 
         // Initialize systems
         this.breathing = new BreathingDetector();
-        this.visuals = new VisualRenderer(canvas);
+        // Renders in a worker where OffscreenCanvas is available
+        this.visuals = createRenderer(canvas, {
+            quality: this.qualityTier,
+            onFallback: (fallbackCanvas, reason) => this._onRendererFallback(fallbackCanvas, reason)
+        });
+        for (const palette of CustomPalettes.load()) {
+            this.visuals.definePalette(palette.id, palette.colors);
+        }
         this.audio = new AudioEngine();
+        this.clipRecorder = new ClipRecorder(canvas);
         this.ui = new UIController(this);
 
         // Setup event listeners
-        this.breathing.on('cycleComplete', () => {
-            console.log('Breath cycle completed:', this.breathing.state.totalCycles);
+        this.breathing.on('cycleComplete', ({ totalCycles, cycleLength }) => {
+            console.log('Breath cycle completed:', totalCycles, cycleLength);
+            this._saveSessionRecord();
+
+            if (this.loopCapture) this.loopCapture.onCycleComplete();
+        });
+
+        // Keep the last moments of a session when the tab closes
+        window.addEventListener('pagehide', () => {
+            this._saveSessionRecord();
+        });
+
+        // The renderer has already resized its visual by now
+        window.addEventListener('resize', () => {
+            if (this.timeline && !this.player) {
+                this.timeline.mark('resize', this.visuals.getVisualSize());
+            }
         });
 
         // Hide loading screen
@@ -58,6 +113,8 @@ class BreathingCosmosApp {
             this.ui.hideLoading();
         }, 1000);
 
+        await this._openSharedSession();
+
         console.log('Breathing Cosmos initialized');
     }
 
@@ -65,7 +122,13 @@ class BreathingCosmosApp {
     // SESSION CONTROL
     // ========================================
 
-    async startSession(mode = 'manual') {
+    async initMicrophone() {
+        return this.breathing.initMicrophone();
+    }
+
+    // options.seed starts the visuals from a known seed (e.g. breathing
+    // along with a shared session)
+    async startSession(mode = 'manual', pattern = null, options = {}) {
         console.log('Starting session in mode:', mode);
 
         // Initialize audio
@@ -78,6 +141,10 @@ class BreathingCosmosApp {
                 console.warn('Microphone not available, falling back to manual');
                 return false;
             }
+        } else if (mode === 'guided' && pattern) {
+            await this.breathing.setGuidedPattern(pattern);
+        } else if (this.breathing.mode !== mode) {
+            await this.breathing.setInputSource(mode);
         }
 
         // Start breathing detection
@@ -87,12 +154,35 @@ class BreathingCosmosApp {
         await this.audio.start();
 
         // Start animation loop
+        this._beginTimeline(options.seed);
         this.start();
 
+        this.recorder.begin();
+
         return true;
     }
 
+    // Start a session with the resonance coach pacing the user's own breath
+    async startCoaching(input = 'manual', options = {}) {
+        const started = await this.startSession(input);
+        if (!started) return false;
+
+        this.coach = new ResonanceCoach(options);
+        this.coach.start();
+        return true;
+    }
+
+    finishCoaching() {
+        if (!this.coach) return null;
+
+        this._saveSessionRecord();
+        const summary = this.coach.stop();
+        this.coach = null;
+        return summary;
+    }
+
     pauseSession() {
+        this._saveSessionRecord();
         this.breathing.pause();
         this.audio.stop();
     }
@@ -103,11 +193,180 @@ class BreathingCosmosApp {
     }
 
     resetSession() {
+        // Keep the finished session and start a fresh record
+        this._saveSessionRecord();
+        this.recorder.begin();
+
         this.breathing.reset();
-        this.visuals.reset();
+        this._beginTimeline();
+
+        if (this.coach) {
+            this.coach = new ResonanceCoach(this.coach.options);
+            this.coach.start();
+        }
+
         this.ui.sessionStartTime = Date.now();
     }
 
+    // ========================================
+    // TIMELINE & REPLAY
+    // ========================================
+
+    // New session seed and an empty recording
+    _beginTimeline(seed = createSessionSeed()) {
+        this.seed = seed;
+        this.visuals.setQuality(this.qualityTier);
+        this.visuals.reset(this.seed);
+        this.clock.reset();
+
+        this.timeline = new BreathTimeline({
+            seed: this.seed,
+            ...this.visuals.getVisualSize(),
+            palette: this.visuals.palette,
+            mode: this.visuals.mode
+        });
+
+        if (this.visuals.qualityTier !== DEFAULT_QUALITY_TIER) {
+            this.timeline.mark('quality', { quality: this.visuals.qualityTier });
+        }
+        if (!isBuiltInPalette(this.visuals.palette)) {
+            this.timeline.mark('customPalette', {
+                palette: this.visuals.palette,
+                colors: [...getPaletteColors(this.visuals.palette)]
+            });
+        }
+    }
+
+    // Replay a recorded timeline (the current session by default).
+    // Live input and recording stop until the replay ends.
+    startReplay(timeline = this.timeline, options = {}) {
+        if (!timeline || timeline.frameCount === 0) return false;
+
+        this.breathing.pause();
+        this.audio.stop();
+
+        this.player = new TimelinePlayer(timeline, this.visuals, options);
+        this.start();
+        return true;
+    }
+
+    stopReplay() {
+        if (!this.player) return;
+
+        // Finish the replay so the nebula is back where the live
+        // session left it, then hand control back
+        const { timeline } = this.player;
+        this.player.finish();
+        this.player = null;
+        this.clock.reset();
+
+        // Replays follow their recorded tiers; pick up the current one again
+        this._applyQuality(this.qualityTier);
+
+        this.ui.onReplayEnded(timeline);
+    }
+
+    // ========================================
+    // SHARING
+    // ========================================
+
+    async _openSharedSession() {
+        const encoded = readShareHash();
+        if (!encoded) return;
+
+        try {
+            this.sharedTimeline = await decodeSharedSession(encoded);
+        } catch (error) {
+            // Broken or edited links just open the app as usual
+            console.warn('Could not open shared session:', error);
+            clearShareHash();
+            this.ui.showNotification('That share link could not be read');
+            return;
+        }
+
+        this.ui.showSharedSession();
+        this.startReplay(this.sharedTimeline);
+    }
+
+    async copyShareLink() {
+        if (!this.timeline || this.timeline.frameCount === 0) return null;
+
+        const url = await createShareUrl(this.timeline);
+
+        try {
+            await navigator.clipboard.writeText(url);
+            this.ui.showNotification('Share link copied!');
+        } catch (error) {
+            window.prompt('Copy this link to share your cosmos:', url);
+        }
+
+        return url;
+    }
+
+    // Start a live session guided by the shared breath, from the same seed
+    async breatheAlong() {
+        const timeline = this.sharedTimeline;
+        if (!timeline) return false;
+
+        this.player = null;
+        this.visuals.setMode(timeline.mode);
+        this.setPalette(timeline.palette);
+
+        const attached = await this.breathing.setInputSource('scripted', {
+            keyframes: timeline.toKeyframes(),
+            loop: true
+        });
+        if (!attached) return false;
+
+        return this.startSession('scripted', null, { seed: timeline.seed });
+    }
+
+    leaveSharedSession() {
+        this.player = null;
+        this.sharedTimeline = null;
+        clearShareHash();
+    }
+
+    // ========================================
+    // SESSION HISTORY
+    // ========================================
+
+    _saveSessionRecord() {
+        if (!this.recorder.session) return;
+
+        const source = this.breathing.source;
+        const pattern = this.breathing.mode === 'guided' && source.pattern
+            ? { id: source.pattern.id, name: source.pattern.name }
+            : null;
+
+        const details = {
+            cycles: this.breathing.state.totalCycles,
+            mode: this.breathing.mode,
+            pattern,
+            palette: this.visuals.palette,
+            metrics: this.breathing.metrics.getSnapshot()
+        };
+
+        // A finished coaching run stays on the record for the rest of the session
+        if (this.coach) {
+            const summary = this.coach.getSummary();
+            details.coach = {
+                averageScore: summary.averageScore,
+                startRate: summary.startRate,
+                endRate: summary.endRate,
+                goalRate: summary.goalRate
+            };
+        }
+
+        this.recorder.capture(details);
+
+        if (this.recorder.isWorthKeeping) {
+            SessionHistory.save({ ...this.recorder.session }).catch(error => {
+                console.error('Failed to save session:', error);
+            });
+        }
+    }
+
     // ========================================
     // ANIMATION LOOP
     // ========================================
@@ -134,38 +393,114 @@ class BreathingCosmosApp {
         const deltaTime = Math.min((currentTime - this.lastTime) / 1000, 0.1); // Cap at 100ms
         this.lastTime = currentTime;
 
-        // Update systems
-        this.breathing.update(deltaTime);
-        const breathState = this.breathing.getState();
+        if (this.player) {
+            this.player.advance(deltaTime);
+            if (this.player.isComplete) {
+                this.stopReplay();
+            }
+        } else {
+            // Simulate in fixed steps so the timeline replays exactly
+            const steps = this.clock.advance(deltaTime);
+            for (let i = 0; i < steps; i++) {
+                this._step(this.clock.step);
+            }
+
+            this.audio.update(this.breathing.getState());
+        }
 
-        this.visuals.update(breathState, deltaTime);
-        this.audio.update(breathState);
         this.ui.update();
 
-        // Render
-        this.visuals.render();
+        // Render. A worker renderer skips frames while it catches up,
+        // so only count the ones that were drawn.
+        if (this.visuals.render() !== false) {
+            this.fps = this.fpsCounter.update();
+        }
+
+        if (this.loopCapture) this.loopCapture.onRender();
 
-        // Update FPS
-        const fps = this.fpsCounter.update();
-        if (fps < 30) {
-            console.warn('Low FPS:', fps);
+        // Let the governor adjust quality
+        if (this.qualitySetting === 'auto' && !this.player) {
+            const tier = this.governor.update(this.fps, deltaTime);
+            if (tier) this._applyQuality(tier);
         }
 
         // Continue loop
         this.animationFrameId = requestAnimationFrame((time) => this._animate(time));
     }
 
+    _step(deltaTime) {
+        this.breathing.update(deltaTime);
+        const breathState = this.breathing.getState();
+
+        if (breathState.isActive) {
+            this.recorder.update(deltaTime);
+
+            if (this.coach) {
+                this.coach.update(breathState, deltaTime);
+            }
+        }
+
+        // Visuals see the same quantized intensity the timeline stores,
+        // so a shared (compressed) timeline still replays exactly
+        const visualState = { ...breathState, intensity: quantizeIntensity(breathState.intensity) };
+        this.visuals.update(visualState, deltaTime);
+        this.timeline.record(visualState, deltaTime);
+
+        if (this.loopCapture) this.loopCapture.advance(deltaTime);
+    }
+
     // ========================================
     // CONTROLS
     // ========================================
 
     setVisualMode(mode) {
         this.visuals.setMode(mode);
+        if (this.timeline) this.timeline.mark('mode', { mode });
     }
 
+    setGuidedPattern(pattern) {
+        return this.breathing.setGuidedPattern(pattern);
+    }
+
+    setInputSource(name, options) {
+        return this.breathing.setInputSource(name, options);
+    }
+
+    // Built-in or saved custom palette, by name. Replays keep their
+    // recorded palettes.
     setPalette(palette) {
+        if (this.player) return;
+
+        if (!isBuiltInPalette(palette)) {
+            this._definePalette(palette, getPaletteColors(palette));
+        }
+        this._switchPalette(palette);
+    }
+
+    // Show unsaved colors (the palette editor) without a saved palette
+    previewPalette(colors) {
+        if (this.player) return;
+
+        this._definePalette(PREVIEW_PALETTE, colors);
+        this._switchPalette(PREVIEW_PALETTE);
+    }
+
+    // Make a saved custom palette available by name
+    addCustomPalette(palette) {
+        this.visuals.definePalette(palette.id, palette.colors);
+    }
+
+    // Custom colors go into the timeline with the palette, so replays
+    // and shared links show them on any device
+    _definePalette(name, colors) {
+        this.visuals.definePalette(name, colors);
+        if (this.timeline) this.timeline.mark('customPalette', { palette: name, colors: [...colors] });
+    }
+
+    _switchPalette(palette) {
         this.visuals.setPalette(palette);
         this.audio.setPalette(palette);
+        if (this.timeline) this.timeline.mark('palette', { palette });
     }
 
     toggleAudio() {
@@ -174,23 +509,196 @@ class BreathingCosmosApp {
 
     async saveScreenshot() {
         try {
-            const blob = await this.visuals.captureScreenshot(2);
-
-            // Download screenshot
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `breathing-cosmos-${Date.now()}.png`;
-            a.click();
-
-            URL.revokeObjectURL(url);
+            const blob = await this.visuals.captureScreenshot();
+            downloadBlob(blob, `breathing-cosmos-${Date.now()}.png`);
 
             console.log('Screenshot saved');
             this.ui.showNotification('Screenshot saved!');
+
+            await this._addToGallery(blob, 'screenshot');
         } catch (error) {
             console.error('Failed to save screenshot:', error);
         }
     }
+
+    // Re-render the visuals at print size and download the PNG.
+    // options: { size, watermark } with a size name from ARTWORK_SIZES.
+    // The animation stops meanwhile, so every tile shows the same moment
+    // and the session carries on from it afterwards.
+    async exportArtwork({ size, watermark }, onProgress) {
+        const { width, height } = this.visuals.getVisualSize();
+        const artworkSize = getArtworkSize(size, width, height);
+
+        const wasRunning = this.isRunning;
+        this.stop();
+
+        let blob;
+        try {
+            blob = await this.visuals.exportArtwork({ ...artworkSize, watermark }, onProgress);
+        } finally {
+            if (wasRunning) this.start();
+        }
+
+        downloadBlob(blob, `breathing-cosmos-${artworkSize.width}x${artworkSize.height}-${Date.now()}.png`);
+        await this._addToGallery(blob, 'artwork');
+        return artworkSize;
+    }
+
+    // Record a clip of the canvas with the soundscape and download it.
+    // options: { length } in seconds, { clean } leaves the vignette out.
+    // The session carries on as usual while recording.
+    async recordClip({ length, clean }) {
+        if (clean) this.visuals.setVignette(false);
+
+        try {
+            const blob = await this.clipRecorder.record(length, this.audio.getRecordingStream());
+            downloadBlob(blob, `breathing-cosmos-${Date.now()}.webm`);
+            return blob;
+        } finally {
+            if (clean) this.visuals.setVignette(true);
+        }
+    }
+
+    stopClip() {
+        this.clipRecorder.stop();
+    }
+
+    // Capture the next full breath of the live session and download it
+    // as a looping animation. options: { format, size } with names from
+    // LOOP_FORMATS and LOOP_SIZES. onProgress(fraction) follows the
+    // encoding; this.loopCapture shows how capturing is going.
+    async exportLoop({ format, size }, onProgress) {
+        if (this.loopCapture) {
+            throw new Error('A loop is already being captured');
+        }
+        if (this.player || !this.timeline) {
+            throw new Error('A loop needs a live session');
+        }
+
+        const { width, height } = this.visuals.getVisualSize();
+        const loopSize = getLoopSize(size, width, height);
+        const colors = [...getPaletteColors(this.visuals.palette)];
+
+        this.loopCapture = new LoopCapture(this.visuals, loopSize.width, loopSize.height);
+
+        let captured;
+        try {
+            captured = await this.loopCapture.result;
+        } finally {
+            this.loopCapture = null;
+        }
+
+        const blob = await encodeLoop(captured.frames, captured.delays, { format, colors }, onProgress);
+        const { extension } = LOOP_FORMATS[format];
+        downloadBlob(blob, `breathing-cosmos-loop-${loopSize.width}x${loopSize.height}-${Date.now()}.${extension}`);
+
+        await this._addToGallery(blob, 'loop');
+
+        return { ...loopSize, frameCount: captured.frames.length };
+    }
+
+    cancelLoop() {
+        if (this.loopCapture) this.loopCapture.cancel();
+    }
+
+    // ========================================
+    // GALLERY
+    // ========================================
+
+    // Keep a saved picture in the gallery with what made it: the session
+    // on screen, live or replayed, up to now. The picture has already
+    // been downloaded, so failures are reported but don't throw.
+    async _addToGallery(image, kind) {
+        const { player } = this;
+        const timeline = player ? player.timeline : this.timeline;
+        const palette = findPalette(this.visuals.palette);
+
+        try {
+            await Gallery.add(image, {
+                kind,
+                duration: player ? player.time : (timeline ? timeline.duration : 0),
+                cycles: player
+                    ? (player.currentFrame ? player.currentFrame.totalCycles : 0)
+                    : this.breathing.state.totalCycles,
+                palette: {
+                    id: this.visuals.palette,
+                    name: palette ? palette.name : 'Custom Palette',
+                    colors: [...getPaletteColors(this.visuals.palette)]
+                },
+                mode: this.visuals.mode,
+                session: timeline && timeline.frameCount > 0 ? await encodeSharedSession(timeline) : null
+            });
+        } catch (error) {
+            console.error('Failed to add to gallery:', error);
+            this.ui.showNotification(isQuotaError(error)
+                ? 'Gallery storage is full. Delete some pieces to keep saving.'
+                : 'This could not be added to your gallery');
+        }
+    }
+
+    // Replay the session a gallery piece was saved from. Afterwards it
+    // can be watched again or breathed along with, as a shared one can.
+    async reopenSession(artworkId) {
+        const { session } = await Gallery.open(artworkId);
+        if (!session) {
+            throw new Error('This piece has no breath recording');
+        }
+
+        this.sharedTimeline = await decodeSharedSession(session);
+        this.ui.showSharedSession('Your saved cosmos is forming');
+        this.startReplay(this.sharedTimeline);
+    }
+
+    // ========================================
+    // RENDERING
+    // ========================================
+
+    // The render worker failed ('worker') or the WebGL context was lost
+    // ('context'), and a new canvas took the old one's place
+    _onRendererFallback(canvas, reason) {
+        this.clipRecorder = new ClipRecorder(canvas);
+
+        // Pointer input listened on the old element
+        const { source } = this.breathing;
+        if (source && source.target) {
+            source.detach();
+            source.attach(this.breathing);
+        }
+
+        this.ui.showNotification(reason === 'context'
+            ? 'Graphics reset; drawing carries on without WebGL'
+            : 'Rendering moved to the main thread; the cosmos starts over');
+    }
+
+    // ========================================
+    // QUALITY
+    // ========================================
+
+    get qualityTier() {
+        return this.qualitySetting === 'auto' ? this.governor.tier : this.qualitySetting;
+    }
+
+    // 'auto' or a quality tier name; remembered on this device
+    setQualitySetting(setting) {
+        this.qualitySetting = setting;
+        QualitySetting.save(setting);
+
+        // Auto carries on from the tier on screen
+        if (setting === 'auto') {
+            this.governor.reset(this.visuals.qualityTier);
+        }
+
+        this._applyQuality(this.qualityTier);
+    }
+
+    // Tier changes alter the simulation, so they are recorded like
+    // mode and palette changes. Replays keep their recorded tiers.
+    _applyQuality(tier) {
+        if (this.player || tier === this.visuals.qualityTier) return;
+
+        this.visuals.setQuality(tier);
+        if (this.timeline) this.timeline.mark('quality', { quality: tier });
+    }
 }
 
 // ========================================
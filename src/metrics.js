@@ -0,0 +1,158 @@
+/**
+ * BREATHING COSMOS - RESPIRATION METRICS
+ * Rolling breath rate, I:E ratio, hold lengths and rhythm variability
+ */
+
+import { BreathPhase } from './phases.js';
+import { clamp } from './utils.js';
+
+// ========================================
+// HELPERS
+// ========================================
+
+function mean(values) {
+    if (values.length === 0) return null;
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function pushLimited(list, value, limit) {
+    list.push(value);
+    if (list.length > limit) {
+        list.shift();
+    }
+}
+
+// ========================================
+// BREATH METRICS
+// ========================================
+
+export class BreathMetrics {
+    constructor(options = {}) {
+        // Number of recent cycles / phases the rolling values cover
+        this.windowSize = options.windowSize || 6;
+
+        this.reset();
+    }
+
+    reset() {
+        this.cycleLengths = [];
+        this.phaseDurations = {
+            [BreathPhase.INHALE]: [],
+            [BreathPhase.HOLD_IN]: [],
+            [BreathPhase.EXHALE]: [],
+            [BreathPhase.HOLD_OUT]: []
+        };
+
+        // Time since the last completed cycle (seconds)
+        this.sinceLastCycle = 0;
+        this.hasCycle = false;
+    }
+
+    // ========================================
+    // INPUT (from BreathingDetector events)
+    // ========================================
+
+    onPhaseChange({ previousPhase, duration }) {
+        const durations = this.phaseDurations[previousPhase];
+        if (durations && duration > 0) {
+            pushLimited(durations, duration, this.windowSize);
+        }
+    }
+
+    onCycleComplete({ cycleLength }) {
+        this.sinceLastCycle = 0;
+        this.hasCycle = true;
+
+        if (cycleLength > 0) {
+            pushLimited(this.cycleLengths, cycleLength, this.windowSize);
+        }
+    }
+
+    update(deltaTime) {
+        this.sinceLastCycle += deltaTime;
+    }
+
+    // ========================================
+    // VALUES
+    // ========================================
+
+    get breathsPerMinute() {
+        const avgCycle = mean(this.cycleLengths);
+        if (avgCycle === null) return null;
+
+        // A breath that is taking longer than usual slows the rate now,
+        // rather than waiting for the cycle to finish
+        const effective = this.hasCycle ? Math.max(avgCycle, this.sinceLastCycle) : avgCycle;
+        return 60 / effective;
+    }
+
+    // Inhale time divided by exhale time (e.g. 0.5 = exhale twice as long)
+    get ieRatio() {
+        const inhale = mean(this.phaseDurations[BreathPhase.INHALE]);
+        const exhale = mean(this.phaseDurations[BreathPhase.EXHALE]);
+        if (inhale === null || exhale === null || exhale === 0) return null;
+        return inhale / exhale;
+    }
+
+    // Mean successive cycle-length change relative to the mean cycle
+    // length: 0 = perfectly steady rhythm, 1+ = erratic
+    get variability() {
+        const lengths = this.cycleLengths;
+        if (lengths.length < 3) return null;
+
+        let diffSum = 0;
+        for (let i = 1; i < lengths.length; i++) {
+            diffSum += Math.abs(lengths[i] - lengths[i - 1]);
+        }
+
+        return (diffSum / (lengths.length - 1)) / mean(lengths);
+    }
+
+    // 0 (fast or erratic) to 1 (slow and steady)
+    get calmness() {
+        const bpm = this.breathsPerMinute;
+        if (bpm === null) return null;
+
+        const slowness = clamp((20 - bpm) / 14, 0, 1); // 6 bpm or slower = 1
+        const variability = this.variability;
+        const steadiness = variability === null ? 0.5 : clamp(1 - variability * 2, 0, 1);
+
+        return slowness * 0.5 + steadiness * 0.5;
+    }
+
+    getSnapshot() {
+        return {
+            breathsPerMinute: this.breathsPerMinute,
+            ieRatio: this.ieRatio,
+            avgInhale: mean(this.phaseDurations[BreathPhase.INHALE]),
+            avgExhale: mean(this.phaseDurations[BreathPhase.EXHALE]),
+            avgHoldIn: mean(this.phaseDurations[BreathPhase.HOLD_IN]),
+            avgHoldOut: mean(this.phaseDurations[BreathPhase.HOLD_OUT]),
+            variability: this.variability,
+            calmness: this.calmness
+        };
+    }
+}
+
+// ========================================
+// FORMATTING
+// ========================================
+
+export function formatRate(bpm) {
+    return bpm === null ? '--' : bpm.toFixed(1);
+}
+
+export function formatRatio(ratio) {
+    return ratio === null ? '--' : `1:${(1 / ratio).toFixed(1)}`;
+}
+
+export function formatSeconds(seconds) {
+    return seconds === null ? '--' : `${seconds.toFixed(1)}s`;
+}
+
+export function formatRegularity(variability) {
+    if (variability === null) return '--';
+    return `${Math.round(clamp(1 - variability, 0, 1) * 100)}%`;
+}
+
+export default BreathMetrics;
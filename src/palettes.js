@@ -0,0 +1,242 @@
+/**
+ * BREATHING COSMOS - COLOR PALETTES
+ * Built-in and user-defined palettes, JSON import/export and palette
+ * extraction from images
+ */
+
+import { Storage, ColorPalettes, hexToRgb, rgbToHex } from './utils.js';
+
+const CUSTOM_PALETTES_KEY = 'breathingCosmos.customPalettes';
+
+const EXPORT_FORMAT = 'breathing-cosmos-palettes';
+const EXPORT_VERSION = 1;
+
+// Stops per palette; visuals need at least two to blend between, and
+// take any number beyond that
+export const MIN_PALETTE_STOPS = 2;
+
+export const MAX_PALETTE_NAME_LENGTH = 40;
+
+// Name the palette editor redefines on every edit while previewing
+export const PREVIEW_PALETTE = 'preview';
+
+// ========================================
+// BUILT-IN PALETTES
+// ========================================
+
+export const BuiltInPalettes = {
+    deepSpace: { id: 'deepSpace', name: 'Deep Space', colors: ColorPalettes.deepSpace },
+    solarFlare: { id: 'solarFlare', name: 'Solar Flare', colors: ColorPalettes.solarFlare },
+    northernLights: { id: 'northernLights', name: 'Northern Lights', colors: ColorPalettes.northernLights },
+    lunarGlow: { id: 'lunarGlow', name: 'Lunar Glow', colors: ColorPalettes.lunarGlow }
+};
+
+// ========================================
+// VALIDATION
+// ========================================
+
+// '#abc' or '#aabbcc', any case -> '#aabbcc'; null if not a color
+export function normalizeColor(value) {
+    if (typeof value !== 'string') return null;
+
+    const hex = value.trim().replace(/^#?([a-f\d])([a-f\d])([a-f\d])$/i, '#$1$1$2$2$3$3');
+    const rgb = hexToRgb(hex);
+    return rgb ? rgbToHex(rgb.r, rgb.g, rgb.b) : null;
+}
+
+// Normalized copy of a palette's colors, or null if they can't be used
+export function normalizePaletteColors(colors) {
+    if (!Array.isArray(colors) || colors.length < MIN_PALETTE_STOPS) {
+        return null;
+    }
+
+    const normalized = colors.map(normalizeColor);
+    return normalized.includes(null) ? null : normalized;
+}
+
+// ========================================
+// CUSTOM PALETTES
+// ========================================
+
+// Palettes created this page load, so ids made in the same millisecond
+// (e.g. by an import) stay unique
+let createdCount = 0;
+
+export const CustomPalettes = {
+    load() {
+        const palettes = Storage.get(CUSTOM_PALETTES_KEY, []);
+        if (!Array.isArray(palettes)) return [];
+
+        return palettes.filter(p => p && typeof p.id === 'string' && normalizePaletteColors(p.colors));
+    },
+
+    save(palette) {
+        const palettes = this.load().filter(p => p.id !== palette.id);
+        palettes.push(palette);
+        return Storage.set(CUSTOM_PALETTES_KEY, palettes);
+    },
+
+    remove(id) {
+        const palettes = this.load().filter(p => p.id !== id);
+        return Storage.set(CUSTOM_PALETTES_KEY, palettes);
+    },
+
+    // Ids double as palette names, so they stay share-link safe
+    create(name, colors) {
+        return {
+            id: `custom-${Date.now().toString(36)}-${createdCount++}`,
+            name: name || 'Custom Palette',
+            custom: true,
+            colors: [...colors]
+        };
+    }
+};
+
+// Look up a built-in or saved custom palette by id
+export function findPalette(id) {
+    return BuiltInPalettes[id] || CustomPalettes.load().find(p => p.id === id) || null;
+}
+
+// ========================================
+// IMPORT / EXPORT
+// ========================================
+
+export function exportPalettes(palettes) {
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        palettes: palettes.map(({ name, colors }) => ({ name, colors }))
+    }, null, 2);
+}
+
+// Parse exported JSON into new, unsaved custom palettes. Also takes a
+// bare list of palettes, a single { name, colors } palette or a plain
+// list of colors. Palettes that don't validate are skipped; throws if
+// none are left.
+export function importPalettes(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (error) {
+        throw new Error('This file is not valid JSON.');
+    }
+
+    let entries;
+    if (data && Array.isArray(data.palettes)) {
+        entries = data.palettes;
+    } else if (Array.isArray(data) && data.every(color => typeof color === 'string')) {
+        entries = [{ colors: data }];
+    } else {
+        entries = Array.isArray(data) ? data : [data];
+    }
+
+    const palettes = [];
+    for (const entry of entries) {
+        const colors = normalizePaletteColors(entry && entry.colors);
+        if (!colors) continue;
+
+        const name = typeof entry.name === 'string'
+            ? entry.name.trim().slice(0, MAX_PALETTE_NAME_LENGTH)
+            : '';
+        palettes.push(CustomPalettes.create(name, colors));
+    }
+
+    if (palettes.length === 0) {
+        throw new Error(`No palettes with at least ${MIN_PALETTE_STOPS} hex colors found.`);
+    }
+    return palettes;
+}
+
+// ========================================
+// IMAGE EXTRACTION
+// ========================================
+
+// Pixels looked at per image; plenty for a handful of colors
+const MAX_SAMPLES = 4096;
+
+function luminance([r, g, b]) {
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+// Widest of the box's red, green and blue ranges: { channel, range }
+function widestChannel(box) {
+    let widest = { channel: 0, range: -1 };
+
+    for (let channel = 0; channel < 3; channel++) {
+        let min = 255;
+        let max = 0;
+        for (const color of box) {
+            if (color[channel] < min) min = color[channel];
+            if (color[channel] > max) max = color[channel];
+        }
+        if (max - min > widest.range) {
+            widest = { channel, range: max - min };
+        }
+    }
+    return widest;
+}
+
+function averageColor(box) {
+    const sum = [0, 0, 0];
+    for (const color of box) {
+        sum[0] += color[0];
+        sum[1] += color[1];
+        sum[2] += color[2];
+    }
+    return sum.map(total => Math.round(total / box.length));
+}
+
+// Median-cut quantization of RGBA pixel data (e.g. ImageData.data) into
+// `count` colors, ordered dark to bright like the built-in palettes.
+// Returns null when the image has no opaque pixels.
+export function extractPalette(pixels, count = 5) {
+    const pixelCount = Math.floor(pixels.length / 4);
+    const stride = Math.max(1, Math.floor(pixelCount / MAX_SAMPLES));
+
+    const samples = [];
+    for (let i = 0; i < pixelCount; i += stride) {
+        const offset = i * 4;
+        if (pixels[offset + 3] < 128) continue;
+        samples.push([pixels[offset], pixels[offset + 1], pixels[offset + 2]]);
+    }
+    if (samples.length === 0) return null;
+
+    // Keep splitting the box that covers the most color (range x pixels)
+    // at its median, along its widest channel
+    const boxes = [samples];
+    while (boxes.length < count) {
+        let best = -1;
+        let bestScore = 0;
+        let bestChannel = 0;
+
+        boxes.forEach((box, index) => {
+            const { channel, range } = widestChannel(box);
+            const score = range * box.length;
+            if (box.length > 1 && score > bestScore) {
+                best = index;
+                bestScore = score;
+                bestChannel = channel;
+            }
+        });
+
+        // Fewer distinct colors than asked for
+        if (best < 0) break;
+
+        const box = boxes[best].sort((a, b) => a[bestChannel] - b[bestChannel]);
+        const median = box.length >> 1;
+        boxes.splice(best, 1, box.slice(0, median), box.slice(median));
+    }
+
+    const colors = boxes
+        .map(averageColor)
+        .sort((a, b) => luminance(a) - luminance(b))
+        .map(([r, g, b]) => rgbToHex(r, g, b));
+
+    // A single flat color fades in from black
+    while (colors.length < MIN_PALETTE_STOPS) {
+        colors.unshift('#000000');
+    }
+    return colors;
+}
+
+export default BuiltInPalettes;
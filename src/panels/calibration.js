@@ -0,0 +1,201 @@
+/**
+ * BREATHING COSMOS - CALIBRATION PANEL
+ * Guided microphone calibration with live level meter and spectrum
+ */
+
+import { CalibrationSession, CalibrationSteps, MicProfiles } from '../calibration.js';
+
+// ========================================
+// CALIBRATION PANEL
+// ========================================
+
+export class CalibrationPanel {
+    constructor(ui) {
+        this.ui = ui;
+
+        // UI elements
+        this.overlay = document.getElementById('calibration-overlay');
+        this.prompt = document.getElementById('calibration-prompt');
+        this.stepLabel = document.getElementById('calibration-step');
+        this.progressBar = document.getElementById('calibration-progress');
+        this.meter = document.getElementById('calibration-meter');
+        this.meterCtx = this.meter.getContext('2d');
+        this.skipBtn = document.getElementById('calibration-skip');
+        this.retryBtn = document.getElementById('calibration-retry');
+        this.doneBtn = document.getElementById('calibration-done');
+
+        // State
+        this.isOpen = false;
+        this.source = 'welcome';
+        this.session = null;
+        this.profile = null;
+        this.lastTime = 0;
+        this.animationFrameId = null;
+
+        this._setupEventListeners();
+    }
+
+    _setupEventListeners() {
+        this.skipBtn.addEventListener('click', () => {
+            this.close();
+            this.ui.onCalibrationClosed(this.source);
+        });
+
+        this.retryBtn.addEventListener('click', () => {
+            this._startSession();
+        });
+
+        this.doneBtn.addEventListener('click', () => {
+            this.close();
+            this.ui.onCalibrationClosed(this.source);
+        });
+    }
+
+    // ========================================
+    // OPEN / CLOSE
+    // ========================================
+
+    open(source = 'welcome') {
+        this.source = source;
+        this.isOpen = true;
+        this.overlay.classList.add('active');
+        this._startSession();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.overlay.classList.remove('active');
+
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+    }
+
+    _startSession() {
+        const mic = this.ui.app.breathing.source;
+
+        this.session = new CalibrationSession({
+            sampleRate: mic.audioContext.sampleRate,
+            fftSize: mic.analyser.fftSize,
+            deviceId: mic.deviceId,
+            deviceLabel: mic.deviceLabel
+        });
+        this.profile = null;
+
+        this.retryBtn.classList.add('hidden');
+        this.doneBtn.classList.add('hidden');
+        this.skipBtn.classList.remove('hidden');
+
+        // Resume the mic's AudioContext if the browser suspended it
+        if (mic.audioContext.state === 'suspended') {
+            mic.audioContext.resume();
+        }
+
+        this.lastTime = performance.now();
+        if (!this.animationFrameId) {
+            this.animationFrameId = requestAnimationFrame((time) => this._tick(time));
+        }
+    }
+
+    // ========================================
+    // LOOP
+    // ========================================
+
+    _tick(currentTime) {
+        if (!this.isOpen) return;
+
+        const deltaTime = Math.min((currentTime - this.lastTime) / 1000, 0.1);
+        this.lastTime = currentTime;
+
+        const samples = this.ui.app.breathing.source.readSamples();
+        if (samples && this.session && !this.profile) {
+            this.session.process(samples, deltaTime);
+
+            if (this.session.isComplete) {
+                this._finish();
+            } else if (this.session.error) {
+                this._fail(this.session.error);
+            }
+        }
+
+        this._updateText();
+        this._renderMeter();
+
+        this.animationFrameId = requestAnimationFrame((time) => this._tick(time));
+    }
+
+    _finish() {
+        this.profile = this.session.createProfile();
+        MicProfiles.save(this.profile);
+        this.ui.app.breathing.source.applyProfile(this.profile);
+
+        this.skipBtn.classList.add('hidden');
+        this.doneBtn.classList.remove('hidden');
+    }
+
+    _fail(message) {
+        this.prompt.textContent = message;
+        this.retryBtn.classList.remove('hidden');
+    }
+
+    // ========================================
+    // DISPLAY
+    // ========================================
+
+    _updateText() {
+        const session = this.session;
+        if (!session) return;
+
+        if (this.profile) {
+            this.stepLabel.textContent = 'Done';
+            this.prompt.textContent = 'Calibration saved for this microphone';
+            this.progressBar.style.width = '100%';
+            return;
+        }
+
+        if (session.error) return;
+
+        const step = session.step;
+        const total = CalibrationSteps.length;
+        const progress = (session.stepIndex + session.stepProgress) / total;
+
+        this.stepLabel.textContent = `Step ${session.stepIndex + 1} of ${total}`;
+        this.prompt.textContent = step.prompt;
+        this.progressBar.style.width = `${Math.round(progress * 100)}%`;
+    }
+
+    _renderMeter() {
+        const ctx = this.meterCtx;
+        const { width, height } = this.meter;
+        const session = this.session;
+
+        ctx.clearRect(0, 0, width, height);
+        if (!session) return;
+
+        // Spectrum (up to ~8kHz), breath band highlighted
+        const spectrum = session.spectrum;
+        const analyzer = session.analyzer;
+        const maxBin = Math.min(spectrum.length, Math.ceil(8000 / analyzer.binWidth));
+        const spectrumWidth = width - 30;
+        const barWidth = spectrumWidth / maxBin;
+
+        for (let i = 1; i < maxBin; i++) {
+            const db = 10 * Math.log10(spectrum[i] + 1e-12);
+            const barHeight = Math.max(0, Math.min(1, (db + 100) / 80)) * height;
+            const inBand = i >= analyzer.bandStart && i <= analyzer.bandEnd;
+
+            ctx.fillStyle = inBand ? 'rgba(0, 212, 255, 0.7)' : 'rgba(192, 192, 208, 0.25)';
+            ctx.fillRect(i * barWidth, height - barHeight, Math.max(1, barWidth - 1), barHeight);
+        }
+
+        // Level meter
+        const levelHeight = session.level * height;
+        ctx.fillStyle = 'rgba(157, 78, 221, 0.25)';
+        ctx.fillRect(width - 20, 0, 20, height);
+        ctx.fillStyle = '#9d4edd';
+        ctx.fillRect(width - 20, height - levelHeight, 20, levelHeight);
+    }
+}
+
+export default CalibrationPanel;
@@ -0,0 +1,152 @@
+/**
+ * BREATHING COSMOS - COACH PANEL
+ * Resonance coach setup, live target HUD and end-of-session summary
+ */
+
+import { formatTime } from '../utils.js';
+
+// ========================================
+// COACH PANEL
+// ========================================
+
+export class CoachPanel {
+    constructor(ui) {
+        this.ui = ui;
+
+        // Setup overlay
+        this.overlay = document.getElementById('coach-overlay');
+        this.goalSelect = document.getElementById('coach-goal');
+        this.startManualBtn = document.getElementById('coach-start-manual');
+        this.startMicBtn = document.getElementById('coach-start-mic');
+        this.backBtn = document.getElementById('coach-back');
+
+        // Live HUD
+        this.hud = document.getElementById('coach-hud');
+        this.targetRing = document.querySelector('.coach-target-ring');
+        this.targetPhase = document.querySelector('.coach-phase');
+        this.pace = document.querySelector('.coach-pace');
+        this.score = document.querySelector('.coach-score');
+
+        // Summary overlay
+        this.summaryOverlay = document.getElementById('coach-summary-overlay');
+        this.summaryChart = document.getElementById('coach-chart');
+        this.summaryCloseBtn = document.getElementById('coach-summary-close');
+
+        // State
+        this.isOpen = false;
+
+        this._setupEventListeners();
+    }
+
+    _setupEventListeners() {
+        this.startManualBtn.addEventListener('click', () => {
+            this._start('manual');
+        });
+
+        this.startMicBtn.addEventListener('click', () => {
+            this._start('mic');
+        });
+
+        this.backBtn.addEventListener('click', () => {
+            this.close();
+        });
+
+        this.summaryCloseBtn.addEventListener('click', () => {
+            this.summaryOverlay.classList.remove('active');
+        });
+    }
+
+    // ========================================
+    // SETUP
+    // ========================================
+
+    open() {
+        this.isOpen = true;
+        this.overlay.classList.add('active');
+    }
+
+    close() {
+        this.isOpen = false;
+        this.overlay.classList.remove('active');
+    }
+
+    async _start(input) {
+        const goalRate = parseFloat(this.goalSelect.value) || 6;
+        const started = await this.ui.app.startCoaching(input, { goalRate });
+
+        if (!started) {
+            alert('Microphone access denied. Try coaching with the spacebar instead.');
+            return;
+        }
+
+        this.close();
+        this.ui.hideWelcome();
+        this.hud.classList.remove('hidden');
+    }
+
+    // ========================================
+    // HUD
+    // ========================================
+
+    update() {
+        const coach = this.ui.app.coach;
+        if (!coach) return;
+
+        const { intensity, phase } = coach.target;
+        this.targetRing.style.transform = `scale(${0.6 + intensity * 0.6})`;
+        this.targetPhase.textContent = this.ui.app.breathing.getPhaseText(phase);
+        this.pace.textContent = `${coach.rate.toFixed(1)} breaths/min`;
+        this.score.textContent = coach.lastScore === null ? 'Score --' : `Score ${coach.lastScore}`;
+    }
+
+    // ========================================
+    // SUMMARY
+    // ========================================
+
+    showSummary(summary) {
+        this.hud.classList.add('hidden');
+        if (!summary) return;
+
+        const text = (id, value) => {
+            document.getElementById(id).textContent = value;
+        };
+
+        text('coach-summary-duration', formatTime(summary.duration));
+        text('coach-summary-cycles', summary.cycles.toString());
+        text('coach-summary-average', summary.averageScore === null ? '--' : summary.averageScore.toString());
+        text('coach-summary-best', summary.bestScore === null ? '--' : summary.bestScore.toString());
+        text('coach-summary-pace', `${summary.startRate.toFixed(1)} → ${summary.endRate.toFixed(1)} breaths/min`);
+        text('coach-summary-goal', summary.reachedGoal ? 'Goal reached' : `Goal ${summary.goalRate.toFixed(1)} breaths/min`);
+
+        this._renderChart(summary.scores, summary.threshold);
+        this.summaryOverlay.classList.add('active');
+    }
+
+    _renderChart(scores, threshold) {
+        const ctx = this.summaryChart.getContext('2d');
+        const { width, height } = this.summaryChart;
+
+        ctx.clearRect(0, 0, width, height);
+        if (scores.length === 0) return;
+
+        const barWidth = width / scores.length;
+
+        // Score needed to step the pace down
+        const thresholdY = height * (1 - threshold / 100);
+        ctx.strokeStyle = 'rgba(192, 192, 208, 0.3)';
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(0, thresholdY);
+        ctx.lineTo(width, thresholdY);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        scores.forEach((entry, i) => {
+            const barHeight = (entry.score / 100) * height;
+            ctx.fillStyle = entry.score >= threshold ? '#00d4ff' : '#9d4edd';
+            ctx.fillRect(i * barWidth + 1, height - barHeight, Math.max(1, barWidth - 2), barHeight);
+        });
+    }
+}
+
+export default CoachPanel;
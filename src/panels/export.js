@@ -0,0 +1,167 @@
+/**
+ * BREATHING COSMOS - EXPORT PANEL
+ * Print-size artwork export with size choice, watermark toggle and
+ * progress
+ */
+
+import { ARTWORK_SIZES, DEFAULT_ARTWORK_SIZE, getArtworkSize } from '../export/artwork.js';
+import { Storage } from '../utils.js';
+
+const EXPORT_SETTINGS_KEY = 'breathingCosmos.exportSettings';
+
+// ========================================
+// EXPORT PANEL
+// ========================================
+
+export class ExportPanel {
+    constructor(ui) {
+        this.ui = ui;
+
+        // UI elements
+        this.overlay = document.getElementById('export-overlay');
+        this.sizeList = document.getElementById('export-sizes');
+        this.watermarkInput = document.getElementById('export-watermark');
+        this.progressBar = document.getElementById('export-progress');
+        this.status = document.getElementById('export-status');
+        this.startBtn = document.getElementById('export-start');
+        this.backBtn = document.getElementById('export-back');
+
+        // State
+        this.isOpen = false;
+        this.isExporting = false;
+
+        const settings = Storage.get(EXPORT_SETTINGS_KEY, {});
+        this.size = ARTWORK_SIZES[settings.size] ? settings.size : DEFAULT_ARTWORK_SIZE;
+        this.watermarkInput.checked = settings.watermark !== false;
+
+        this._setupEventListeners();
+    }
+
+    _setupEventListeners() {
+        this.sizeList.addEventListener('click', (e) => {
+            const option = e.target.closest('.export-size');
+            if (!option || this.isExporting) return;
+
+            this.size = option.dataset.size;
+            this._saveSettings();
+            this._renderSizes();
+        });
+
+        this.watermarkInput.addEventListener('change', () => {
+            this._saveSettings();
+        });
+
+        this.startBtn.addEventListener('click', () => {
+            this._export();
+        });
+
+        this.backBtn.addEventListener('click', () => {
+            this.close();
+        });
+    }
+
+    // ========================================
+    // OPEN / CLOSE
+    // ========================================
+
+    open() {
+        this.isOpen = true;
+        this._setProgress(0, '');
+        this._renderSizes();
+        this.overlay.classList.add('active');
+    }
+
+    // Stays open until a running export finishes
+    close() {
+        if (this.isExporting) return;
+
+        this.isOpen = false;
+        this.overlay.classList.remove('active');
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    // ========================================
+    // SIZES
+    // ========================================
+
+    // Pixel sizes follow the screen's orientation
+    _renderSizes() {
+        const { width, height } = this.ui.app.visuals.getVisualSize();
+        this.sizeList.innerHTML = '';
+
+        for (const [id, size] of Object.entries(ARTWORK_SIZES)) {
+            const pixels = getArtworkSize(id, width, height);
+
+            const option = document.createElement('button');
+            option.className = 'export-size';
+            option.classList.toggle('active', id === this.size);
+            option.dataset.size = id;
+
+            const name = document.createElement('span');
+            name.className = 'export-size-name';
+            name.textContent = size.name;
+
+            const dimensions = document.createElement('span');
+            dimensions.className = 'export-size-pixels';
+            dimensions.textContent = `${pixels.width} × ${pixels.height}`;
+
+            option.append(name, dimensions);
+            this.sizeList.appendChild(option);
+        }
+    }
+
+    _saveSettings() {
+        Storage.set(EXPORT_SETTINGS_KEY, {
+            size: this.size,
+            watermark: this.watermarkInput.checked
+        });
+    }
+
+    // ========================================
+    // EXPORT
+    // ========================================
+
+    async _export() {
+        if (this.isExporting) return;
+
+        this._setExporting(true);
+        this._setProgress(0, 'Rendering…');
+
+        try {
+            const { width, height } = await this.ui.app.exportArtwork(
+                { size: this.size, watermark: this.watermarkInput.checked },
+                progress => this._setProgress(progress, `Rendering… ${Math.round(progress * 100)}%`)
+            );
+
+            this._setProgress(1, `Saved ${width} × ${height} PNG`);
+            this.ui.showNotification('Artwork saved!');
+        } catch (error) {
+            console.error('Failed to export artwork:', error);
+            this._setProgress(0, 'Export failed. Try a smaller size.');
+        } finally {
+            this._setExporting(false);
+        }
+    }
+
+    _setExporting(exporting) {
+        this.isExporting = exporting;
+        this.startBtn.disabled = exporting;
+        this.backBtn.disabled = exporting;
+        this.watermarkInput.disabled = exporting;
+        this.sizeList.classList.toggle('exporting', exporting);
+    }
+
+    _setProgress(progress, text) {
+        this.progressBar.style.width = `${progress * 100}%`;
+        this.status.textContent = text;
+    }
+}
+
+export default ExportPanel;
@@ -0,0 +1,333 @@
+/**
+ * BREATHING COSMOS - GALLERY PANEL
+ * Saved pieces to browse, view full size, download again, reopen or
+ * delete, and a zip of them all
+ */
+
+import { Gallery, getArtworkFilename } from '../gallery.js';
+import { ZipWriter } from '../export/zip.js';
+import { getVisualModes } from '../visuals/index.js';
+import { formatTime, downloadBlob } from '../utils.js';
+
+const KIND_NAMES = {
+    screenshot: 'Screenshot',
+    artwork: 'Artwork',
+    loop: 'Loop'
+};
+
+function formatBytes(bytes) {
+    if (bytes >= 1e9) return `${(bytes / 1e9).toFixed(1)} GB`;
+    if (bytes >= 1e6) return `${(bytes / 1e6).toFixed(1)} MB`;
+    return `${Math.max(1, Math.round(bytes / 1e3))} KB`;
+}
+
+function formatDate(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, {
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
+
+// "2:30 · 12 breaths"
+function formatSession(artwork) {
+    const breaths = artwork.cycles === 1 ? '1 breath' : `${artwork.cycles} breaths`;
+    return `${formatTime(artwork.duration)} · ${breaths}`;
+}
+
+// ========================================
+// GALLERY PANEL
+// ========================================
+
+export class GalleryPanel {
+    constructor(ui) {
+        this.ui = ui;
+
+        // UI elements
+        this.overlay = document.getElementById('gallery-overlay');
+        this.storage = document.getElementById('gallery-storage');
+        this.grid = document.getElementById('gallery-grid');
+        this.emptyText = document.getElementById('gallery-empty');
+        this.status = document.getElementById('gallery-status');
+        this.zipBtn = document.getElementById('gallery-zip');
+        this.backBtn = document.getElementById('gallery-back');
+
+        // Full-size view of one piece
+        this.viewer = document.getElementById('gallery-viewer');
+        this.viewerImage = document.getElementById('gallery-image');
+        this.viewerDetails = document.getElementById('gallery-details');
+        this.viewerStatus = document.getElementById('gallery-viewer-status');
+        this.downloadBtn = document.getElementById('gallery-download');
+        this.reopenBtn = document.getElementById('gallery-reopen');
+        this.deleteBtn = document.getElementById('gallery-delete');
+        this.closeBtn = document.getElementById('gallery-close');
+
+        // State
+        this.isOpen = false;
+        this.isBusy = false; // Packing a zip
+        this.artworks = [];
+        this.selected = null; // { artwork, image } shown in the viewer
+        this.thumbnailUrls = [];
+
+        this._setupEventListeners();
+    }
+
+    _setupEventListeners() {
+        this.grid.addEventListener('click', (e) => {
+            const item = e.target.closest('.gallery-item');
+            if (!item) return;
+
+            const artwork = this.artworks.find(a => a.id === item.dataset.artwork);
+            if (artwork) this._view(artwork);
+        });
+
+        this.zipBtn.addEventListener('click', () => {
+            this._downloadAll();
+        });
+
+        this.backBtn.addEventListener('click', () => {
+            this.close();
+        });
+
+        this.downloadBtn.addEventListener('click', () => {
+            if (!this.selected) return;
+            downloadBlob(this.selected.image, getArtworkFilename(this.selected.artwork));
+        });
+
+        this.reopenBtn.addEventListener('click', () => {
+            this._reopen();
+        });
+
+        this.deleteBtn.addEventListener('click', () => {
+            this._delete();
+        });
+
+        this.closeBtn.addEventListener('click', () => {
+            this.closeViewer();
+        });
+    }
+
+    // ========================================
+    // OPEN / CLOSE
+    // ========================================
+
+    open() {
+        this.isOpen = true;
+        this.status.textContent = '';
+        this.overlay.classList.add('active');
+        this.refresh();
+    }
+
+    close() {
+        this.closeViewer();
+        this.isOpen = false;
+        this.overlay.classList.remove('active');
+
+        this._revokeThumbnails();
+        this.grid.innerHTML = '';
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    get isViewing() {
+        return !!this.selected;
+    }
+
+    async refresh() {
+        try {
+            this.artworks = await Gallery.load();
+        } catch (error) {
+            console.error('Failed to load gallery:', error);
+            this.artworks = [];
+            this.status.textContent = 'The gallery needs browser storage, which is not available here';
+        }
+
+        this._renderGrid();
+        this._renderStorage();
+    }
+
+    // ========================================
+    // DISPLAY
+    // ========================================
+
+    _renderGrid() {
+        this._revokeThumbnails();
+        this.grid.innerHTML = '';
+
+        this.emptyText.classList.toggle('hidden', this.artworks.length > 0);
+        this.zipBtn.classList.toggle('hidden', this.artworks.length === 0);
+
+        for (const artwork of this.artworks) {
+            const item = document.createElement('button');
+            item.className = 'gallery-item';
+            item.dataset.artwork = artwork.id;
+            item.title = `${KIND_NAMES[artwork.kind] || 'Picture'}, ${artwork.width} × ${artwork.height}`;
+
+            const url = URL.createObjectURL(artwork.thumbnail);
+            this.thumbnailUrls.push(url);
+
+            const thumb = document.createElement('img');
+            thumb.className = 'gallery-thumb';
+            thumb.src = url;
+            thumb.alt = '';
+
+            const date = document.createElement('span');
+            date.className = 'gallery-date';
+            date.textContent = formatDate(artwork.createdAt);
+
+            const details = document.createElement('span');
+            details.className = 'gallery-meta';
+            details.textContent = formatSession(artwork);
+
+            item.append(thumb, date, details, this._createSwatches(artwork.palette));
+            this.grid.appendChild(item);
+        }
+    }
+
+    _createSwatches(palette) {
+        const swatches = document.createElement('span');
+        swatches.className = 'gallery-swatches';
+        swatches.title = palette.name;
+
+        for (const color of palette.colors) {
+            const swatch = document.createElement('span');
+            swatch.style.background = color;
+            swatches.appendChild(swatch);
+        }
+
+        return swatches;
+    }
+
+    async _renderStorage() {
+        const count = this.artworks.length === 1 ? '1 piece' : `${this.artworks.length} pieces`;
+        const estimate = await Gallery.estimateStorage();
+
+        this.storage.textContent = estimate && estimate.quota
+            ? `${count} · ${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} storage used`
+            : count;
+    }
+
+    _revokeThumbnails() {
+        this.thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+        this.thumbnailUrls = [];
+    }
+
+    // ========================================
+    // VIEWER
+    // ========================================
+
+    async _view(artwork) {
+        let entry;
+        try {
+            entry = await Gallery.open(artwork.id);
+        } catch (error) {
+            console.error('Failed to open piece:', error);
+            this.status.textContent = error.message;
+            return;
+        }
+
+        this.closeViewer();
+        this.selected = { artwork, image: entry.image };
+
+        const mode = getVisualModes().find(m => m.name === artwork.mode);
+        this.viewerDetails.textContent = [
+            KIND_NAMES[artwork.kind] || 'Picture',
+            `${artwork.width} × ${artwork.height}`,
+            mode ? mode.label : artwork.mode,
+            artwork.palette.name,
+            formatSession(artwork),
+            formatDate(artwork.createdAt)
+        ].join(' · ');
+
+        this.viewerImage.src = URL.createObjectURL(entry.image);
+        this.reopenBtn.classList.toggle('hidden', !artwork.hasSession);
+        this.viewerStatus.textContent = '';
+        this.viewer.classList.remove('hidden');
+    }
+
+    closeViewer() {
+        if (!this.selected) return;
+
+        URL.revokeObjectURL(this.viewerImage.src);
+        this.viewerImage.removeAttribute('src');
+        this.selected = null;
+        this.viewer.classList.add('hidden');
+    }
+
+    async _reopen() {
+        if (!this.selected) return;
+
+        try {
+            await this.ui.app.reopenSession(this.selected.artwork.id);
+            this.close();
+        } catch (error) {
+            console.error('Failed to reopen session:', error);
+            this.viewerStatus.textContent = error.message;
+        }
+    }
+
+    async _delete() {
+        if (!this.selected) return;
+        if (!confirm('Delete this piece from your gallery? This cannot be undone.')) return;
+
+        try {
+            await Gallery.remove(this.selected.artwork.id);
+        } catch (error) {
+            console.error('Failed to delete piece:', error);
+            this.viewerStatus.textContent = 'This piece could not be deleted';
+            return;
+        }
+
+        this.closeViewer();
+        this.refresh();
+    }
+
+    // ========================================
+    // ZIP EXPORT
+    // ========================================
+
+    // Every piece plus gallery.json with what made each one
+    async _downloadAll() {
+        if (this.isBusy || this.artworks.length === 0) return;
+
+        this._setBusy(true);
+        const zip = new ZipWriter();
+        const index = [];
+
+        try {
+            for (let i = 0; i < this.artworks.length; i++) {
+                this.status.textContent = `Packing ${i + 1} of ${this.artworks.length}...`;
+
+                const { thumbnail, hasSession, id, ...artwork } = this.artworks[i];
+                const { image } = await Gallery.open(id);
+                const filename = getArtworkFilename(artwork);
+
+                await zip.add(filename, image, new Date(artwork.createdAt));
+                index.push({ filename, ...artwork });
+            }
+
+            await zip.add('gallery.json', JSON.stringify({ artworks: index }, null, 2));
+            downloadBlob(zip.finish(), `breathing-cosmos-gallery-${Date.now()}.zip`);
+            this.status.textContent = '';
+        } catch (error) {
+            console.error('Failed to export gallery:', error);
+            this.status.textContent = error.message;
+        } finally {
+            this._setBusy(false);
+        }
+    }
+
+    _setBusy(busy) {
+        this.isBusy = busy;
+        this.zipBtn.disabled = busy;
+    }
+}
+
+export default GalleryPanel;
@@ -0,0 +1,185 @@
+/**
+ * BREATHING COSMOS - HISTORY PANEL
+ * Past sessions, streaks and weekly breathing-rate chart
+ */
+
+import { SessionHistory, getStreaks, getTotalMinutes, getWeeklyTrend } from '../history.js';
+import { formatTime } from '../utils.js';
+import { formatRate } from '../metrics.js';
+
+const MODE_NAMES = {
+    manual: 'Manual',
+    mic: 'Microphone',
+    guided: 'Guided',
+    scripted: 'Scripted'
+};
+
+// ========================================
+// HISTORY PANEL
+// ========================================
+
+export class HistoryPanel {
+    constructor(ui) {
+        this.ui = ui;
+
+        // UI elements
+        this.overlay = document.getElementById('history-overlay');
+        this.streak = document.getElementById('history-streak');
+        this.longestStreak = document.getElementById('history-longest');
+        this.totalMinutes = document.getElementById('history-minutes');
+        this.sessionCount = document.getElementById('history-count');
+        this.chart = document.getElementById('history-chart');
+        this.list = document.getElementById('history-list');
+        this.emptyText = document.getElementById('history-empty');
+        this.clearBtn = document.getElementById('history-clear');
+        this.backBtn = document.getElementById('history-back');
+
+        // State
+        this.isOpen = false;
+        this.sessions = [];
+
+        this._setupEventListeners();
+    }
+
+    _setupEventListeners() {
+        this.list.addEventListener('click', async (e) => {
+            const deleteBtn = e.target.closest('.history-delete');
+            if (!deleteBtn) return;
+
+            await SessionHistory.remove(deleteBtn.dataset.session);
+            this.refresh();
+        });
+
+        this.clearBtn.addEventListener('click', async () => {
+            if (!confirm('Delete all saved sessions? This cannot be undone.')) return;
+
+            await SessionHistory.clear();
+            this.refresh();
+        });
+
+        this.backBtn.addEventListener('click', () => {
+            this.close();
+        });
+    }
+
+    // ========================================
+    // OPEN / CLOSE
+    // ========================================
+
+    open() {
+        this.isOpen = true;
+        this.overlay.classList.add('active');
+        this.refresh();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.overlay.classList.remove('active');
+    }
+
+    async refresh() {
+        this.sessions = await SessionHistory.load();
+
+        this._renderStats();
+        this._renderChart();
+        this._renderList();
+    }
+
+    // ========================================
+    // DISPLAY
+    // ========================================
+
+    _renderStats() {
+        const { current, longest } = getStreaks(this.sessions);
+
+        this.streak.textContent = current.toString();
+        this.longestStreak.textContent = longest.toString();
+        this.totalMinutes.textContent = Math.round(getTotalMinutes(this.sessions)).toString();
+        this.sessionCount.textContent = this.sessions.length.toString();
+    }
+
+    _renderChart() {
+        const ctx = this.chart.getContext('2d');
+        const { width, height } = this.chart;
+        const weeks = getWeeklyTrend(this.sessions);
+
+        ctx.clearRect(0, 0, width, height);
+
+        const labelHeight = 20;
+        const chartHeight = height - labelHeight * 2;
+        const slotWidth = width / weeks.length;
+        const maxRate = Math.max(20, ...weeks.map(w => w.breathsPerMinute || 0));
+
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'center';
+
+        weeks.forEach((week, i) => {
+            const x = i * slotWidth + slotWidth / 2;
+
+            // Week label
+            ctx.fillStyle = 'rgba(192, 192, 208, 0.6)';
+            const label = new Date(week.weekStart).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+            ctx.fillText(label, x, height - 6);
+
+            if (week.breathsPerMinute === null) return;
+
+            const barHeight = (week.breathsPerMinute / maxRate) * chartHeight;
+            const top = height - labelHeight - barHeight;
+
+            ctx.fillStyle = 'rgba(0, 212, 255, 0.7)';
+            ctx.fillRect(x - slotWidth * 0.3, top, slotWidth * 0.6, barHeight);
+
+            ctx.fillStyle = '#c0c0d0';
+            ctx.fillText(formatRate(week.breathsPerMinute), x, top - 6);
+        });
+    }
+
+    _renderList() {
+        this.list.innerHTML = '';
+        this.emptyText.classList.toggle('hidden', this.sessions.length > 0);
+        this.clearBtn.classList.toggle('hidden', this.sessions.length === 0);
+
+        for (const session of this.sessions) {
+            const item = document.createElement('div');
+            item.className = 'history-item';
+
+            const date = document.createElement('span');
+            date.className = 'history-date';
+            date.textContent = new Date(session.startedAt).toLocaleString(undefined, {
+                month: 'short',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: '2-digit'
+            });
+
+            const mode = document.createElement('span');
+            mode.className = 'history-mode';
+            mode.textContent = this._describeMode(session);
+
+            const details = document.createElement('span');
+            details.className = 'history-details';
+            details.textContent = `${formatTime(session.duration)} · ${session.cycles} breaths · ${formatRate(session.breathsPerMinute)} bpm`;
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'history-delete';
+            deleteBtn.dataset.session = session.id;
+            deleteBtn.title = 'Delete session';
+            deleteBtn.textContent = '×';
+
+            item.append(date, mode, details, deleteBtn);
+            this.list.appendChild(item);
+        }
+    }
+
+    _describeMode(session) {
+        if (session.coach) {
+            const score = session.coach.averageScore === null ? '--' : session.coach.averageScore;
+            return `Coach · score ${score}`;
+        }
+
+        const mode = MODE_NAMES[session.mode] || session.mode || 'Session';
+        return session.pattern ? `${mode} · ${session.pattern.name}` : mode;
+    }
+}
+
+export default HistoryPanel;
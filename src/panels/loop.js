@@ -0,0 +1,179 @@
+/**
+ * BREATHING COSMOS - LOOP PANEL
+ * Format and size of a breath loop, plus its progress while capturing
+ * and encoding
+ */
+
+import { LOOP_FORMATS, DEFAULT_LOOP_FORMAT, LOOP_SIZES, DEFAULT_LOOP_SIZE, getLoopSize } from '../export/loop.js';
+import { Storage } from '../utils.js';
+
+const LOOP_SETTINGS_KEY = 'breathingCosmos.loopSettings';
+
+// ========================================
+// LOOP PANEL
+// ========================================
+
+export class LoopPanel {
+    constructor(ui) {
+        this.ui = ui;
+
+        // UI elements
+        this.overlay = document.getElementById('loop-overlay');
+        this.formatList = document.getElementById('loop-formats');
+        this.sizeList = document.getElementById('loop-sizes');
+        this.status = document.getElementById('loop-status');
+        this.startBtn = document.getElementById('loop-start');
+        this.backBtn = document.getElementById('loop-back');
+        this.indicator = document.getElementById('loop-indicator');
+        this.indicatorText = document.getElementById('loop-indicator-text');
+        this.progressBar = document.getElementById('loop-progress');
+
+        // State
+        this.isOpen = false;
+        this.isBusy = false; // Capturing or encoding
+        this.progress = 0;
+
+        const settings = Storage.get(LOOP_SETTINGS_KEY, {});
+        this.format = LOOP_FORMATS[settings.format] ? settings.format : DEFAULT_LOOP_FORMAT;
+        this.size = LOOP_SIZES[settings.size] ? settings.size : DEFAULT_LOOP_SIZE;
+
+        this.formatButtons = this._createButtons(this.formatList, LOOP_FORMATS, 'format');
+        this.sizeButtons = this._createButtons(this.sizeList, LOOP_SIZES, 'size');
+
+        this._setupEventListeners();
+    }
+
+    _setupEventListeners() {
+        this.startBtn.addEventListener('click', () => {
+            this._export();
+        });
+
+        this.backBtn.addEventListener('click', () => {
+            this.close();
+        });
+
+        // Cancels while waiting for or capturing the breath
+        this.indicator.addEventListener('click', () => {
+            this.ui.app.cancelLoop();
+        });
+    }
+
+    // ========================================
+    // OPEN / CLOSE
+    // ========================================
+
+    open(message = '') {
+        this.isOpen = true;
+        this._updateButtons();
+        this.status.textContent = message;
+        this.overlay.classList.add('active');
+    }
+
+    close() {
+        this.isOpen = false;
+        this.overlay.classList.remove('active');
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    // ========================================
+    // OPTIONS
+    // ========================================
+
+    // One button per entry of `options`, setting this[key] when clicked
+    _createButtons(list, options, key) {
+        return Object.entries(options).map(([id, option]) => {
+            const button = document.createElement('button');
+            button.className = 'mode-button';
+            button.dataset.value = id;
+            button.textContent = option.name;
+
+            button.addEventListener('click', () => {
+                this[key] = id;
+                this._saveSettings();
+                this._updateButtons();
+            });
+
+            list.appendChild(button);
+            return button;
+        });
+    }
+
+    // Sizes show their pixels, which follow the screen's shape
+    _updateButtons() {
+        const { width, height } = this.ui.app.visuals.getVisualSize();
+
+        this.formatButtons.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.value === this.format);
+        });
+
+        this.sizeButtons.forEach(btn => {
+            const pixels = getLoopSize(btn.dataset.value, width, height);
+            btn.textContent = `${LOOP_SIZES[btn.dataset.value].name} ${pixels.width} × ${pixels.height}`;
+            btn.classList.toggle('active', btn.dataset.value === this.size);
+        });
+    }
+
+    _saveSettings() {
+        Storage.set(LOOP_SETTINGS_KEY, {
+            format: this.format,
+            size: this.size
+        });
+    }
+
+    // ========================================
+    // EXPORT
+    // ========================================
+
+    // The panel gets out of the way so the breath can be watched;
+    // the indicator follows along
+    async _export() {
+        if (this.isBusy) return;
+
+        this.close();
+        this._setBusy(true);
+
+        try {
+            const { width, height, frameCount } = await this.ui.app.exportLoop(
+                { format: this.format, size: this.size },
+                progress => { this.progress = progress; }
+            );
+            this.ui.showNotification(`Loop saved: ${width} × ${height}, ${frameCount} frames`);
+        } catch (error) {
+            console.error('Failed to export loop:', error);
+            this.open(error.message);
+        } finally {
+            this._setBusy(false);
+        }
+    }
+
+    _setBusy(busy) {
+        this.isBusy = busy;
+        this.progress = 0;
+        this.indicator.classList.toggle('hidden', !busy);
+    }
+
+    // Called every frame by the UI controller
+    update() {
+        if (!this.isBusy) return;
+
+        const capture = this.ui.app.loopCapture;
+        if (!capture) {
+            this.indicatorText.textContent = `Encoding ${LOOP_FORMATS[this.format].name} ${Math.round(this.progress * 100)}%`;
+        } else if (capture.state === 'waiting') {
+            this.indicatorText.textContent = 'Loop: waiting for your next breath';
+        } else {
+            this.indicatorText.textContent = `Loop: capturing this breath (${capture.frameCount} frames)`;
+        }
+
+        this.progressBar.style.width = `${capture ? 0 : this.progress * 100}%`;
+    }
+}
+
+export default LoopPanel;
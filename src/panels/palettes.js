@@ -0,0 +1,430 @@
+/**
+ * BREATHING COSMOS - PALETTE PANEL
+ * Palette picker and custom palette editor with live preview, JSON
+ * import/export and color extraction from images
+ */
+
+import {
+    BuiltInPalettes,
+    CustomPalettes,
+    PREVIEW_PALETTE,
+    MIN_PALETTE_STOPS,
+    MAX_PALETTE_NAME_LENGTH,
+    normalizePaletteColors,
+    exportPalettes,
+    importPalettes,
+    extractPalette
+} from '../palettes.js';
+import { getPaletteColors, downloadBlob } from '../utils.js';
+
+// Images are scaled down to this many pixels across before extraction
+const EXTRACT_SIZE = 128;
+
+// Stops in an extracted palette, as in the built-ins
+const EXTRACT_STOPS = 5;
+
+function swatchGradient(colors) {
+    return `linear-gradient(to right, ${colors.join(', ')})`;
+}
+
+// ========================================
+// PALETTE PANEL
+// ========================================
+
+// Side drawer rather than an overlay, so previews show on the nebula
+export class PalettePanel {
+    constructor(ui) {
+        this.ui = ui;
+
+        // UI elements
+        this.panel = document.getElementById('palette-panel');
+        this.list = document.getElementById('palette-list');
+        this.editor = document.getElementById('palette-editor');
+        this.nameInput = document.getElementById('palette-name');
+        this.previewSwatch = document.getElementById('palette-preview');
+        this.stopList = document.getElementById('palette-stops');
+        this.addStopBtn = document.getElementById('palette-add-stop');
+        this.dropZone = document.getElementById('palette-drop');
+        this.imageInput = document.getElementById('palette-image');
+        this.chooseImageBtn = document.getElementById('palette-choose-image');
+        this.importInput = document.getElementById('palette-import-file');
+        this.importBtn = document.getElementById('palette-import');
+        this.exportBtn = document.getElementById('palette-export');
+        this.editorError = document.getElementById('palette-error');
+        this.closeBtn = document.getElementById('palette-close');
+
+        // State
+        this.isOpen = false;
+        this.stops = [...BuiltInPalettes.deepSpace.colors]; // Editor colors
+        this.committed = null; // Palette to return to if a preview isn't kept
+        this.previewFrame = null;
+
+        this._setupEventListeners();
+    }
+
+    _setupEventListeners() {
+        this.list.addEventListener('click', (e) => {
+            const deleteBtn = e.target.closest('.palette-delete');
+            if (deleteBtn) {
+                this._deletePalette(deleteBtn.dataset.palette);
+                return;
+            }
+
+            const option = e.target.closest('.palette-option');
+            if (option) {
+                this._selectPalette(option.dataset.palette);
+            }
+        });
+
+        // Color pickers fire 'input' continuously while dragging
+        this.stopList.addEventListener('input', (e) => {
+            const index = Number(e.target.dataset.stop);
+            if (!Number.isInteger(index)) return;
+
+            this.stops[index] = e.target.value;
+            this._previewEdits();
+        });
+
+        this.stopList.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.palette-stop-remove');
+            if (removeBtn && this.stops.length > MIN_PALETTE_STOPS) {
+                this.stops.splice(Number(removeBtn.dataset.stop), 1);
+                this._renderStops();
+                this._previewEdits();
+            }
+        });
+
+        this.addStopBtn.addEventListener('click', () => {
+            this.stops.push(this.stops[this.stops.length - 1]);
+            this._renderStops();
+            this._previewEdits();
+        });
+
+        this.editor.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this._saveCustomPalette();
+        });
+
+        // Images are quantized; dropped JSON files are imported
+        this.dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            this.dropZone.classList.add('dragging');
+        });
+
+        this.dropZone.addEventListener('dragleave', () => {
+            this.dropZone.classList.remove('dragging');
+        });
+
+        this.dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.dropZone.classList.remove('dragging');
+
+            const file = e.dataTransfer.files[0];
+            if (!file) return;
+
+            if (file.type === 'application/json' || file.name.endsWith('.json')) {
+                this._importFile(file);
+            } else {
+                this._extractFromImage(file);
+            }
+        });
+
+        this.chooseImageBtn.addEventListener('click', () => {
+            this.imageInput.click();
+        });
+
+        this.imageInput.addEventListener('change', () => {
+            const file = this.imageInput.files[0];
+            this.imageInput.value = '';
+            if (file) this._extractFromImage(file);
+        });
+
+        this.importBtn.addEventListener('click', () => {
+            this.importInput.click();
+        });
+
+        this.importInput.addEventListener('change', () => {
+            const file = this.importInput.files[0];
+            this.importInput.value = '';
+            if (file) this._importFile(file);
+        });
+
+        this.exportBtn.addEventListener('click', () => {
+            this._exportPalettes();
+        });
+
+        this.closeBtn.addEventListener('click', () => {
+            this.close();
+        });
+    }
+
+    // ========================================
+    // OPEN / CLOSE
+    // ========================================
+
+    open() {
+        this.isOpen = true;
+        this.committed = this.ui.app.visuals.palette;
+        this.editorError.textContent = '';
+
+        // Start editing from the palette on screen
+        this.stops = [...getPaletteColors(this.committed)];
+
+        this._renderList();
+        this._renderStops();
+        this.panel.classList.add('active');
+    }
+
+    // Unsaved previews end with the panel
+    close() {
+        this.isOpen = false;
+        this.panel.classList.remove('active');
+
+        if (this.previewFrame !== null) {
+            cancelAnimationFrame(this.previewFrame);
+            this.previewFrame = null;
+        }
+
+        if (this.ui.app.visuals.palette === PREVIEW_PALETTE && this.committed !== PREVIEW_PALETTE) {
+            this.ui.app.setPalette(this.committed);
+        }
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    // ========================================
+    // PALETTE LIST
+    // ========================================
+
+    _getPalettes() {
+        return [...Object.values(BuiltInPalettes), ...CustomPalettes.load()];
+    }
+
+    _renderList() {
+        const active = this.ui.app.visuals.palette;
+        this.list.innerHTML = '';
+
+        for (const palette of this._getPalettes()) {
+            const item = document.createElement('div');
+            item.className = 'palette-item';
+
+            const option = document.createElement('button');
+            option.className = 'palette-option';
+            option.classList.toggle('active', palette.id === active);
+            option.dataset.palette = palette.id;
+
+            const name = document.createElement('span');
+            name.className = 'palette-option-name';
+            name.textContent = palette.name;
+
+            const swatch = document.createElement('span');
+            swatch.className = 'palette-swatch';
+            swatch.style.background = swatchGradient(palette.colors);
+
+            option.append(name, swatch);
+            item.appendChild(option);
+
+            if (palette.custom) {
+                const deleteBtn = document.createElement('button');
+                deleteBtn.className = 'palette-delete';
+                deleteBtn.dataset.palette = palette.id;
+                deleteBtn.title = 'Delete palette';
+                deleteBtn.textContent = '×';
+                item.appendChild(deleteBtn);
+            }
+
+            this.list.appendChild(item);
+        }
+    }
+
+    _markActive() {
+        const active = this.ui.app.visuals.palette;
+        for (const option of this.list.querySelectorAll('.palette-option')) {
+            option.classList.toggle('active', option.dataset.palette === active);
+        }
+    }
+
+    _selectPalette(id) {
+        const palette = this._getPalettes().find(p => p.id === id);
+        if (!palette) return;
+
+        this.ui.app.setPalette(palette.id);
+        this.committed = palette.id;
+
+        // The chosen palette becomes the starting point for a new one
+        this.stops = [...palette.colors];
+        this.nameInput.value = '';
+        this.editorError.textContent = '';
+
+        this._renderList();
+        this._renderStops();
+    }
+
+    // A deleted palette still on screen stays there until the next
+    // switch; the session's timeline already holds its colors
+    _deletePalette(id) {
+        CustomPalettes.remove(id);
+        this._renderList();
+    }
+
+    // ========================================
+    // CUSTOM EDITOR
+    // ========================================
+
+    _renderStops() {
+        this.stopList.innerHTML = '';
+
+        this.stops.forEach((color, index) => {
+            const stop = document.createElement('div');
+            stop.className = 'palette-stop';
+
+            const input = document.createElement('input');
+            input.type = 'color';
+            input.value = color;
+            input.dataset.stop = index;
+            input.title = `Stop ${index + 1}`;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'palette-stop-remove';
+            removeBtn.dataset.stop = index;
+            removeBtn.title = 'Remove stop';
+            removeBtn.textContent = '×';
+            removeBtn.disabled = this.stops.length <= MIN_PALETTE_STOPS;
+
+            stop.append(input, removeBtn);
+            this.stopList.appendChild(stop);
+        });
+
+        this._renderPreviewSwatch();
+    }
+
+    _renderPreviewSwatch() {
+        this.previewSwatch.style.background = swatchGradient(this.stops);
+    }
+
+    // Show the editor's colors on the nebula, at most once per frame
+    _previewEdits() {
+        this._renderPreviewSwatch();
+        if (this.previewFrame !== null) return;
+
+        this.previewFrame = requestAnimationFrame(() => {
+            this.previewFrame = null;
+            this.ui.app.previewPalette(this.stops);
+            this._markActive();
+        });
+    }
+
+    _saveCustomPalette() {
+        const colors = normalizePaletteColors(this.stops);
+        if (!colors) {
+            this.editorError.textContent = `Palettes need at least ${MIN_PALETTE_STOPS} colors.`;
+            return;
+        }
+
+        const palette = CustomPalettes.create(this.nameInput.value.trim(), colors);
+
+        if (!CustomPalettes.save(palette)) {
+            this.editorError.textContent = 'Could not save palette in this browser.';
+            return;
+        }
+
+        this.ui.app.addCustomPalette(palette);
+        this.ui.app.setPalette(palette.id);
+        this.committed = palette.id;
+
+        this.editorError.textContent = '';
+        this.nameInput.value = '';
+        this._renderList();
+    }
+
+    // ========================================
+    // IMAGE EXTRACTION
+    // ========================================
+
+    async _extractFromImage(file) {
+        let pixels;
+        try {
+            pixels = await this._readPixels(file);
+        } catch (error) {
+            console.warn('Could not read image:', error);
+            this.editorError.textContent = 'That file could not be read as an image.';
+            return;
+        }
+
+        const colors = extractPalette(pixels, EXTRACT_STOPS);
+        if (!colors) {
+            this.editorError.textContent = 'That image has no visible colors.';
+            return;
+        }
+
+        this.stops = colors;
+        this.nameInput.value = file.name.replace(/\.[^.]+$/, '').slice(0, MAX_PALETTE_NAME_LENGTH);
+        this.editorError.textContent = '';
+
+        this._renderStops();
+        this._previewEdits();
+    }
+
+    // RGBA pixels of the image, scaled down to speed up quantization
+    async _readPixels(file) {
+        const bitmap = await createImageBitmap(file);
+        const scale = Math.min(1, EXTRACT_SIZE / Math.max(bitmap.width, bitmap.height));
+        const width = Math.max(1, Math.round(bitmap.width * scale));
+        const height = Math.max(1, Math.round(bitmap.height * scale));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0, width, height);
+        bitmap.close();
+
+        return ctx.getImageData(0, 0, width, height).data;
+    }
+
+    // ========================================
+    // IMPORT / EXPORT
+    // ========================================
+
+    async _importFile(file) {
+        let palettes;
+        try {
+            palettes = importPalettes(await file.text());
+        } catch (error) {
+            this.editorError.textContent = error.message;
+            return;
+        }
+
+        for (const palette of palettes) {
+            if (!CustomPalettes.save(palette)) {
+                this.editorError.textContent = 'Could not save palettes in this browser.';
+                break;
+            }
+            this.ui.app.addCustomPalette(palette);
+        }
+
+        this._renderList();
+        this.ui.showNotification(`Imported ${palettes.length} palette${palettes.length === 1 ? '' : 's'}`);
+    }
+
+    _exportPalettes() {
+        const palettes = CustomPalettes.load();
+        if (palettes.length === 0) {
+            this.editorError.textContent = 'Save a custom palette to export it.';
+            return;
+        }
+
+        const blob = new Blob([exportPalettes(palettes)], { type: 'application/json' });
+        downloadBlob(blob, 'breathing-cosmos-palettes.json');
+    }
+}
+
+export default PalettePanel;
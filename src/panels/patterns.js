@@ -0,0 +1,153 @@
+/**
+ * BREATHING COSMOS - PATTERN PANEL
+ * Guided pattern library and custom pattern editor
+ */
+
+import { GuidedPatterns, CustomPatterns, describePattern, getPatternDuration } from '../patterns.js';
+
+// ========================================
+// PATTERN PANEL
+// ========================================
+
+export class PatternPanel {
+    constructor(ui) {
+        this.ui = ui;
+
+        // UI elements
+        this.overlay = document.getElementById('pattern-overlay');
+        this.list = document.getElementById('pattern-list');
+        this.editor = document.getElementById('pattern-editor');
+        this.nameInput = document.getElementById('pattern-name');
+        this.timingInputs = {
+            inhale: document.getElementById('pattern-inhale'),
+            holdIn: document.getElementById('pattern-hold-in'),
+            exhale: document.getElementById('pattern-exhale'),
+            holdOut: document.getElementById('pattern-hold-out')
+        };
+        this.editorError = document.getElementById('pattern-error');
+        this.backBtn = document.getElementById('pattern-back');
+
+        // State
+        this.isOpen = false;
+        this.source = 'welcome'; // Overlay that opened the panel
+
+        this._setupEventListeners();
+    }
+
+    _setupEventListeners() {
+        this.list.addEventListener('click', (e) => {
+            const deleteBtn = e.target.closest('.pattern-delete');
+            if (deleteBtn) {
+                CustomPatterns.remove(deleteBtn.dataset.pattern);
+                this._renderList();
+                return;
+            }
+
+            const option = e.target.closest('.pattern-option');
+            if (option) {
+                const pattern = this._getPatterns().find(p => p.id === option.dataset.pattern);
+                if (pattern) {
+                    this.ui.selectPattern(pattern, this.source);
+                }
+            }
+        });
+
+        this.editor.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this._saveCustomPattern();
+        });
+
+        this.backBtn.addEventListener('click', () => {
+            this.close();
+        });
+    }
+
+    // ========================================
+    // OPEN / CLOSE
+    // ========================================
+
+    open(source = 'welcome') {
+        this.source = source;
+        this.isOpen = true;
+        this.editorError.textContent = '';
+        this._renderList();
+        this.overlay.classList.add('active');
+    }
+
+    close() {
+        this.isOpen = false;
+        this.overlay.classList.remove('active');
+    }
+
+    // ========================================
+    // PATTERN LIST
+    // ========================================
+
+    _getPatterns() {
+        return [...Object.values(GuidedPatterns), ...CustomPatterns.load()];
+    }
+
+    _renderList() {
+        this.list.innerHTML = '';
+
+        for (const pattern of this._getPatterns()) {
+            const item = document.createElement('div');
+            item.className = 'pattern-item';
+
+            const option = document.createElement('button');
+            option.className = 'pattern-option';
+            option.dataset.pattern = pattern.id;
+
+            const name = document.createElement('span');
+            name.className = 'pattern-name';
+            name.textContent = pattern.name;
+
+            const timing = document.createElement('span');
+            timing.className = 'pattern-timing';
+            timing.textContent = describePattern(pattern);
+
+            option.append(name, timing);
+            item.appendChild(option);
+
+            if (pattern.custom) {
+                const deleteBtn = document.createElement('button');
+                deleteBtn.className = 'pattern-delete';
+                deleteBtn.dataset.pattern = pattern.id;
+                deleteBtn.title = 'Delete pattern';
+                deleteBtn.textContent = '×';
+                item.appendChild(deleteBtn);
+            }
+
+            this.list.appendChild(item);
+        }
+    }
+
+    // ========================================
+    // CUSTOM EDITOR
+    // ========================================
+
+    _saveCustomPattern() {
+        const timings = {};
+        for (const [key, input] of Object.entries(this.timingInputs)) {
+            timings[key] = parseFloat(input.value) || 0;
+        }
+
+        const pattern = CustomPatterns.create(this.nameInput.value.trim(), timings);
+
+        if (pattern.inhale <= 0 || pattern.exhale <= 0 || getPatternDuration(pattern) <= 0) {
+            this.editorError.textContent = 'Inhale and exhale need at least some time.';
+            return;
+        }
+
+        if (!CustomPatterns.save(pattern)) {
+            this.editorError.textContent = 'Could not save pattern in this browser.';
+            return;
+        }
+
+        this.editorError.textContent = '';
+        this.nameInput.value = '';
+        this._renderList();
+    }
+}
+
+export default PatternPanel;
@@ -0,0 +1,183 @@
+/**
+ * BREATHING COSMOS - RECORD PANEL
+ * Video clip length and clean mode, plus the indicator shown while
+ * recording
+ */
+
+import { CLIP_LENGTHS, DEFAULT_CLIP_LENGTH, isClipRecordingSupported } from '../export/video.js';
+import { Storage, formatTime } from '../utils.js';
+
+const RECORD_SETTINGS_KEY = 'breathingCosmos.recordSettings';
+
+// ========================================
+// RECORD PANEL
+// ========================================
+
+export class RecordPanel {
+    constructor(ui) {
+        this.ui = ui;
+
+        // UI elements
+        this.overlay = document.getElementById('record-overlay');
+        this.lengthList = document.getElementById('record-lengths');
+        this.cleanInput = document.getElementById('record-clean');
+        this.status = document.getElementById('record-status');
+        this.startBtn = document.getElementById('record-start');
+        this.backBtn = document.getElementById('record-back');
+        this.indicator = document.getElementById('recording-indicator');
+        this.indicatorTime = document.getElementById('recording-time');
+
+        // State
+        this.isOpen = false;
+        this.isRecording = false;
+        this.isSupported = isClipRecordingSupported(this.ui.app.visuals.canvas);
+        this.wasUIVisible = true; // Restored after a clean recording
+
+        const settings = Storage.get(RECORD_SETTINGS_KEY, {});
+        this.length = CLIP_LENGTHS.includes(settings.length) ? settings.length : DEFAULT_CLIP_LENGTH;
+        this.cleanInput.checked = settings.clean === true;
+
+        this.lengthButtons = this._createLengthButtons();
+
+        this._setupEventListeners();
+    }
+
+    _setupEventListeners() {
+        this.lengthButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.length = Number(btn.dataset.length);
+                this._saveSettings();
+                this._updateLengthButtons();
+            });
+        });
+
+        this.cleanInput.addEventListener('change', () => {
+            this._saveSettings();
+        });
+
+        this.startBtn.addEventListener('click', () => {
+            this._record();
+        });
+
+        this.backBtn.addEventListener('click', () => {
+            this.close();
+        });
+
+        // Stops early; the clip so far is still saved
+        this.indicator.addEventListener('click', () => {
+            this.stop();
+        });
+    }
+
+    // ========================================
+    // OPEN / CLOSE
+    // ========================================
+
+    open() {
+        this.isOpen = true;
+        this._updateLengthButtons();
+
+        // No recording without the codecs; say so instead of failing later
+        this.startBtn.disabled = !this.isSupported;
+        this.status.textContent = this.isSupported
+            ? ''
+            : 'This browser cannot record WebM video (VP9/Opus). Screenshots and artwork export still work.';
+
+        this.overlay.classList.add('active');
+    }
+
+    close() {
+        this.isOpen = false;
+        this.overlay.classList.remove('active');
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    // ========================================
+    // LENGTHS
+    // ========================================
+
+    _createLengthButtons() {
+        return CLIP_LENGTHS.map(length => {
+            const button = document.createElement('button');
+            button.className = 'mode-button';
+            button.dataset.length = length;
+            button.textContent = `${length} s`;
+
+            this.lengthList.appendChild(button);
+            return button;
+        });
+    }
+
+    _updateLengthButtons() {
+        this.lengthButtons.forEach(btn => {
+            btn.classList.toggle('active', Number(btn.dataset.length) === this.length);
+        });
+    }
+
+    _saveSettings() {
+        Storage.set(RECORD_SETTINGS_KEY, {
+            length: this.length,
+            clean: this.cleanInput.checked
+        });
+    }
+
+    // ========================================
+    // RECORDING
+    // ========================================
+
+    async _record() {
+        if (this.isRecording || !this.isSupported) return;
+
+        const clean = this.cleanInput.checked;
+        this.close();
+        this._setRecording(true, clean);
+
+        try {
+            await this.ui.app.recordClip({ length: this.length, clean });
+            this.ui.showNotification('Clip saved!');
+        } catch (error) {
+            console.error('Failed to record clip:', error);
+            this.ui.showNotification('Recording failed');
+        } finally {
+            this._setRecording(false, clean);
+        }
+    }
+
+    stop() {
+        if (this.isRecording) {
+            this.ui.app.stopClip();
+        }
+    }
+
+    // Clean mode hides the UI for the length of the clip
+    _setRecording(recording, clean) {
+        this.isRecording = recording;
+        this.indicator.classList.toggle('hidden', !recording);
+
+        if (!clean) return;
+
+        if (recording) {
+            this.wasUIVisible = this.ui.isUIVisible;
+            this.ui.setUIVisible(false);
+        } else {
+            this.ui.setUIVisible(this.wasUIVisible);
+        }
+    }
+
+    // Called every frame by the UI controller
+    update() {
+        if (!this.isRecording) return;
+
+        const { elapsed, duration } = this.ui.app.clipRecorder;
+        this.indicatorTime.textContent = `${formatTime(Math.min(elapsed, duration))} / ${formatTime(duration)}`;
+    }
+}
+
+export default RecordPanel;
@@ -0,0 +1,173 @@
+/**
+ * BREATHING COSMOS - GUIDED PATTERNS
+ * Built-in breathing patterns and user-defined custom patterns
+ */
+
+import { Storage } from './utils.js';
+import { BreathPhase } from './phases.js';
+
+const { INHALE, HOLD_IN, EXHALE, HOLD_OUT } = BreathPhase;
+
+const CUSTOM_PATTERNS_KEY = 'breathingCosmos.customPatterns';
+
+// ========================================
+// PATTERN HELPERS
+// ========================================
+
+// Build a Wim Hof style round: fast power breaths, empty-lung
+// retention, then a recovery breath held at the top
+function wimHofRound(breaths = 30, retention = 60, recovery = 15) {
+    const steps = [];
+
+    for (let i = 0; i < breaths; i++) {
+        steps.push({ phase: INHALE, duration: 1.5, from: 0, to: 1 });
+        steps.push({ phase: EXHALE, duration: 1.5, from: 1, to: 0.2 });
+    }
+
+    steps.push({ phase: EXHALE, duration: 2, from: 0.2, to: 0 });
+    steps.push({ phase: HOLD_OUT, duration: retention, from: 0, to: 0 });
+    steps.push({ phase: INHALE, duration: 2, from: 0, to: 1 });
+    steps.push({ phase: HOLD_IN, duration: recovery, from: 1, to: 1 });
+    steps.push({ phase: EXHALE, duration: 3, from: 1, to: 0 });
+
+    return steps;
+}
+
+// Expand a pattern into a flat list of timed steps.
+// Simple patterns use { inhale, holdIn, exhale, holdOut } in seconds,
+// complex ones (double inhales, rounds) provide their own `steps`.
+export function expandPattern(pattern) {
+    if (!pattern) return [];
+
+    if (Array.isArray(pattern.steps)) {
+        return pattern.steps.filter(step => step.duration > 0);
+    }
+
+    return [
+        { phase: INHALE, duration: pattern.inhale || 0, from: 0, to: 1 },
+        { phase: HOLD_IN, duration: pattern.holdIn || 0, from: 1, to: 1 },
+        { phase: EXHALE, duration: pattern.exhale || 0, from: 1, to: 0 },
+        { phase: HOLD_OUT, duration: pattern.holdOut || 0, from: 0, to: 0 }
+    ].filter(step => step.duration > 0);
+}
+
+// Total length of one pass through the pattern (seconds)
+export function getPatternDuration(pattern) {
+    return expandPattern(pattern).reduce((total, step) => total + step.duration, 0);
+}
+
+// Short human-readable timing, e.g. "4-7-8" or "4-4-4-4"
+export function describePattern(pattern) {
+    if (pattern.description) return pattern.description;
+
+    const timings = [pattern.inhale, pattern.holdIn, pattern.exhale, pattern.holdOut];
+    while (timings.length > 2 && !timings[timings.length - 1]) {
+        timings.pop();
+    }
+    return timings.map(t => t || 0).join('-');
+}
+
+// Even-paced pattern at a given breath rate, e.g. 6 bpm resonance
+// breathing. `inhaleShare` is the fraction of each breath spent inhaling.
+export function createPacedPattern(breathsPerMinute, inhaleShare = 0.4) {
+    const cycle = 60 / breathsPerMinute;
+    const inhale = Math.round(cycle * inhaleShare * 10) / 10;
+
+    return {
+        id: 'paced',
+        name: `${breathsPerMinute.toFixed(1)} breaths/min`,
+        inhale,
+        holdIn: 0,
+        exhale: Math.round((cycle - inhale) * 10) / 10,
+        holdOut: 0
+    };
+}
+
+// ========================================
+// BUILT-IN PATTERNS
+// ========================================
+
+export const GuidedPatterns = {
+    relaxing: {
+        id: 'relaxing',
+        name: '4-7-8 Relaxing',
+        inhale: 4,
+        holdIn: 7,
+        exhale: 8,
+        holdOut: 0
+    },
+    box: {
+        id: 'box',
+        name: 'Box Breathing',
+        inhale: 4,
+        holdIn: 4,
+        exhale: 4,
+        holdOut: 4
+    },
+    coherent: {
+        id: 'coherent',
+        name: 'Coherent',
+        inhale: 5.5,
+        holdIn: 0,
+        exhale: 5.5,
+        holdOut: 0
+    },
+    sigh: {
+        id: 'sigh',
+        name: 'Physiological Sigh',
+        description: 'double inhale, long exhale',
+        steps: [
+            { phase: INHALE, duration: 2, from: 0, to: 0.75 },
+            { phase: INHALE, duration: 1, from: 0.75, to: 1 },
+            { phase: EXHALE, duration: 6, from: 1, to: 0 },
+            { phase: HOLD_OUT, duration: 1, from: 0, to: 0 }
+        ]
+    },
+    wimHof: {
+        id: 'wimHof',
+        name: 'Wim Hof Rounds',
+        description: '30 breaths, retention, recovery',
+        steps: wimHofRound()
+    }
+};
+
+// ========================================
+// CUSTOM PATTERNS
+// ========================================
+
+export const CustomPatterns = {
+    load() {
+        const patterns = Storage.get(CUSTOM_PATTERNS_KEY, []);
+        return Array.isArray(patterns) ? patterns : [];
+    },
+
+    save(pattern) {
+        const patterns = this.load().filter(p => p.id !== pattern.id);
+        patterns.push(pattern);
+        return Storage.set(CUSTOM_PATTERNS_KEY, patterns);
+    },
+
+    remove(id) {
+        const patterns = this.load().filter(p => p.id !== id);
+        return Storage.set(CUSTOM_PATTERNS_KEY, patterns);
+    },
+
+    create(name, timings) {
+        return {
+            id: `custom-${Date.now()}`,
+            name: name || 'Custom Pattern',
+            custom: true,
+            inhale: Math.max(0, timings.inhale || 0),
+            holdIn: Math.max(0, timings.holdIn || 0),
+            exhale: Math.max(0, timings.exhale || 0),
+            holdOut: Math.max(0, timings.holdOut || 0)
+        };
+    }
+};
+
+// Look up a built-in or saved custom pattern by id
+export function findPattern(id) {
+    return GuidedPatterns[id] || CustomPatterns.load().find(p => p.id === id) || null;
+}
+
+export default GuidedPatterns;
@@ -0,0 +1,171 @@
+/**
+ * BREATHING COSMOS - BREATH PHASES
+ * Shared phase names and the slope-based phase state machine
+ */
+
+import { lerp } from './utils.js';
+
+export const BreathPhase = {
+    INHALE: 'inhale',
+    HOLD_IN: 'hold_in',
+    EXHALE: 'exhale',
+    HOLD_OUT: 'hold_out'
+};
+
+// ========================================
+// DEFAULTS
+// ========================================
+
+const DEFAULT_OPTIONS = {
+    // Intensity slope (per second) needed to enter a moving phase,
+    // and the lower slope under which the breath counts as still.
+    // The gap between them is the hysteresis band.
+    enterSlope: 0.06,
+    exitSlope: 0.025,
+
+    // Time the slope must stay flat before a hold is reported (seconds)
+    holdDelay: 0.3,
+
+    // Slope smoothing time constant (seconds)
+    slopeSmoothing: 0.08,
+
+    // Minimum time in each phase before leaving it (seconds)
+    minDuration: {
+        [BreathPhase.INHALE]: 0.3,
+        [BreathPhase.HOLD_IN]: 0.3,
+        [BreathPhase.EXHALE]: 0.3,
+        [BreathPhase.HOLD_OUT]: 0.3
+    }
+};
+
+// ========================================
+// PHASE STATE MACHINE
+// ========================================
+
+export class PhaseStateMachine {
+    constructor(options = {}) {
+        this.options = {
+            ...DEFAULT_OPTIONS,
+            ...options,
+            minDuration: { ...DEFAULT_OPTIONS.minDuration, ...options.minDuration }
+        };
+
+        this.reset();
+    }
+
+    reset(phase = BreathPhase.EXHALE, intensity = null) {
+        this.phase = phase;
+        this.phaseTime = 0;
+        this.flatTime = 0;
+        this.slope = 0;
+        this.lastIntensity = intensity;
+
+        // Tracked time and the start of the current breath cycle (seconds).
+        // A cycle starts with an inhale; starting in one counts as that start.
+        this.time = 0;
+        this.cycleStart = phase === BreathPhase.INHALE ? 0 : null;
+
+        // Breathed out (or rested) since the cycle started
+        this.breathedOut = false;
+    }
+
+    // Feed the smoothed intensity for one frame. `hintPhase` is an optional
+    // phase reported by the input source; it wins over the slope but still
+    // respects minimum phase durations.
+    // Returns a transition { phase, previousPhase, duration, completesCycle,
+    // cycleLength } or null when the phase is unchanged.
+    update(intensity, deltaTime, hintPhase = null) {
+        this.time += deltaTime;
+        this.phaseTime += deltaTime;
+        this._updateSlope(intensity, deltaTime);
+
+        const next = hintPhase || this._nextPhaseFromSlope(deltaTime);
+        if (!next || next === this.phase) return null;
+
+        if (this.phaseTime < this.options.minDuration[this.phase]) return null;
+
+        return this._transition(next);
+    }
+
+    // ========================================
+    // SLOPE
+    // ========================================
+
+    _updateSlope(intensity, deltaTime) {
+        if (this.lastIntensity === null || deltaTime <= 0) {
+            this.lastIntensity = intensity;
+            return;
+        }
+
+        const rawSlope = (intensity - this.lastIntensity) / deltaTime;
+        const alpha = 1 - Math.exp(-deltaTime / this.options.slopeSmoothing);
+        this.slope = lerp(this.slope, rawSlope, alpha);
+        this.lastIntensity = intensity;
+    }
+
+    _nextPhaseFromSlope(deltaTime) {
+        const { enterSlope, exitSlope, holdDelay } = this.options;
+        const { INHALE, HOLD_IN, EXHALE, HOLD_OUT } = BreathPhase;
+
+        // Clear movement switches direction straight away
+        if (this.slope > enterSlope) {
+            this.flatTime = 0;
+            return INHALE;
+        }
+        if (this.slope < -enterSlope) {
+            this.flatTime = 0;
+            return EXHALE;
+        }
+
+        // Inside the hysteresis band: keep moving until clearly flat
+        if (Math.abs(this.slope) > exitSlope) {
+            this.flatTime = 0;
+            return this.phase;
+        }
+
+        this.flatTime += deltaTime;
+        if (this.flatTime < holdDelay) return this.phase;
+
+        // A plateau is a hold at whichever end the breath reached
+        if (this.phase === INHALE) return HOLD_IN;
+        if (this.phase === EXHALE) return HOLD_OUT;
+        return this.phase;
+    }
+
+    // ========================================
+    // TRANSITIONS
+    // ========================================
+
+    _transition(phase) {
+        const { INHALE, EXHALE, HOLD_OUT } = BreathPhase;
+
+        const transition = {
+            phase,
+            previousPhase: this.phase,
+            duration: this.phaseTime,
+            completesCycle: false,
+            cycleLength: null
+        };
+
+        // A cycle completes when a new inhale starts after an inhale and
+        // then breathing out; the first inhale after a reset only starts one
+        if (phase === INHALE) {
+            if (this.cycleStart !== null && this.breathedOut) {
+                transition.completesCycle = true;
+                transition.cycleLength = this.time - this.cycleStart;
+            }
+            this.cycleStart = this.time;
+            this.breathedOut = false;
+        } else if (phase === EXHALE || phase === HOLD_OUT) {
+            this.breathedOut = true;
+        }
+
+        this.phase = phase;
+        this.phaseTime = 0;
+        this.flatTime = 0;
+
+        return transition;
+    }
+}
+
+export default BreathPhase;
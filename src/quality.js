@@ -0,0 +1,176 @@
+/**
+ * BREATHING COSMOS - ADAPTIVE QUALITY
+ * Quality tiers and a governor that steps between them to hold the
+ * frame rate
+ */
+
+import { Storage } from './utils.js';
+
+const QUALITY_SETTING_KEY = 'breathingCosmos.quality';
+
+// ========================================
+// QUALITY TIERS
+// ========================================
+
+// particleScale    - share of the nebula's particle cap
+// spawnScale       - particle spawn rate
+// glowScale        - particle glow radius
+// gridCells        - fluid grid cells over the whole canvas
+// solverIterations - fluid pressure solver iterations per step
+// layerCount       - most polygon layers the geometry mode unfolds
+// lineGlow         - geometry line glow while a hold locks the figure
+// maxPixelRatio    - cap on the device pixel ratio the canvas renders at
+// trailFade        - share of the previous frame darkened away each frame
+export const QUALITY_TIERS = {
+    high: {
+        label: 'High',
+        particleScale: 1,
+        spawnScale: 1,
+        glowScale: 1,
+        gridCells: 160 * 90,
+        solverIterations: 16,
+        layerCount: 8,
+        lineGlow: 1,
+        maxPixelRatio: Infinity,
+        trailFade: 0.15
+    },
+    medium: {
+        label: 'Medium',
+        particleScale: 0.6,
+        spawnScale: 0.75,
+        glowScale: 0.8,
+        gridCells: 128 * 72,
+        solverIterations: 12,
+        layerCount: 6,
+        lineGlow: 0.5,
+        maxPixelRatio: 1.5,
+        trailFade: 0.2
+    },
+    low: {
+        label: 'Low',
+        particleScale: 0.35,
+        spawnScale: 0.5,
+        glowScale: 0.6,
+        gridCells: 96 * 54,
+        solverIterations: 8,
+        layerCount: 4,
+        lineGlow: 0,
+        maxPixelRatio: 1,
+        trailFade: 0.3
+    }
+};
+
+// Best first
+export const QUALITY_TIER_ORDER = ['high', 'medium', 'low'];
+
+// Timelines start here; any other tier is recorded as a change
+export const DEFAULT_QUALITY_TIER = 'high';
+
+// 'auto' lets the governor pick; a tier name pins it
+export const QUALITY_SETTINGS = ['auto', ...QUALITY_TIER_ORDER];
+
+export const QualitySetting = {
+    load() {
+        const setting = Storage.get(QUALITY_SETTING_KEY, 'auto');
+        return QUALITY_SETTINGS.includes(setting) ? setting : 'auto';
+    },
+
+    save(setting) {
+        return Storage.set(QUALITY_SETTING_KEY, setting);
+    }
+};
+
+// 60 FPS on desktop, 30 FPS on touch-first devices
+export function getTargetFps() {
+    const isMobile = typeof window !== 'undefined' &&
+        window.matchMedia &&
+        window.matchMedia('(pointer: coarse)').matches;
+
+    return isMobile ? 30 : 60;
+}
+
+// ========================================
+// QUALITY GOVERNOR
+// ========================================
+
+// Step down below this share of the target frame rate, and up once at
+// or above the upper one; in between the tier holds
+const DOWNGRADE_BELOW = 0.85;
+const UPGRADE_ABOVE = 0.95;
+
+// Seconds the frame rate has to stay out of band before a step
+const DOWNGRADE_AFTER = 3;
+const UPGRADE_AFTER = 10;
+const MAX_UPGRADE_AFTER = 160;
+
+// A step down this soon (seconds) after a step up means the higher
+// tier was too much; the next attempt waits twice as long
+const UPGRADE_TRIAL = 15;
+
+// Fed the FPSCounter reading every frame. Drops quickly when the frame
+// rate sags, climbs back slowly, and backs off further each time a
+// climb fails so it settles instead of oscillating between two tiers.
+export class QualityGovernor {
+    constructor(options = {}) {
+        this.targetFps = options.targetFps || getTargetFps();
+        this.reset(options.tier);
+    }
+
+    reset(tier = DEFAULT_QUALITY_TIER) {
+        this.tier = tier;
+        this.slowTime = 0;
+        this.fastTime = 0;
+
+        this.upgradeAfter = UPGRADE_AFTER;
+        this.trialTime = null; // Seconds since the last step up, while on trial
+    }
+
+    // Returns the new tier name when it changes, otherwise null
+    update(fps, deltaTime) {
+        const index = QUALITY_TIER_ORDER.indexOf(this.tier);
+
+        if (this.trialTime !== null) {
+            this.trialTime += deltaTime;
+            if (this.trialTime >= UPGRADE_TRIAL) {
+                // The higher tier held up
+                this.trialTime = null;
+                this.upgradeAfter = UPGRADE_AFTER;
+            }
+        }
+
+        if (fps < this.targetFps * DOWNGRADE_BELOW) {
+            this.slowTime += deltaTime;
+            this.fastTime = 0;
+
+            if (this.slowTime >= DOWNGRADE_AFTER && index < QUALITY_TIER_ORDER.length - 1) {
+                if (this.trialTime !== null) {
+                    this.trialTime = null;
+                    this.upgradeAfter = Math.min(this.upgradeAfter * 2, MAX_UPGRADE_AFTER);
+                }
+                return this._step(index + 1);
+            }
+        } else if (fps >= this.targetFps * UPGRADE_ABOVE) {
+            this.fastTime += deltaTime;
+            this.slowTime = 0;
+
+            if (this.fastTime >= this.upgradeAfter && index > 0) {
+                this.trialTime = 0;
+                return this._step(index - 1);
+            }
+        } else {
+            this.slowTime = 0;
+            this.fastTime = 0;
+        }
+
+        return null;
+    }
+
+    _step(index) {
+        this.tier = QUALITY_TIER_ORDER[index];
+        this.slowTime = 0;
+        this.fastTime = 0;
+        return this.tier;
+    }
+}
+
+export default QualityGovernor;
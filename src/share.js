@@ -0,0 +1,498 @@
+/**
+ * BREATHING COSMOS - SHARED SESSIONS
+ * Packs a breath timeline into a compact URL hash and back
+ */
+
+import { BreathTimeline, INTENSITY_LEVELS } from './timeline.js';
+import { BreathPhase } from './phases.js';
+import { MIN_PALETTE_STOPS } from './palettes.js';
+import { hexToRgb, rgbToHex } from './utils.js';
+
+const HASH_KEY = 'session';
+const FORMAT_VERSION = 1;
+const MAGIC = [0x42, 0x43]; // "BC"
+const FLAG_DEFLATE = 1;
+
+const PHASES = [BreathPhase.INHALE, BreathPhase.HOLD_IN, BreathPhase.EXHALE, BreathPhase.HOLD_OUT];
+// New types go at the end, so links made before them still decode
+const EVENT_TYPES = ['resize', 'palette', 'mode', 'quality', 'customPalette'];
+
+// Per-frame header bits (the zigzagged intensity delta fills the rest)
+const FRAME_PHASE_MASK = 0b11;
+const FRAME_CYCLES = 1 << 2; // Breath count changed, varint follows
+const FRAME_REPEAT = 1 << 3; // Repeat count follows
+const FRAME_DELTA_TIME = 1 << 4; // Non-standard step, float64 follows
+const FRAME_HEADER_BITS = 5;
+
+// Limits for untrusted hashes
+const MAX_HASH_LENGTH = 4 * 1024 * 1024;
+const MAX_PAYLOAD_BYTES = 8 * 1024 * 1024;
+const MAX_FRAMES = 60 * 60 * 60 * 2; // Two hours at 60 steps per second
+const MAX_DIMENSION = 16384;
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+
+// ========================================
+// BYTE BUFFERS
+// ========================================
+
+class ByteWriter {
+    constructor() {
+        this.bytes = new Uint8Array(1024);
+        this.length = 0;
+    }
+
+    _reserve(count) {
+        if (this.length + count <= this.bytes.length) return;
+
+        const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + count));
+        grown.set(this.bytes.subarray(0, this.length));
+        this.bytes = grown;
+    }
+
+    byte(value) {
+        this._reserve(1);
+        this.bytes[this.length++] = value & 0xff;
+    }
+
+    // Unsigned LEB128; arithmetic instead of bit ops keeps values above 2^31 intact
+    varint(value) {
+        if (!Number.isSafeInteger(value) || value < 0) {
+            throw new Error(`Cannot encode ${value} as varint`);
+        }
+
+        while (value >= 0x80) {
+            this.byte((value % 0x80) | 0x80);
+            value = Math.floor(value / 0x80);
+        }
+        this.byte(value);
+    }
+
+    float64(value) {
+        const view = new DataView(new ArrayBuffer(8));
+        view.setFloat64(0, value);
+        this.raw(new Uint8Array(view.buffer));
+    }
+
+    string(value) {
+        const encoded = new TextEncoder().encode(value);
+        this.varint(encoded.length);
+        this.raw(encoded);
+    }
+
+    raw(bytes) {
+        this._reserve(bytes.length);
+        this.bytes.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    toBytes() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+class ByteReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.offset = 0;
+    }
+
+    get remaining() {
+        return this.bytes.length - this.offset;
+    }
+
+    byte() {
+        if (this.offset >= this.bytes.length) {
+            throw new Error('Shared session is truncated');
+        }
+        return this.bytes[this.offset++];
+    }
+
+    varint() {
+        let value = 0;
+        let scale = 1;
+
+        for (let i = 0; i < 8; i++) {
+            const byte = this.byte();
+            value += (byte & 0x7f) * scale;
+            if ((byte & 0x80) === 0) return value;
+            scale *= 0x80;
+        }
+
+        throw new Error('Shared session has an invalid number');
+    }
+
+    float64() {
+        const bytes = this.raw(8);
+        return new DataView(bytes.buffer, bytes.byteOffset, 8).getFloat64(0);
+    }
+
+    string() {
+        const length = this.varint();
+        return new TextDecoder().decode(this.raw(length));
+    }
+
+    raw(length) {
+        if (length > this.remaining) {
+            throw new Error('Shared session is truncated');
+        }
+        const bytes = this.bytes.subarray(this.offset, this.offset + length);
+        this.offset += length;
+        return bytes;
+    }
+}
+
+// ========================================
+// HELPERS
+// ========================================
+
+function zigzag(value) {
+    return value >= 0 ? value * 2 : -value * 2 - 1;
+}
+
+function unzigzag(value) {
+    return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+}
+
+// FNV-1a, enough to reject edited or corrupted links
+function checksum(bytes) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < bytes.length; i++) {
+        hash ^= bytes[i];
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    if (!/^[A-Za-z0-9_-]*$/.test(text)) {
+        throw new Error('Shared session is not valid base64url');
+    }
+
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+function checkName(value, label) {
+    if (!NAME_PATTERN.test(value)) {
+        throw new Error(`Shared session has an invalid ${label}`);
+    }
+    return value;
+}
+
+function readColors(reader) {
+    const count = reader.varint();
+    if (count < MIN_PALETTE_STOPS || count * 3 > reader.remaining) {
+        throw new Error('Shared session has an invalid palette');
+    }
+
+    const colors = [];
+    for (let i = 0; i < count; i++) {
+        const [r, g, b] = reader.raw(3);
+        colors.push(rgbToHex(r, g, b));
+    }
+    return colors;
+}
+
+function checkDimension(value) {
+    if (value < 1 || value > MAX_DIMENSION) {
+        throw new Error('Shared session has an invalid size');
+    }
+    return value;
+}
+
+// ========================================
+// COMPRESSION
+// ========================================
+
+const canCompress = typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+
+async function pipeBytes(bytes, transform, maxBytes = Infinity) {
+    const reader = new Blob([bytes]).stream().pipeThrough(transform).getReader();
+    const chunks = [];
+    let total = 0;
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        total += value.length;
+        if (total > maxBytes) {
+            reader.cancel();
+            throw new Error('Shared session is too large');
+        }
+        chunks.push(value);
+    }
+
+    const result = new Uint8Array(total);
+    let offset = 0;
+    for (const chunk of chunks) {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return result;
+}
+
+// ========================================
+// TIMELINE <-> BYTES
+// ========================================
+
+function writeTimeline(writer, timeline) {
+    const step = timeline.frames.length > 0 ? timeline.frames[0].deltaTime : 1 / 60;
+    const stepsPerSecond = Math.round(1 / step);
+    const standardStep = 1 / stepsPerSecond;
+
+    writer.varint(stepsPerSecond);
+    writer.varint(timeline.seed);
+    writer.varint(Math.round(timeline.width));
+    writer.varint(Math.round(timeline.height));
+    writer.string(timeline.palette);
+    writer.string(timeline.mode);
+
+    // Frames: delta-coded 12-bit intensity, 2-bit phase and flags
+    writer.varint(timeline.frames.length);
+
+    let previousLevel = 0;
+    let previousCycles = 0;
+
+    for (const frame of timeline.frames) {
+        const level = Math.round(frame.intensity * INTENSITY_LEVELS);
+        const phaseIndex = Math.max(0, PHASES.indexOf(frame.phase));
+        const cyclesDelta = frame.totalCycles - previousCycles;
+
+        let header = phaseIndex;
+        if (cyclesDelta !== 0) header |= FRAME_CYCLES;
+        if (frame.repeat > 1) header |= FRAME_REPEAT;
+        if (frame.deltaTime !== standardStep) header |= FRAME_DELTA_TIME;
+
+        writer.varint(zigzag(level - previousLevel) * (1 << FRAME_HEADER_BITS) + header);
+        if (cyclesDelta !== 0) writer.varint(zigzag(cyclesDelta));
+        if (frame.repeat > 1) writer.varint(frame.repeat - 2);
+        if (frame.deltaTime !== standardStep) writer.float64(frame.deltaTime);
+
+        previousLevel = level;
+        previousCycles = frame.totalCycles;
+    }
+
+    // Events, with frame numbers delta-coded
+    writer.varint(timeline.events.length);
+
+    let previousFrame = 0;
+    for (const event of timeline.events) {
+        writer.varint(event.frame - previousFrame);
+        writer.byte(EVENT_TYPES.indexOf(event.type));
+
+        if (event.type === 'resize') {
+            writer.varint(Math.round(event.width));
+            writer.varint(Math.round(event.height));
+        } else if (event.type === 'customPalette') {
+            // Name, then 3 bytes per color stop
+            writer.string(event.palette);
+            writer.varint(event.colors.length);
+            for (const color of event.colors) {
+                const { r, g, b } = hexToRgb(color);
+                writer.raw(Uint8Array.of(r, g, b));
+            }
+        } else {
+            writer.string(event[event.type]);
+        }
+
+        previousFrame = event.frame;
+    }
+}
+
+function readTimeline(reader) {
+    const stepsPerSecond = reader.varint();
+    if (stepsPerSecond < 1 || stepsPerSecond > 240) {
+        throw new Error('Shared session has an invalid timestep');
+    }
+    const standardStep = 1 / stepsPerSecond;
+
+    const timeline = new BreathTimeline({
+        seed: reader.varint(),
+        width: checkDimension(reader.varint()),
+        height: checkDimension(reader.varint()),
+        palette: checkName(reader.string(), 'palette'),
+        mode: checkName(reader.string(), 'visual mode'),
+        createdAt: null
+    });
+
+    const entryCount = reader.varint();
+    if (entryCount > MAX_FRAMES || entryCount > reader.remaining) {
+        throw new Error('Shared session has too many frames');
+    }
+
+    let level = 0;
+    let totalCycles = 0;
+
+    for (let i = 0; i < entryCount; i++) {
+        const value = reader.varint();
+        const header = value % (1 << FRAME_HEADER_BITS);
+
+        level += unzigzag(Math.floor(value / (1 << FRAME_HEADER_BITS)));
+        if (level < 0 || level > INTENSITY_LEVELS) {
+            throw new Error('Shared session has an invalid intensity');
+        }
+
+        if (header & FRAME_CYCLES) totalCycles += unzigzag(reader.varint());
+        const repeat = header & FRAME_REPEAT ? reader.varint() + 2 : 1;
+        const deltaTime = header & FRAME_DELTA_TIME ? reader.float64() : standardStep;
+
+        if (!(deltaTime > 0 && deltaTime <= 1) || totalCycles < 0) {
+            throw new Error('Shared session has an invalid frame');
+        }
+
+        timeline.frames.push({
+            deltaTime,
+            intensity: level / INTENSITY_LEVELS,
+            phase: PHASES[header & FRAME_PHASE_MASK],
+            totalCycles,
+            repeat
+        });
+
+        timeline.frameCount += repeat;
+        if (timeline.frameCount > MAX_FRAMES) {
+            throw new Error('Shared session is too long');
+        }
+    }
+
+    const eventCount = reader.varint();
+    if (eventCount > reader.remaining) {
+        throw new Error('Shared session has too many events');
+    }
+
+    let frame = 0;
+    for (let i = 0; i < eventCount; i++) {
+        frame += reader.varint();
+        const type = EVENT_TYPES[reader.byte()];
+
+        if (!type || frame > timeline.frameCount) {
+            throw new Error('Shared session has an invalid event');
+        }
+
+        if (type === 'resize') {
+            timeline.events.push({
+                frame,
+                type,
+                width: checkDimension(reader.varint()),
+                height: checkDimension(reader.varint())
+            });
+        } else if (type === 'customPalette') {
+            timeline.events.push({
+                frame,
+                type,
+                palette: checkName(reader.string(), 'palette'),
+                colors: readColors(reader)
+            });
+        } else {
+            timeline.events.push({ frame, type, [type]: checkName(reader.string(), type) });
+        }
+    }
+
+    return timeline;
+}
+
+// ========================================
+// PUBLIC API
+// ========================================
+
+// Encode a timeline as a base64url string for the URL hash
+export async function encodeSharedSession(timeline) {
+    const writer = new ByteWriter();
+    writeTimeline(writer, timeline);
+
+    let payload = writer.toBytes();
+    const sum = checksum(payload);
+    let flags = 0;
+
+    if (canCompress) {
+        const compressed = await pipeBytes(payload, new CompressionStream('deflate-raw'));
+        if (compressed.length < payload.length) {
+            payload = compressed;
+            flags |= FLAG_DEFLATE;
+        }
+    }
+
+    const packed = new ByteWriter();
+    packed.raw(MAGIC);
+    packed.byte(FORMAT_VERSION);
+    packed.byte(flags);
+    packed.raw([sum >>> 24, (sum >>> 16) & 0xff, (sum >>> 8) & 0xff, sum & 0xff]);
+    packed.raw(payload);
+
+    return toBase64Url(packed.toBytes());
+}
+
+// Decode a base64url string back into a timeline. Throws on anything
+// malformed, tampered with or from an unknown format version.
+export async function decodeSharedSession(encoded) {
+    if (typeof encoded !== 'string' || encoded.length === 0 || encoded.length > MAX_HASH_LENGTH) {
+        throw new Error('Shared session is missing or too large');
+    }
+
+    const reader = new ByteReader(fromBase64Url(encoded));
+
+    if (reader.byte() !== MAGIC[0] || reader.byte() !== MAGIC[1]) {
+        throw new Error('Not a shared session');
+    }
+    if (reader.byte() !== FORMAT_VERSION) {
+        throw new Error('Shared session is from an unsupported version');
+    }
+
+    const flags = reader.byte();
+    const expected = reader.raw(4).reduce((sum, byte) => sum * 256 + byte, 0);
+
+    let payload = reader.raw(reader.remaining);
+    if (flags & FLAG_DEFLATE) {
+        if (!canCompress) {
+            throw new Error('This browser cannot open compressed shared sessions');
+        }
+        payload = await pipeBytes(payload, new DecompressionStream('deflate-raw'), MAX_PAYLOAD_BYTES);
+    }
+
+    if (checksum(payload) !== expected) {
+        throw new Error('Shared session failed its integrity check');
+    }
+
+    const payloadReader = new ByteReader(payload);
+    const timeline = readTimeline(payloadReader);
+
+    if (payloadReader.remaining !== 0) {
+        throw new Error('Shared session has trailing data');
+    }
+
+    return timeline;
+}
+
+// ========================================
+// URL HASH
+// ========================================
+
+export async function createShareUrl(timeline) {
+    const encoded = await encodeSharedSession(timeline);
+    return `${location.origin}${location.pathname}#${HASH_KEY}=${encoded}`;
+}
+
+// Encoded session from a hash such as "#session=...", or null
+export function readShareHash(hash = location.hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    return params.get(HASH_KEY);
+}
+
+export function clearShareHash() {
+    history.replaceState(null, '', `${location.pathname}${location.search}`);
+}
+
+export default encodeSharedSession;
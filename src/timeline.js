@@ -0,0 +1,295 @@
+/**
+ * BREATHING COSMOS - BREATH TIMELINE
+ * Fixed-timestep clock, per-frame breath recording and deterministic replay
+ */
+
+import { clamp, randomInt } from './utils.js';
+import { DEFAULT_QUALITY_TIER } from './quality.js';
+
+// Simulation step shared by live sessions and replays (seconds)
+export const FIXED_STEP = 1 / 60;
+
+// Visuals receive intensity on a 12-bit grid so a timeline can be
+// stored compactly (e.g. in a share URL) and still replay exactly
+export const INTENSITY_LEVELS = 4095;
+
+export function quantizeIntensity(intensity) {
+    return Math.round(clamp(intensity, 0, 1) * INTENSITY_LEVELS) / INTENSITY_LEVELS;
+}
+
+const TIMELINE_VERSION = 1;
+
+// SeededRandom works on integer seeds below its modulus
+export function createSessionSeed() {
+    return randomInt(1, 233279);
+}
+
+// ========================================
+// FIXED-STEP CLOCK
+// ========================================
+
+// Turns jittery frame times into a whole number of equal simulation
+// steps, carrying the remainder over to the next frame
+export class FixedStepClock {
+    constructor(step = FIXED_STEP, maxSteps = 6) {
+        this.step = step;
+        this.maxSteps = maxSteps; // Stop a stalled tab from fast-forwarding
+        this.accumulator = 0;
+    }
+
+    advance(deltaTime) {
+        this.accumulator += Math.max(0, deltaTime);
+
+        const steps = Math.floor(this.accumulator / this.step);
+        this.accumulator -= steps * this.step;
+
+        if (steps > this.maxSteps) {
+            this.accumulator = 0;
+            return this.maxSteps;
+        }
+        return steps;
+    }
+
+    reset() {
+        this.accumulator = 0;
+    }
+}
+
+// ========================================
+// BREATH TIMELINE
+// ========================================
+
+// Everything the visuals saw during a session: the seed, the breath
+// state fed to each simulation step, and size/palette/mode/quality
+// changes keyed by the step they happened before. Timelines start at
+// the default quality tier. Custom palettes travel with the timeline
+// as 'customPalette' events, so replays elsewhere still have them.
+export class BreathTimeline {
+    constructor({ seed, width, height, palette = 'deepSpace', mode = 'nebula', createdAt = Date.now() } = {}) {
+        this.seed = seed;
+        this.width = width;
+        this.height = height;
+        this.palette = palette;
+        this.mode = mode;
+        this.createdAt = createdAt;
+
+        // { deltaTime, intensity, phase, totalCycles, repeat }
+        // Identical consecutive frames (pauses, holds) share one entry
+        this.frames = [];
+        this.frameCount = 0;
+
+        // { frame, type: 'resize' | 'palette' | 'customPalette' | 'mode' | 'quality', ...data }
+        // 'customPalette' carries { palette, colors }
+        this.events = [];
+    }
+
+    record(breathState, deltaTime) {
+        const { intensity, phase, totalCycles } = breathState;
+        const last = this.frames[this.frames.length - 1];
+
+        if (last &&
+            last.deltaTime === deltaTime &&
+            last.intensity === intensity &&
+            last.phase === phase &&
+            last.totalCycles === totalCycles) {
+            last.repeat++;
+        } else {
+            this.frames.push({ deltaTime, intensity, phase, totalCycles, repeat: 1 });
+        }
+
+        this.frameCount++;
+    }
+
+    // Note a change that applies from the next recorded frame on
+    mark(type, data = {}) {
+        this.events.push({ frame: this.frameCount, type, ...data });
+    }
+
+    get duration() {
+        return this.frames.reduce((total, f) => total + f.deltaTime * f.repeat, 0);
+    }
+
+    // Sparse { time, intensity, phase } keyframes for ScriptedInputSource,
+    // one per phase change and at most every `interval` seconds between
+    toKeyframes(interval = 0.25) {
+        const keyframes = [];
+        let time = 0;
+        let lastTime = -Infinity;
+        let lastPhase = null;
+
+        for (const frame of this.frames) {
+            if (frame.phase !== lastPhase || time - lastTime >= interval) {
+                keyframes.push({ time, intensity: frame.intensity, phase: frame.phase });
+                lastTime = time;
+                lastPhase = frame.phase;
+            }
+            time += frame.deltaTime * frame.repeat;
+
+            // Hold the value through long runs instead of ramping across them
+            if (frame.repeat > 1 && time - lastTime >= interval) {
+                keyframes.push({ time, intensity: frame.intensity, phase: frame.phase });
+                lastTime = time;
+            }
+        }
+
+        return keyframes;
+    }
+
+    toJSON() {
+        return {
+            version: TIMELINE_VERSION,
+            seed: this.seed,
+            width: this.width,
+            height: this.height,
+            palette: this.palette,
+            mode: this.mode,
+            createdAt: this.createdAt,
+            frameCount: this.frameCount,
+            frames: this.frames,
+            events: this.events
+        };
+    }
+
+    static fromJSON(data) {
+        if (!data || data.version !== TIMELINE_VERSION || !Array.isArray(data.frames)) {
+            throw new Error('Unsupported breath timeline');
+        }
+
+        const timeline = new BreathTimeline(data);
+        timeline.frames = data.frames.map(f => ({ ...f }));
+        timeline.frameCount = data.frames.reduce((total, f) => total + f.repeat, 0);
+        timeline.events = Array.isArray(data.events) ? data.events.map(e => ({ ...e })) : [];
+        return timeline;
+    }
+}
+
+// ========================================
+// TIMELINE PLAYER
+// ========================================
+
+// Replays a timeline into a VisualRenderer. Frames are applied with
+// their recorded deltaTime, so the simulation after N frames is the
+// same at any playback speed; speed only changes how many frames are
+// consumed per animation frame.
+export class TimelinePlayer {
+    constructor(timeline, renderer, options = {}) {
+        this.timeline = timeline;
+        this.renderer = renderer;
+        this.speed = options.speed || 1;
+        this.maxFramesPerTick = options.maxFramesPerTick || 600;
+        this.duration = timeline.duration;
+
+        this.rewind();
+    }
+
+    rewind() {
+        const { seed, width, height, palette, mode } = this.timeline;
+
+        this.renderer.setMode(mode);
+        this.renderer.setPalette(palette);
+        this.renderer.setQuality(DEFAULT_QUALITY_TIER);
+        this.renderer.reset(seed);
+        this.renderer.resizeVisual(width, height);
+
+        this.entryIndex = 0;
+        this.repeatIndex = 0;
+        this.frameIndex = 0;
+        this.eventIndex = 0;
+        this.time = 0;
+        this.accumulator = 0;
+        this.currentFrame = null;
+    }
+
+    get isComplete() {
+        return this.frameIndex >= this.timeline.frameCount;
+    }
+
+    // Advance by wall-clock time; returns the number of frames applied
+    advance(deltaTime) {
+        this.accumulator += Math.max(0, deltaTime) * this.speed;
+
+        let applied = 0;
+        while (!this.isComplete && applied < this.maxFramesPerTick) {
+            const frame = this.timeline.frames[this.entryIndex];
+            if (this.accumulator < frame.deltaTime) break;
+
+            this.accumulator -= frame.deltaTime;
+            this.step();
+            applied++;
+        }
+
+        // Keep up at very high speeds without growing the backlog forever
+        if (applied >= this.maxFramesPerTick) {
+            this.accumulator = 0;
+        }
+
+        return applied;
+    }
+
+    // Jump to a frame by replaying everything before it
+    seek(frameIndex) {
+        this.rewind();
+        while (!this.isComplete && this.frameIndex < frameIndex) {
+            this.step();
+        }
+    }
+
+    // Apply every remaining frame, plus changes recorded after the last
+    // one, leaving the visual exactly where the recording ended
+    finish() {
+        while (!this.isComplete) {
+            this.step();
+        }
+        this._applyEvents();
+    }
+
+    // Apply exactly one recorded frame
+    step() {
+        if (this.isComplete) return null;
+
+        this._applyEvents();
+
+        const frame = this.timeline.frames[this.entryIndex];
+        this.renderer.update(frame, frame.deltaTime);
+
+        this.currentFrame = frame;
+        this.time += frame.deltaTime;
+        this.frameIndex++;
+
+        this.repeatIndex++;
+        if (this.repeatIndex >= frame.repeat) {
+            this.repeatIndex = 0;
+            this.entryIndex++;
+        }
+
+        return frame;
+    }
+
+    _applyEvents() {
+        const events = this.timeline.events;
+
+        while (this.eventIndex < events.length && events[this.eventIndex].frame <= this.frameIndex) {
+            const event = events[this.eventIndex++];
+
+            switch (event.type) {
+                case 'resize':
+                    this.renderer.resizeVisual(event.width, event.height);
+                    break;
+                case 'palette':
+                    this.renderer.setPalette(event.palette);
+                    break;
+                case 'customPalette':
+                    this.renderer.definePalette(event.palette, event.colors);
+                    break;
+                case 'mode':
+                    this.renderer.setMode(event.mode);
+                    break;
+                case 'quality':
+                    this.renderer.setQuality(event.quality);
+                    break;
+            }
+        }
+    }
+}
+
+export default BreathTimeline;
@@ -4,6 +4,21 @@
  */
 
 import { formatTime } from './utils.js';
+import { formatRate, formatRatio, formatSeconds, formatRegularity } from './metrics.js';
+import { PatternPanel } from './panels/patterns.js';
+import { CalibrationPanel } from './panels/calibration.js';
+import { CoachPanel } from './panels/coach.js';
+import { HistoryPanel } from './panels/history.js';
+import { PalettePanel } from './panels/palettes.js';
+import { ExportPanel } from './panels/export.js';
+import { RecordPanel } from './panels/record.js';
+import { LoopPanel } from './panels/loop.js';
+import { GalleryPanel } from './panels/gallery.js';
+import { getVisualModes } from './visuals/index.js';
+import { QUALITY_SETTINGS, QUALITY_TIERS } from './quality.js';
+
+// How long each toast notification shows, in milliseconds
+const NOTIFICATION_DURATION = 3000;
 
 // ========================================
 // UI CONTROLLER
@@ -23,20 +38,68 @@ export class UIController {
         this.breathPhaseText = document.querySelector('.breath-phase-text');
         this.sessionTimer = document.querySelector('.session-timer');
         this.breathCount = document.querySelector('.breath-count');
+        this.breathRate = document.querySelector('.breath-rate');
+        this.breathRatio = document.querySelector('.breath-ratio');
+        this.breathRegularity = document.querySelector('.breath-regularity');
 
         // Buttons
         this.startManualBtn = document.getElementById('start-manual');
         this.startMicBtn = document.getElementById('start-mic');
+        this.startGuidedBtn = document.getElementById('start-guided');
+        this.startCoachBtn = document.getElementById('start-coach');
+        this.showHistoryBtn = document.getElementById('show-history');
+        this.showGalleryBtn = document.getElementById('show-gallery');
         this.toggleUIBtn = document.getElementById('toggle-ui');
         this.toggleAudioBtn = document.getElementById('toggle-audio');
         this.saveScreenshotBtn = document.getElementById('save-screenshot');
+        this.recordClipBtn = document.getElementById('record-clip');
+        this.exportLoopBtn = document.getElementById('export-loop');
+        this.openPalettesBtn = document.getElementById('open-palettes');
         this.resetSessionBtn = document.getElementById('reset-session');
         this.resumeSessionBtn = document.getElementById('resume-session');
         this.saveAndExitBtn = document.getElementById('save-and-exit');
         this.newSessionBtn = document.getElementById('new-session');
+        this.changePatternBtn = document.getElementById('change-pattern');
+        this.recalibrateBtn = document.getElementById('recalibrate-mic');
+        this.finishCoachingBtn = document.getElementById('finish-coaching');
+        this.replaySessionBtn = document.getElementById('replay-session');
+        this.copyShareLinkBtn = document.getElementById('copy-share-link');
+        this.exportArtworkBtn = document.getElementById('export-artwork');
+        this.openGalleryBtn = document.getElementById('open-gallery');
+
+        // Shared session banner
+        this.sharedBanner = document.getElementById('shared-banner');
+        this.sharedBannerText = this.sharedBanner.querySelector('.shared-banner-text');
+        this.breatheAlongBtn = document.getElementById('breathe-along');
+        this.watchAgainBtn = document.getElementById('watch-again');
+        this.startOwnBtn = document.getElementById('start-own');
 
         // Mode buttons
-        this.modeButtons = document.querySelectorAll('.mode-button');
+        this.modeOptions = document.getElementById('mode-options');
+        this.modeButtons = this._createModeButtons();
+
+        // Quality buttons (Auto plus one per tier)
+        this.qualityOptions = document.getElementById('quality-options');
+        this.qualityButtons = this._createQualityButtons();
+
+        // FPS and quality tier, toggled with D
+        this.debugReadout = document.getElementById('debug-readout');
+
+        // Toast notifications, shown one at a time
+        this.notification = document.getElementById('notification');
+        this.notificationQueue = [];
+        this.notificationTimer = null;
+
+        // Panels
+        this.patternPanel = new PatternPanel(this);
+        this.calibrationPanel = new CalibrationPanel(this);
+        this.coachPanel = new CoachPanel(this);
+        this.historyPanel = new HistoryPanel(this);
+        this.palettePanel = new PalettePanel(this);
+        this.exportPanel = new ExportPanel(this);
+        this.recordPanel = new RecordPanel(this);
+        this.loopPanel = new LoopPanel(this);
+        this.galleryPanel = new GalleryPanel(this);
 
         // State
         this.sessionStartTime = 0;
@@ -53,16 +116,36 @@ export class UIController {
         });
 
         this.startMicBtn.addEventListener('click', async () => {
-            const success = await this.app.startSession('mic');
-            if (success) {
-                this.hideWelcome();
-            } else {
+            const success = await this.app.initMicrophone();
+            if (!success) {
                 alert('Microphone access denied. Starting in manual mode.');
                 this.app.startSession('manual');
                 this.hideWelcome();
+            } else if (this.app.breathing.source.profile) {
+                await this.app.startSession('mic');
+                this.hideWelcome();
+            } else {
+                // First time on this device: calibrate before starting
+                this.calibrationPanel.open('welcome');
             }
         });
 
+        this.startGuidedBtn.addEventListener('click', () => {
+            this.patternPanel.open('welcome');
+        });
+
+        this.startCoachBtn.addEventListener('click', () => {
+            this.coachPanel.open();
+        });
+
+        this.showHistoryBtn.addEventListener('click', () => {
+            this.historyPanel.open();
+        });
+
+        this.showGalleryBtn.addEventListener('click', () => {
+            this.galleryPanel.open();
+        });
+
         // Main UI controls
         this.toggleUIBtn.addEventListener('click', () => {
             this.toggleUI();
@@ -77,6 +160,18 @@ export class UIController {
             this.app.saveScreenshot();
         });
 
+        this.recordClipBtn.addEventListener('click', () => {
+            this.toggleRecording();
+        });
+
+        this.exportLoopBtn.addEventListener('click', () => {
+            this.toggleLoop();
+        });
+
+        this.openPalettesBtn.addEventListener('click', () => {
+            this.palettePanel.toggle();
+        });
+
         this.resetSessionBtn.addEventListener('click', () => {
             this.app.resetSession();
         });
@@ -97,6 +192,54 @@ export class UIController {
             this.app.resumeSession();
         });
 
+        this.changePatternBtn.addEventListener('click', () => {
+            this.patternPanel.open('pause');
+        });
+
+        this.recalibrateBtn.addEventListener('click', () => {
+            this.calibrationPanel.open('pause');
+        });
+
+        this.replaySessionBtn.addEventListener('click', () => {
+            if (this.app.startReplay()) {
+                this.hidePause();
+            }
+        });
+
+        this.copyShareLinkBtn.addEventListener('click', () => {
+            this.app.copyShareLink();
+        });
+
+        this.exportArtworkBtn.addEventListener('click', () => {
+            this.exportPanel.open();
+        });
+
+        this.openGalleryBtn.addEventListener('click', () => {
+            this.galleryPanel.open();
+        });
+
+        // Shared session banner
+        this.breatheAlongBtn.addEventListener('click', async () => {
+            this.sharedBanner.classList.add('hidden');
+            await this.app.breatheAlong();
+            this.hideWelcome();
+        });
+
+        this.watchAgainBtn.addEventListener('click', () => {
+            this.app.startReplay(this.app.sharedTimeline);
+        });
+
+        this.startOwnBtn.addEventListener('click', () => {
+            this.app.leaveSharedSession();
+            this.sharedBanner.classList.add('hidden');
+            this.showWelcome();
+        });
+
+        this.finishCoachingBtn.addEventListener('click', () => {
+            this.coachPanel.showSummary(this.app.finishCoaching());
+            this._updatePauseButtons();
+        });
+
         // Mode buttons
         this.modeButtons.forEach(btn => {
             btn.addEventListener('click', () => {
@@ -106,6 +249,15 @@ export class UIController {
             });
         });
 
+        // Quality buttons
+        this.qualityButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                const setting = btn.dataset.quality;
+                this.setActiveQuality(setting);
+                this.app.setQualitySetting(setting);
+            });
+        });
+
         // Keyboard shortcuts
         window.addEventListener('keydown', (e) => {
             // Don't trigger if typing in input
@@ -125,13 +277,63 @@ export class UIController {
                     this.app.saveScreenshot();
                     break;
                 case 'KeyR':
-                    this.app.resetSession();
+                    if (this.app.timeline) {
+                        this.app.resetSession();
+                    }
                     break;
                 case 'KeyF':
                     this.toggleFullscreen();
                     break;
+                case 'KeyD':
+                    this.debugReadout.classList.toggle('hidden');
+                    break;
+                case 'KeyP':
+                    if (this.app.timeline) {
+                        this.palettePanel.toggle();
+                    }
+                    break;
+                case 'KeyE':
+                    if (this.app.timeline) {
+                        this.exportPanel.toggle();
+                    }
+                    break;
+                case 'KeyV':
+                    if (this.app.timeline) {
+                        this.toggleRecording();
+                    }
+                    break;
+                case 'KeyL':
+                    if (this.app.timeline) {
+                        this.toggleLoop();
+                    }
+                    break;
+                case 'KeyG':
+                    this.galleryPanel.toggle();
+                    break;
                 case 'Escape':
-                    if (!this.welcomeOverlay.classList.contains('active')) {
+                    if (this.calibrationPanel.isOpen) {
+                        break;
+                    } else if (this.exportPanel.isOpen) {
+                        this.exportPanel.close();
+                    } else if (this.recordPanel.isOpen) {
+                        this.recordPanel.close();
+                    } else if (this.loopPanel.isOpen) {
+                        this.loopPanel.close();
+                    } else if (this.palettePanel.isOpen) {
+                        this.palettePanel.close();
+                    } else if (this.patternPanel.isOpen) {
+                        this.patternPanel.close();
+                    } else if (this.coachPanel.isOpen) {
+                        this.coachPanel.close();
+                    } else if (this.galleryPanel.isViewing) {
+                        this.galleryPanel.closeViewer();
+                    } else if (this.galleryPanel.isOpen) {
+                        this.galleryPanel.close();
+                    } else if (this.historyPanel.isOpen) {
+                        this.historyPanel.close();
+                    } else if (this.app.player) {
+                        this.app.stopReplay();
+                    } else if (!this.welcomeOverlay.classList.contains('active') && this.app.timeline) {
                         this.showPause();
                         this.app.pauseSession();
                     }
@@ -156,17 +358,73 @@ export class UIController {
     showPause() {
         this.pauseOverlay.classList.add('active');
 
+        this._updatePauseButtons();
+
         // Update pause overlay stats
         const duration = (Date.now() - this.sessionStartTime) / 1000;
         document.getElementById('pause-duration').textContent = formatTime(duration);
         document.getElementById('pause-breaths').textContent =
             this.app.breathing.state.totalCycles.toString();
+
+        const metrics = this.app.breathing.metrics.getSnapshot();
+        document.getElementById('pause-rate').textContent = `${formatRate(metrics.breathsPerMinute)} bpm`;
+        document.getElementById('pause-ratio').textContent = formatRatio(metrics.ieRatio);
+        document.getElementById('pause-hold-in').textContent = formatSeconds(metrics.avgHoldIn);
+        document.getElementById('pause-hold-out').textContent = formatSeconds(metrics.avgHoldOut);
+        document.getElementById('pause-regularity').textContent = formatRegularity(metrics.variability);
+    }
+
+    _updatePauseButtons() {
+        // Recalibration only makes sense while listening to the mic
+        this.recalibrateBtn.classList.toggle('hidden', this.app.breathing.mode !== 'mic');
+
+        // The coach paces the user's own breath, so no guided patterns meanwhile
+        this.finishCoachingBtn.classList.toggle('hidden', !this.app.coach);
+        this.changePatternBtn.classList.toggle('hidden', !!this.app.coach);
     }
 
     hidePause() {
         this.pauseOverlay.classList.remove('active');
     }
 
+    onReplayEnded(timeline) {
+        // Shared sessions keep their banner; the user's own replay
+        // returns to the pause screen it was started from
+        if (timeline !== this.app.sharedTimeline) {
+            this.showPause();
+        }
+    }
+
+    // Opened from a share link or reopened from the gallery: watch the
+    // artwork rebuild instead of starting at the welcome screen
+    showSharedSession(message = 'A shared cosmos is forming') {
+        this.welcomeOverlay.classList.remove('active');
+        this.hidePause();
+        this.sharedBannerText.textContent = message;
+        this.sharedBanner.classList.remove('hidden');
+    }
+
+    async onCalibrationClosed(source) {
+        // Skipped calibration keeps the default mapping
+        if (source === 'welcome') {
+            await this.app.startSession('mic');
+            this.hideWelcome();
+        }
+    }
+
+    async selectPattern(pattern, source) {
+        this.patternPanel.close();
+
+        if (source === 'pause') {
+            await this.app.setGuidedPattern(pattern);
+            this.hidePause();
+            this.app.resumeSession();
+        } else {
+            await this.app.startSession('guided', pattern);
+            this.hideWelcome();
+        }
+    }
+
     hideLoading() {
         this.loading.classList.add('hidden');
     }
@@ -176,7 +434,11 @@ export class UIController {
     // ========================================
 
     toggleUI() {
-        this.isUIVisible = !this.isUIVisible;
+        this.setUIVisible(!this.isUIVisible);
+    }
+
+    setUIVisible(visible) {
+        this.isUIVisible = visible;
 
         if (this.isUIVisible) {
             this.mainUI.classList.remove('hidden');
@@ -185,6 +447,24 @@ export class UIController {
         }
     }
 
+    // Open the record panel, or stop the clip being recorded
+    toggleRecording() {
+        if (this.recordPanel.isRecording) {
+            this.recordPanel.stop();
+        } else {
+            this.recordPanel.toggle();
+        }
+    }
+
+    // Open the loop panel, or cancel a loop still being captured
+    toggleLoop() {
+        if (this.loopPanel.isBusy) {
+            this.app.cancelLoop();
+        } else {
+            this.loopPanel.toggle();
+        }
+    }
+
     // ========================================
     // UPDATE UI
     // ========================================
@@ -192,8 +472,22 @@ export class UIController {
     update() {
         if (!this.app.breathing) return;
 
+        this._updateDebugReadout();
+        this.recordPanel.update();
+        this.loopPanel.update();
+
         const state = this.app.breathing.getState();
 
+        // Replays show their own phase and progress instead of the live session
+        const player = this.app.player;
+        if (player) {
+            if (player.currentFrame) {
+                this.breathPhaseText.textContent = this.app.breathing.getPhaseText(player.currentFrame.phase);
+            }
+            this.sessionTimer.textContent = `Replay ${formatTime(player.time)} / ${formatTime(player.duration)}`;
+            return;
+        }
+
         // Update breath phase text
         if (this.breathPhaseText) {
             this.breathPhaseText.textContent = this.app.breathing.getPhaseText();
@@ -209,6 +503,30 @@ export class UIController {
         if (this.breathCount) {
             this.breathCount.textContent = `${state.totalCycles} breath${state.totalCycles !== 1 ? 's' : ''}`;
         }
+
+        this.coachPanel.update();
+
+        // Update respiration metrics
+        const { metrics } = state;
+        if (this.breathRate) {
+            this.breathRate.textContent = `${formatRate(metrics.breathsPerMinute)} bpm`;
+        }
+        if (this.breathRatio) {
+            this.breathRatio.textContent = `I:E ${formatRatio(metrics.ieRatio)}`;
+        }
+        if (this.breathRegularity) {
+            this.breathRegularity.textContent = `${formatRegularity(metrics.variability)} steady`;
+        }
+    }
+
+    _updateDebugReadout() {
+        if (this.debugReadout.classList.contains('hidden')) return;
+
+        const { fps, qualitySetting, visuals } = this.app;
+        const tier = QUALITY_TIERS[visuals.qualityTier].label;
+        const source = qualitySetting === 'auto' ? 'auto' : 'fixed';
+
+        this.debugReadout.textContent = `${fps} FPS · ${tier} (${source}) · ${visuals.backend.name}`;
     }
 
     // ========================================
@@ -224,6 +542,20 @@ export class UIController {
         }
     }
 
+    // One button per registered visual mode
+    _createModeButtons() {
+        return getVisualModes().map(({ name, label }) => {
+            const button = document.createElement('button');
+            button.className = 'mode-button';
+            button.dataset.mode = name;
+            button.textContent = label;
+            button.classList.toggle('active', name === this.app.visuals.mode);
+
+            this.modeOptions.appendChild(button);
+            return button;
+        });
+    }
+
     setActiveMode(modeName) {
         this.modeButtons.forEach(btn => {
             if (btn.dataset.mode === modeName) {
@@ -234,6 +566,25 @@ export class UIController {
         });
     }
 
+    _createQualityButtons() {
+        return QUALITY_SETTINGS.map(setting => {
+            const button = document.createElement('button');
+            button.className = 'mode-button';
+            button.dataset.quality = setting;
+            button.textContent = setting === 'auto' ? 'Auto' : QUALITY_TIERS[setting].label;
+            button.classList.toggle('active', setting === this.app.qualitySetting);
+
+            this.qualityOptions.appendChild(button);
+            return button;
+        });
+    }
+
+    setActiveQuality(setting) {
+        this.qualityButtons.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.quality === setting);
+        });
+    }
+
     // ========================================
     // UTILITIES
     // ========================================
@@ -246,10 +597,26 @@ export class UIController {
         }
     }
 
+    // Messages that arrive while a toast is showing wait their turn,
+    // so a warning isn't replaced by the success message after it
     showNotification(message) {
-        // Simple notification (could be enhanced with toast library)
         console.log('Notification:', message);
-        // TODO: Phase 2 - implement toast notifications
+
+        this.notificationQueue.push(message);
+        if (!this.notificationTimer) this._showNextNotification();
+    }
+
+    _showNextNotification() {
+        const message = this.notificationQueue.shift();
+        if (message === undefined) {
+            this.notificationTimer = null;
+            this.notification.classList.remove('visible');
+            return;
+        }
+
+        this.notification.textContent = message;
+        this.notification.classList.add('visible');
+        this.notificationTimer = setTimeout(() => this._showNextNotification(), NOTIFICATION_DURATION);
     }
 }
 
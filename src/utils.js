@@ -109,6 +109,22 @@ export const ColorPalettes = {
     ]
 };
 
+// The palettes above; custom palettes can't replace them
+const BUILT_IN_PALETTES = new Set(Object.keys(ColorPalettes));
+
+export function isBuiltInPalette(name) {
+    return BUILT_IN_PALETTES.has(name);
+}
+
+// Add or replace a custom palette, so its name works anywhere a built-in
+// palette name does. Returns false for names that can't be used.
+export function registerPalette(name, colors) {
+    if (isBuiltInPalette(name) || name in Object.prototype || colors.length < 2) return false;
+
+    ColorPalettes[name] = [...colors];
+    return true;
+}
+
 // Convert hex to RGB object
 export function hexToRgb(hex) {
     const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
@@ -138,9 +154,16 @@ export function lerpColor(color1, color2, t) {
     return rgbToHex(r, g, b);
 }
 
-// Get color from palette with interpolation
+// Palette name or color array -> color array
+export function getPaletteColors(palette) {
+    if (Array.isArray(palette)) return palette;
+    return Object.hasOwn(ColorPalettes, palette) ? ColorPalettes[palette] : ColorPalettes.deepSpace;
+}
+
+// Get color from palette with interpolation. `palette` is a palette name
+// or an array of hex colors (e.g. part-way through a palette tween)
 export function getColorFromPalette(palette, t) {
-    const paletteColors = ColorPalettes[palette] || ColorPalettes.deepSpace;
+    const paletteColors = getPaletteColors(palette);
     const scaledT = t * (paletteColors.length - 1);
     const index = Math.floor(scaledT);
     const localT = scaledT - index;
@@ -152,6 +175,18 @@ export function getColorFromPalette(palette, t) {
     return lerpColor(paletteColors[index], paletteColors[index + 1], localT);
 }
 
+// Blend two palettes, sampled at the larger palette's color stops
+export function lerpPalette(from, to, t) {
+    const count = Math.max(getPaletteColors(from).length, getPaletteColors(to).length);
+    const colors = [];
+
+    for (let i = 0; i < count; i++) {
+        const position = i / (count - 1);
+        colors.push(lerpColor(getColorFromPalette(from, position), getColorFromPalette(to, position), t));
+    }
+    return colors;
+}
+
 // Add alpha to hex color
 export function hexToRgba(hex, alpha = 1) {
     const rgb = hexToRgb(hex);
@@ -247,13 +282,52 @@ export function formatTime(seconds) {
 // CANVAS UTILITIES
 // ========================================
 
+// A canvas that works on the main thread and in workers (where there is
+// no document, only OffscreenCanvas)
+export function createCanvas(width = 300, height = 150) {
+    if (typeof document === 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+// PNG (or `type`) blob of a canvas element or OffscreenCanvas
+export function canvasToBlob(canvas, type = 'image/png') {
+    if (canvas.convertToBlob) {
+        return canvas.convertToBlob({ type });
+    }
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Canvas is empty')), type);
+    });
+}
+
+// Save a blob through the browser's download prompt
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+
+    URL.revokeObjectURL(url);
+}
+
 export function clearCanvas(ctx, alpha = 1) {
     ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
 }
 
+// Covers the whole canvas whatever the context's transform
 export function fadeCanvas(ctx, alpha = 0.1) {
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
     ctx.fillStyle = `rgba(0, 0, 0, ${alpha})`;
     ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    ctx.restore();
 }
 
 // Draw circle with glow effect
@@ -356,13 +430,20 @@ export default {
     SeededRandom,
     Easing,
     ColorPalettes,
+    isBuiltInPalette,
+    registerPalette,
     hexToRgb,
     rgbToHex,
     lerpColor,
+    getPaletteColors,
     getColorFromPalette,
+    lerpPalette,
     hexToRgba,
     Vector2,
     formatTime,
+    createCanvas,
+    canvasToBlob,
+    downloadBlob,
     clearCanvas,
     fadeCanvas,
     drawGlowCircle,
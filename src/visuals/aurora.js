@@ -0,0 +1,253 @@
+/**
+ * BREATHING COSMOS - AURORA WAVES VISUAL MODE
+ * Curtains of vertically streaked light over a horizon silhouette that
+ * rise, brighten and quicken with each inhale and shimmer on holds
+ */
+
+import { SeededRandom, clamp, lerp, getColorFromPalette, hexToRgba } from '../utils.js';
+import { BreathPhase } from '../phases.js';
+import { Starfield } from './starfield.js';
+import { registerVisualMode } from './registry.js';
+
+const RIBBON_COUNT = 4;
+
+// Horizontal spacing of the vertical rays (px)
+const RAY_SPACING = 4;
+
+// Average height of the horizon as a fraction of the canvas
+const HORIZON = 0.8;
+const RIDGE_POINTS = 48;
+
+const TAU = Math.PI * 2;
+
+// ========================================
+// AURORA VISUAL MODE
+// ========================================
+
+export class AuroraVisual {
+    constructor(canvasWidth, canvasHeight, seed = 1) {
+        this.canvasWidth = canvasWidth;
+        this.canvasHeight = canvasHeight;
+
+        this.palette = 'deepSpace';
+
+        this.reset(seed);
+    }
+
+    // Pass a seed to start a new (or replayed) session from scratch
+    reset(seed = this.seed) {
+        this.seed = seed;
+        this.rng = new SeededRandom(seed);
+
+        // Positions and sizes are fractions of the canvas so a resize
+        // keeps the same sky
+        this.ribbons = [];
+        for (let i = 0; i < RIBBON_COUNT; i++) {
+            this.ribbons.push({
+                baseline: this.rng.range(0.38, 0.6), // Lower edge of the curtain
+                height: this.rng.range(0.18, 0.32),
+                center: this.rng.range(0.25, 0.75),
+                span: this.rng.range(0.6, 1.1),
+                drift: this.rng.range(0.02, 0.05) * (i % 2 === 0 ? 1 : -1),
+                colorPosition: this.rng.range(0.6, 1),
+                strength: this.rng.range(0.5, 1),
+                waves: [0, 1].map(() => ({
+                    frequency: this.rng.range(0.6, 2.2), // Cycles across the canvas
+                    amplitude: this.rng.range(0.02, 0.06),
+                    speed: this.rng.range(0.4, 1) * (this.rng.next() < 0.5 ? -1 : 1),
+                    phase: this.rng.range(0, TAU)
+                })),
+                folds: {
+                    frequency: this.rng.range(4, 9),
+                    speed: this.rng.range(0.8, 1.6),
+                    phase: this.rng.range(0, TAU)
+                }
+            });
+        }
+
+        this.ridge = this._generateRidge();
+        this.starfield = new Starfield(this.canvasWidth, this.canvasHeight, seed, {
+            count: 220,
+            skyHeight: HORIZON
+        });
+
+        // Breath-driven state
+        this.glow = 0; // Smoothed intensity: height and brightness
+        this.shimmer = 0; // 0 = steady, 1 = flickering during a hold
+        this.flow = 0; // Undulation phase, advances faster on deep breaths
+        this.time = 0;
+    }
+
+    // Rolling hills from a few layered sine waves
+    _generateRidge() {
+        const layers = [1, 2.3, 5.1].map((frequency, i) => ({
+            frequency,
+            amplitude: 0.045 / (i + 1),
+            phase: this.rng.range(0, TAU)
+        }));
+
+        const ridge = [];
+        for (let i = 0; i <= RIDGE_POINTS; i++) {
+            const u = i / RIDGE_POINTS;
+            let height = HORIZON + this.rng.range(-0.004, 0.004);
+
+            for (const layer of layers) {
+                height += Math.sin(u * layer.frequency * TAU + layer.phase) * layer.amplitude;
+            }
+            ridge.push(height);
+        }
+        return ridge;
+    }
+
+    setPalette(paletteName) {
+        this.palette = paletteName;
+    }
+
+    update(breathState, deltaTime) {
+        const { intensity, phase } = breathState;
+        const isHold = phase === BreathPhase.HOLD_IN || phase === BreathPhase.HOLD_OUT;
+
+        this.time += deltaTime;
+
+        this.glow = lerp(this.glow, intensity, 1 - Math.exp(-deltaTime * 3));
+        this.shimmer = lerp(this.shimmer, isHold ? 1 : 0, 1 - Math.exp(-deltaTime * 3));
+        this.flow += deltaTime * (0.15 + this.glow * 0.85);
+
+        this.starfield.update(deltaTime);
+    }
+
+    render(ctx) {
+        // The aurora washes out the fainter stars
+        this.starfield.render(ctx, 1 - this.glow * 0.5);
+
+        ctx.save();
+
+        this._renderSkyGlow(ctx);
+
+        ctx.globalCompositeOperation = 'lighter';
+        this.ribbons.forEach((ribbon, index) => this._renderRibbon(ctx, ribbon, index));
+
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.globalAlpha = 1;
+        this._renderHorizon(ctx);
+
+        ctx.restore();
+    }
+
+    // ========================================
+    // LAYERS
+    // ========================================
+
+    _renderSkyGlow(ctx) {
+        const { canvasWidth: width, canvasHeight: height } = this;
+        const horizonY = height * HORIZON;
+        const color = getColorFromPalette(this.palette, 0.7);
+
+        const gradient = ctx.createLinearGradient(0, horizonY, 0, horizonY - height * 0.5);
+        gradient.addColorStop(0, hexToRgba(color, 0.04 + this.glow * 0.1));
+        gradient.addColorStop(1, hexToRgba(color, 0));
+
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, width, horizonY);
+    }
+
+    _renderRibbon(ctx, ribbon, index) {
+        const { canvasWidth: width, canvasHeight: height } = this;
+
+        // Bright lower edge fading up into a deeper palette color
+        const color = getColorFromPalette(this.palette, ribbon.colorPosition);
+        const tipColor = getColorFromPalette(this.palette, ribbon.colorPosition - 0.3);
+
+        // One gradient per ribbon, drawn in unit space and stretched per ray
+        const gradient = ctx.createLinearGradient(0, 0, 0, -1);
+        gradient.addColorStop(0, hexToRgba(color, 0));
+        gradient.addColorStop(0.06, hexToRgba(color, 0.9));
+        gradient.addColorStop(0.35, hexToRgba(tipColor, 0.4));
+        gradient.addColorStop(1, hexToRgba(tipColor, 0));
+        ctx.fillStyle = gradient;
+
+        const brightness = (0.2 + this.glow * 0.8) * ribbon.strength;
+        const curtainHeight = height * ribbon.height * (0.5 + this.glow);
+        const baseline = ribbon.baseline - this.glow * 0.05;
+
+        // The curtain drifts slowly back and forth across the sky
+        const center = ribbon.center + Math.sin(this.time * ribbon.drift * TAU) * 0.15;
+        const start = center - ribbon.span / 2;
+
+        for (let x = 0; x < width; x += RAY_SPACING) {
+            const u = x / width;
+
+            // Soft ends where the curtain begins and ends
+            const along = (u - start) / ribbon.span;
+            if (along <= 0 || along >= 1) continue;
+            const edge = Math.sin(along * Math.PI);
+
+            let offset = 0;
+            for (const wave of ribbon.waves) {
+                offset += Math.sin(u * wave.frequency * TAU + this.flow * wave.speed + wave.phase) * wave.amplitude;
+            }
+
+            // Bright folds travel along the curtain
+            const fold = 0.5 + 0.5 * Math.sin(
+                u * ribbon.folds.frequency * TAU + this.flow * ribbon.folds.speed + ribbon.folds.phase
+            );
+
+            // Individual rays flicker during holds
+            const flicker = 1 - this.shimmer * 0.6 *
+                (0.5 + 0.5 * Math.sin(x * 0.37 + this.time * 14 + index * 1.7));
+
+            const alpha = brightness * edge * (0.3 + 0.7 * fold * fold) * flicker;
+            if (alpha < 0.01) continue;
+
+            ctx.globalAlpha = clamp(alpha, 0, 1);
+            ctx.save();
+            ctx.translate(x, height * (baseline + offset));
+            ctx.scale(1, curtainHeight * (0.7 + 0.3 * fold));
+            ctx.fillRect(0, -1, RAY_SPACING, 1);
+            ctx.restore();
+        }
+    }
+
+    _renderHorizon(ctx) {
+        const { canvasWidth: width, canvasHeight: height } = this;
+
+        ctx.beginPath();
+        ctx.moveTo(0, height);
+        this.ridge.forEach((y, i) => {
+            ctx.lineTo((i / RIDGE_POINTS) * width, y * height);
+        });
+        ctx.lineTo(width, height);
+        ctx.closePath();
+
+        ctx.fillStyle = getColorFromPalette(this.palette, 0);
+        ctx.fill();
+
+        // Faint rim of aurora light along the ridge
+        ctx.beginPath();
+        this.ridge.forEach((y, i) => {
+            const x = (i / RIDGE_POINTS) * width;
+            if (i === 0) {
+                ctx.moveTo(x, y * height);
+            } else {
+                ctx.lineTo(x, y * height);
+            }
+        });
+        ctx.strokeStyle = hexToRgba(getColorFromPalette(this.palette, 0.8), 0.08 + this.glow * 0.2);
+        ctx.lineWidth = 1;
+        ctx.stroke();
+    }
+
+    resize(width, height) {
+        this.canvasWidth = width;
+        this.canvasHeight = height;
+
+        this.starfield.resize(width, height);
+    }
+}
+
+registerVisualMode('aurora', {
+    label: 'Aurora',
+    factory: (width, height, seed) => new AuroraVisual(width, height, seed)
+});
+
+export default AuroraVisual;
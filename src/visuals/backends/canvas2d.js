@@ -0,0 +1,123 @@
+/**
+ * BREATHING COSMOS - CANVAS 2D BACKEND
+ * Draws visuals straight into 2D contexts; works everywhere
+ */
+
+import { createCanvas, fadeCanvas } from '../../utils.js';
+
+// Particles drawn per frame; glow sprites cost far more here than on WebGL
+const MAX_PARTICLES = 1500;
+
+// ========================================
+// CANVAS 2D BACKEND
+// ========================================
+
+// A layer is { canvas, ctx }. The screen layer is the visible canvas,
+// so a visual drawn into it keeps its motion trails between frames.
+export class Canvas2DBackend {
+    constructor(canvas) {
+        this.name = '2d';
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.maxParticles = MAX_PARTICLES;
+
+        this.screen = { canvas, ctx: this.ctx };
+        this.space = null; // CoordinateSpace, from resize()
+
+        // Enable blend modes
+        this.ctx.globalCompositeOperation = 'source-over';
+    }
+
+    // Call after the canvas has been resized. Visuals are drawn through
+    // `space`, which the renderer keeps up to date.
+    resize(space) {
+        this.space = space;
+    }
+
+    // Offscreen canvas matching the screen
+    createLayer() {
+        const canvas = createCanvas(this.canvas.width, this.canvas.height);
+        return { canvas, ctx: canvas.getContext('2d') };
+    }
+
+    releaseLayer(layer) {
+        // Offscreen canvases are garbage collected
+    }
+
+    clearLayer(layer) {
+        fadeCanvas(layer.ctx, 1);
+    }
+
+    copyLayer(source, target) {
+        target.ctx.save();
+        target.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        target.ctx.globalCompositeOperation = 'copy';
+        target.ctx.drawImage(source.canvas, 0, 0);
+        target.ctx.restore();
+    }
+
+    // Fade effect for motion trails
+    fade(layer, alpha) {
+        fadeCanvas(layer.ctx, alpha);
+    }
+
+    // Set the transform afresh for every visual, so nothing a visual
+    // leaves behind carries over
+    drawVisual(layer, visual) {
+        if (visual.render) {
+            this.space.apply(layer.ctx);
+            visual.render(layer.ctx, this.maxParticles);
+        }
+    }
+
+    // Draw [layer, alpha] entries over each other into `target`
+    blend(target, entries) {
+        target.ctx.save();
+        target.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        target.ctx.globalCompositeOperation = 'source-over';
+
+        for (const [layer, alpha] of entries) {
+            if (layer === target) continue;
+
+            target.ctx.globalAlpha = alpha;
+            target.ctx.drawImage(layer.canvas, 0, 0);
+        }
+
+        target.ctx.restore();
+    }
+
+    // Show the entries on screen, then the vignette on top
+    present(entries, vignette = true) {
+        this.blend(this.screen, entries);
+        if (vignette) {
+            this._renderVignette();
+        }
+    }
+
+    // Over the whole canvas, in device pixels
+    _renderVignette() {
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        renderVignette(this.ctx, this.canvas.width, this.canvas.height);
+    }
+}
+
+// Darken the corners of a width x height picture (in ctx's coordinates)
+export function renderVignette(ctx, width, height) {
+    const centerX = width / 2;
+    const centerY = height / 2;
+    const maxRadius = Math.sqrt(centerX * centerX + centerY * centerY);
+
+    const gradient = ctx.createRadialGradient(
+        centerX, centerY, 0,
+        centerX, centerY, maxRadius
+    );
+
+    gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+    gradient.addColorStop(0.7, 'rgba(0, 0, 0, 0)');
+    gradient.addColorStop(1, 'rgba(0, 0, 0, 0.5)');
+
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+}
+
+export default Canvas2DBackend;
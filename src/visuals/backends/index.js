@@ -0,0 +1,36 @@
+/**
+ * BREATHING COSMOS - RENDERING BACKENDS
+ * Picks WebGL2 when available, Canvas 2D otherwise
+ */
+
+import { Canvas2DBackend } from './canvas2d.js';
+import { WebGLBackend } from './webgl.js';
+
+export { Canvas2DBackend } from './canvas2d.js';
+export { WebGLBackend, SpriteBatch } from './webgl.js';
+
+// Both backends share one interface:
+//   screen                    - layer holding the visible picture
+//   maxParticles              - most particles drawn per frame; visuals
+//                               simulate the same number on any backend
+//   resize(space)             - after the canvas has been resized; visuals
+//                               are drawn through the CoordinateSpace
+//   createLayer() / releaseLayer(layer) / clearLayer(layer)
+//   copyLayer(source, target)
+//   fade(layer, alpha)        - motion-trail fade
+//   drawVisual(layer, visual)
+//   blend(target, entries)    - draw [layer, alpha] entries into target
+//   present(entries, vignette) - show entries on the canvas, with the
+//                               vignette on top unless vignette is false
+//
+// preference: 'auto' (default), 'webgl2' or '2d'
+export function createBackend(canvas, preference = 'auto') {
+    if (preference !== '2d') {
+        const backend = WebGLBackend.create(canvas);
+        if (backend) return backend;
+    }
+
+    return new Canvas2DBackend(canvas);
+}
+
+export default createBackend;
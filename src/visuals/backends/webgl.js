@@ -0,0 +1,620 @@
+/**
+ * BREATHING COSMOS - WEBGL2 BACKEND
+ * Instanced, additively blended sprites and lines, with motion trails,
+ * crossfades and the vignette done in shaders
+ */
+
+import { createCanvas } from '../../utils.js';
+
+// Per-sprite floats: x, y, radius, r, g, b, alpha, glow
+const SPRITE_FLOATS = 8;
+
+// Per-line floats: x1, y1, x2, y2, width, r, g, b, alpha
+const LINE_FLOATS = 9;
+
+// Particles drawn per frame
+const MAX_PARTICLES = 24000;
+
+// ========================================
+// SHADERS
+// ========================================
+
+const SPRITE_VERTEX_SHADER = `#version 300 es
+layout(location = 0) in vec2 a_corner;
+layout(location = 1) in vec3 a_sprite;
+layout(location = 2) in vec4 a_color;
+layout(location = 3) in float a_glow;
+
+uniform vec2 u_resolution;
+uniform vec3 u_space;
+
+out vec2 v_offset;
+out vec4 v_color;
+out float v_glow;
+
+void main() {
+    vec2 position = a_sprite.xy + a_corner * a_sprite.z;
+    vec2 clip = (position * u_space.x + u_space.yz) / u_resolution * 2.0 - 1.0;
+
+    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+    v_offset = a_corner;
+    v_color = a_color;
+    v_glow = a_glow;
+}`;
+
+// Glow sprites match the Canvas 2D ones (sprites.js): a radial halo
+// (0.8 -> 0.3 -> 0) plus a solid core a third of its radius. Others
+// are plain discs.
+const SPRITE_FRAGMENT_SHADER = `#version 300 es
+precision mediump float;
+
+in vec2 v_offset;
+in vec4 v_color;
+in float v_glow;
+
+out vec4 outColor;
+
+void main() {
+    float d = length(v_offset);
+    if (d > 1.0) discard;
+
+    float shape;
+    if (v_glow > 0.5) {
+        float halo = d < 0.5 ? mix(0.8, 0.3, d * 2.0) : mix(0.3, 0.0, d * 2.0 - 1.0);
+        float core = 1.0 - smoothstep(0.3, 0.34, d);
+        shape = halo + core;
+    } else {
+        shape = 1.0 - smoothstep(0.85, 1.0, d);
+    }
+
+    float strength = v_color.a * shape;
+    outColor = vec4(v_color.rgb * strength, strength);
+}`;
+
+// Lines are quads along the segment, `width` to either side of it
+const LINE_VERTEX_SHADER = `#version 300 es
+layout(location = 0) in vec2 a_corner;
+layout(location = 1) in vec4 a_line;
+layout(location = 2) in float a_width;
+layout(location = 3) in vec4 a_color;
+
+uniform vec2 u_resolution;
+uniform vec3 u_space;
+
+out float v_across;
+out vec4 v_color;
+
+void main() {
+    vec2 along = a_line.zw - a_line.xy;
+    float len = length(along);
+    vec2 direction = len > 0.0 ? along / len : vec2(1.0, 0.0);
+    vec2 normal = vec2(-direction.y, direction.x);
+
+    vec2 position = mix(a_line.xy, a_line.zw, a_corner.x * 0.5 + 0.5) + normal * a_corner.y * a_width;
+    vec2 clip = (position * u_space.x + u_space.yz) / u_resolution * 2.0 - 1.0;
+
+    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+    v_across = a_corner.y;
+    v_color = a_color;
+}`;
+
+// Solid for the inner half-width, then soft to the edge, so lines
+// look about `width` wide
+const LINE_FRAGMENT_SHADER = `#version 300 es
+precision mediump float;
+
+in float v_across;
+in vec4 v_color;
+
+out vec4 outColor;
+
+void main() {
+    float strength = v_color.a * (1.0 - smoothstep(0.5, 1.0, abs(v_across)));
+    outColor = vec4(v_color.rgb * strength, strength);
+}`;
+
+// One triangle that covers the viewport
+const FULLSCREEN_VERTEX_SHADER = `#version 300 es
+layout(location = 0) in vec2 a_position;
+
+out vec2 v_uv;
+
+void main() {
+    v_uv = a_position * 0.5 + 0.5;
+    gl_Position = vec4(a_position, 0.0, 1.0);
+}`;
+
+const FADE_FRAGMENT_SHADER = `#version 300 es
+precision mediump float;
+
+uniform float u_alpha;
+
+out vec4 outColor;
+
+void main() {
+    outColor = vec4(0.0, 0.0, 0.0, u_alpha);
+}`;
+
+// Textures hold premultiplied color
+const BLIT_FRAGMENT_SHADER = `#version 300 es
+precision mediump float;
+
+in vec2 v_uv;
+
+uniform sampler2D u_texture;
+uniform float u_alpha;
+
+out vec4 outColor;
+
+void main() {
+    outColor = texture(u_texture, v_uv) * u_alpha;
+}`;
+
+// Clear out to 70% of the way to the corners, then darken to 50%
+const VIGNETTE_FRAGMENT_SHADER = `#version 300 es
+precision mediump float;
+
+in vec2 v_uv;
+
+uniform vec2 u_resolution;
+
+out vec4 outColor;
+
+void main() {
+    vec2 offset = (v_uv - 0.5) * u_resolution;
+    float radius = length(offset) / length(u_resolution * 0.5);
+    float alpha = clamp((radius - 0.7) / 0.3, 0.0, 1.0) * 0.5;
+
+    outColor = vec4(0.0, 0.0, 0.0, alpha);
+}`;
+
+// ========================================
+// SPRITE BATCH
+// ========================================
+
+// Sprites and lines collected from a visual's renderSprites(batch)
+// each frame. Lines are drawn first, under the sprites.
+export class SpriteBatch {
+    constructor(capacity = 4096) {
+        this.data = new Float32Array(capacity * SPRITE_FLOATS);
+        this.count = 0;
+
+        this.lineData = new Float32Array(capacity * LINE_FLOATS);
+        this.lineCount = 0;
+    }
+
+    clear() {
+        this.count = 0;
+        this.lineCount = 0;
+    }
+
+    // Position and radius in canvas pixels, color channels 0-1.
+    // `glow` draws a soft halo `radius` wide around a core a third of
+    // that size (like the Canvas 2D glow sprites); without it the sprite is a disc.
+    add(x, y, radius, r, g, b, alpha, glow = true) {
+        if ((this.count + 1) * SPRITE_FLOATS > this.data.length) {
+            const data = new Float32Array(this.data.length * 2);
+            data.set(this.data);
+            this.data = data;
+        }
+
+        const offset = this.count * SPRITE_FLOATS;
+        const data = this.data;
+        data[offset] = x;
+        data[offset + 1] = y;
+        data[offset + 2] = radius;
+        data[offset + 3] = r;
+        data[offset + 4] = g;
+        data[offset + 5] = b;
+        data[offset + 6] = alpha;
+        data[offset + 7] = glow ? 1 : 0;
+
+        this.count++;
+    }
+
+    // Segment from (x1, y1) to (x2, y2) in canvas pixels, `width` wide
+    // with soft edges; color channels 0-1
+    addLine(x1, y1, x2, y2, width, r, g, b, alpha) {
+        if ((this.lineCount + 1) * LINE_FLOATS > this.lineData.length) {
+            const lineData = new Float32Array(this.lineData.length * 2);
+            lineData.set(this.lineData);
+            this.lineData = lineData;
+        }
+
+        const offset = this.lineCount * LINE_FLOATS;
+        const data = this.lineData;
+        data[offset] = x1;
+        data[offset + 1] = y1;
+        data[offset + 2] = x2;
+        data[offset + 3] = y2;
+        data[offset + 4] = width;
+        data[offset + 5] = r;
+        data[offset + 6] = g;
+        data[offset + 7] = b;
+        data[offset + 8] = alpha;
+
+        this.lineCount++;
+    }
+}
+
+// ========================================
+// HELPERS
+// ========================================
+
+function compileShader(gl, type, source) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        const log = gl.getShaderInfoLog(shader);
+        gl.deleteShader(shader);
+        throw new Error(`Shader failed to compile: ${log}`);
+    }
+    return shader;
+}
+
+function createProgram(gl, vertexSource, fragmentSource, uniformNames = []) {
+    const program = gl.createProgram();
+    gl.attachShader(program, compileShader(gl, gl.VERTEX_SHADER, vertexSource));
+    gl.attachShader(program, compileShader(gl, gl.FRAGMENT_SHADER, fragmentSource));
+    gl.linkProgram(program);
+
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        throw new Error(`Shader program failed to link: ${gl.getProgramInfoLog(program)}`);
+    }
+
+    const uniforms = {};
+    for (const name of uniformNames) {
+        uniforms[name] = gl.getUniformLocation(program, name);
+    }
+    return { program, uniforms };
+}
+
+const CONTEXT_OPTIONS = {
+    alpha: false,
+    antialias: false,
+    depth: false,
+    // Keeps the last frame readable for screenshots
+    preserveDrawingBuffer: true
+};
+
+// ========================================
+// WEBGL2 BACKEND
+// ========================================
+
+// A layer is { texture, framebuffer }: an offscreen render target the
+// size of the canvas. The screen layer holds the visible picture and
+// present() copies it to the canvas with the vignette on top.
+export class WebGLBackend {
+    // Returns null when WebGL2 is unavailable. Support is checked on a
+    // throwaway canvas first, because once the real canvas has a WebGL
+    // context it can no longer fall back to 2D.
+    static create(canvas) {
+        if (!WebGLBackend.isSupported()) return null;
+
+        const gl = canvas.getContext('webgl2', CONTEXT_OPTIONS);
+        return gl ? new WebGLBackend(canvas, gl) : null;
+    }
+
+    static isSupported() {
+        try {
+            const probe = createCanvas();
+            const gl = probe.getContext('webgl2');
+            if (!gl) return false;
+
+            new WebGLBackend(probe, gl);
+
+            const loseContext = gl.getExtension('WEBGL_lose_context');
+            if (loseContext) loseContext.loseContext();
+            return true;
+        } catch (error) {
+            console.warn('WebGL2 unavailable, using Canvas 2D:', error);
+            return false;
+        }
+    }
+
+    constructor(canvas, gl) {
+        this.name = 'webgl2';
+        this.canvas = canvas;
+        this.gl = gl;
+        this.maxParticles = MAX_PARTICLES;
+        this.space = null; // CoordinateSpace, from resize()
+
+        this.batch = new SpriteBatch();
+
+        this._createPrograms();
+        this._createBuffers();
+
+        // Scratch 2D canvas for visuals without renderSprites()
+        this.scratch = null;
+
+        this.screen = this.createLayer();
+    }
+
+    _createPrograms() {
+        const gl = this.gl;
+
+        this.programs = {
+            sprite: createProgram(gl, SPRITE_VERTEX_SHADER, SPRITE_FRAGMENT_SHADER, ['u_resolution', 'u_space']),
+            line: createProgram(gl, LINE_VERTEX_SHADER, LINE_FRAGMENT_SHADER, ['u_resolution', 'u_space']),
+            fade: createProgram(gl, FULLSCREEN_VERTEX_SHADER, FADE_FRAGMENT_SHADER, ['u_alpha']),
+            blit: createProgram(gl, FULLSCREEN_VERTEX_SHADER, BLIT_FRAGMENT_SHADER, ['u_texture', 'u_alpha']),
+            vignette: createProgram(gl, FULLSCREEN_VERTEX_SHADER, VIGNETTE_FRAGMENT_SHADER, ['u_resolution'])
+        };
+    }
+
+    _createBuffers() {
+        const gl = this.gl;
+
+        // Sprites: a unit quad, instanced once per sprite
+        this.spriteVao = gl.createVertexArray();
+        gl.bindVertexArray(this.spriteVao);
+
+        const cornerBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, cornerBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+        gl.enableVertexAttribArray(0);
+        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+
+        this.instanceBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+
+        // location, size, offset
+        this._instanceAttributes(SPRITE_FLOATS, [[1, 3, 0], [2, 4, 12], [3, 1, 28]]);
+
+        // Lines: the same quad, instanced once per line
+        this.lineVao = gl.createVertexArray();
+        gl.bindVertexArray(this.lineVao);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, cornerBuffer);
+        gl.enableVertexAttribArray(0);
+        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+
+        this.lineBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.lineBuffer);
+        this._instanceAttributes(LINE_FLOATS, [[1, 4, 0], [2, 1, 16], [3, 4, 20]]);
+
+        // Full-screen passes
+        this.fullscreenVao = gl.createVertexArray();
+        gl.bindVertexArray(this.fullscreenVao);
+
+        const triangleBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, triangleBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 3, -1, -1, 3]), gl.STATIC_DRAW);
+        gl.enableVertexAttribArray(0);
+        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+
+        gl.bindVertexArray(null);
+    }
+
+    // Per-instance float attributes from the bound buffer:
+    // [location, size, byte offset]
+    _instanceAttributes(floatsPerInstance, attributes) {
+        const gl = this.gl;
+        const stride = floatsPerInstance * 4;
+
+        for (const [location, size, offset] of attributes) {
+            gl.enableVertexAttribArray(location);
+            gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride, offset);
+            gl.vertexAttribDivisor(location, 1);
+        }
+    }
+
+    // Call after the canvas has been resized. Visuals are drawn through
+    // `space`, which the renderer keeps up to date.
+    resize(space) {
+        this.space = space;
+
+        this.releaseLayer(this.screen);
+        this.screen = this.createLayer();
+    }
+
+    // ========================================
+    // LAYERS
+    // ========================================
+
+    createLayer() {
+        const gl = this.gl;
+
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, this.canvas.width, this.canvas.height, 0,
+            gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        const framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+
+        const layer = { texture, framebuffer };
+        this.clearLayer(layer);
+        return layer;
+    }
+
+    releaseLayer(layer) {
+        this.gl.deleteFramebuffer(layer.framebuffer);
+        this.gl.deleteTexture(layer.texture);
+    }
+
+    clearLayer(layer) {
+        const gl = this.gl;
+
+        this._bindTarget(layer.framebuffer);
+        gl.clearColor(0, 0, 0, 1);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+    }
+
+    copyLayer(source, target) {
+        this._bindTarget(target.framebuffer);
+        this._blit(source.texture, 1, false);
+    }
+
+    // Fade effect for motion trails
+    fade(layer, alpha) {
+        const gl = this.gl;
+        const { program, uniforms } = this.programs.fade;
+
+        this._bindTarget(layer.framebuffer);
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+
+        gl.useProgram(program);
+        gl.uniform1f(uniforms.u_alpha, alpha);
+        this._drawFullscreen();
+    }
+
+    drawVisual(layer, visual) {
+        if (visual.renderSprites) {
+            this.batch.clear();
+            visual.renderSprites(this.batch, this.maxParticles);
+            this._drawSprites(layer, this.batch);
+        } else if (visual.render) {
+            this._drawCanvasVisual(layer, visual);
+        }
+    }
+
+    // Draw [layer, alpha] entries over each other into `target`
+    blend(target, entries) {
+        this._bindTarget(target.framebuffer);
+        this._blendEntries(entries);
+    }
+
+    // Show the entries on the canvas, then the vignette on top
+    present(entries, vignette = true) {
+        const gl = this.gl;
+
+        this._bindTarget(null);
+        this._blendEntries(entries);
+        if (!vignette) return;
+
+        const { program, uniforms } = this.programs.vignette;
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+        gl.useProgram(program);
+        gl.uniform2f(uniforms.u_resolution, this.canvas.width, this.canvas.height);
+        this._drawFullscreen();
+    }
+
+    // ========================================
+    // DRAWING
+    // ========================================
+
+    _bindTarget(framebuffer) {
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    _drawFullscreen() {
+        const gl = this.gl;
+        gl.bindVertexArray(this.fullscreenVao);
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+    }
+
+    // Layers are opaque, so drawing one over another at `alpha` is a
+    // straight blend between them
+    _blendEntries(entries) {
+        entries.forEach(([layer, alpha], index) => {
+            this._blit(layer.texture, alpha, index > 0);
+        });
+    }
+
+    // Draw a premultiplied texture over the bound target
+    _blit(texture, alpha, blend) {
+        const gl = this.gl;
+        const { program, uniforms } = this.programs.blit;
+
+        if (blend) {
+            gl.enable(gl.BLEND);
+            gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        } else {
+            gl.disable(gl.BLEND);
+        }
+
+        gl.useProgram(program);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.uniform1i(uniforms.u_texture, 0);
+        gl.uniform1f(uniforms.u_alpha, alpha);
+        this._drawFullscreen();
+    }
+
+    _drawSprites(layer, batch) {
+        if (batch.count === 0 && batch.lineCount === 0) return;
+
+        const gl = this.gl;
+        this._bindTarget(layer.framebuffer);
+
+        // Additive, like the 2D path's 'lighter'
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE);
+
+        if (batch.lineCount > 0) {
+            this._drawInstances(this.programs.line, this.lineVao, this.lineBuffer,
+                batch.lineData.subarray(0, batch.lineCount * LINE_FLOATS), batch.lineCount);
+        }
+        if (batch.count > 0) {
+            this._drawInstances(this.programs.sprite, this.spriteVao, this.instanceBuffer,
+                batch.data.subarray(0, batch.count * SPRITE_FLOATS), batch.count);
+        }
+    }
+
+    _drawInstances({ program, uniforms }, vao, buffer, data, count) {
+        const gl = this.gl;
+
+        const { scale, offsetX, offsetY } = this.space;
+
+        gl.useProgram(program);
+        gl.uniform2f(uniforms.u_resolution, this.canvas.width, this.canvas.height);
+        gl.uniform3f(uniforms.u_space, scale, offsetX, offsetY);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, data, gl.DYNAMIC_DRAW);
+
+        gl.bindVertexArray(vao);
+        gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, count);
+    }
+
+    // Visuals that only speak Canvas 2D draw into a transparent scratch
+    // canvas, which is uploaded and laid over the layer
+    _drawCanvasVisual(layer, visual) {
+        const gl = this.gl;
+        const { width, height } = this.canvas;
+
+        if (!this.scratch) {
+            const canvas = createCanvas();
+            this.scratch = { canvas, ctx: canvas.getContext('2d'), texture: gl.createTexture() };
+
+            gl.bindTexture(gl.TEXTURE_2D, this.scratch.texture);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        }
+
+        const { canvas, ctx, texture } = this.scratch;
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        this.space.apply(ctx);
+        ctx.globalCompositeOperation = 'source-over';
+        visual.render(ctx, this.maxParticles);
+
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, canvas);
+
+        this._bindTarget(layer.framebuffer);
+        this._blit(texture, 1, true);
+    }
+}
+
+export default WebGLBackend;
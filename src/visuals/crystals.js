@@ -0,0 +1,519 @@
+/**
+ * BREATHING COSMOS - CRYSTALS
+ * Exhale crystallization for the nebula: particles snap into hexagonal
+ * lattices and frost-like dendrites, then shatter back into gas on inhale
+ */
+
+import { BreathPhase } from '../phases.js';
+import { SpatialHash } from './spatial.js';
+
+// Values of ParticlePool#crystal
+export const CrystalKind = {
+    GAS: 0,
+    LATTICE: 1, // Compact hexagonal patch
+    DENDRITE: 2, // Six branching arms, like frost
+    SHARD: 3 // Broken off on inhale; moves like gas while its links fade
+};
+
+const { GAS, LATTICE, DENDRITE, SHARD } = CrystalKind;
+
+// Distance between bonded neighbors (pixels)
+const SPACING = 14;
+
+// Free particles this close to a structure bond to it. Also the hash
+// cell size, so most lookups touch only a few cells.
+const CAPTURE_RADIUS = 28;
+
+// A free particle with this many free neighbors seeds a new structure:
+// a lattice where the gas is dense, a dendrite otherwise
+const SEED_NEIGHBORS = 5;
+const LATTICE_NEIGHBORS = 10;
+
+// Seeds keep this far apart (pixels)
+const SEED_CLEARANCE = 120;
+
+const MAX_STRUCTURES = 24;
+const MAX_SEEDS_PER_STEP = 1;
+const MAX_BONDS_PER_STEP = 24;
+
+// Rings around a lattice seed; bonds along a dendrite arm
+const LATTICE_DEPTH = 4;
+const DENDRITE_DEPTH = 12;
+
+// Dendrite arms grow side branches every this many bonds
+const BRANCH_EVERY = 3;
+
+// Share of the way to its site a bonded particle moves per 60 FPS frame
+const SNAP_RATE = 0.2;
+
+// Seconds for structures to fully light up while exhaling, and for the
+// shards' links to fade after they break on inhale
+const FORM_TIME = 1.5;
+const DISSOLVE_TIME = 0.4;
+
+// Outward speed of shards (pixels per 60 FPS frame, the nebula's top speed)
+const SHATTER_SPEED = 2;
+
+// Lattice nodes this close are linked, closing the lattice's triangles
+const LATTICE_LINK = SPACING * 1.2;
+
+// Shard links stretch until they are this long, then drop
+const MAX_SHARD_LINK = SPACING * 4;
+
+// Faint links between free particles while crystallizing
+const GAS_LINK_DISTANCE = 20;
+const MAX_GAS_LINKS_PER_PARTICLE = 2;
+
+const MAX_LINKS = 8192;
+const MAX_NEIGHBORS = 64;
+
+const ANGLE_STEP = Math.PI / 3;
+const ALL_DIRECTIONS = 0b111111;
+
+export function isBonded(kind) {
+    return kind === LATTICE || kind === DENDRITE;
+}
+
+// ========================================
+// CRYSTALLIZER
+// ========================================
+
+// Grows structures out of a ParticlePool while the breath is exhaled.
+// Each structure starts at a seed particle; free particles that drift
+// within reach of a node with room bond to the nearest free lattice
+// site around it and are pulled onto that site. Bonded particles stop
+// moving and aging until the next inhale breaks them apart.
+//
+// Everything runs in pool order with no randomness, so timelines still
+// replay exactly.
+export class Crystallizer {
+    constructor(pool) {
+        this.pool = pool;
+        this.hash = new SpatialHash(CAPTURE_RADIUS, pool.capacity);
+        this.neighbors = new Int32Array(MAX_NEIGHBORS);
+        this.nearbySites = new Int32Array(16);
+
+        // Sites claimed this step, not in the hash yet: x, y pairs
+        this.claimed = new Float64Array(MAX_BONDS_PER_STEP * 2);
+        this.claimedCount = 0;
+
+        this.seeds = new Int32Array(MAX_STRUCTURES);
+
+        // Link segments for rendering: x1, y1, x2, y2. Bonds (and
+        // shards) first, then gas links.
+        this.links = new Float64Array(MAX_LINKS * 4);
+        this.bondLinkCount = 0;
+        this.gasLinkCount = 0;
+
+        this.clear();
+    }
+
+    clear() {
+        this.strength = 0; // How formed the structures look, 0-1
+        this.bonded = 0;
+        this.structures = 0;
+        this.dissolving = false; // Shards are still linked
+
+        // The hash is rebuilt on exhale steps only; bonded particles
+        // stay put, so lattice links can use it until the next shatter
+        this.hashed = false;
+        this.forming = false;
+        this.linksDirty = true;
+    }
+
+    // ========================================
+    // SIMULATION
+    // ========================================
+
+    update(phase, deltaTime, width, height) {
+        const forming = phase === BreathPhase.EXHALE || phase === BreathPhase.HOLD_OUT;
+
+        if (phase === BreathPhase.INHALE) {
+            if (this.bonded > 0) this._shatter();
+            this.strength = Math.max(0, this.strength - deltaTime / DISSOLVE_TIME);
+            if (this.strength === 0) this._endDissolve();
+        } else if (forming) {
+            this._endDissolve();
+            this.strength = Math.min(1, this.strength + deltaTime / FORM_TIME);
+        }
+
+        this.forming = forming;
+        if (forming) {
+            const pool = this.pool;
+            this.hash.build(pool.x, pool.y, pool.active, pool.count, width, height);
+            this.hashed = true;
+            this._grow(width, height);
+        }
+
+        this.linksDirty = true;
+    }
+
+    // Pull a bonded particle onto its site. The nebula calls this in
+    // place of its usual motion.
+    hold(i, step) {
+        const pool = this.pool;
+        const snap = Math.min(1, SNAP_RATE * step);
+
+        pool.x[i] += (pool.siteX[i] - pool.x[i]) * snap;
+        pool.y[i] += (pool.siteY[i] - pool.y[i]) * snap;
+    }
+
+    // The canvas was resized by scaleX, scaleY. Each structure moves with
+    // its seed, in proportion, but keeps its shape; the nebula scales
+    // free particles itself.
+    resize(scaleX, scaleY) {
+        const pool = this.pool;
+        const { x, y, siteX, siteY, root, crystal } = pool;
+
+        // Seeds last, so the others still see where their seed was
+        for (const seeds of [false, true]) {
+            for (let n = 0; n < pool.count; n++) {
+                const i = pool.active[n];
+                if (!isBonded(crystal[i]) || (root[i] === i) !== seeds) continue;
+
+                const seed = root[i];
+                const dx = siteX[seed] * (scaleX - 1);
+                const dy = siteY[seed] * (scaleY - 1);
+
+                x[i] += dx;
+                y[i] += dy;
+                siteX[i] += dx;
+                siteY[i] += dy;
+            }
+        }
+
+        // Rebuilt on the next exhale step
+        this.hashed = false;
+        this.linksDirty = true;
+    }
+
+    _grow(width, height) {
+        const pool = this.pool;
+        const { x, y, crystal } = pool;
+        const neighbors = this.neighbors;
+
+        this.claimedCount = 0;
+        let seeded = 0;
+
+        for (let n = 0; n < pool.count && this.claimedCount < MAX_BONDS_PER_STEP; n++) {
+            const i = pool.active[n];
+            if (isBonded(crystal[i])) continue;
+
+            const found = this.hash.query(x[i], y[i], CAPTURE_RADIUS, neighbors);
+
+            // Nearest node with room, counting free neighbors on the way
+            let node = -1;
+            let nodeDistanceSq = Infinity;
+            let freeNeighbors = 0;
+
+            for (let k = 0; k < found; k++) {
+                const j = neighbors[k];
+                if (j === i) continue;
+
+                if (!isBonded(crystal[j])) {
+                    freeNeighbors++;
+                    continue;
+                }
+
+                const dx = x[j] - x[i];
+                const dy = y[j] - y[i];
+                const distanceSq = dx * dx + dy * dy;
+                if (distanceSq < nodeDistanceSq && this._openDirections(j) !== 0) {
+                    node = j;
+                    nodeDistanceSq = distanceSq;
+                }
+            }
+
+            if (node >= 0) {
+                const direction = this._findSite(node, x[i], y[i], width, height);
+                if (direction >= 0) this._bond(i, node, direction);
+            } else if (freeNeighbors >= SEED_NEIGHBORS &&
+                seeded < MAX_SEEDS_PER_STEP &&
+                this.structures < MAX_STRUCTURES &&
+                this._clearOfSeeds(x[i], y[i])) {
+                this._seed(i, freeNeighbors >= LATTICE_NEIGHBORS ? LATTICE : DENDRITE, width, height);
+                seeded++;
+            }
+        }
+    }
+
+    _clearOfSeeds(px, py) {
+        const pool = this.pool;
+
+        for (let s = 0; s < this.structures; s++) {
+            const seed = this.seeds[s];
+            const dx = pool.siteX[seed] - px;
+            const dy = pool.siteY[seed] - py;
+            if (dx * dx + dy * dy < SEED_CLEARANCE * SEED_CLEARANCE) return false;
+        }
+        return true;
+    }
+
+    _seed(i, kind, width, height) {
+        const pool = this.pool;
+
+        pool.crystal[i] = kind;
+        pool.parent[i] = i;
+        pool.root[i] = i;
+        pool.depth[i] = 0;
+        pool.direction[i] = 0;
+        pool.childMask[i] = 0;
+        pool.siteX[i] = pool.x[i];
+        pool.siteY[i] = pool.y[i];
+
+        // Structures face away from the center of the nebula
+        pool.orientation[i] = Math.atan2(pool.y[i] - height / 2, pool.x[i] - width / 2);
+
+        pool.vx[i] = 0;
+        pool.vy[i] = 0;
+
+        this.seeds[this.structures++] = i;
+        this.bonded++;
+    }
+
+    // Directions (bits 0-5) a node may still grow children in
+    _openDirections(j) {
+        const pool = this.pool;
+        const kind = pool.crystal[j];
+        const depth = pool.depth[j];
+
+        let allowed;
+        if (kind === LATTICE) {
+            if (depth >= LATTICE_DEPTH) return 0;
+            allowed = ALL_DIRECTIONS;
+        } else {
+            if (depth >= DENDRITE_DEPTH) return 0;
+
+            if (depth === 0) {
+                allowed = ALL_DIRECTIONS; // One arm per direction
+            } else {
+                // Arms grow straight on, branching at 60 degrees now and then
+                const direction = pool.direction[j];
+                allowed = 1 << direction;
+                if (depth % BRANCH_EVERY === 0) {
+                    allowed |= (1 << ((direction + 1) % 6)) | (1 << ((direction + 5) % 6));
+                }
+            }
+        }
+
+        return allowed & ~pool.childMask[j];
+    }
+
+    // Open direction from node j closest to where the particle at
+    // (px, py) sits, or -1. Directions whose site is already taken are
+    // marked so they aren't tried again.
+    _findSite(j, px, py, width, height) {
+        const pool = this.pool;
+        const open = this._openDirections(j);
+
+        const angle = Math.atan2(py - pool.siteY[j], px - pool.siteX[j]) - pool.orientation[j];
+        const nearest = ((Math.round(angle / ANGLE_STEP) % 6) + 6) % 6;
+
+        // Nearest direction first, then alternately either side of it
+        for (const offset of [0, 1, 5, 2, 4, 3]) {
+            const direction = (nearest + offset) % 6;
+            if (!(open & (1 << direction))) continue;
+
+            const siteAngle = pool.orientation[j] + direction * ANGLE_STEP;
+            const siteX = pool.siteX[j] + Math.cos(siteAngle) * SPACING;
+            const siteY = pool.siteY[j] + Math.sin(siteAngle) * SPACING;
+
+            if (siteX < 0 || siteX > width || siteY < 0 || siteY > height ||
+                this._siteTaken(siteX, siteY)) {
+                pool.childMask[j] |= 1 << direction;
+                continue;
+            }
+
+            return direction;
+        }
+        return -1;
+    }
+
+    _siteTaken(siteX, siteY) {
+        const pool = this.pool;
+        const minDistanceSq = (SPACING / 2) * (SPACING / 2);
+
+        // Bonded particles may still be on their way to their sites
+        const found = this.hash.query(siteX, siteY, SPACING, this.nearbySites);
+        for (let k = 0; k < found; k++) {
+            const j = this.nearbySites[k];
+            if (!isBonded(pool.crystal[j])) continue;
+
+            const dx = pool.siteX[j] - siteX;
+            const dy = pool.siteY[j] - siteY;
+            if (dx * dx + dy * dy < minDistanceSq) return true;
+        }
+
+        for (let c = 0; c < this.claimedCount; c++) {
+            const dx = this.claimed[c * 2] - siteX;
+            const dy = this.claimed[c * 2 + 1] - siteY;
+            if (dx * dx + dy * dy < minDistanceSq) return true;
+        }
+        return false;
+    }
+
+    _bond(i, j, direction) {
+        const pool = this.pool;
+        const siteAngle = pool.orientation[j] + direction * ANGLE_STEP;
+
+        pool.crystal[i] = pool.crystal[j];
+        pool.parent[i] = j;
+        pool.root[i] = pool.root[j];
+        pool.depth[i] = pool.depth[j] + 1;
+        pool.direction[i] = direction;
+        pool.childMask[i] = 0;
+        pool.orientation[i] = pool.orientation[j];
+        pool.siteX[i] = pool.siteX[j] + Math.cos(siteAngle) * SPACING;
+        pool.siteY[i] = pool.siteY[j] + Math.sin(siteAngle) * SPACING;
+
+        pool.vx[i] = 0;
+        pool.vy[i] = 0;
+        pool.childMask[j] |= 1 << direction;
+
+        this.claimed[this.claimedCount * 2] = pool.siteX[i];
+        this.claimed[this.claimedCount * 2 + 1] = pool.siteY[i];
+        this.claimedCount++;
+        this.bonded++;
+    }
+
+    // Every structure breaks apart at once, its particles flying
+    // outward from their seed
+    _shatter() {
+        const pool = this.pool;
+        const { x, y, crystal } = pool;
+        const speed = SHATTER_SPEED * (0.5 + this.strength * 0.5);
+
+        for (let n = 0; n < pool.count; n++) {
+            const i = pool.active[n];
+            if (!isBonded(crystal[i])) continue;
+
+            const seed = pool.root[i];
+            const angle = seed === i
+                ? pool.orientation[i]
+                : Math.atan2(y[i] - pool.siteY[seed], x[i] - pool.siteX[seed]);
+
+            pool.vx[i] = Math.cos(angle) * speed;
+            pool.vy[i] = Math.sin(angle) * speed;
+            crystal[i] = SHARD;
+        }
+
+        this.bonded = 0;
+        this.structures = 0;
+        this.dissolving = true;
+    }
+
+    // Shards become plain gas once their links have faded
+    _endDissolve() {
+        if (!this.dissolving) return;
+
+        const pool = this.pool;
+        for (let n = 0; n < pool.count; n++) {
+            const i = pool.active[n];
+            if (pool.crystal[i] === SHARD) pool.crystal[i] = GAS;
+        }
+        this.dissolving = false;
+    }
+
+    // ========================================
+    // LINKS
+    // ========================================
+
+    // Fill `links` for the current state; cheap to call more than once
+    // per update
+    collectLinks() {
+        if (!this.linksDirty) return this;
+        this.linksDirty = false;
+
+        this.bondLinkCount = 0;
+        this.gasLinkCount = 0;
+        if (this.strength <= 0) return this;
+
+        const pool = this.pool;
+        const { x, y, crystal, parent } = pool;
+        let count = 0;
+
+        for (let n = 0; n < pool.count && count < MAX_LINKS; n++) {
+            const i = pool.active[n];
+            const kind = crystal[i];
+            const j = parent[i];
+
+            if (isBonded(kind) && j !== i) {
+                count = this._addLink(count, i, j);
+
+                // Close the triangles of the hexagonal lattice
+                if (kind === LATTICE && this.hashed) {
+                    count = this._addLatticeLinks(count, i);
+                }
+            } else if (kind === SHARD && j !== i && crystal[j] === SHARD) {
+                const dx = x[j] - x[i];
+                const dy = y[j] - y[i];
+                if (dx * dx + dy * dy < MAX_SHARD_LINK * MAX_SHARD_LINK) {
+                    count = this._addLink(count, i, j);
+                }
+            }
+        }
+        this.bondLinkCount = count;
+
+        if (this.forming) {
+            count = this._addGasLinks(count);
+        }
+        this.gasLinkCount = count - this.bondLinkCount;
+
+        return this;
+    }
+
+    _addLink(count, i, j) {
+        if (count >= MAX_LINKS) return count;
+
+        const offset = count * 4;
+        this.links[offset] = this.pool.x[i];
+        this.links[offset + 1] = this.pool.y[i];
+        this.links[offset + 2] = this.pool.x[j];
+        this.links[offset + 3] = this.pool.y[j];
+        return count + 1;
+    }
+
+    // Links to lattice neighbors other than the parent (each pair once)
+    _addLatticeLinks(count, i) {
+        const pool = this.pool;
+        const found = this.hash.query(pool.siteX[i], pool.siteY[i], LATTICE_LINK, this.nearbySites);
+
+        for (let k = 0; k < found; k++) {
+            const j = this.nearbySites[k];
+            if (j <= i || pool.crystal[j] !== LATTICE || pool.root[j] !== pool.root[i]) continue;
+            if (pool.parent[i] === j || pool.parent[j] === i) continue;
+
+            const dx = pool.siteX[j] - pool.siteX[i];
+            const dy = pool.siteY[j] - pool.siteY[i];
+            if (dx * dx + dy * dy < LATTICE_LINK * LATTICE_LINK) {
+                count = this._addLink(count, i, j);
+            }
+        }
+        return count;
+    }
+
+    _addGasLinks(count) {
+        const pool = this.pool;
+        const { x, y, crystal } = pool;
+        const neighbors = this.neighbors;
+
+        for (let n = 0; n < pool.count && count < MAX_LINKS; n++) {
+            const i = pool.active[n];
+            if (crystal[i] !== GAS) continue;
+
+            const found = this.hash.query(x[i], y[i], GAS_LINK_DISTANCE, neighbors);
+            let linked = 0;
+
+            for (let k = 0; k < found && linked < MAX_GAS_LINKS_PER_PARTICLE; k++) {
+                const j = neighbors[k];
+                if (j <= i || crystal[j] !== GAS) continue;
+
+                count = this._addLink(count, i, j);
+                linked++;
+            }
+        }
+        return count;
+    }
+}
+
+export default Crystallizer;
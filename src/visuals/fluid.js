@@ -0,0 +1,444 @@
+/**
+ * BREATHING COSMOS - FLUID DYNAMICS VISUAL MODE
+ * Grid-based stable fluids: inhale pushes dye outward, exhale swirls it back
+ */
+
+import { SeededRandom, clamp, createCanvas, getColorFromPalette, hexToRgb } from '../utils.js';
+import { BreathPhase } from '../phases.js';
+import { registerVisualMode } from './registry.js';
+
+// Grid cells are sized so the whole canvas holds about this many cells,
+// keeping the solver cost flat from phone screens up to 4K
+const DEFAULT_TARGET_CELLS = 160 * 90;
+
+// Pressure solver iterations per step (lowered by quality tiers)
+const PRESSURE_ITERATIONS = 16;
+
+// ========================================
+// FLUID VISUAL MODE
+// ========================================
+
+export class FluidVisual {
+    constructor(canvasWidth, canvasHeight, seed = 1, options = {}) {
+        this.canvasWidth = canvasWidth;
+        this.canvasHeight = canvasHeight;
+        this.targetCells = options.targetCells || DEFAULT_TARGET_CELLS;
+        this.pressureIterations = PRESSURE_ITERATIONS;
+
+        this.palette = 'deepSpace';
+
+        // Per-step decay of dye and velocity
+        this.dyeDissipation = 0.992;
+        this.velocityDamping = 0.995;
+
+        // Force strengths (cells per second squared)
+        this.inhaleForce = 900;
+        this.exhaleSwirl = 120;
+        this.exhalePull = 300;
+        this.jetCount = 6;
+
+        // Offscreen canvas the dye is drawn into at grid resolution
+        this.image = null;
+        this.imageCanvas = null;
+
+        this._allocate();
+        this.reset(seed);
+    }
+
+    // ========================================
+    // GRID
+    // ========================================
+
+    _allocate() {
+        const aspect = this.canvasWidth / Math.max(1, this.canvasHeight);
+        this.nx = Math.max(16, Math.round(Math.sqrt(this.targetCells * aspect)));
+        this.ny = Math.max(16, Math.round(this.nx / aspect));
+
+        // One cell of boundary on every side
+        const size = (this.nx + 2) * (this.ny + 2);
+
+        this.u = new Float32Array(size);
+        this.v = new Float32Array(size);
+        this.uPrev = new Float32Array(size);
+        this.vPrev = new Float32Array(size);
+        this.pressure = new Float32Array(size);
+        this.divergence = new Float32Array(size);
+
+        // RGB dye, 0-1 per channel
+        this.dye = [new Float32Array(size), new Float32Array(size), new Float32Array(size)];
+        this.dyePrev = [new Float32Array(size), new Float32Array(size), new Float32Array(size)];
+
+        this.image = null;
+    }
+
+    _index(i, j) {
+        return i + (this.nx + 2) * j;
+    }
+
+    // Pass a seed to start a new (or replayed) session from scratch
+    reset(seed = this.seed) {
+        this.seed = seed;
+        this.rng = new SeededRandom(seed);
+
+        for (const field of [this.u, this.v, this.uPrev, this.vPrev, this.pressure, this.divergence, ...this.dye]) {
+            field.fill(0);
+        }
+
+        this.time = 0;
+        this.swirlDirection = this.rng.next() < 0.5 ? -1 : 1;
+        this.jetAngle = this.rng.range(0, Math.PI * 2);
+    }
+
+    setPalette(paletteName) {
+        this.palette = paletteName;
+    }
+
+    // quality: { gridCells, solverIterations } from a quality tier.
+    // A coarser or finer grid keeps the ink where it is, as on resize.
+    setQuality({ gridCells, solverIterations }) {
+        this.pressureIterations = solverIterations;
+
+        if (gridCells !== this.targetCells) {
+            this.targetCells = gridCells;
+            this._reshape();
+        }
+    }
+
+    // The grid is reshaped to the new aspect ratio, with the ink and its
+    // motion resampled onto it so they stay in place
+    resize(width, height) {
+        this.canvasWidth = width;
+        this.canvasHeight = height;
+        this._reshape();
+    }
+
+    _reshape() {
+        const { nx, ny, u, v, dye } = this;
+        this._allocate();
+
+        // Velocities are in cells per second, so they scale with the grid
+        this._resample(this.u, u, nx, ny, this.nx / nx);
+        this._resample(this.v, v, nx, ny, this.ny / ny);
+        this._setBoundary(1, this.u);
+        this._setBoundary(2, this.v);
+
+        for (let c = 0; c < 3; c++) {
+            this._resample(this.dye[c], dye[c], nx, ny, 1);
+            this._setBoundary(0, this.dye[c]);
+        }
+    }
+
+    // Bilinear resampling of an nx x ny field (with its boundary) onto
+    // the current grid, times `factor`
+    _resample(field, source, nx, ny, factor) {
+        const row = this.nx + 2;
+        const sourceRow = nx + 2;
+        const scaleX = nx / this.nx;
+        const scaleY = ny / this.ny;
+
+        for (let j = 1; j <= this.ny; j++) {
+            const y = clamp((j - 0.5) * scaleY + 0.5, 0.5, ny + 0.5);
+            const j0 = Math.floor(y);
+            const t1 = y - j0;
+            const t0 = 1 - t1;
+
+            for (let i = 1; i <= this.nx; i++) {
+                const x = clamp((i - 0.5) * scaleX + 0.5, 0.5, nx + 0.5);
+                const i0 = Math.floor(x);
+                const s1 = x - i0;
+                const s0 = 1 - s1;
+
+                const a = i0 + sourceRow * j0;
+                field[i + row * j] = factor * (
+                    s0 * (t0 * source[a] + t1 * source[a + sourceRow]) +
+                    s1 * (t0 * source[a + 1] + t1 * source[a + sourceRow + 1]));
+            }
+        }
+    }
+
+    // ========================================
+    // UPDATE
+    // ========================================
+
+    update(breathState, deltaTime) {
+        const { intensity, phase, totalCycles } = breathState;
+        this.time += deltaTime;
+
+        // Jets slowly rotate so each breath draws new plumes
+        this.jetAngle += deltaTime * 0.15;
+
+        const size = Math.min(this.nx, this.ny);
+
+        if (phase === BreathPhase.INHALE) {
+            this._applyJets(size * 0.04, this.inhaleForce * (0.3 + intensity), deltaTime);
+            this._injectDye(intensity, totalCycles, deltaTime);
+        } else if (phase === BreathPhase.EXHALE) {
+            // Ink curls back toward the centre; alternate the swirl each breath
+            const direction = totalCycles % 2 === 0 ? this.swirlDirection : -this.swirlDirection;
+            this._applySwirl(this.exhaleSwirl * direction, deltaTime);
+            this._applyJets(size * 0.35, -this.exhalePull * (1.2 - intensity), deltaTime);
+        }
+
+        this._step(deltaTime);
+    }
+
+    // A pure outward push would be removed by the pressure solve, so the
+    // radial motion comes from a ring of jets pointing out (or in)
+    _applyJets(distance, strength, deltaTime) {
+        const cx = this.nx / 2;
+        const cy = this.ny / 2;
+        const radius = Math.max(2, Math.min(this.nx, this.ny) * 0.05);
+
+        for (let k = 0; k < this.jetCount; k++) {
+            const angle = this.jetAngle + (k / this.jetCount) * Math.PI * 2;
+            const dirX = Math.cos(angle);
+            const dirY = Math.sin(angle);
+
+            this._splatVelocity(
+                cx + dirX * distance,
+                cy + dirY * distance,
+                dirX * strength * deltaTime,
+                dirY * strength * deltaTime,
+                radius
+            );
+        }
+    }
+
+    _splatVelocity(x, y, forceX, forceY, radius) {
+        const minI = Math.max(1, Math.floor(x - radius));
+        const maxI = Math.min(this.nx, Math.ceil(x + radius));
+        const minJ = Math.max(1, Math.floor(y - radius));
+        const maxJ = Math.min(this.ny, Math.ceil(y + radius));
+
+        for (let j = minJ; j <= maxJ; j++) {
+            for (let i = minI; i <= maxI; i++) {
+                const dx = i - x;
+                const dy = j - y;
+                const falloff = Math.exp(-(dx * dx + dy * dy) / (radius * radius * 0.5));
+
+                const index = this._index(i, j);
+                this.u[index] += forceX * falloff;
+                this.v[index] += forceY * falloff;
+            }
+        }
+    }
+
+    // Tangential force around the centre, strongest part-way out
+    _applySwirl(strength, deltaTime) {
+        const { nx, ny } = this;
+        const cx = nx / 2;
+        const cy = ny / 2;
+        const reach = Math.min(nx, ny) * 0.45;
+
+        for (let j = 1; j <= ny; j++) {
+            for (let i = 1; i <= nx; i++) {
+                const dx = i - cx;
+                const dy = j - cy;
+                const distance = Math.sqrt(dx * dx + dy * dy) + 1e-6;
+                if (distance > reach) continue;
+
+                const falloff = Math.sin((distance / reach) * Math.PI);
+                const index = this._index(i, j);
+                this.u[index] += (-dy / distance) * strength * falloff * deltaTime;
+                this.v[index] += (dx / distance) * strength * falloff * deltaTime;
+            }
+        }
+    }
+
+    _injectDye(intensity, totalCycles, deltaTime) {
+        // Each breath picks up a new color from the palette
+        const colorPosition = 0.4 + ((totalCycles * 0.23 + this.time * 0.02) % 0.6);
+        const rgb = hexToRgb(getColorFromPalette(this.palette, colorPosition));
+        const color = [rgb.r / 255, rgb.g / 255, rgb.b / 255];
+
+        const { nx, ny } = this;
+        const cx = nx / 2;
+        const cy = ny / 2;
+        const radius = Math.max(2, Math.min(nx, ny) * (0.04 + intensity * 0.06));
+        const amount = (1.5 + intensity * 3) * deltaTime;
+
+        const minI = Math.max(1, Math.floor(cx - radius));
+        const maxI = Math.min(nx, Math.ceil(cx + radius));
+        const minJ = Math.max(1, Math.floor(cy - radius));
+        const maxJ = Math.min(ny, Math.ceil(cy + radius));
+
+        for (let j = minJ; j <= maxJ; j++) {
+            for (let i = minI; i <= maxI; i++) {
+                const dx = i - cx;
+                const dy = j - cy;
+                const falloff = 1 - Math.sqrt(dx * dx + dy * dy) / radius;
+                if (falloff <= 0) continue;
+
+                const index = this._index(i, j);
+                for (let c = 0; c < 3; c++) {
+                    this.dye[c][index] = Math.min(1.5, this.dye[c][index] + color[c] * amount * falloff);
+                }
+            }
+        }
+    }
+
+    // ========================================
+    // SOLVER (Stam, "Real-Time Fluid Dynamics for Games")
+    // ========================================
+
+    _step(deltaTime) {
+        // Velocity: self-advect, then make divergence-free
+        this.uPrev.set(this.u);
+        this.vPrev.set(this.v);
+        this._advect(1, this.u, this.uPrev, this.uPrev, this.vPrev, deltaTime);
+        this._advect(2, this.v, this.vPrev, this.uPrev, this.vPrev, deltaTime);
+        this._project();
+
+        // Dye rides the velocity field
+        for (let c = 0; c < 3; c++) {
+            this.dyePrev[c].set(this.dye[c]);
+            this._advect(0, this.dye[c], this.dyePrev[c], this.u, this.v, deltaTime);
+        }
+
+        // Fade
+        const size = this.u.length;
+        for (let k = 0; k < size; k++) {
+            this.u[k] *= this.velocityDamping;
+            this.v[k] *= this.velocityDamping;
+            this.dye[0][k] *= this.dyeDissipation;
+            this.dye[1][k] *= this.dyeDissipation;
+            this.dye[2][k] *= this.dyeDissipation;
+        }
+    }
+
+    // Semi-Lagrangian advection: trace each cell back along the velocity
+    _advect(boundary, field, source, u, v, deltaTime) {
+        const { nx, ny } = this;
+        const row = nx + 2;
+
+        for (let j = 1; j <= ny; j++) {
+            for (let i = 1; i <= nx; i++) {
+                const index = i + row * j;
+
+                const x = clamp(i - deltaTime * u[index], 0.5, nx + 0.5);
+                const y = clamp(j - deltaTime * v[index], 0.5, ny + 0.5);
+
+                const i0 = Math.floor(x);
+                const j0 = Math.floor(y);
+                const s1 = x - i0;
+                const t1 = y - j0;
+                const s0 = 1 - s1;
+                const t0 = 1 - t1;
+
+                const a = i0 + row * j0;
+                field[index] =
+                    s0 * (t0 * source[a] + t1 * source[a + row]) +
+                    s1 * (t0 * source[a + 1] + t1 * source[a + row + 1]);
+            }
+        }
+
+        this._setBoundary(boundary, field);
+    }
+
+    // Remove the divergent part of the velocity so the fluid stays incompressible
+    _project() {
+        const { nx, ny, u, v, pressure, divergence } = this;
+        const row = nx + 2;
+        const h = 1 / Math.max(nx, ny);
+
+        for (let j = 1; j <= ny; j++) {
+            for (let i = 1; i <= nx; i++) {
+                const index = i + row * j;
+                divergence[index] = -0.5 * h * (u[index + 1] - u[index - 1] + v[index + row] - v[index - row]);
+                pressure[index] = 0;
+            }
+        }
+        this._setBoundary(0, divergence);
+        this._setBoundary(0, pressure);
+
+        // Jacobi-style relaxation
+        for (let k = 0; k < this.pressureIterations; k++) {
+            for (let j = 1; j <= ny; j++) {
+                for (let i = 1; i <= nx; i++) {
+                    const index = i + row * j;
+                    pressure[index] = (divergence[index] +
+                        pressure[index - 1] + pressure[index + 1] +
+                        pressure[index - row] + pressure[index + row]) / 4;
+                }
+            }
+            this._setBoundary(0, pressure);
+        }
+
+        for (let j = 1; j <= ny; j++) {
+            for (let i = 1; i <= nx; i++) {
+                const index = i + row * j;
+                u[index] -= 0.5 * (pressure[index + 1] - pressure[index - 1]) / h;
+                v[index] -= 0.5 * (pressure[index + row] - pressure[index - row]) / h;
+            }
+        }
+        this._setBoundary(1, u);
+        this._setBoundary(2, v);
+    }
+
+    // Walls: velocity reflects (b = 1 horizontal, 2 vertical), scalars copy
+    _setBoundary(boundary, field) {
+        const { nx, ny } = this;
+        const row = nx + 2;
+
+        for (let i = 1; i <= nx; i++) {
+            field[i] = boundary === 2 ? -field[i + row] : field[i + row];
+            field[i + row * (ny + 1)] = boundary === 2 ? -field[i + row * ny] : field[i + row * ny];
+        }
+        for (let j = 1; j <= ny; j++) {
+            field[row * j] = boundary === 1 ? -field[1 + row * j] : field[1 + row * j];
+            field[nx + 1 + row * j] = boundary === 1 ? -field[nx + row * j] : field[nx + row * j];
+        }
+
+        field[0] = 0.5 * (field[1] + field[row]);
+        field[row * (ny + 1)] = 0.5 * (field[1 + row * (ny + 1)] + field[row * ny]);
+        field[nx + 1] = 0.5 * (field[nx] + field[nx + 1 + row]);
+        field[nx + 1 + row * (ny + 1)] = 0.5 * (field[nx + row * (ny + 1)] + field[nx + 1 + row * ny]);
+    }
+
+    // ========================================
+    // RENDER
+    // ========================================
+
+    render(ctx) {
+        const { nx, ny } = this;
+
+        if (!this.image) {
+            this.imageCanvas = createCanvas(nx, ny);
+            this.imageCtx = this.imageCanvas.getContext('2d');
+            this.image = this.imageCtx.createImageData(nx, ny);
+        }
+
+        const pixels = this.image.data;
+        const row = nx + 2;
+        const [red, green, blue] = this.dye;
+
+        for (let j = 0; j < ny; j++) {
+            for (let i = 0; i < nx; i++) {
+                const index = (i + 1) + row * (j + 1);
+                const p = (i + nx * j) * 4;
+
+                pixels[p] = Math.min(255, red[index] * 255);
+                pixels[p + 1] = Math.min(255, green[index] * 255);
+                pixels[p + 2] = Math.min(255, blue[index] * 255);
+                pixels[p + 3] = 255;
+            }
+        }
+
+        this.imageCtx.putImageData(this.image, 0, 0);
+
+        // Upscale the grid smoothly over the whole canvas
+        ctx.save();
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.drawImage(this.imageCanvas, 0, 0, this.canvasWidth, this.canvasHeight);
+        ctx.restore();
+    }
+}
+
+registerVisualMode('fluid', {
+    label: 'Fluid',
+    factory: (width, height, seed) => new FluidVisual(width, height, seed)
+});
+
+export default FluidVisual;
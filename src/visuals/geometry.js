@@ -0,0 +1,274 @@
+/**
+ * BREATHING COSMOS - SACRED GEOMETRY VISUAL MODE
+ * Nested polygons, Flower of Life lattice and Metatron line network
+ * that unfold with each inhale and lock into place on holds
+ */
+
+import { SeededRandom, clamp, lerp, getColorFromPalette, hexToRgba, Easing } from '../utils.js';
+import { BreathPhase } from '../phases.js';
+import { registerVisualMode } from './registry.js';
+
+// Flower of Life: centre circle, first ring of 6, second ring of 12
+const FLOWER_RINGS = [1, 6, 12];
+
+// Polygon layers in the stack; quality tiers may unfold fewer
+const MAX_LAYERS = 8;
+
+// ========================================
+// HELPERS
+// ========================================
+
+// Progress of one layer when `count` layers unfold one after another
+function layerProgress(unfold, index, count) {
+    return Easing.easeInOutSine(clamp(unfold * count - index, 0, 1));
+}
+
+// Centres of a hexagonal circle lattice, ring by ring
+function flowerCentres(spacing) {
+    const centres = [{ x: 0, y: 0, ring: 0 }];
+
+    for (let ring = 1; ring < FLOWER_RINGS.length; ring++) {
+        // Walk the hexagon of this ring: 6 corners, `ring` steps per side
+        for (let side = 0; side < 6; side++) {
+            const cornerAngle = side * Math.PI / 3;
+            const nextAngle = (side + 1) * Math.PI / 3;
+
+            for (let step = 0; step < ring; step++) {
+                const t = step / ring;
+                const x = lerp(Math.cos(cornerAngle), Math.cos(nextAngle), t) * ring * spacing;
+                const y = lerp(Math.sin(cornerAngle), Math.sin(nextAngle), t) * ring * spacing;
+                centres.push({ x, y, ring });
+            }
+        }
+    }
+
+    return centres;
+}
+
+// Metatron's Cube: centre, inner hexagon and outer hexagon
+function metatronPoints(radius) {
+    const points = [{ x: 0, y: 0 }];
+
+    for (const scale of [0.5, 1]) {
+        for (let i = 0; i < 6; i++) {
+            const angle = i * Math.PI / 3 - Math.PI / 2;
+            points.push({
+                x: Math.cos(angle) * radius * scale,
+                y: Math.sin(angle) * radius * scale
+            });
+        }
+    }
+
+    return points;
+}
+
+// ========================================
+// SACRED GEOMETRY VISUAL MODE
+// ========================================
+
+export class GeometryVisual {
+    constructor(canvasWidth, canvasHeight, seed = 1) {
+        this.canvasWidth = canvasWidth;
+        this.canvasHeight = canvasHeight;
+
+        this.palette = 'deepSpace';
+
+        this.layerCount = MAX_LAYERS; // Lowered by quality tiers
+        this.lineGlow = 1;
+
+        this.reset(seed);
+    }
+
+    // Pass a seed to start a new (or replayed) session from scratch
+    reset(seed = this.seed) {
+        this.seed = seed;
+        this.rng = new SeededRandom(seed);
+
+        // Each session gets its own polygon stack and spin
+        this.polygons = [];
+        for (let i = 0; i < MAX_LAYERS; i++) {
+            this.polygons.push({
+                sides: 3 + Math.floor(this.rng.range(0, 6)),
+                spin: this.rng.range(0.05, 0.2) * (i % 2 === 0 ? 1 : -1),
+                offset: this.rng.range(0, Math.PI * 2),
+                colorPosition: this.rng.range(0.4, 1)
+            });
+        }
+        this.networkSpin = this.rng.range(0.03, 0.08);
+
+        // Breath-driven state
+        this.unfold = 0; // 0 = folded to a point, 1 = fully open
+        this.lock = 0; // 0 = drifting, 1 = locked crisp during a hold
+        this.time = 0;
+        this.rotation = 0;
+        this.visibleLayers = 4;
+    }
+
+    setPalette(paletteName) {
+        this.palette = paletteName;
+    }
+
+    // quality: { layerCount, lineGlow } from a quality tier
+    setQuality({ layerCount, lineGlow }) {
+        this.layerCount = Math.min(layerCount, MAX_LAYERS);
+        this.lineGlow = lineGlow;
+    }
+
+    update(breathState, deltaTime) {
+        const { intensity, phase, totalCycles } = breathState;
+        const isHold = phase === BreathPhase.HOLD_IN || phase === BreathPhase.HOLD_OUT;
+
+        this.time += deltaTime;
+
+        // Unfold follows the breath, with a little inertia
+        this.unfold = lerp(this.unfold, intensity, 1 - Math.exp(-deltaTime * 4));
+
+        // Holds lock the figure in; movement releases it
+        const lockTarget = isHold ? 1 : 0;
+        const lockRate = isHold ? 2 : 4;
+        this.lock = lerp(this.lock, lockTarget, 1 - Math.exp(-deltaTime * lockRate));
+
+        // Rotation slows to a stop as the figure locks
+        this.rotation += deltaTime * (1 - this.lock);
+
+        // More polygon layers as the session goes on
+        this.visibleLayers = Math.min(4 + Math.floor(totalCycles / 3), this.layerCount);
+    }
+
+    render(ctx) {
+        const centerX = this.canvasWidth / 2;
+        const centerY = this.canvasHeight / 2;
+        const radius = Math.min(this.canvasWidth, this.canvasHeight) * 0.38;
+
+        ctx.save();
+        ctx.translate(centerX, centerY);
+        ctx.globalCompositeOperation = 'lighter';
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        // Locked figures glow; moving ones stay soft (and skip the blur cost)
+        const glow = this.lock * this.lineGlow;
+        ctx.shadowBlur = glow > 0.01 ? glow * 24 : 0;
+
+        this._renderFlower(ctx, radius);
+        this._renderPolygons(ctx, radius);
+        this._renderNetwork(ctx, radius);
+
+        ctx.restore();
+    }
+
+    // ========================================
+    // LAYERS
+    // ========================================
+
+    _strokeStyle(colorPosition, alpha) {
+        const color = getColorFromPalette(this.palette, colorPosition);
+        return { stroke: hexToRgba(color, alpha), glow: hexToRgba(color, alpha * this.lock) };
+    }
+
+    _renderFlower(ctx, radius) {
+        const spacing = radius * 0.25 * Easing.easeOutQuad(this.unfold);
+        if (spacing < 0.5) return;
+
+        const centres = flowerCentres(spacing);
+        const rings = FLOWER_RINGS.length;
+        const style = this._strokeStyle(0.6, 0.25 + this.lock * 0.35);
+
+        ctx.strokeStyle = style.stroke;
+        ctx.shadowColor = style.glow;
+        ctx.lineWidth = 1 + this.lock * 0.5;
+
+        for (const centre of centres) {
+            // Outer rings bloom after the inner ones
+            const progress = layerProgress(this.unfold, centre.ring, rings);
+            if (progress <= 0) continue;
+
+            ctx.beginPath();
+            ctx.arc(centre.x * progress, centre.y * progress, spacing * progress, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    }
+
+    _renderPolygons(ctx, radius) {
+        const count = this.visibleLayers;
+
+        for (let i = 0; i < count; i++) {
+            const polygon = this.polygons[i];
+            const progress = layerProgress(this.unfold, i, count);
+            if (progress <= 0) continue;
+
+            const layerRadius = radius * ((i + 1) / count) * progress;
+            const angle = polygon.offset + this.rotation * polygon.spin * Math.PI * 2;
+            const style = this._strokeStyle(polygon.colorPosition, 0.35 + this.lock * 0.5);
+
+            ctx.strokeStyle = style.stroke;
+            ctx.shadowColor = style.glow;
+            ctx.lineWidth = 1.5 + this.lock;
+
+            ctx.beginPath();
+            for (let v = 0; v <= polygon.sides; v++) {
+                const a = angle + (v / polygon.sides) * Math.PI * 2;
+                const x = Math.cos(a) * layerRadius;
+                const y = Math.sin(a) * layerRadius;
+
+                if (v === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            }
+            ctx.stroke();
+        }
+    }
+
+    _renderNetwork(ctx, radius) {
+        // The network only appears once the breath is well open
+        const progress = Easing.easeInOutSine(clamp((this.unfold - 0.4) / 0.6, 0, 1));
+        if (progress <= 0) return;
+
+        const points = metatronPoints(radius * 0.7 * progress);
+        const angle = this.rotation * this.networkSpin * Math.PI * 2;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        const rotated = points.map(p => ({
+            x: p.x * cos - p.y * sin,
+            y: p.x * sin + p.y * cos
+        }));
+
+        const style = this._strokeStyle(0.9, (0.1 + this.lock * 0.3) * progress);
+        ctx.strokeStyle = style.stroke;
+        ctx.shadowColor = style.glow;
+        ctx.lineWidth = 0.75 + this.lock * 0.5;
+
+        // Every point joined to every other
+        ctx.beginPath();
+        for (let i = 0; i < rotated.length; i++) {
+            for (let j = i + 1; j < rotated.length; j++) {
+                ctx.moveTo(rotated[i].x, rotated[i].y);
+                ctx.lineTo(rotated[j].x, rotated[j].y);
+            }
+        }
+        ctx.stroke();
+
+        // Bright nodes where the lines meet
+        ctx.fillStyle = style.stroke;
+        for (const point of rotated) {
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, 2 + this.lock * 2, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    resize(width, height) {
+        this.canvasWidth = width;
+        this.canvasHeight = height;
+    }
+}
+
+registerVisualMode('geometry', {
+    label: 'Geometry',
+    factory: (width, height, seed) => new GeometryVisual(width, height, seed)
+});
+
+export default GeometryVisual;
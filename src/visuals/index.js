@@ -0,0 +1,10 @@
+/**
+ * BREATHING COSMOS - VISUAL MODES
+ * Registers the built-in visual modes, in menu order
+ */
+
+export * from './registry.js';
+export { NebulaVisual } from './nebula.js';
+export { GeometryVisual } from './geometry.js';
+export { FluidVisual } from './fluid.js';
+export { AuroraVisual } from './aurora.js';
@@ -3,154 +3,76 @@
  * Particle-based cosmic nebula that responds to breathing
  */
 
-import { Vector2, random, clamp, getColorFromPalette, hexToRgba, lerp } from '../utils.js';
-
-// ========================================
-// PARTICLE CLASS
-// ========================================
-
-class Particle {
-    constructor(x, y, palette = 'deepSpace') {
-        this.position = new Vector2(x, y);
-        this.velocity = Vector2.random(-0.5, 0.5);
-        this.acceleration = new Vector2(0, 0);
-
-        this.baseSize = random(1, 4);
-        this.size = this.baseSize;
-        this.maxSize = this.baseSize * 3;
-
-        this.life = 1.0;
-        this.maxLife = random(3, 8);
-        this.age = 0;
-
-        this.palette = palette;
-        this.colorPosition = random(0.3, 0.9);
-
-        this.twinklePhase = random(0, Math.PI * 2);
-        this.twinkleSpeed = random(1, 3);
-
-        this.opacity = random(0.4, 1.0);
-    }
-
-    update(deltaTime, breathIntensity, canvasWidth, canvasHeight) {
-        // Age particle
-        this.age += deltaTime;
-        this.life = 1.0 - (this.age / this.maxLife);
-
-        // Apply forces
-        this.velocity.add(this.acceleration);
-        this.velocity.limit(2);
-        this.position.add(this.velocity.copy().multiply(deltaTime * 60)); // 60 FPS normalized
-
-        // Breathing effect on size
-        const breathScale = 1.0 + (breathIntensity * 0.8);
-        this.size = clamp(this.baseSize * breathScale, this.baseSize, this.maxSize);
-
-        // Slight drift toward center on exhale
-        if (breathIntensity < 0.3) {
-            const centerX = canvasWidth / 2;
-            const centerY = canvasHeight / 2;
-            const toCenter = new Vector2(centerX - this.position.x, centerY - this.position.y);
-            toCenter.normalize().multiply(0.02);
-            this.acceleration.add(toCenter);
-        } else {
-            // Expand outward on inhale
-            const centerX = canvasWidth / 2;
-            const centerY = canvasHeight / 2;
-            const fromCenter = new Vector2(this.position.x - centerX, this.position.y - centerY);
-            fromCenter.normalize().multiply(0.01 * breathIntensity);
-            this.acceleration.add(fromCenter);
-        }
-
-        // Wrap around edges
-        if (this.position.x < 0) this.position.x = canvasWidth;
-        if (this.position.x > canvasWidth) this.position.x = 0;
-        if (this.position.y < 0) this.position.y = canvasHeight;
-        if (this.position.y > canvasHeight) this.position.y = 0;
-
-        // Twinkle effect
-        this.twinklePhase += this.twinkleSpeed * deltaTime;
-
-        // Reset acceleration
-        this.acceleration.multiply(0);
-
-        return this.life > 0;
-    }
-
-    render(ctx) {
-        if (this.life <= 0) return;
-
-        const twinkle = (Math.sin(this.twinklePhase) + 1) / 2;
-        const alpha = this.opacity * this.life * (0.6 + twinkle * 0.4);
-
-        // Get color from palette
-        const color = getColorFromPalette(this.palette, this.colorPosition);
-
-        // Draw glow
-        const glowRadius = this.size * 3;
-        const glowGradient = ctx.createRadialGradient(
-            this.position.x, this.position.y, 0,
-            this.position.x, this.position.y, glowRadius
-        );
-
-        glowGradient.addColorStop(0, hexToRgba(color, alpha * 0.8));
-        glowGradient.addColorStop(0.5, hexToRgba(color, alpha * 0.3));
-        glowGradient.addColorStop(1, hexToRgba(color, 0));
-
-        ctx.fillStyle = glowGradient;
-        ctx.beginPath();
-        ctx.arc(this.position.x, this.position.y, glowRadius, 0, Math.PI * 2);
-        ctx.fill();
-
-        // Draw core
-        ctx.fillStyle = hexToRgba(color, alpha);
-        ctx.beginPath();
-        ctx.arc(this.position.x, this.position.y, this.size, 0, Math.PI * 2);
-        ctx.fill();
-    }
-}
+import { SeededRandom, clamp, getColorFromPalette, hexToRgb } from '../utils.js';
+import { Starfield } from './starfield.js';
+import { ParticlePool } from './particles.js';
+import { GlowSpriteCache } from './sprites.js';
+import { Crystallizer, isBonded } from './crystals.js';
+import { registerVisualMode } from './registry.js';
+
+// Particles simulated and seconds between spawns. The same on every
+// backend, so a session replays into the same nebula anywhere; backends
+// with a smaller budget draw a spread of them (see render()).
+const MAX_PARTICLES = 24000;
+const SPAWN_RATE = 0.003125;
+
+// Fastest a particle moves, in pixels per 60 FPS frame
+const MAX_SPEED = 2;
+
+// Crystal links: palette position of their color, opacity once fully
+// formed, and width (pixels)
+const LINK_COLOR_POSITION = 1;
+const BOND_LINK_ALPHA = 0.5;
+const GAS_LINK_ALPHA = 0.15;
+const BOND_LINK_WIDTH = 1;
+const GAS_LINK_WIDTH = 0.5;
 
 // ========================================
 // NEBULA VISUAL MODE
 // ========================================
 
 export class NebulaVisual {
-    constructor(canvasWidth, canvasHeight) {
+    constructor(canvasWidth, canvasHeight, seed = 1) {
         this.canvasWidth = canvasWidth;
         this.canvasHeight = canvasHeight;
 
-        this.particles = [];
+        // All randomness comes from the session seed so a recorded
+        // breath timeline replays into the same nebula
+        this.seed = seed;
+        this.rng = new SeededRandom(seed);
+
         this.targetParticleCount = 800; // Start lower for performance
-        this.maxParticles = 1500;
+        this.particles = new ParticlePool(MAX_PARTICLES);
+        this.particleLimit = MAX_PARTICLES; // Lowered by quality tiers
+
+        // Exhales crystallize the gas; inhales shatter it again
+        this.crystals = new Crystallizer(this.particles);
+
+        // Canvas 2D glows, shared by every particle of the same color and size
+        this.sprites = new GlowSpriteCache();
+        this.glowScale = 1;
 
         this.palette = 'deepSpace';
 
         this.spawnTimer = 0;
-        this.spawnRate = 0.05; // Seconds between spawns
+        this.spawnRate = SPAWN_RATE; // Seconds between spawns
 
         // Background stars (static)
-        this.backgroundStars = this._generateBackgroundStars(200);
-    }
-
-    _generateBackgroundStars(count) {
-        const stars = [];
-        for (let i = 0; i < count; i++) {
-            stars.push({
-                x: random(0, this.canvasWidth),
-                y: random(0, this.canvasHeight),
-                size: random(0.5, 2),
-                opacity: random(0.3, 0.8),
-                twinklePhase: random(0, Math.PI * 2),
-                twinkleSpeed: random(0.5, 2)
-            });
-        }
-        return stars;
+        this.starfield = new Starfield(canvasWidth, canvasHeight, seed);
     }
 
     setPalette(paletteName) {
         this.palette = paletteName;
     }
 
+    // quality: { particleScale, spawnScale, glowScale } from a quality tier.
+    // Particles over a lowered limit are not culled; they fade out as usual.
+    setQuality({ particleScale, spawnScale, glowScale }) {
+        this.particleLimit = Math.max(1, Math.round(MAX_PARTICLES * particleScale));
+        this.spawnRate = SPAWN_RATE / spawnScale;
+        this.glowScale = glowScale;
+    }
+
     update(breathState, deltaTime) {
         const { intensity } = breathState;
 
@@ -160,91 +82,284 @@ export class NebulaVisual {
         const spawnMultiplier = 1.0 + (intensity * 2); // More spawns on inhale
         const adjustedSpawnRate = this.spawnRate / spawnMultiplier;
 
-        while (this.spawnTimer >= adjustedSpawnRate && this.particles.length < this.maxParticles) {
+        while (this.spawnTimer >= adjustedSpawnRate && this.particles.count < this.particleLimit) {
             this.spawnTimer -= adjustedSpawnRate;
             this._spawnParticle(intensity);
         }
 
         // Update particles
-        this.particles = this.particles.filter(particle =>
-            particle.update(deltaTime, intensity, this.canvasWidth, this.canvasHeight)
-        );
+        this._updateParticles(deltaTime, intensity);
+        this.crystals.update(breathState.phase, deltaTime, this.canvasWidth, this.canvasHeight);
 
         // Adjust target particle count based on breath cycles
         if (breathState.totalCycles > 0) {
             this.targetParticleCount = Math.min(
                 800 + (breathState.totalCycles * 50),
-                this.maxParticles
+                this.particleLimit
             );
         }
 
         // Update background stars twinkle
-        this.backgroundStars.forEach(star => {
-            star.twinklePhase += star.twinkleSpeed * deltaTime;
-        });
+        this.starfield.update(deltaTime);
+    }
+
+    _updateParticles(deltaTime, breathIntensity) {
+        const pool = this.particles;
+        const { x, y, vx, vy, age, maxLife, life, baseSize, size, twinklePhase, twinkleSpeed, crystal } = pool;
+        const width = this.canvasWidth;
+        const height = this.canvasHeight;
+
+        const step = deltaTime * 60; // 60 FPS normalized
+        const breathScale = 1.0 + (breathIntensity * 0.8);
+
+        let n = 0;
+        while (n < pool.count) {
+            const i = pool.active[n];
+
+            // Breathing effect on size
+            size[i] = clamp(baseSize[i] * breathScale, baseSize[i], baseSize[i] * 3);
+
+            // Twinkle effect
+            twinklePhase[i] += twinkleSpeed[i] * deltaTime;
+
+            // Crystallized particles hold their place and don't age
+            if (isBonded(crystal[i])) {
+                this.crystals.hold(i, step);
+                n++;
+                continue;
+            }
+
+            // Age particle
+            age[i] += deltaTime;
+            life[i] = 1.0 - (age[i] / maxLife[i]);
+
+            if (life[i] <= 0) {
+                pool.release(n);
+                continue;
+            }
+
+            // Velocity only changes here through the speed limit; the
+            // crystals set it when they shatter
+            const speed = Math.sqrt(vx[i] * vx[i] + vy[i] * vy[i]);
+            if (speed > MAX_SPEED) {
+                vx[i] /= speed;
+                vy[i] /= speed;
+                vx[i] *= MAX_SPEED;
+                vy[i] *= MAX_SPEED;
+            }
+            x[i] += vx[i] * step;
+            y[i] += vy[i] * step;
+
+            // Wrap around edges
+            if (x[i] < 0) x[i] = width;
+            if (x[i] > width) x[i] = 0;
+            if (y[i] < 0) y[i] = height;
+            if (y[i] > height) y[i] = 0;
+
+            n++;
+        }
     }
 
     _spawnParticle(breathIntensity) {
+        const pool = this.particles;
+        const rng = this.rng;
+
         // Spawn from center with radial burst
         const centerX = this.canvasWidth / 2;
         const centerY = this.canvasHeight / 2;
 
-        const angle = random(0, Math.PI * 2);
-        const distance = random(0, 100 * breathIntensity);
+        const angle = rng.range(0, Math.PI * 2);
+        const distance = rng.range(0, 100 * breathIntensity);
+
+        const i = pool.spawn();
+        pool.x[i] = centerX + Math.cos(angle) * distance;
+        pool.y[i] = centerY + Math.sin(angle) * distance;
+
+        // Draws in the order particles have always used, so seeds
+        // keep producing the same nebula
+        rng.range(-0.5, 0.5); // Initial drift, replaced by the burst below
+        rng.range(-0.5, 0.5);
+        pool.baseSize[i] = rng.range(1, 4);
+        pool.size[i] = pool.baseSize[i];
+        pool.maxLife[i] = rng.range(3, 8);
+        pool.age[i] = 0;
+        pool.life[i] = 1.0;
+
+        const colorPosition = rng.range(0.3, 0.9);
+        const { r, g, b } = hexToRgb(getColorFromPalette(this.palette, colorPosition));
+        pool.red[i] = r;
+        pool.green[i] = g;
+        pool.blue[i] = b;
+
+        pool.twinklePhase[i] = rng.range(0, Math.PI * 2);
+        pool.twinkleSpeed[i] = rng.range(1, 3);
+        pool.opacity[i] = rng.range(0.4, 1.0);
 
-        const x = centerX + Math.cos(angle) * distance;
-        const y = centerY + Math.sin(angle) * distance;
+        // Give initial velocity based on spawn angle
+        const speed = rng.range(10, 30) * breathIntensity;
+        pool.vx[i] = Math.cos(angle) * speed;
+        pool.vy[i] = Math.sin(angle) * speed;
+    }
 
-        const particle = new Particle(x, y, this.palette);
+    // Crystallized particles shine steadily instead of twinkling
+    _particleAlpha(i) {
+        const pool = this.particles;
+        const twinkle = isBonded(pool.crystal[i]) ? 1 : (Math.sin(pool.twinklePhase[i]) + 1) / 2;
+        return pool.opacity[i] * pool.life[i] * (0.6 + twinkle * 0.4);
+    }
 
-        // Give initial velocity based on spawn angle
-        const speed = random(10, 30) * breathIntensity;
-        particle.velocity = new Vector2(
-            Math.cos(angle) * speed,
-            Math.sin(angle) * speed
-        );
+    _linkColor() {
+        return hexToRgb(getColorFromPalette(this.palette, LINK_COLOR_POSITION));
+    }
 
-        this.particles.push(particle);
+    // Every nth particle, so at most maxParticles are drawn and they
+    // still spread over the whole nebula
+    _drawStride(maxParticles) {
+        return Math.max(1, Math.ceil(this.particles.count / maxParticles));
     }
 
-    render(ctx) {
+    // maxParticles: the backend's drawing budget (exports draw them all)
+    render(ctx, maxParticles = Infinity) {
         // Render background stars first
-        this._renderBackgroundStars(ctx);
+        this.starfield.render(ctx);
 
         // Render particles with blend mode
         ctx.globalCompositeOperation = 'lighter';
 
-        for (const particle of this.particles) {
-            particle.render(ctx);
+        this._renderLinks(ctx);
+
+        // Sprites are picked by their size on screen, in device pixels
+        const pixelRatio = ctx.getTransform().a;
+        const pool = this.particles;
+        const stride = this._drawStride(maxParticles);
+
+        for (let n = 0; n < pool.count; n += stride) {
+            const i = pool.active[n];
+            const glowRadius = pool.size[i] * 3 * this.glowScale;
+            const sprite = this.sprites.get(pool.red[i], pool.green[i], pool.blue[i], glowRadius * pixelRatio);
+
+            ctx.globalAlpha = this._particleAlpha(i);
+            ctx.drawImage(
+                sprite,
+                pool.x[i] - glowRadius,
+                pool.y[i] - glowRadius,
+                glowRadius * 2,
+                glowRadius * 2
+            );
         }
 
+        ctx.globalAlpha = 1;
         ctx.globalCompositeOperation = 'source-over';
     }
 
-    _renderBackgroundStars(ctx) {
-        for (const star of this.backgroundStars) {
-            const twinkle = (Math.sin(star.twinklePhase) + 1) / 2;
-            const alpha = star.opacity * (0.7 + twinkle * 0.3);
+    // One stroke per link group, so thousands of links stay cheap
+    _renderLinks(ctx) {
+        const crystals = this.crystals.collectLinks();
+        const { links, bondLinkCount, gasLinkCount, strength } = crystals;
+        if (bondLinkCount + gasLinkCount === 0) return;
+
+        const { r, g, b } = this._linkColor();
+        ctx.strokeStyle = `rgb(${r}, ${g}, ${b})`;
+
+        const groups = [
+            [0, bondLinkCount, BOND_LINK_ALPHA, BOND_LINK_WIDTH],
+            [bondLinkCount, bondLinkCount + gasLinkCount, GAS_LINK_ALPHA, GAS_LINK_WIDTH]
+        ];
+
+        for (const [start, end, alpha, width] of groups) {
+            if (start === end) continue;
 
-            ctx.fillStyle = hexToRgba('#ffffff', alpha);
             ctx.beginPath();
-            ctx.arc(star.x, star.y, star.size, 0, Math.PI * 2);
-            ctx.fill();
+            for (let k = start; k < end; k++) {
+                ctx.moveTo(links[k * 4], links[k * 4 + 1]);
+                ctx.lineTo(links[k * 4 + 2], links[k * 4 + 3]);
+            }
+            ctx.globalAlpha = alpha * strength;
+            ctx.lineWidth = width;
+            ctx.stroke();
+        }
+    }
+
+    renderSprites(batch, maxParticles = Infinity) {
+        this.starfield.renderSprites(batch);
+
+        const crystals = this.crystals.collectLinks();
+        const { links, bondLinkCount, gasLinkCount, strength } = crystals;
+        if (bondLinkCount + gasLinkCount > 0) {
+            const { r, g, b } = this._linkColor();
+
+            for (let k = 0; k < bondLinkCount + gasLinkCount; k++) {
+                const isBond = k < bondLinkCount;
+                batch.addLine(
+                    links[k * 4],
+                    links[k * 4 + 1],
+                    links[k * 4 + 2],
+                    links[k * 4 + 3],
+                    isBond ? BOND_LINK_WIDTH : GAS_LINK_WIDTH,
+                    r / 255,
+                    g / 255,
+                    b / 255,
+                    (isBond ? BOND_LINK_ALPHA : GAS_LINK_ALPHA) * strength
+                );
+            }
+        }
+
+        const pool = this.particles;
+        const stride = this._drawStride(maxParticles);
+
+        for (let n = 0; n < pool.count; n += stride) {
+            const i = pool.active[n];
+            batch.add(
+                pool.x[i],
+                pool.y[i],
+                pool.size[i] * 3 * this.glowScale,
+                pool.red[i] / 255,
+                pool.green[i] / 255,
+                pool.blue[i] / 255,
+                this._particleAlpha(i)
+            );
         }
     }
 
+    // Particles keep their place in proportion to the canvas, rather
+    // than wrapping around the new edges
     resize(width, height) {
+        const scaleX = this.canvasWidth > 0 ? width / this.canvasWidth : 1;
+        const scaleY = this.canvasHeight > 0 ? height / this.canvasHeight : 1;
+        const pool = this.particles;
+
+        for (let n = 0; n < pool.count; n++) {
+            const i = pool.active[n];
+            if (isBonded(pool.crystal[i])) continue;
+
+            pool.x[i] *= scaleX;
+            pool.y[i] *= scaleY;
+        }
+        this.crystals.resize(scaleX, scaleY);
+
         this.canvasWidth = width;
         this.canvasHeight = height;
 
         // Regenerate background stars for new canvas size
-        this.backgroundStars = this._generateBackgroundStars(200);
+        this.starfield.resize(width, height);
     }
 
-    reset() {
-        this.particles = [];
+    // Pass a seed to start a new (or replayed) session from scratch
+    reset(seed = this.seed) {
+        this.particles.clear();
+        this.crystals.clear();
         this.spawnTimer = 0;
+        this.targetParticleCount = 800;
+
+        this.seed = seed;
+        this.rng = new SeededRandom(seed);
+        this.starfield = new Starfield(this.canvasWidth, this.canvasHeight, seed);
     }
 }
 
+registerVisualMode('nebula', {
+    label: 'Nebula',
+    factory: (width, height, seed) => new NebulaVisual(width, height, seed)
+});
+
 export default NebulaVisual;
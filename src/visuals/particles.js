@@ -0,0 +1,98 @@
+/**
+ * BREATHING COSMOS - PARTICLE POOL
+ * Preallocated struct-of-arrays particle storage with free-list recycling
+ */
+
+// ========================================
+// PARTICLE POOL
+// ========================================
+
+// Each particle is a slot index into parallel typed arrays, so a
+// running nebula allocates nothing per frame. Live slots are kept
+// densely in `active[0..count)`; dead slots go on a free list.
+export class ParticlePool {
+    constructor(capacity) {
+        this.capacity = capacity;
+
+        // Float64 keeps the simulation bit-identical to plain numbers,
+        // so recorded timelines replay exactly
+        this.x = new Float64Array(capacity);
+        this.y = new Float64Array(capacity);
+        this.vx = new Float64Array(capacity);
+        this.vy = new Float64Array(capacity);
+
+        this.age = new Float64Array(capacity);
+        this.maxLife = new Float64Array(capacity);
+        this.life = new Float64Array(capacity);
+
+        this.baseSize = new Float64Array(capacity);
+        this.size = new Float64Array(capacity);
+        this.opacity = new Float64Array(capacity);
+        this.twinklePhase = new Float64Array(capacity);
+        this.twinkleSpeed = new Float64Array(capacity);
+
+        // Color resolved once at spawn (0-255)
+        this.red = new Uint8Array(capacity);
+        this.green = new Uint8Array(capacity);
+        this.blue = new Uint8Array(capacity);
+
+        // Crystal structure (crystals.js). `crystal` is 0 for free gas
+        // particles; bonded ones hold at their lattice site.
+        this.crystal = new Uint8Array(capacity);
+        this.parent = new Int32Array(capacity); // Node grown from (itself for a seed)
+        this.root = new Int32Array(capacity); // Seed of the structure
+        this.depth = new Uint8Array(capacity); // Bonds from the seed
+        this.direction = new Uint8Array(capacity); // Lattice direction grown in (0-5)
+        this.childMask = new Uint8Array(capacity); // Lattice directions taken by children
+        this.orientation = new Float64Array(capacity); // Lattice rotation
+        this.siteX = new Float64Array(capacity);
+        this.siteY = new Float64Array(capacity);
+
+        this.active = new Int32Array(capacity);
+        this.free = new Int32Array(capacity);
+
+        this.arrays = [
+            this.x, this.y, this.vx, this.vy, this.age, this.maxLife, this.life,
+            this.baseSize, this.size, this.opacity, this.twinklePhase, this.twinkleSpeed,
+            this.red, this.green, this.blue, this.crystal, this.parent, this.root,
+            this.depth, this.direction, this.childMask, this.orientation,
+            this.siteX, this.siteY, this.active
+        ];
+
+        this.clear();
+    }
+
+    // Back to a freshly allocated pool, so a session seeked or replayed
+    // after another starts from exactly the same memory
+    clear() {
+        this.count = 0;
+        for (const array of this.arrays) {
+            array.fill(0);
+        }
+
+        // Hand out low slots first
+        this.freeCount = this.capacity;
+        for (let i = 0; i < this.capacity; i++) {
+            this.free[i] = this.capacity - 1 - i;
+        }
+    }
+
+    // Claim a slot; returns its index, or -1 when the pool is full
+    spawn() {
+        if (this.freeCount === 0) return -1;
+
+        const slot = this.free[--this.freeCount];
+        this.active[this.count++] = slot;
+        this.crystal[slot] = 0;
+        return slot;
+    }
+
+    // Release the particle at position `n` of `active`. The last live
+    // particle moves into its place, so when iterating, revisit `n`.
+    release(n) {
+        this.free[this.freeCount++] = this.active[n];
+        this.active[n] = this.active[--this.count];
+    }
+}
+
+export default ParticlePool;
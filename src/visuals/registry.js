@@ -0,0 +1,55 @@
+/**
+ * BREATHING COSMOS - VISUAL MODE REGISTRY
+ * Named visual modes that register themselves with a label and factory
+ */
+
+// A visual mode is any object with:
+//   update(breathState, deltaTime) - advance the simulation one step
+//   render(ctx, maxParticles)      - draw into a 2D context
+// and optionally renderSprites(batch, maxParticles) (used instead of
+// render() by the WebGL backend), setPalette(palette), setQuality(quality)
+// (a tier from QUALITY_TIERS), resize(width, height), reset(seed) and
+// destroy(). maxParticles is the backend's drawing budget; it limits
+// what is drawn, never the simulation, so a session replays the same on
+// every backend. The factory is called as factory(width, height, seed).
+// Sizes and
+// coordinates are in visual units (CSS pixels of the viewport); the
+// renderer maps them to device pixels (see space.js), so visuals never
+// deal with the pixel ratio. resize() should keep what is on screen in
+// proportion rather than start over.
+
+export const DEFAULT_VISUAL_MODE = 'nebula';
+
+// Kept in registration order, which is also the menu order
+const registry = new Map();
+
+export function registerVisualMode(name, { label = name, factory } = {}) {
+    if (typeof factory !== 'function') {
+        throw new Error(`Visual mode "${name}" needs a factory function`);
+    }
+    registry.set(name, { name, label, factory });
+}
+
+export function unregisterVisualMode(name) {
+    registry.delete(name);
+}
+
+export function createVisualMode(name, width, height, seed) {
+    const mode = registry.get(name);
+    if (!mode) {
+        throw new Error(`Unknown visual mode: ${name}`);
+    }
+
+    return mode.factory(width, height, seed);
+}
+
+export function hasVisualMode(name) {
+    return registry.has(name);
+}
+
+// [{ name, label }] for building menus
+export function getVisualModes() {
+    return [...registry.values()].map(({ name, label }) => ({ name, label }));
+}
+
+export default registerVisualMode;
@@ -0,0 +1,367 @@
+/**
+ * BREATHING COSMOS - WORKER RENDERING
+ * Stands in for a VisualRenderer running in a worker, so heavy frames
+ * never hold up input handling on the main thread
+ */
+
+import { VisualRenderer, getViewport } from './renderer.js';
+import { hasVisualMode, DEFAULT_VISUAL_MODE } from './index.js';
+import { QUALITY_TIERS, DEFAULT_QUALITY_TIER } from '../quality.js';
+import { registerPalette } from '../utils.js';
+
+// Frames posted but not yet drawn. Beyond this, render() skips frames
+// (their commands go with the next one) instead of queueing up latency.
+const MAX_FRAMES_IN_FLIGHT = 2;
+
+// Browsers that support module workers read the `type` option; the
+// worker itself never starts (blank URL)
+function supportsModuleWorkers() {
+    if (typeof Worker === 'undefined') return false;
+
+    let supported = false;
+    try {
+        new Worker('blob://', {
+            get type() {
+                supported = true;
+                return 'module';
+            }
+        }).terminate();
+    } catch (error) {
+        // Rejecting the URL is fine; the option has been read by then
+    }
+    return supported;
+}
+
+// ========================================
+// REMOTE RENDERER
+// ========================================
+
+// Same interface as VisualRenderer. Every call is queued and posted to
+// the worker in one batch per render(), in call order, so the worker's
+// simulation steps exactly as a same-thread renderer would. The state
+// the app reads back (mode, palette, quality, visual size) is mirrored
+// here so reads stay synchronous.
+export class RemoteRenderer {
+    // Worker rendering needs OffscreenCanvas and module workers. Once the
+    // canvas is transferred there is no way back, so check both up front.
+    static isSupported(canvas) {
+        return typeof OffscreenCanvas !== 'undefined' &&
+            typeof canvas.transferControlToOffscreen === 'function' &&
+            supportsModuleWorkers();
+    }
+
+    // options: as VisualRenderer, plus
+    //   modules    - URLs of custom visual mode modules to load in the worker
+    //   onFallback - called with the new canvas and 'worker' if the worker
+    //                fails and rendering moves to the main thread, or
+    //                'context' if the WebGL context is lost
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.onFallback = options.onFallback || (() => {});
+
+        this.mode = DEFAULT_VISUAL_MODE;
+        this.palette = 'deepSpace';
+        this.seed = 1;
+        this.qualityTier = options.quality || DEFAULT_QUALITY_TIER;
+        this.vignette = true;
+        this.backend = { name: 'worker' }; // Replaced once the worker is up
+
+        this.viewport = getViewport();
+        this.visualSize = { width: this.viewport.width, height: this.viewport.height };
+
+        this.commands = [];
+        this.framesInFlight = 0;
+
+        // Same-thread VisualRenderer that takes over if the worker fails
+        this.local = null;
+
+        // Screenshots, loop frames and exports waiting for the worker:
+        // id -> { resolve, reject, onProgress }
+        this.requests = new Map();
+        this.nextRequestId = 1;
+
+        this._sizeElement();
+
+        const offscreen = canvas.transferControlToOffscreen();
+        this.worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+        this.worker.addEventListener('message', (e) => this._onMessage(e.data));
+
+        // A worker script that fails to load or throws never acknowledges
+        // a frame, which would leave the screen blank for good
+        this.worker.addEventListener('error', (e) => {
+            e.preventDefault();
+            this._fallBack(e.message || 'the worker could not be loaded');
+        });
+
+        const { backend, quality, modeTransition, paletteTransition } = options;
+        const modules = (options.modules || []).map(url => new URL(url, document.baseURI).href);
+        this.options = { backend, quality, modeTransition, paletteTransition };
+
+        this.worker.postMessage({
+            type: 'init',
+            canvas: offscreen,
+            viewport: this.viewport,
+            options: this.options,
+            modules
+        }, [offscreen]);
+
+        window.addEventListener('resize', () => this.resize());
+    }
+
+    // ========================================
+    // RENDERER INTERFACE
+    // ========================================
+
+    update(breathState, deltaTime) {
+        // Visuals only depend on what a timeline records
+        const { intensity, phase, totalCycles } = breathState;
+        this._queue('update', { intensity, phase, totalCycles }, deltaTime);
+    }
+
+    // Returns false when the frame was skipped because the worker is
+    // still busy with earlier ones
+    render() {
+        if (this.framesInFlight >= MAX_FRAMES_IN_FLIGHT) return false;
+
+        this._queue('render');
+        this._flush();
+        return true;
+    }
+
+    setMode(modeName, options = {}) {
+        if (this.mode === modeName) return;
+
+        // New visuals keep the current visual size, as in VisualRenderer
+        this.mode = hasVisualMode(modeName) ? modeName : DEFAULT_VISUAL_MODE;
+        this._queue('setMode', modeName, options);
+    }
+
+    setPalette(paletteName, options = {}) {
+        this.palette = paletteName;
+        this._queue('setPalette', paletteName, options);
+    }
+
+    // Registered on both threads, so palette lookups here see it too
+    definePalette(name, colors) {
+        registerPalette(name, colors);
+        this._queue('definePalette', name, colors);
+    }
+
+    setQuality(tierName) {
+        if (this.qualityTier === tierName || !QUALITY_TIERS[tierName]) return;
+
+        this.qualityTier = tierName;
+        this._queue('setQuality', tierName);
+    }
+
+    setVignette(enabled) {
+        this.vignette = enabled;
+        this._queue('setVignette', enabled);
+    }
+
+    reset(seed = this.seed) {
+        this.seed = seed;
+        this._queue('reset', seed);
+    }
+
+    resize(viewport = getViewport()) {
+        this.viewport = viewport;
+        this.visualSize = { width: viewport.width, height: viewport.height };
+
+        this._sizeElement();
+        this._queue('resize', viewport);
+    }
+
+    resizeVisual(width, height) {
+        this.visualSize = { width, height };
+        this._queue('resizeVisual', width, height);
+    }
+
+    getVisualSize() {
+        return { ...this.visualSize };
+    }
+
+    // Taken after the commands queued so far, i.e. of the frame on screen
+    captureScreenshot() {
+        if (this.local) return this.local.captureScreenshot();
+        return this._request('captureScreenshot');
+    }
+
+    // Resolves to the ImageData of the frame on screen
+    captureFrame(width, height) {
+        if (this.local) return Promise.resolve(this.local.captureFrame(width, height));
+        return this._request('captureFrame', { width, height });
+    }
+
+    // Commands queued after this wait in the worker until it's done
+    exportArtwork(options, onProgress) {
+        if (this.local) return this.local.exportArtwork(options, onProgress);
+        return this._request('exportArtwork', options, onProgress);
+    }
+
+    // Run `method` in the worker now and resolve to what it returns
+    _request(method, options, onProgress = () => {}) {
+        const id = this.nextRequestId++;
+
+        return new Promise((resolve, reject) => {
+            this.requests.set(id, { resolve, reject, onProgress });
+            this._queue(method, id, options);
+            this._flush();
+        });
+    }
+
+    // ========================================
+    // MESSAGING
+    // ========================================
+
+    // After a fallback, calls go straight to the same-thread renderer
+    _queue(method, ...args) {
+        if (this.local) {
+            this.local[method](...args);
+        } else {
+            this.commands.push([method, args]);
+        }
+    }
+
+    _flush() {
+        if (this.commands.length === 0) return;
+
+        this.worker.postMessage({ type: 'commands', commands: this.commands });
+        this.commands = [];
+        this.framesInFlight++;
+    }
+
+    _onMessage(message) {
+        switch (message.type) {
+            case 'ready':
+                this.backend = { name: `${message.backend} (worker)` };
+                break;
+            case 'frame':
+                this.framesInFlight--;
+                break;
+            case 'progress':
+                this._onProgress(message);
+                break;
+            case 'result':
+                this._onResult(message);
+                break;
+            case 'error':
+                console.error('Render worker error:', message.message);
+                break;
+            case 'failed':
+                this._fallBack(message.message);
+                break;
+            case 'contextLost':
+                this._replaceCanvas();
+                break;
+        }
+    }
+
+    _onProgress({ id, progress }) {
+        const request = this.requests.get(id);
+        if (request) request.onProgress(progress);
+    }
+
+    _onResult({ id, result, error }) {
+        const request = this.requests.get(id);
+        if (!request) return;
+
+        this.requests.delete(id);
+        if (error) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve(result);
+        }
+    }
+
+    // ========================================
+    // FALLBACK
+    // ========================================
+
+    // Requests waiting on the worker fail, and rendering carries on in a
+    // VisualRenderer on this thread. The transferred canvas can't be
+    // drawn from here, so a copy of the element takes its place. The
+    // mirrored state carries over; the simulation starts over from the
+    // session seed.
+    _fallBack(reason) {
+        if (this.local) return;
+
+        console.error('Render worker failed, rendering on the main thread:', reason);
+        this.worker.terminate();
+
+        this.commands = [];
+        this.framesInFlight = 0;
+        for (const request of this.requests.values()) {
+            request.reject(new Error(`Rendering failed: ${reason}`));
+        }
+        this.requests.clear();
+
+        const canvas = this.canvas.cloneNode(false);
+        this.canvas.replaceWith(canvas);
+        this.canvas = canvas;
+
+        const local = new VisualRenderer(canvas, {
+            ...this.options,
+            quality: this.qualityTier,
+            viewport: this.viewport,
+            onFallback: (contextCanvas, reason) => {
+                this.canvas = contextCanvas;
+                this.backend = this.local.backend;
+                this.onFallback(contextCanvas, reason);
+            }
+        });
+        local.setVignette(this.vignette);
+        local.setMode(this.mode, { duration: 0 });
+        local.setPalette(this.palette, { duration: 0 });
+        local.reset(this.seed);
+
+        const { width, height } = this.visualSize;
+        if (width !== this.viewport.width || height !== this.viewport.height) {
+            local.resizeVisual(width, height);
+        }
+
+        this.local = local;
+        this.backend = local.backend;
+        this.onFallback(canvas, 'worker');
+    }
+
+    // The worker lost its WebGL context and carries on in Canvas 2D on a
+    // new canvas, which only this thread can put in the page
+    _replaceCanvas() {
+        const canvas = this.canvas.cloneNode(false);
+        this.canvas.replaceWith(canvas);
+        this.canvas = canvas;
+
+        const offscreen = canvas.transferControlToOffscreen();
+        this.worker.postMessage({ type: 'canvas', canvas: offscreen }, [offscreen]);
+
+        this.backend = { name: '2d (worker)' };
+        this.onFallback(canvas, 'context');
+    }
+
+    // ========================================
+    // SIZING
+    // ========================================
+
+    // The worker sizes the canvas buffer; the element is sized here
+    _sizeElement() {
+        this.canvas.style.width = this.viewport.width + 'px';
+        this.canvas.style.height = this.viewport.height + 'px';
+    }
+}
+
+// ========================================
+// FACTORY
+// ========================================
+
+// Renders in a worker when the browser can hand the canvas over, and on
+// the main thread otherwise. Pass { worker: false } to stay on the main
+// thread.
+export function createRenderer(canvas, options = {}) {
+    if (options.worker !== false && RemoteRenderer.isSupported(canvas)) {
+        return new RemoteRenderer(canvas, options);
+    }
+    return new VisualRenderer(canvas, options);
+}
+
+export default RemoteRenderer;
@@ -3,179 +3,485 @@
  * Manages canvas rendering and visual modes
  */
 
-import { NebulaVisual } from './nebula.js';
-import { fadeCanvas } from '../utils.js';
+import { createVisualMode, hasVisualMode, DEFAULT_VISUAL_MODE } from './index.js';
+import { createBackend, Canvas2DBackend } from './backends/index.js';
+import { CoordinateSpace } from './space.js';
+import { QUALITY_TIERS, DEFAULT_QUALITY_TIER } from '../quality.js';
+import { renderArtwork, drawWatermark } from '../export/artwork.js';
+import { getPaletteColors, lerpPalette, registerPalette, clamp, createCanvas, canvasToBlob, Easing } from '../utils.js';
+
+// Default transition lengths, in seconds of simulation time so replays
+// blend exactly like the live session did
+const MODE_TRANSITION_DURATION = 1.5;
+const PALETTE_TRANSITION_DURATION = 2;
+
+// The window's size and pixel ratio. A renderer in a worker has no
+// window; the main thread sends it this instead.
+export function getViewport() {
+    return {
+        width: window.innerWidth,
+        height: window.innerHeight,
+        devicePixelRatio: window.devicePixelRatio || 1
+    };
+}
+
+// A copy of the canvas element takes its place in the page
+function replaceElement(canvas) {
+    const copy = canvas.cloneNode(false);
+    canvas.replaceWith(copy);
+    return copy;
+}
 
 // ========================================
 // VISUAL RENDERER
 // ========================================
 
 export class VisualRenderer {
-    constructor(canvas) {
+    // options: { backend, quality, viewport, modeTransition, paletteTransition,
+    //            replaceCanvas, onFallback }
+    //   backend       - 'auto' (WebGL2 with Canvas 2D fallback), 'webgl2' or '2d'
+    //   quality       - starting quality tier name
+    //   viewport      - { width, height, devicePixelRatio } to size to instead
+    //                   of following the window (e.g. in a worker)
+    //   replaceCanvas - resolves to a fresh canvas when the WebGL context is
+    //                   lost (default: a copy of the element in the page)
+    //   onFallback    - called with that canvas and 'context' once Canvas 2D
+    //                   has taken over
+    //   durations in seconds
+    constructor(canvas, options = {}) {
         this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
+        this.backend = createBackend(canvas, options.backend);
+
+        this.replaceCanvas = options.replaceCanvas || replaceElement;
+        this.onFallback = options.onFallback || (() => {});
+        this.contextLost = false;
+        this._watchContext();
 
-        this.mode = 'nebula';
+        this.qualityTier = options.quality || DEFAULT_QUALITY_TIER;
+        this.quality = QUALITY_TIERS[this.qualityTier];
+
+        this.mode = DEFAULT_VISUAL_MODE;
         this.palette = 'deepSpace';
+        this.seed = 1; // Session seed shared with every visual mode
+
+        this.modeTransition = options.modeTransition !== undefined
+            ? options.modeTransition
+            : MODE_TRANSITION_DURATION;
+        this.paletteTransition = options.paletteTransition !== undefined
+            ? options.paletteTransition
+            : PALETTE_TRANSITION_DURATION;
 
         this.activeVisual = null;
+        this.frameCanvas = null; // Scratch canvas for captureFrame()
+
+        // Darkened corners over the picture (off for clean video clips)
+        this.vignette = true;
+
+        // Visual units -> canvas pixels, shared with the backend
+        this.space = new CoordinateSpace();
 
-        this._setupCanvas();
+        // Crossfade in progress: { from, fromLayer, toLayer, elapsed, duration }
+        this.transition = null;
+
+        // Palette tween in progress: { from, elapsed, duration }, and the
+        // palette (name or blended colors) the visuals currently have
+        this.paletteTween = null;
+        this.displayPalette = this.palette;
+
+        this._setupCanvas(options.viewport);
         this._initVisuals();
     }
 
-    _setupCanvas() {
+    _setupCanvas(viewport) {
         // Set canvas size to window size
-        this.resize();
+        this.resize(viewport);
 
-        // Handle window resize
-        window.addEventListener('resize', () => this.resize());
-
-        // Enable blend modes
-        this.ctx.globalCompositeOperation = 'source-over';
+        // Handle window resize, unless someone else is passing sizes in
+        if (!viewport) {
+            window.addEventListener('resize', () => this.resize());
+        }
     }
 
     _initVisuals() {
-        // Initialize current visual mode
-        switch (this.mode) {
-            case 'nebula':
-            default:
-                this.activeVisual = new NebulaVisual(
-                    this.canvas.width,
-                    this.canvas.height
-                );
-                break;
-
-            // Phase 2: Add more visual modes
-            // case 'geometry':
-            //     this.activeVisual = new GeometryVisual(...);
-            //     break;
+        // Unknown modes (e.g. from an old share link) fall back to the default
+        if (!hasVisualMode(this.mode)) {
+            this.mode = DEFAULT_VISUAL_MODE;
         }
 
+        // A new mode takes over the current one's size, so a replay
+        // switches modes exactly like the live session did
+        const { width, height } = this.getVisualSize();
+
+        this.activeVisual = createVisualMode(this.mode, width, height, this.seed);
+
         if (this.activeVisual && this.activeVisual.setPalette) {
-            this.activeVisual.setPalette(this.palette);
+            this.activeVisual.setPalette(this.displayPalette);
         }
+
+        if (this.activeVisual && this.activeVisual.setQuality) {
+            this.activeVisual.setQuality(this.quality);
+        }
+    }
+
+    resize(viewport = getViewport()) {
+        this.viewport = viewport;
+        this._resizeCanvas();
+
+        // Visuals follow the viewport in CSS pixels
+        this.resizeVisual(viewport.width, viewport.height);
     }
 
-    resize() {
-        const dpr = window.devicePixelRatio || 1;
+    get pixelRatio() {
+        return Math.min(this.viewport.devicePixelRatio, this.quality.maxPixelRatio);
+    }
+
+    _resizeCanvas() {
+        const { width, height } = this.viewport;
+        const dpr = this.pixelRatio;
+
+        // Canvas dimensions are whole device pixels. Setting them also
+        // clears the canvas and resets its context.
+        this.canvas.width = Math.floor(width * dpr);
+        this.canvas.height = Math.floor(height * dpr);
 
-        // Set display size
-        this.canvas.width = window.innerWidth * dpr;
-        this.canvas.height = window.innerHeight * dpr;
+        // Set CSS size (an OffscreenCanvas has none; its element is sized
+        // on the main thread)
+        if (this.canvas.style) {
+            this.canvas.style.width = width + 'px';
+            this.canvas.style.height = height + 'px';
+        }
 
-        // Scale context for high DPI
-        this.ctx.scale(dpr, dpr);
+        this._updateSpace();
+        this.backend.resize(this.space);
 
-        // Set CSS size
-        this.canvas.style.width = window.innerWidth + 'px';
-        this.canvas.style.height = window.innerHeight + 'px';
+        // Layers no longer match the canvas; cut straight to the new mode
+        this._endTransition();
+    }
 
-        // Notify active visual of resize
-        if (this.activeVisual && this.activeVisual.resize) {
-            this.activeVisual.resize(
-                window.innerWidth,
-                window.innerHeight
-            );
+    // Resize the simulation. Replays call this on its own to restore the
+    // size a timeline was recorded at; the space then fits it to the canvas.
+    resizeVisual(width, height) {
+        for (const visual of this._visuals()) {
+            if (visual.resize) {
+                visual.resize(width, height);
+            }
         }
+        this._updateSpace();
+    }
+
+    // The backend holds on to the same space, so it sees the change too
+    _updateSpace() {
+        const { width, height } = this.getVisualSize();
+        this.space.set(width, height, this.canvas.width, this.canvas.height);
+    }
+
+    // The active visual, plus the outgoing one during a crossfade
+    _visuals() {
+        const visuals = this.transition ? [this.transition.from] : [];
+        if (this.activeVisual) visuals.push(this.activeVisual);
+        return visuals;
+    }
+
+    getVisualSize() {
+        return {
+            width: this.activeVisual ? this.activeVisual.canvasWidth : this.viewport.width,
+            height: this.activeVisual ? this.activeVisual.canvasHeight : this.viewport.height
+        };
     }
 
     update(breathState, deltaTime) {
-        if (this.activeVisual && this.activeVisual.update) {
-            this.activeVisual.update(breathState, deltaTime);
+        this._updatePaletteTween(deltaTime);
+
+        if (this.transition) {
+            this.transition.elapsed += deltaTime;
+        }
+
+        // The outgoing mode keeps moving while it fades out
+        for (const visual of this._visuals()) {
+            if (visual.update) {
+                visual.update(breathState, deltaTime);
+            }
         }
     }
 
     render() {
+        // Nothing can be drawn until Canvas 2D has taken over
+        if (this.contextLost) return;
+
+        if (this.transition) {
+            this._renderTransition();
+            return;
+        }
+
+        const { backend } = this;
+
         // Fade effect for motion trails
-        fadeCanvas(this.ctx, 0.15);
+        backend.fade(backend.screen, this.quality.trailFade);
 
         // Render active visual
-        if (this.activeVisual && this.activeVisual.render) {
-            this.activeVisual.render(this.ctx);
+        if (this.activeVisual) {
+            backend.drawVisual(backend.screen, this.activeVisual);
         }
 
-        // Optional: render vignette overlay
-        this._renderVignette();
+        // Show it, with the vignette overlay
+        backend.present([[backend.screen, 1]], this.vignette);
     }
 
-    _renderVignette() {
-        const { width, height } = this.canvas;
-        const centerX = width / 2;
-        const centerY = height / 2;
-        const maxRadius = Math.sqrt(centerX * centerX + centerY * centerY);
+    // options: { duration } crossfade length in seconds (0 cuts straight over)
+    setMode(modeName, options = {}) {
+        if (this.mode === modeName) return;
 
-        const gradient = this.ctx.createRadialGradient(
-            centerX, centerY, 0,
-            centerX, centerY, maxRadius
-        );
+        const duration = options.duration !== undefined ? options.duration : this.modeTransition;
+        const previous = this.activeVisual;
 
-        gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
-        gradient.addColorStop(0.7, 'rgba(0, 0, 0, 0)');
-        gradient.addColorStop(1, 'rgba(0, 0, 0, 0.5)');
+        this.mode = modeName;
+        this._initVisuals();
 
-        this.ctx.fillStyle = gradient;
-        this.ctx.fillRect(0, 0, width, height);
+        if (!previous || duration <= 0) {
+            this._destroyVisual(previous);
+            this._endTransition();
+            return;
+        }
+
+        // Switching again mid-blend: drop the oldest visual and fade out
+        // the one that was fading in, starting from what is on screen
+        const { backend } = this;
+        let fromLayer;
+        let toLayer;
+
+        if (this.transition) {
+            ({ fromLayer, toLayer } = this.transition);
+            backend.blend(backend.screen, this._transitionEntries());
+            this._destroyVisual(this.transition.from);
+        } else {
+            fromLayer = backend.createLayer();
+            toLayer = backend.createLayer();
+        }
+
+        backend.copyLayer(backend.screen, fromLayer);
+        backend.clearLayer(toLayer);
+
+        this.transition = { from: previous, fromLayer, toLayer, elapsed: 0, duration };
     }
 
-    setMode(modeName) {
-        if (this.mode === modeName) return;
+    // options: { duration } tween length in seconds (0 snaps)
+    setPalette(paletteName, options = {}) {
+        const duration = options.duration !== undefined ? options.duration : this.paletteTransition;
+        const from = this.displayPalette;
 
-        this.mode = modeName;
+        this.palette = paletteName;
 
-        // Destroy old visual
-        if (this.activeVisual && this.activeVisual.destroy) {
-            this.activeVisual.destroy();
+        if (duration <= 0 || from === paletteName) {
+            this._finishPaletteTween();
+            return;
         }
 
-        // Initialize new visual
-        this._initVisuals();
+        this.paletteTween = { from, elapsed: 0, duration };
     }
 
-    setPalette(paletteName) {
-        this.palette = paletteName;
+    // Add or redefine a custom palette. Visuals look colors up by name,
+    // so a palette already on screen takes the new colors at once.
+    definePalette(name, colors) {
+        registerPalette(name, colors);
+    }
 
-        if (this.activeVisual && this.activeVisual.setPalette) {
-            this.activeVisual.setPalette(paletteName);
+    // Switch quality tier. Particle limits and spawn rates change the
+    // simulation, so live sessions record the change in their timeline.
+    setQuality(tierName) {
+        if (this.qualityTier === tierName || !QUALITY_TIERS[tierName]) return;
+
+        const previousRatio = this.pixelRatio;
+
+        this.qualityTier = tierName;
+        this.quality = QUALITY_TIERS[tierName];
+
+        for (const visual of this._visuals()) {
+            if (visual.setQuality) {
+                visual.setQuality(this.quality);
+            }
+        }
+
+        // Only the canvas resolution changes; the simulation keeps its size
+        if (this.pixelRatio !== previousRatio) {
+            this._resizeCanvas();
         }
     }
 
-    reset() {
+    // Only changes what is shown, not the simulation, so it is not
+    // recorded in timelines
+    setVignette(enabled) {
+        this.vignette = enabled;
+    }
+
+    // Start from a clean slate: transitions finish instantly so a live
+    // session and its replay begin from the same state
+    reset(seed = this.seed) {
+        this.seed = seed;
+
+        this._endTransition();
+        this._finishPaletteTween();
+
         if (this.activeVisual && this.activeVisual.reset) {
-            this.activeVisual.reset();
-        }
-    }
-
-    // Screenshot functionality
-    captureScreenshot(scale = 2) {
-        return new Promise((resolve) => {
-            // Create temporary high-res canvas
-            const tempCanvas = document.createElement('canvas');
-            const tempCtx = tempCanvas.getContext('2d');
-
-            tempCanvas.width = this.canvas.width * scale;
-            tempCanvas.height = this.canvas.height * scale;
-
-            // Scale and draw current canvas
-            tempCtx.scale(scale, scale);
-            tempCtx.drawImage(this.canvas, 0, 0);
-
-            // Add watermark
-            tempCtx.font = '16px Work Sans';
-            tempCtx.fillStyle = 'rgba(255, 255, 255, 0.3)';
-            tempCtx.textAlign = 'right';
-            tempCtx.fillText(
-                'Breathing Cosmos',
-                tempCanvas.width / scale - 20,
-                tempCanvas.height / scale - 20
-            );
-
-            // Convert to blob
-            tempCanvas.toBlob((blob) => {
-                resolve(blob);
-            }, 'image/png');
+            this.activeVisual.reset(seed);
+        }
+    }
+
+    // ========================================
+    // CONTEXT LOSS
+    // ========================================
+
+    _watchContext() {
+        if (this.backend.name !== 'webgl2') return;
+
+        this.canvas.addEventListener('webglcontextlost', () => {
+            this._onContextLost();
         });
     }
+
+    // A canvas keeps its lost WebGL context for good and can't be given a
+    // 2D one, so drawing moves to Canvas 2D on a fresh canvas. Visuals
+    // don't depend on the backend, so the simulation carries on as is.
+    async _onContextLost() {
+        if (this.contextLost) return;
+
+        console.warn('WebGL context lost, switching to Canvas 2D');
+        this.contextLost = true;
+
+        let canvas;
+        try {
+            canvas = await this.replaceCanvas(this.canvas);
+        } catch (error) {
+            console.error('No canvas to carry on drawing in:', error);
+            return;
+        }
+
+        // Crossfade layers went with the old context
+        this._endTransition();
+
+        this.canvas = canvas;
+        this.backend = new Canvas2DBackend(canvas);
+        this.contextLost = false;
+        this._resizeCanvas();
+
+        this.onFallback(canvas, 'context');
+    }
+
+    // ========================================
+    // TRANSITIONS
+    // ========================================
+
+    _renderTransition() {
+        const { backend } = this;
+        const { from, fromLayer, toLayer } = this.transition;
+
+        // Each visual keeps its own motion trails in its own layer
+        for (const [visual, layer] of [[from, fromLayer], [this.activeVisual, toLayer]]) {
+            backend.fade(layer, this.quality.trailFade);
+            backend.drawVisual(layer, visual);
+        }
+
+        const entries = this._transitionEntries();
+        backend.present(entries, this.vignette);
+
+        // The new visual has fully taken over; carry on in the screen layer
+        if (entries[1][1] >= 1) {
+            backend.copyLayer(toLayer, backend.screen);
+            this._endTransition();
+        }
+    }
+
+    // Old layer underneath, new layer on top at the eased progress
+    _transitionEntries() {
+        const { fromLayer, toLayer, elapsed, duration } = this.transition;
+        const progress = clamp(elapsed / duration, 0, 1);
+
+        return [[fromLayer, 1], [toLayer, Easing.easeInOutSine(progress)]];
+    }
+
+    _endTransition() {
+        if (!this.transition) return;
+
+        this._destroyVisual(this.transition.from);
+        this.backend.releaseLayer(this.transition.fromLayer);
+        this.backend.releaseLayer(this.transition.toLayer);
+        this.transition = null;
+    }
+
+    _destroyVisual(visual) {
+        if (visual && visual.destroy) {
+            visual.destroy();
+        }
+    }
+
+    _updatePaletteTween(deltaTime) {
+        if (!this.paletteTween) return;
+
+        const tween = this.paletteTween;
+        tween.elapsed += deltaTime;
+
+        if (tween.elapsed >= tween.duration) {
+            this._finishPaletteTween();
+            return;
+        }
+
+        const t = Easing.easeInOutSine(tween.elapsed / tween.duration);
+        this._applyPalette(lerpPalette(getPaletteColors(tween.from), this.palette, t));
+    }
+
+    _finishPaletteTween() {
+        this.paletteTween = null;
+        this._applyPalette(this.palette);
+    }
+
+    _applyPalette(palette) {
+        this.displayPalette = palette;
+
+        for (const visual of this._visuals()) {
+            if (visual.setPalette) {
+                visual.setPalette(palette);
+            }
+        }
+    }
+
+    // ========================================
+    // CAPTURE
+    // ========================================
+
+    // The frame on screen, at the canvas's full resolution (works in a
+    // worker too)
+    captureScreenshot() {
+        const { width, height } = this.canvas;
+        const tempCanvas = createCanvas(width, height);
+        const tempCtx = tempCanvas.getContext('2d');
+
+        tempCtx.drawImage(this.canvas, 0, 0);
+        drawWatermark(tempCtx, width, height, this.pixelRatio);
+
+        // Convert to blob
+        return canvasToBlob(tempCanvas);
+    }
+
+    // The frame on screen scaled to width x height, as ImageData (for
+    // animated loops). The scratch canvas is kept between frames.
+    captureFrame(width, height) {
+        if (!this.frameCanvas || this.frameCanvas.width !== width || this.frameCanvas.height !== height) {
+            this.frameCanvas = createCanvas(width, height);
+        }
+
+        const ctx = this.frameCanvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(this.canvas, 0, 0, width, height);
+        return ctx.getImageData(0, 0, width, height);
+    }
+
+    // Re-render the active visual at print size and resolve to a PNG
+    // blob (see renderArtwork). Don't update the visuals until it's done.
+    // options: { width, height, dpi, watermark }
+    exportArtwork(options, onProgress) {
+        if (!this.activeVisual || !this.activeVisual.render) {
+            return Promise.reject(new Error('Nothing to export'));
+        }
+        return renderArtwork(this.activeVisual, options, onProgress);
+    }
 }
 
 export default VisualRenderer;
@@ -0,0 +1,44 @@
+/**
+ * BREATHING COSMOS - COORDINATE SPACE
+ * Maps the visuals' coordinates onto canvas pixels; shared by the
+ * backends, overlays and artwork export
+ */
+
+// ========================================
+// COORDINATE SPACE
+// ========================================
+
+// Visuals simulate in their own units: CSS pixels of the viewport they
+// were sized for. A CoordinateSpace places that width x height area on
+// a deviceWidth x deviceHeight pixel canvas, scaled to cover it and
+// centred. In a live session the visual matches the viewport, so the
+// scale is the device pixel ratio; a replay recorded in another window
+// size is fitted the same way instead of sitting in a corner.
+export class CoordinateSpace {
+    constructor(width = 1, height = 1, deviceWidth = width, deviceHeight = height) {
+        this.set(width, height, deviceWidth, deviceHeight);
+    }
+
+    set(width, height, deviceWidth, deviceHeight) {
+        this.width = Math.max(1, width);
+        this.height = Math.max(1, height);
+        this.deviceWidth = Math.max(1, deviceWidth);
+        this.deviceHeight = Math.max(1, deviceHeight);
+
+        // Device pixels per visual unit
+        this.scale = Math.max(this.deviceWidth / this.width, this.deviceHeight / this.height);
+
+        // Where the visual's origin lands, in device pixels
+        this.offsetX = (this.deviceWidth - this.width * this.scale) / 2;
+        this.offsetY = (this.deviceHeight - this.height * this.scale) / 2;
+    }
+
+    // Set ctx to draw in visual units. (left, top) is the device pixel
+    // at the canvas's corner, for canvases holding one tile of a larger
+    // picture.
+    apply(ctx, left = 0, top = 0) {
+        ctx.setTransform(this.scale, 0, 0, this.scale, this.offsetX - left, this.offsetY - top);
+    }
+}
+
+export default CoordinateSpace;
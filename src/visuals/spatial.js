@@ -0,0 +1,113 @@
+/**
+ * BREATHING COSMOS - SPATIAL HASH
+ * Uniform grid over particle positions for fast neighbor lookups
+ */
+
+// ========================================
+// SPATIAL HASH
+// ========================================
+
+// Rebuilt from scratch with a counting sort whenever positions change,
+// so it allocates nothing per frame and lists each cell's particles in
+// the order they were given (which keeps simulations deterministic).
+export class SpatialHash {
+    constructor(cellSize, capacity) {
+        this.cellSize = cellSize;
+        this.cols = 0;
+        this.rows = 0;
+
+        // Particles of cell c are items[cellStart[c] .. cellStart[c + 1])
+        this.cellStart = new Int32Array(1);
+        this.cellCursor = new Int32Array(1);
+        this.items = new Int32Array(capacity);
+        this.itemCells = new Int32Array(capacity);
+
+        this.x = null;
+        this.y = null;
+    }
+
+    // Index `count` particles, the slots listed in `slots`, with
+    // positions in the `x` and `y` arrays. Positions outside
+    // width x height fall into the edge cells.
+    build(x, y, slots, count, width, height) {
+        this.x = x;
+        this.y = y;
+        this.cols = Math.max(1, Math.ceil(width / this.cellSize));
+        this.rows = Math.max(1, Math.ceil(height / this.cellSize));
+
+        const cellCount = this.cols * this.rows;
+        if (this.cellStart.length < cellCount + 1) {
+            this.cellStart = new Int32Array(cellCount + 1);
+            this.cellCursor = new Int32Array(cellCount + 1);
+        }
+        if (this.items.length < count) {
+            this.items = new Int32Array(count);
+            this.itemCells = new Int32Array(count);
+        }
+
+        const { cellStart, cellCursor, items, itemCells } = this;
+        cellStart.fill(0, 0, cellCount + 1);
+
+        for (let n = 0; n < count; n++) {
+            const i = slots[n];
+            const cell = this._cell(this._col(x[i]), this._row(y[i]));
+            itemCells[n] = cell;
+            cellStart[cell + 1]++;
+        }
+
+        for (let c = 0; c < cellCount; c++) {
+            cellStart[c + 1] += cellStart[c];
+        }
+        cellCursor.set(cellStart.subarray(0, cellCount));
+
+        for (let n = 0; n < count; n++) {
+            items[cellCursor[itemCells[n]]++] = slots[n];
+        }
+    }
+
+    // Write the slots within `radius` of (x, y) into `out`, cell by cell
+    // (not nearest first). Stops when `out` is full; returns the count.
+    query(x, y, radius, out) {
+        const { cellStart, items } = this;
+        const px = this.x;
+        const py = this.y;
+        const radiusSq = radius * radius;
+
+        const minCol = this._col(x - radius);
+        const maxCol = this._col(x + radius);
+        const minRow = this._row(y - radius);
+        const maxRow = this._row(y + radius);
+
+        let found = 0;
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const cell = this._cell(col, row);
+
+                for (let k = cellStart[cell]; k < cellStart[cell + 1]; k++) {
+                    const i = items[k];
+                    const dx = px[i] - x;
+                    const dy = py[i] - y;
+                    if (dx * dx + dy * dy > radiusSq) continue;
+
+                    out[found++] = i;
+                    if (found === out.length) return found;
+                }
+            }
+        }
+        return found;
+    }
+
+    _col(x) {
+        return Math.min(this.cols - 1, Math.max(0, Math.floor(x / this.cellSize)));
+    }
+
+    _row(y) {
+        return Math.min(this.rows - 1, Math.max(0, Math.floor(y / this.cellSize)));
+    }
+
+    _cell(col, row) {
+        return row * this.cols + col;
+    }
+}
+
+export default SpatialHash;
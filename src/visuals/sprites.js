@@ -0,0 +1,91 @@
+/**
+ * BREATHING COSMOS - GLOW SPRITE CACHE
+ * Pre-rendered particle glows, blitted with drawImage instead of
+ * building a radial gradient per particle per frame
+ */
+
+import { createCanvas } from '../utils.js';
+
+// Sprite radii in device pixels; each glow is drawn from the smallest
+// sprite at least as large, scaled down. The largest only show up in
+// print-size artwork exports.
+const SIZE_BUCKETS = [4, 8, 16, 32, 64, 128];
+
+// Colors are bucketed to 16 levels per channel
+const COLOR_SHIFT = 4;
+const COLOR_LEVELS = 1 << (8 - COLOR_SHIFT);
+
+// ========================================
+// GLOW SPRITE CACHE
+// ========================================
+
+export class GlowSpriteCache {
+    constructor(maxSprites = 512) {
+        this.maxSprites = maxSprites;
+        this.sprites = new Map();
+    }
+
+    // Sprite for an (r, g, b) color (0-255) drawn at `radius` device pixels
+    get(r, g, b, radius) {
+        let bucket = 0;
+        while (bucket < SIZE_BUCKETS.length - 1 && SIZE_BUCKETS[bucket] < radius) {
+            bucket++;
+        }
+
+        const red = r >> COLOR_SHIFT;
+        const green = g >> COLOR_SHIFT;
+        const blue = b >> COLOR_SHIFT;
+        const key = (((red * COLOR_LEVELS + green) * COLOR_LEVELS + blue) * SIZE_BUCKETS.length) + bucket;
+
+        let sprite = this.sprites.get(key);
+        if (!sprite) {
+            // Palette tweens can mint many colors; start over rather than grow forever
+            if (this.sprites.size >= this.maxSprites) {
+                this.sprites.clear();
+            }
+
+            const scale = 255 / (COLOR_LEVELS - 1);
+            sprite = createGlowSprite(
+                Math.round(red * scale),
+                Math.round(green * scale),
+                Math.round(blue * scale),
+                SIZE_BUCKETS[bucket]
+            );
+            this.sprites.set(key, sprite);
+        }
+
+        return sprite;
+    }
+
+    clear() {
+        this.sprites.clear();
+    }
+}
+
+// The glow and core particles have always drawn: a radial halo
+// (0.8 -> 0.3 -> 0 alpha) with a solid core a third of its radius
+function createGlowSprite(r, g, b, radius) {
+    const canvas = createCanvas(radius * 2, radius * 2);
+    const ctx = canvas.getContext('2d');
+    const color = `${r}, ${g}, ${b}`;
+
+    const gradient = ctx.createRadialGradient(radius, radius, 0, radius, radius, radius);
+    gradient.addColorStop(0, `rgba(${color}, 0.8)`);
+    gradient.addColorStop(0.5, `rgba(${color}, 0.3)`);
+    gradient.addColorStop(1, `rgba(${color}, 0)`);
+
+    ctx.fillStyle = gradient;
+    ctx.beginPath();
+    ctx.arc(radius, radius, radius, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.globalCompositeOperation = 'lighter';
+    ctx.fillStyle = `rgb(${color})`;
+    ctx.beginPath();
+    ctx.arc(radius, radius, radius / 3, 0, Math.PI * 2);
+    ctx.fill();
+
+    return canvas;
+}
+
+export default GlowSpriteCache;
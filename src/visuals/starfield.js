@@ -0,0 +1,71 @@
+/**
+ * BREATHING COSMOS - STARFIELD
+ * Seeded, twinkling background stars shared by the visual modes
+ */
+
+import { SeededRandom } from '../utils.js';
+
+export class Starfield {
+    // options: { count, skyHeight } - skyHeight is the fraction of the
+    // canvas (from the top) the stars are scattered over
+    constructor(width, height, seed = 1, options = {}) {
+        this.seed = seed;
+        this.count = options.count || 200;
+        this.skyHeight = options.skyHeight || 1;
+
+        this.resize(width, height);
+    }
+
+    // Stars are regenerated from the seed, so a resize keeps the same
+    // sky and never touches the owning visual's random sequence
+    resize(width, height) {
+        const rng = new SeededRandom(this.seed);
+        this.stars = [];
+
+        for (let i = 0; i < this.count; i++) {
+            this.stars.push({
+                x: rng.range(0, width),
+                y: rng.range(0, height * this.skyHeight),
+                size: rng.range(0.5, 2),
+                opacity: rng.range(0.3, 0.8),
+                twinklePhase: rng.range(0, Math.PI * 2),
+                twinkleSpeed: rng.range(0.5, 2)
+            });
+        }
+    }
+
+    update(deltaTime) {
+        for (const star of this.stars) {
+            star.twinklePhase += star.twinkleSpeed * deltaTime;
+        }
+    }
+
+    // Stars as plain sprites for the WebGL backend
+    renderSprites(batch, brightness = 1) {
+        for (const star of this.stars) {
+            const twinkle = (Math.sin(star.twinklePhase) + 1) / 2;
+            const alpha = star.opacity * (0.7 + twinkle * 0.3) * brightness;
+
+            batch.add(star.x, star.y, star.size, 1, 1, 1, alpha, false);
+        }
+    }
+
+    render(ctx, brightness = 1) {
+        // One fill color for every star; twinkle goes through globalAlpha
+        // rather than a new rgba() string per star
+        ctx.fillStyle = '#ffffff';
+
+        for (const star of this.stars) {
+            const twinkle = (Math.sin(star.twinklePhase) + 1) / 2;
+            ctx.globalAlpha = star.opacity * (0.7 + twinkle * 0.3) * brightness;
+
+            ctx.beginPath();
+            ctx.arc(star.x, star.y, star.size, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.globalAlpha = 1;
+    }
+}
+
+export default Starfield;
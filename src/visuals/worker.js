@@ -0,0 +1,133 @@
+/**
+ * BREATHING COSMOS - RENDER WORKER
+ * Runs a VisualRenderer on an OffscreenCanvas, driven by RemoteRenderer
+ * on the main thread
+ */
+
+import { VisualRenderer } from './renderer.js';
+
+// Renderer methods the main thread may call, in the order it called them
+const COMMANDS = new Set([
+    'update',
+    'render',
+    'setMode',
+    'setPalette',
+    'definePalette',
+    'setQuality',
+    'setVignette',
+    'reset',
+    'resize',
+    'resizeVisual'
+]);
+
+let renderer = null;
+
+// Resolves the canvas asked for after the WebGL context was lost
+let receiveCanvas = null;
+
+// Messages are handled strictly in order, even while init is still
+// importing custom visual modes
+let pending = Promise.resolve();
+
+self.addEventListener('message', ({ data }) => {
+    // The renderer is waiting on this one, so it can't queue behind others
+    if (data.type === 'canvas') {
+        if (receiveCanvas) receiveCanvas(data.canvas);
+        receiveCanvas = null;
+        return;
+    }
+
+    pending = pending
+        .then(() => handleMessage(data))
+        .catch(error => {
+            console.error('Render worker error:', error);
+            self.postMessage({ type: 'error', message: error.message });
+        });
+});
+
+async function handleMessage(message) {
+    switch (message.type) {
+        case 'init':
+            // Without a renderer nothing can be drawn here; the main
+            // thread takes over
+            try {
+                await init(message);
+            } catch (error) {
+                self.postMessage({ type: 'failed', message: error.message });
+            }
+            break;
+        case 'commands':
+            await runCommands(message.commands);
+            break;
+    }
+}
+
+async function init({ canvas, viewport, options, modules = [] }) {
+    // Custom visual modes register themselves when imported
+    for (const url of modules) {
+        await import(url);
+    }
+
+    renderer = new VisualRenderer(canvas, { ...options, viewport, replaceCanvas });
+    self.postMessage({ type: 'ready', backend: renderer.backend.name });
+}
+
+// Only the main thread can put a new element in the page; it transfers
+// the new canvas back
+function replaceCanvas() {
+    return new Promise(resolve => {
+        receiveCanvas = resolve;
+        self.postMessage({ type: 'contextLost' });
+    });
+}
+
+async function runCommands(commands) {
+    try {
+        for (const [method, args] of commands) {
+            if (method === 'captureScreenshot') {
+                captureScreenshot(...args);
+            } else if (method === 'captureFrame') {
+                captureFrame(...args);
+            } else if (method === 'exportArtwork') {
+                // Later commands wait, so every tile shows the same moment
+                await exportArtwork(...args);
+            } else if (COMMANDS.has(method)) {
+                renderer[method](...args);
+            }
+        }
+    } finally {
+        // Always acknowledge, so the main thread never stalls waiting
+        self.postMessage({ type: 'frame' });
+    }
+}
+
+// The picture is copied straight away; only the encoding is async
+async function captureScreenshot(id) {
+    try {
+        const blob = await renderer.captureScreenshot();
+        self.postMessage({ type: 'result', id, result: blob });
+    } catch (error) {
+        self.postMessage({ type: 'result', id, error: error.message });
+    }
+}
+
+// Pixels are handed over rather than copied
+function captureFrame(id, { width, height }) {
+    try {
+        const frame = renderer.captureFrame(width, height);
+        self.postMessage({ type: 'result', id, result: frame }, [frame.data.buffer]);
+    } catch (error) {
+        self.postMessage({ type: 'result', id, error: error.message });
+    }
+}
+
+async function exportArtwork(id, options) {
+    const onProgress = progress => self.postMessage({ type: 'progress', id, progress });
+
+    try {
+        const blob = await renderer.exportArtwork(options, onProgress);
+        self.postMessage({ type: 'result', id, result: blob });
+    } catch (error) {
+        self.postMessage({ type: 'result', id, error: error.message });
+    }
+}
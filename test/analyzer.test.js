@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { decodeWav, analyzeRecording } from '../src/audio/analyzer.js';
+
+// Fixtures are written by fixtures/generate.js: half a second of room
+// noise, then the sound from 0.5 s
+function loadFixture(name) {
+    const file = readFileSync(new URL(`fixtures/${name}`, import.meta.url));
+    return decodeWav(file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength));
+}
+
+function analyzeFixture(name) {
+    const { samples, sampleRate } = loadFixture(name);
+    return analyzeRecording(samples, sampleRate);
+}
+
+describe('decodeWav', () => {
+    it('reads 16-bit mono PCM', () => {
+        const { samples, sampleRate } = loadFixture('inhale.wav');
+
+        assert.equal(sampleRate, 16000);
+        assert.equal(samples.length, 40000);
+        assert.ok(samples.every(s => s >= -1 && s <= 1));
+    });
+
+    it('rejects files that are not WAV', () => {
+        assert.throws(() => decodeWav(new ArrayBuffer(44)), /Not a WAV file/);
+    });
+});
+
+describe('analyzeRecording', () => {
+    it('hears an inhale', () => {
+        const { frames, events } = analyzeFixture('inhale.wav');
+
+        assert.equal(events.length, 1);
+        assert.equal(events[0].direction, 'inhale');
+        assert.ok(events[0].start > 0.5 && events[0].start < 1, `starts at ${events[0].start}`);
+        assert.ok(events[0].end - events[0].start > 1, 'lasts the whole breath');
+
+        // Silent before the breath, breathing during it
+        assert.ok(frames.filter(f => f.time < 0.5).every(f => f.level === 0));
+        assert.ok(Math.max(...frames.map(f => f.level)) > 0.5);
+    });
+
+    it('hears an exhale', () => {
+        const { events } = analyzeFixture('exhale.wav');
+
+        assert.equal(events.length, 1);
+        assert.equal(events[0].direction, 'exhale');
+        assert.ok(events[0].end - events[0].start > 1, 'lasts the whole breath');
+    });
+
+    it('tells breaths apart in sequence', () => {
+        const inhale = loadFixture('inhale.wav').samples;
+        const exhale = loadFixture('exhale.wav').samples;
+        const samples = new Float32Array(inhale.length + exhale.length);
+        samples.set(inhale);
+        samples.set(exhale, inhale.length);
+
+        const { events } = analyzeRecording(samples, 16000);
+        assert.deepEqual(events.map(e => e.direction), ['inhale', 'exhale']);
+    });
+
+    it('does not take speech for breath', () => {
+        const { frames, events } = analyzeFixture('speech.wav');
+
+        // Heard above the floor, then rejected as voiced
+        assert.ok(frames.some(f => f.isActive));
+        assert.deepEqual(events, []);
+        assert.ok(frames.every(f => f.level === 0 && f.direction === null));
+
+        // Mostly tonal, not airflow, while the vowel sounds
+        const spoken = frames.filter(f => f.time > 0.7 && f.time < 2);
+        const voiced = spoken.filter(f => f.flatness < 0.15);
+        assert.ok(voiced.length / spoken.length > 0.8, `${voiced.length} of ${spoken.length} frames voiced`);
+    });
+});
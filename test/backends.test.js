@@ -0,0 +1,108 @@
+import { createFakeCanvas } from './helpers/canvas.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Canvas2DBackend } from '../src/visuals/backends/canvas2d.js';
+import { CoordinateSpace } from '../src/visuals/space.js';
+import { VisualRenderer } from '../src/visuals/renderer.js';
+import { NebulaVisual } from '../src/visuals/nebula.js';
+import { BreathPhase } from '../src/phases.js';
+
+const inhale = { intensity: 0.9, phase: BreathPhase.INHALE, totalCycles: 0 };
+
+// Counts the sprites a WebGL-sized budget would draw
+function createBatch() {
+    return { sprites: 0, add() { this.sprites++; }, addLine() {} };
+}
+
+// ========================================
+// DRAWING BUDGET
+// ========================================
+
+describe('Nebula drawing budget', () => {
+    it('simulates the same nebula on every backend', () => {
+        const canvas = createFakeCanvas(800, 600);
+        const ctx = canvas.getContext('2d');
+        let drawn = 0;
+        ctx.drawImage = () => { drawn++; };
+
+        const backend = new Canvas2DBackend(canvas);
+        backend.resize(new CoordinateSpace(800, 600, 800, 600));
+
+        const onCanvas2D = new NebulaVisual(800, 600, 9);
+        const onWebGL = new NebulaVisual(800, 600, 9);
+        const batch = createBatch();
+
+        for (let frame = 0; frame < 180; frame++) {
+            onCanvas2D.update(inhale, 1 / 60);
+            onWebGL.update(inhale, 1 / 60);
+
+            drawn = 0;
+            batch.sprites = 0;
+            backend.drawVisual(backend.screen, onCanvas2D);
+            onWebGL.renderSprites(batch, 24000);
+        }
+
+        const a = onCanvas2D.particles;
+        const b = onWebGL.particles;
+        assert.ok(a.count > backend.maxParticles, `${a.count} particles, more than Canvas 2D draws`);
+        assert.equal(a.count, b.count);
+        assert.deepEqual(a.x, b.x);
+        assert.deepEqual(a.y, b.y);
+
+        // Canvas 2D draws a glow sprite for up to its budget of particles,
+        // spread over the whole pool; WebGL draws every one, plus the stars
+        assert.ok(drawn <= backend.maxParticles, `${drawn} drawn`);
+        assert.ok(drawn > backend.maxParticles / 2, `${drawn} drawn`);
+        assert.equal(batch.sprites, a.count + onWebGL.starfield.stars.length);
+    });
+});
+
+// ========================================
+// CONTEXT LOSS
+// ========================================
+
+describe('VisualRenderer context loss', () => {
+    it('carries on in Canvas 2D on a fresh canvas, without losing the simulation', async () => {
+        const lostCanvas = createFakeCanvas();
+        const freshCanvas = createFakeCanvas();
+        let fallback = null;
+
+        const renderer = new VisualRenderer(lostCanvas, {
+            backend: '2d',
+            viewport: { width: 800, height: 600, devicePixelRatio: 2 },
+            replaceCanvas: async (canvas) => {
+                assert.equal(canvas, lostCanvas);
+                return freshCanvas;
+            },
+            onFallback: (canvas, reason) => { fallback = { canvas, reason }; }
+        });
+        renderer.reset(4);
+        for (let frame = 0; frame < 60; frame++) {
+            renderer.update(inhale, 1 / 60);
+        }
+
+        const nebula = renderer.activeVisual;
+        const count = nebula.particles.count;
+
+        const switched = renderer._onContextLost();
+        assert.equal(renderer.contextLost, true);
+        renderer.render(); // Nothing to draw on meanwhile
+        await switched;
+
+        assert.deepEqual(fallback, { canvas: freshCanvas, reason: 'context' });
+        assert.equal(renderer.canvas, freshCanvas);
+        assert.ok(renderer.backend instanceof Canvas2DBackend);
+        assert.equal(renderer.contextLost, false);
+        assert.equal(freshCanvas.width, 1600);
+        assert.equal(freshCanvas.height, 1200);
+
+        // Same visual, same particles
+        assert.equal(renderer.activeVisual, nebula);
+        assert.equal(nebula.particles.count, count);
+
+        const ctx = freshCanvas.getContext('2d');
+        renderer.render();
+        assert.ok(ctx.fills.length > 0, 'drew on the fresh canvas');
+    });
+});
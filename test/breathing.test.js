@@ -0,0 +1,107 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BreathingDetector } from '../src/breathing.js';
+import { BreathInputSource } from '../src/inputs/index.js';
+
+// Logs attach/detach calls; `attached` is what attach() resolves to,
+// once `gate` (if any) opens
+class TestSource extends BreathInputSource {
+    constructor(name, log, { attached = true, gate = null } = {}) {
+        super();
+        this.name = name;
+        this.log = log;
+        this.attached = attached;
+        this.gate = gate;
+    }
+
+    async attach(detector) {
+        this.log.push(`attach ${this.name}`);
+        if (this.gate) await this.gate;
+        if (!this.attached) return false;
+
+        super.attach(detector);
+        return true;
+    }
+
+    detach() {
+        this.log.push(`detach ${this.name}`);
+        super.detach();
+    }
+}
+
+function deferred() {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+}
+
+describe('BreathingDetector.setInputSource', () => {
+    it('keeps the previous source when the new one fails to attach', async () => {
+        const log = [];
+        const detector = new BreathingDetector();
+        const manual = new TestSource('manual', log);
+
+        assert.equal(await detector.setInputSource(manual), true);
+        assert.equal(await detector.setInputSource(new TestSource('mic', log, { attached: false })), false);
+
+        assert.equal(detector.source, manual);
+        assert.equal(detector.mode, 'manual');
+        assert.equal(manual.detector, detector);
+        assert.deepEqual(log, ['attach manual', 'attach mic']);
+    });
+
+    it('detaches the previous source only once the new one is attached', async () => {
+        const log = [];
+        const detector = new BreathingDetector();
+        const gate = deferred();
+        const manual = new TestSource('manual', log);
+        const mic = new TestSource('mic', log, { gate: gate.promise });
+
+        await detector.setInputSource(manual);
+        const switched = detector.setInputSource(mic);
+
+        // Still breathing with the old source while the mic opens
+        await null;
+        assert.equal(detector.source, manual);
+        assert.deepEqual(log, ['attach manual', 'attach mic']);
+
+        gate.resolve();
+        assert.equal(await switched, true);
+        assert.equal(detector.source, mic);
+        assert.equal(detector.mode, 'mic');
+        assert.equal(manual.detector, null);
+        assert.deepEqual(log, ['attach manual', 'attach mic', 'detach manual']);
+    });
+
+    it('drops a switch overtaken by a later one', async () => {
+        const log = [];
+        const detector = new BreathingDetector();
+        const gate = deferred();
+        const manual = new TestSource('manual', log);
+        const mic = new TestSource('mic', log, { gate: gate.promise });
+        const guided = new TestSource('guided', log);
+
+        await detector.setInputSource(manual);
+        const slow = detector.setInputSource(mic);
+        assert.equal(await detector.setInputSource(guided), true);
+
+        gate.resolve();
+        assert.equal(await slow, false);
+        assert.equal(detector.source, guided);
+        assert.deepEqual(log, ['attach manual', 'attach mic', 'attach guided', 'detach manual', 'detach mic']);
+    });
+
+    it('keeps a source that is already in use', async () => {
+        const log = [];
+        const detector = new BreathingDetector();
+        const manual = new TestSource('manual', log);
+
+        await detector.setInputSource(manual);
+        assert.equal(await detector.setInputSource(manual), true);
+
+        assert.equal(detector.source, manual);
+        assert.equal(manual.detector, detector);
+        assert.deepEqual(log, ['attach manual']);
+    });
+});
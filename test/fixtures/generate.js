@@ -0,0 +1,142 @@
+/**
+ * BREATHING COSMOS - ANALYZER FIXTURES
+ * Writes the WAV fixtures for analyzer.test.js: an inhale, an exhale and
+ * a spoken vowel, each after half a second of room noise.
+ * Run with `node test/fixtures/generate.js`; output is deterministic.
+ */
+
+import { writeFileSync } from 'node:fs';
+
+const SAMPLE_RATE = 16000;
+const DURATION = 2.5;
+const ROOM_TIME = 0.5; // Quiet lead-in that seeds the noise floor
+const ROOM_LEVEL = 0.001; // About -60 dBFS
+
+// ========================================
+// SIGNALS
+// ========================================
+
+// xorshift32 white noise in -1..1
+function createNoise(seed) {
+    let state = seed;
+    return () => {
+        state ^= state << 13;
+        state ^= state >>> 17;
+        state ^= state << 5;
+        return (state >>> 0) / 2147483648 - 1;
+    };
+}
+
+// RBJ cookbook band-pass (constant peak gain)
+function createBandPass(frequency, q) {
+    const w = 2 * Math.PI * frequency / SAMPLE_RATE;
+    const alpha = Math.sin(w) / (2 * q);
+    const a0 = 1 + alpha;
+    const b0 = alpha / a0;
+    const a1 = -2 * Math.cos(w) / a0;
+    const a2 = (1 - alpha) / a0;
+
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    return (x) => {
+        const y = b0 * x - b0 * x2 - a1 * y1 - a2 * y2;
+        x2 = x1;
+        x1 = x;
+        y2 = y1;
+        y1 = y;
+        return y;
+    };
+}
+
+function dbToGain(db) {
+    return Math.pow(10, db / 20);
+}
+
+// Room noise throughout, with `sound(t)` added after the lead-in
+function render(seed, sound) {
+    const noise = createNoise(seed);
+    const samples = new Float32Array(Math.round(DURATION * SAMPLE_RATE));
+
+    for (let i = 0; i < samples.length; i++) {
+        const t = i / SAMPLE_RATE;
+        samples[i] = noise() * ROOM_LEVEL + (t >= ROOM_TIME ? sound(t - ROOM_TIME) : 0);
+    }
+    return samples;
+}
+
+// Airflow hiss: noise through a band-pass, shaped by an envelope in dB
+function breath(seed, frequency, envelope) {
+    const noise = createNoise(seed);
+    const filter = createBandPass(frequency, 0.7);
+    return (t) => filter(noise()) * envelope(t);
+}
+
+// Inhale: a high hiss swelling by ~20 dB/s over 1.2 s
+const inhale = breath(7, 2800, (t) => {
+    if (t > 1.4) return 0;
+    const db = t < 1.2 ? -50 + 24 * t : -21 - 100 * (t - 1.2);
+    return dbToGain(db);
+});
+
+// Exhale: a lower rush, at full strength within 20 ms
+const exhale = breath(11, 900, (t) => {
+    if (t > 1.4) return 0;
+    const db = t < 1.2 ? -22 - 4 * t : -27 - 100 * (t - 1.2);
+    return dbToGain(db) * Math.min(1, t / 0.02);
+});
+
+// Speech: a sung "ah" at 130 Hz with three formants and syllable beats
+function speech(t) {
+    if (t > 1.6) return 0;
+
+    const f0 = 130 * (1 + 0.02 * Math.sin(2 * Math.PI * 5 * t));
+    const formants = [[700, 130], [1220, 70], [2600, 160]];
+    let sum = 0;
+
+    for (let h = 1; h * 130 < 5000; h++) {
+        const frequency = h * 130;
+        const gain = formants.reduce((g, [center, width]) =>
+            g + Math.exp(-((frequency - center) ** 2) / (2 * width * width)), 0.05) / h;
+        sum += gain * Math.sin(2 * Math.PI * f0 * h * t);
+    }
+
+    const syllables = 0.6 + 0.4 * Math.sin(2 * Math.PI * 4 * t);
+    return sum * syllables * 0.05;
+}
+
+// ========================================
+// WAV
+// ========================================
+
+// 16-bit mono PCM
+function encodeWav(samples) {
+    const buffer = Buffer.alloc(44 + samples.length * 2);
+
+    buffer.write('RIFF', 0);
+    buffer.writeUInt32LE(36 + samples.length * 2, 4);
+    buffer.write('WAVE', 8);
+    buffer.write('fmt ', 12);
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20); // PCM
+    buffer.writeUInt16LE(1, 22); // Mono
+    buffer.writeUInt32LE(SAMPLE_RATE, 24);
+    buffer.writeUInt32LE(SAMPLE_RATE * 2, 28);
+    buffer.writeUInt16LE(2, 32);
+    buffer.writeUInt16LE(16, 34);
+    buffer.write('data', 36);
+    buffer.writeUInt32LE(samples.length * 2, 40);
+
+    samples.forEach((sample, i) => {
+        buffer.writeInt16LE(Math.round(Math.max(-1, Math.min(1, sample)) * 32767), 44 + i * 2);
+    });
+    return buffer;
+}
+
+const fixtures = {
+    'inhale.wav': render(1, inhale),
+    'exhale.wav': render(2, exhale),
+    'speech.wav': render(3, speech)
+};
+
+for (const [name, samples] of Object.entries(fixtures)) {
+    writeFileSync(new URL(name, import.meta.url), encodeWav(samples));
+}
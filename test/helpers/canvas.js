@@ -0,0 +1,172 @@
+/**
+ * BREATHING COSMOS - TEST CANVAS
+ * A stand-in for 2D canvases in Node that tracks the transform and
+ * records every fillRect, so tests can see where drawing lands
+ */
+
+// Transforms are [a, b, c, d, e, f] as setTransform() takes them
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+function multiply([a, b, c, d, e, f], [a2, b2, c2, d2, e2, f2]) {
+    return [
+        a * a2 + c * b2,
+        b * a2 + d * b2,
+        a * c2 + c * d2,
+        b * c2 + d * d2,
+        a * e2 + c * f2 + e,
+        b * e2 + d * f2 + f
+    ];
+}
+
+function transformPoint([a, b, c, d, e, f], x, y) {
+    return [a * x + c * y + e, b * x + d * y + f];
+}
+
+// ========================================
+// CONTEXT
+// ========================================
+
+class FakeContext {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.matrix = IDENTITY;
+        this.stack = [];
+
+        this.globalAlpha = 1;
+        this.globalCompositeOperation = 'source-over';
+        this.fillStyle = '#000';
+
+        // { x, y, width, height } in device pixels, with the fill style
+        this.fills = [];
+    }
+
+    save() {
+        const { matrix, globalAlpha, globalCompositeOperation, fillStyle } = this;
+        this.stack.push({ matrix, globalAlpha, globalCompositeOperation, fillStyle });
+    }
+
+    restore() {
+        Object.assign(this, this.stack.pop());
+    }
+
+    setTransform(a, b, c, d, e, f) {
+        this.matrix = typeof a === 'object' ? [a.a, a.b, a.c, a.d, a.e, a.f] : [a, b, c, d, e, f];
+    }
+
+    resetTransform() {
+        this.matrix = IDENTITY;
+    }
+
+    getTransform() {
+        const [a, b, c, d, e, f] = this.matrix;
+        return { a, b, c, d, e, f };
+    }
+
+    transform(a, b, c, d, e, f) {
+        this.matrix = multiply(this.matrix, [a, b, c, d, e, f]);
+    }
+
+    translate(x, y) {
+        this.transform(1, 0, 0, 1, x, y);
+    }
+
+    scale(x, y) {
+        this.transform(x, 0, 0, y, 0, 0);
+    }
+
+    rotate(angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        this.transform(cos, sin, -sin, cos, 0, 0);
+    }
+
+    // Bounding box of the rectangle on the canvas
+    fillRect(x, y, width, height) {
+        const corners = [[x, y], [x + width, y], [x, y + height], [x + width, y + height]]
+            .map(([px, py]) => transformPoint(this.matrix, px, py));
+        const xs = corners.map(p => p[0]);
+        const ys = corners.map(p => p[1]);
+
+        this.fills.push({
+            x: Math.min(...xs),
+            y: Math.min(...ys),
+            width: Math.max(...xs) - Math.min(...xs),
+            height: Math.max(...ys) - Math.min(...ys),
+            fillStyle: this.fillStyle,
+            matrix: this.matrix
+        });
+    }
+
+    createRadialGradient(...args) {
+        return { type: 'radial', args, stops: [], addColorStop(offset, color) { this.stops.push([offset, color]); } };
+    }
+
+    createLinearGradient(...args) {
+        return { type: 'linear', args, stops: [], addColorStop(offset, color) { this.stops.push([offset, color]); } };
+    }
+
+    createImageData(width, height) {
+        return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+    }
+
+    getImageData(x, y, width, height) {
+        return this.createImageData(width, height);
+    }
+
+    measureText(text) {
+        return { width: text.length * 6 };
+    }
+}
+
+// Paths, strokes, images and the like draw nothing here
+function withNoOps(context) {
+    return new Proxy(context, {
+        get(target, key) {
+            return key in target ? target[key] : () => {};
+        }
+    });
+}
+
+// ========================================
+// CANVAS
+// ========================================
+
+// Unlike a browser canvas, setting width or height keeps the context's
+// state, so a transform that piles up across resizes shows in tests
+export function createFakeCanvas(width = 300, height = 150) {
+    let context = null;
+
+    return {
+        width,
+        height,
+        style: {},
+
+        getContext(type) {
+            if (type !== '2d') return null;
+            if (!context) context = withNoOps(new FakeContext(this));
+            return context;
+        },
+
+        toBlob(callback, type = 'image/png') {
+            callback(new Blob([], { type }));
+        }
+    };
+}
+
+// Just enough of a browser for the visuals to run in Node
+export function installDom() {
+    if (!globalThis.document) {
+        globalThis.document = { createElement: () => createFakeCanvas() };
+    }
+    if (!globalThis.window) {
+        globalThis.window = {
+            innerWidth: 800,
+            innerHeight: 600,
+            devicePixelRatio: 1,
+            addEventListener() {},
+            removeEventListener() {}
+        };
+    }
+}
+
+installDom();
@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { importPalettes } from '../src/palettes.js';
+import { buildColorTable } from '../src/export/gif.js';
+import { encodeSharedSession, decodeSharedSession } from '../src/share.js';
+import { BreathTimeline } from '../src/timeline.js';
+import { BreathPhase } from '../src/phases.js';
+import { rgbToHex, hexToRgb } from '../src/utils.js';
+
+// Distinct, fully saturated colors spread around the hue wheel
+function rainbow(count) {
+    return Array.from({ length: count }, (_, i) => {
+        const hue = i / count * 6;
+        const x = Math.round(255 * (1 - Math.abs(hue % 2 - 1)));
+        const [r, g, b] = [[255, x, 0], [x, 255, 0], [0, 255, x], [0, x, 255], [x, 0, 255], [255, 0, x]][Math.floor(hue)];
+        return rgbToHex(r, g, b);
+    });
+}
+
+// Largest channel difference to the closest entry of a GIF color table
+function tableDistance(table, { r, g, b }) {
+    let closest = Infinity;
+    for (let i = 0; i < table.length; i += 3) {
+        const distance = Math.max(Math.abs(table[i] - r), Math.abs(table[i + 1] - g), Math.abs(table[i + 2] - b));
+        closest = Math.min(closest, distance);
+    }
+    return closest;
+}
+
+describe('Palette stops', () => {
+    it('imports palettes with any number of stops', () => {
+        for (const count of [20, 300]) {
+            const colors = rainbow(count);
+            const [palette] = importPalettes(JSON.stringify({ name: `${count} stops`, colors }));
+
+            assert.equal(palette.name, `${count} stops`);
+            assert.deepEqual(palette.colors, colors);
+        }
+    });
+
+    it('still needs two stops', () => {
+        assert.throws(() => importPalettes('["#ff0000"]'), /at least 2 hex colors/);
+    });
+
+    it('keeps every stop of a short palette in the GIF color table', () => {
+        const colors = rainbow(5);
+        const table = buildColorTable(colors);
+
+        for (const color of colors) {
+            const { r, g, b } = hexToRgb(color);
+            const tint = v => Math.round(v + (255 - v) / 2);
+
+            assert.equal(tableDistance(table, { r, g, b }), 0, `${color} in the color table`);
+            assert.ok(tableDistance(table, { r: tint(r), g: tint(g), b: tint(b) }) < 20, `${color} tinted towards white`);
+        }
+    });
+
+    it('fits a palette of any length into the GIF color table', () => {
+        const colors = rainbow(300);
+        const table = buildColorTable(colors);
+
+        assert.equal(table.length, 256 * 3);
+
+        // Resampled along the palette, so every stop has a close match
+        for (const color of colors) {
+            const distance = tableDistance(table, hexToRgb(color));
+            assert.ok(distance <= 8, `${color} is ${distance} from the table`);
+        }
+    });
+
+    it('shares a session with a long palette', async () => {
+        const colors = rainbow(300);
+        const timeline = new BreathTimeline({ seed: 5, width: 800, height: 600 });
+
+        timeline.record({ intensity: 0.5, phase: BreathPhase.INHALE, totalCycles: 0 }, 1 / 60);
+        timeline.mark('customPalette', { palette: 'custom-wide', colors });
+        timeline.record({ intensity: 0.6, phase: BreathPhase.INHALE, totalCycles: 0 }, 1 / 60);
+
+        const decoded = await decodeSharedSession(await encodeSharedSession(timeline));
+        assert.deepEqual(decoded.events, [{ frame: 1, type: 'customPalette', palette: 'custom-wide', colors }]);
+    });
+});
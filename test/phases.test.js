@@ -0,0 +1,113 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BreathPhase, PhaseStateMachine } from '../src/phases.js';
+import { BreathingDetector } from '../src/breathing.js';
+import { BreathInputSource } from '../src/inputs/index.js';
+
+const { INHALE, HOLD_IN, EXHALE, HOLD_OUT } = BreathPhase;
+
+// Hint each phase for a second; returns the transitions made, with the
+// machine's time when each happened
+function breathe(machine, phases) {
+    const transitions = [];
+
+    for (const phase of phases) {
+        for (let step = 0; step < 10; step++) {
+            const transition = machine.update(0.5, 0.1, phase);
+            if (transition) transitions.push({ ...transition, time: machine.time });
+        }
+    }
+    return transitions;
+}
+
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} vs ${expected}`);
+}
+
+function cycles(transitions) {
+    return transitions.filter(t => t.completesCycle);
+}
+
+// Reports whatever phase the test sets
+class HintSource extends BreathInputSource {
+    constructor() {
+        super();
+        this.phase = EXHALE;
+    }
+
+    sample() {
+        return { phase: this.phase };
+    }
+}
+
+describe('PhaseStateMachine cycles', () => {
+    it('does not count the first inhale after a reset', () => {
+        const machine = new PhaseStateMachine();
+
+        assert.deepEqual(cycles(breathe(machine, [INHALE])), []);
+    });
+
+    it('counts a cycle once an inhale follows an inhale and an exhale', () => {
+        const machine = new PhaseStateMachine();
+        const transitions = breathe(machine, [INHALE, EXHALE, INHALE]);
+        const inhales = transitions.filter(t => t.phase === INHALE);
+        const done = cycles(transitions);
+
+        assert.equal(done.length, 1);
+        assert.equal(done[0], inhales[1]);
+        assertClose(done[0].cycleLength, inhales[1].time - inhales[0].time);
+    });
+
+    it('counts resting breathed out like an exhale', () => {
+        const machine = new PhaseStateMachine();
+
+        assert.equal(cycles(breathe(machine, [INHALE, HOLD_OUT, INHALE])).length, 1);
+    });
+
+    it('needs breathing out between inhales', () => {
+        const machine = new PhaseStateMachine();
+
+        assert.deepEqual(cycles(breathe(machine, [INHALE, HOLD_IN, INHALE])), []);
+    });
+
+    it('treats a reset into an inhale as the start of a cycle', () => {
+        const machine = new PhaseStateMachine();
+        breathe(machine, [INHALE, EXHALE]);
+
+        machine.reset(INHALE);
+        const done = cycles(breathe(machine, [INHALE, EXHALE, INHALE]));
+
+        // Timed from the reset
+        assert.equal(done.length, 1);
+        assertClose(done[0].cycleLength, done[0].time);
+    });
+});
+
+describe('BreathingDetector cycleComplete', () => {
+    it('emits the first cycle after a whole breath', async () => {
+        const detector = new BreathingDetector();
+        const source = new HintSource();
+        const completed = [];
+
+        await detector.setInputSource(source);
+        detector.on('cycleComplete', event => completed.push(event));
+        detector.reset();
+        detector.start();
+
+        const counted = [];
+        for (const phase of [INHALE, EXHALE, INHALE]) {
+            source.phase = phase;
+            for (let frame = 0; frame < 60; frame++) {
+                detector.update(1 / 60);
+            }
+            counted.push(detector.state.totalCycles);
+        }
+
+        // Nothing until the second inhale
+        assert.deepEqual(counted, [0, 0, 1]);
+        assert.equal(completed.length, 1);
+        assert.equal(completed[0].totalCycles, 1);
+        assert.ok(completed[0].cycleLength > 1.5, `${completed[0].cycleLength} s`);
+    });
+});
@@ -0,0 +1,162 @@
+import { createFakeCanvas } from './helpers/canvas.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RemoteRenderer } from '../src/visuals/remote.js';
+import { BreathPhase } from '../src/phases.js';
+
+// Records what the main thread posts; tests fire its events
+class FakeWorker {
+    constructor() {
+        this.listeners = {};
+        this.messages = [];
+        this.terminated = false;
+        FakeWorker.last = this;
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    postMessage(message) {
+        this.messages.push(message);
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+
+    emit(type, event) {
+        (this.listeners[type] || []).forEach(listener => listener(event));
+    }
+}
+
+// A canvas element that has handed its drawing over to a worker
+function createPageCanvas() {
+    const canvas = createFakeCanvas();
+    canvas.id = 'cosmos-canvas';
+    canvas.transferControlToOffscreen = () => ({});
+    canvas.getContext = () => null;
+    canvas.replacedBy = null;
+    canvas.cloneNode = () => {
+        const copy = createFakeCanvas();
+        copy.id = canvas.id;
+        copy.transferControlToOffscreen = () => ({ transferred: copy });
+        return copy;
+    };
+    canvas.replaceWith = (element) => {
+        canvas.replacedBy = element;
+    };
+    return canvas;
+}
+
+const inhale = { intensity: 0.8, phase: BreathPhase.INHALE, totalCycles: 0 };
+
+describe('RemoteRenderer', () => {
+    beforeEach(() => {
+        globalThis.Worker = FakeWorker;
+    });
+
+    it('skips frames while the worker is busy', () => {
+        const renderer = new RemoteRenderer(createPageCanvas());
+
+        assert.equal(renderer.render(), true);
+        assert.equal(renderer.render(), true);
+        assert.equal(renderer.render(), false);
+
+        FakeWorker.last.emit('message', { data: { type: 'frame' } });
+        assert.equal(renderer.render(), true);
+    });
+
+    it('falls back to the main thread when the worker fails to load', async () => {
+        const pageCanvas = createPageCanvas();
+        let fallbackCanvas = null;
+        let fallbackReason = null;
+        const renderer = new RemoteRenderer(pageCanvas, {
+            backend: '2d',
+            onFallback: (canvas, reason) => {
+                fallbackCanvas = canvas;
+                fallbackReason = reason;
+            }
+        });
+
+        renderer.setMode('fluid');
+        renderer.setVignette(false);
+        renderer.render();
+        renderer.render();
+        assert.equal(renderer.render(), false, 'stalled on unacknowledged frames');
+
+        const screenshot = renderer.captureScreenshot();
+        const frame = renderer.captureFrame(32, 24);
+
+        let prevented = false;
+        FakeWorker.last.emit('error', { message: undefined, preventDefault: () => { prevented = true; } });
+
+        // Nothing waits on the worker any more
+        assert.ok(prevented);
+        assert.ok(FakeWorker.last.terminated);
+        assert.equal(renderer.requests.size, 0);
+        assert.equal(renderer.framesInFlight, 0);
+        await assert.rejects(screenshot, /Rendering failed/);
+        await assert.rejects(frame, /Rendering failed/);
+
+        // A fresh canvas took the transferred one's place
+        assert.ok(fallbackCanvas);
+        assert.equal(fallbackReason, 'worker');
+        assert.equal(pageCanvas.replacedBy, fallbackCanvas);
+        assert.equal(renderer.canvas, fallbackCanvas);
+        assert.equal(fallbackCanvas.id, 'cosmos-canvas');
+
+        // The mirrored state carried over to the same-thread renderer
+        assert.equal(renderer.local.mode, 'fluid');
+        assert.equal(renderer.local.vignette, false);
+        assert.equal(renderer.backend.name, '2d');
+
+        // Frames draw again, and requests settle
+        const ctx = fallbackCanvas.getContext('2d');
+        ctx.fills = [];
+        renderer.update(inhale, 1 / 60);
+        assert.equal(renderer.render(), true);
+        assert.equal(renderer.render(), true);
+        assert.equal(renderer.render(), true);
+        assert.ok(ctx.fills.length > 0, 'drew on the new canvas');
+
+        const image = await renderer.captureFrame(32, 24);
+        assert.equal(image.width, 32);
+        assert.equal(image.height, 24);
+    });
+
+    it('falls back when the worker reports a failed start', () => {
+        const renderer = new RemoteRenderer(createPageCanvas(), { backend: '2d' });
+
+        FakeWorker.last.emit('message', { data: { type: 'failed', message: 'Unknown module' } });
+
+        assert.ok(FakeWorker.last.terminated);
+        assert.ok(renderer.local);
+        assert.equal(renderer.render(), true);
+    });
+
+    it('hands the worker a fresh canvas when its WebGL context is lost', () => {
+        const pageCanvas = createPageCanvas();
+        let fallback = null;
+        const renderer = new RemoteRenderer(pageCanvas, {
+            onFallback: (canvas, reason) => { fallback = { canvas, reason }; }
+        });
+        const worker = FakeWorker.last;
+
+        worker.emit('message', { data: { type: 'contextLost' } });
+
+        const canvas = pageCanvas.replacedBy;
+        assert.ok(canvas);
+        assert.equal(renderer.canvas, canvas);
+        assert.deepEqual(fallback, { canvas, reason: 'context' });
+        assert.equal(renderer.backend.name, '2d (worker)');
+
+        // The worker keeps going; only the canvas changes
+        const message = worker.messages[worker.messages.length - 1];
+        assert.equal(message.type, 'canvas');
+        assert.equal(message.canvas.transferred, canvas);
+        assert.equal(worker.terminated, false);
+        assert.equal(renderer.local, null);
+    });
+});
@@ -0,0 +1,260 @@
+import { createFakeCanvas } from './helpers/canvas.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CoordinateSpace } from '../src/visuals/space.js';
+import { VisualRenderer } from '../src/visuals/renderer.js';
+import { NebulaVisual } from '../src/visuals/nebula.js';
+import { FluidVisual } from '../src/visuals/fluid.js';
+import { isBonded } from '../src/visuals/crystals.js';
+import { QUALITY_TIERS } from '../src/quality.js';
+import { BreathPhase } from '../src/phases.js';
+
+const RESIZES = [[800, 600], [1280, 720], [800, 600], [1280, 720], [800, 600]];
+
+const inhale = { intensity: 0.9, phase: BreathPhase.INHALE, totalCycles: 0 };
+const exhale = { intensity: 0.2, phase: BreathPhase.EXHALE, totalCycles: 0 };
+
+function run(visual, state, seconds) {
+    for (let t = 0; t < seconds; t += 1 / 60) {
+        visual.update(state, 1 / 60);
+    }
+}
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} vs ${expected}`);
+}
+
+// ========================================
+// COORDINATE SPACE
+// ========================================
+
+describe('CoordinateSpace', () => {
+    it('scales by the pixel ratio when the visual matches the viewport', () => {
+        const space = new CoordinateSpace(800, 600, 2400, 1800);
+        assert.equal(space.scale, 3);
+        assert.equal(space.offsetX, 0);
+        assert.equal(space.offsetY, 0);
+    });
+
+    it('covers a canvas of another shape, centred', () => {
+        const space = new CoordinateSpace(800, 600, 2560, 1440);
+        assert.equal(space.scale, 3.2);
+        assert.equal(space.offsetX, 0);
+        assert.equal(space.offsetY, (1440 - 600 * 3.2) / 2);
+    });
+
+    it('sets the transform instead of multiplying onto it', () => {
+        const ctx = createFakeCanvas().getContext('2d');
+        const space = new CoordinateSpace(800, 600, 1600, 1200);
+
+        ctx.setTransform(3, 0, 0, 3, 50, 70);
+        space.apply(ctx);
+        space.apply(ctx);
+        assert.deepEqual(ctx.matrix, [2, 0, 0, 2, 0, 0]);
+
+        space.apply(ctx, 100, 40);
+        assert.deepEqual(ctx.matrix, [2, 0, 0, 2, -100, -40]);
+    });
+});
+
+// ========================================
+// RENDERER RESIZES
+// ========================================
+
+for (const dpr of [1, 2, 3]) {
+    describe(`VisualRenderer at DPR ${dpr}`, () => {
+        it('keeps canvas, space and drawing in step over repeated resizes', () => {
+            const canvas = createFakeCanvas();
+            const ctx = canvas.getContext('2d');
+            const renderer = new VisualRenderer(canvas, {
+                backend: '2d',
+                viewport: { width: 800, height: 600, devicePixelRatio: dpr }
+            });
+            renderer.reset(7);
+            run(renderer, inhale, 1);
+
+            let seen = null;
+            const visual = renderer.activeVisual;
+            const render = visual.render.bind(visual);
+            visual.render = (c) => {
+                seen = [...c.matrix];
+                render(c);
+            };
+
+            for (const [width, height] of RESIZES) {
+                renderer.resize({ width, height, devicePixelRatio: dpr });
+
+                assert.equal(canvas.width, width * dpr, `canvas width after ${width}x${height}`);
+                assert.equal(canvas.height, height * dpr, `canvas height after ${width}x${height}`);
+                assert.equal(canvas.style.width, `${width}px`);
+                assert.equal(canvas.style.height, `${height}px`);
+
+                const { space } = renderer;
+                assert.equal(space.width, width);
+                assert.equal(space.height, height);
+                assert.equal(space.scale, dpr);
+                assert.equal(space.offsetX, 0);
+                assert.equal(space.offsetY, 0);
+
+                ctx.fills = [];
+                renderer.update(inhale, 1 / 60);
+                renderer.render();
+
+                assert.deepEqual(seen, [dpr, 0, 0, dpr, 0, 0], 'visual transform');
+
+                // Trail fade first, vignette last, both over every device pixel
+                const fade = ctx.fills[0];
+                const vignette = ctx.fills[ctx.fills.length - 1];
+                const surface = { x: 0, y: 0, width: width * dpr, height: height * dpr };
+
+                assert.match(fade.fillStyle, /^rgba\(0, 0, 0, /);
+                assert.deepEqual({ x: fade.x, y: fade.y, width: fade.width, height: fade.height }, surface);
+
+                assert.equal(vignette.fillStyle.type, 'radial');
+                assert.deepEqual({ x: vignette.x, y: vignette.y, width: vignette.width, height: vignette.height }, surface);
+                assert.deepEqual(vignette.fillStyle.args.slice(0, 2), [width * dpr / 2, height * dpr / 2]);
+            }
+        });
+
+        it('fits a replay recorded at another size, centred', () => {
+            const canvas = createFakeCanvas();
+            const renderer = new VisualRenderer(canvas, {
+                backend: '2d',
+                viewport: { width: 1280, height: 720, devicePixelRatio: dpr }
+            });
+
+            renderer.resizeVisual(800, 600);
+            const scale = Math.max(1280 / 800, 720 / 600) * dpr;
+
+            assertClose(renderer.space.scale, scale, 1e-9, 'scale');
+            assert.equal(renderer.space.offsetX, 0);
+            assertClose(renderer.space.offsetY, (720 * dpr - 600 * scale) / 2, 1e-9, 'offsetY');
+        });
+    });
+}
+
+// ========================================
+// VISUAL STATE
+// ========================================
+
+describe('Nebula resize', () => {
+    it('moves free particles and crystals in proportion, and back again', () => {
+        const nebula = new NebulaVisual(800, 600, 11);
+        run(nebula, inhale, 3);
+        run(nebula, exhale, 4);
+
+        const pool = nebula.particles;
+        const indices = Array.from(pool.active.subarray(0, pool.count));
+        const bonded = indices.filter(i => isBonded(pool.crystal[i]));
+        assert.ok(bonded.length > 0, 'the exhale formed crystals');
+
+        const snapshot = () => indices.map(i => ({
+            x: pool.x[i],
+            y: pool.y[i],
+            siteX: pool.siteX[i],
+            siteY: pool.siteY[i],
+            root: pool.root[i]
+        }));
+        const before = snapshot();
+
+        nebula.resize(1280, 720);
+        const scaled = snapshot();
+
+        indices.forEach((i, k) => {
+            const was = before[k];
+            const now = scaled[k];
+
+            if (!isBonded(pool.crystal[i])) {
+                assertClose(now.x, was.x * 1.6, 1e-9, 'free x');
+                assertClose(now.y, was.y * 1.2, 1e-9, 'free y');
+                return;
+            }
+
+            // The structure follows its seed and keeps its shape
+            const seed = indices.indexOf(was.root);
+            const seedWas = before[seed];
+            assertClose(scaled[seed].siteX, seedWas.siteX * 1.6, 1e-9, 'seed x');
+            assertClose(scaled[seed].siteY, seedWas.siteY * 1.2, 1e-9, 'seed y');
+            assertClose(now.siteX - scaled[seed].siteX, was.siteX - seedWas.siteX, 1e-9, 'site offset x');
+            assertClose(now.siteY - scaled[seed].siteY, was.siteY - seedWas.siteY, 1e-9, 'site offset y');
+        });
+
+        // Nothing wrapped: particles inside the old canvas are inside the new one
+        indices.forEach((i, k) => {
+            if (isBonded(pool.crystal[i])) return;
+            if (before[k].x < 0 || before[k].x > 800 || before[k].y < 0 || before[k].y > 600) return;
+            assert.ok(pool.x[i] >= 0 && pool.x[i] <= 1280 && pool.y[i] >= 0 && pool.y[i] <= 720, 'inside');
+        });
+
+        nebula.resize(800, 600);
+        const restored = snapshot();
+        restored.forEach((now, k) => {
+            assertClose(now.x, before[k].x, 1e-9, 'restored x');
+            assertClose(now.y, before[k].y, 1e-9, 'restored y');
+        });
+    });
+});
+
+describe('Fluid resize', () => {
+    // Mean dye and its centre in canvas fractions, so grids of any
+    // shape compare
+    function measure(fluid) {
+        let total = 0;
+        let sumX = 0;
+        let sumY = 0;
+
+        for (let j = 1; j <= fluid.ny; j++) {
+            for (let i = 1; i <= fluid.nx; i++) {
+                const amount = fluid.dye[0][fluid._index(i, j)] + fluid.dye[1][fluid._index(i, j)] + fluid.dye[2][fluid._index(i, j)];
+                total += amount;
+                sumX += amount * (i - 0.5) / fluid.nx;
+                sumY += amount * (j - 0.5) / fluid.ny;
+            }
+        }
+
+        return { mean: total / (fluid.nx * fluid.ny), x: sumX / total, y: sumY / total };
+    }
+
+    it('resamples the ink onto the new grid in place', () => {
+        const fluid = new FluidVisual(800, 600, 3);
+        run(fluid, inhale, 2);
+
+        const { nx, ny } = fluid;
+        const before = measure(fluid);
+        assert.ok(before.mean > 0, 'the inhale injected dye');
+
+        for (const [width, height] of RESIZES.slice(1)) {
+            fluid.resize(width, height);
+
+            assertClose(fluid.nx / fluid.ny, width / height, 0.1, 'grid aspect');
+
+            const now = measure(fluid);
+            const cell = 1 / Math.min(fluid.nx, fluid.ny);
+            assertClose(now.mean, before.mean, before.mean * 0.05, 'mean dye');
+            assertClose(now.x, before.x, cell, 'dye centre x');
+            assertClose(now.y, before.y, cell, 'dye centre y');
+        }
+
+        assert.equal(fluid.nx, nx);
+        assert.equal(fluid.ny, ny);
+    });
+
+    it('keeps the ink in place when a quality tier changes the grid', () => {
+        const fluid = new FluidVisual(800, 600, 3);
+        run(fluid, inhale, 2);
+
+        const before = measure(fluid);
+        const cells = fluid.nx * fluid.ny;
+        fluid.setQuality(QUALITY_TIERS.low);
+
+        assert.ok(fluid.nx * fluid.ny < cells / 2, 'a coarser grid');
+        assert.equal(fluid.pressureIterations, QUALITY_TIERS.low.solverIterations);
+
+        const now = measure(fluid);
+        const cell = 1 / Math.min(fluid.nx, fluid.ny);
+        assertClose(now.mean, before.mean, before.mean * 0.05, 'mean dye');
+        assertClose(now.x, before.x, cell, 'dye centre x');
+        assertClose(now.y, before.y, cell, 'dye centre y');
+    });
+});
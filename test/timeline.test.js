@@ -0,0 +1,293 @@
+import { createFakeCanvas } from './helpers/canvas.js';
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BreathTimeline, FixedStepClock, TimelinePlayer, FIXED_STEP, quantizeIntensity } from '../src/timeline.js';
+import { VisualRenderer } from '../src/visuals/renderer.js';
+import { DEFAULT_QUALITY_TIER } from '../src/quality.js';
+import { BreathPhase } from '../src/phases.js';
+
+const SEED = 4242;
+const FRAMES = 480;
+
+// Seeking lands here, part-way through the second exhale
+const SEEK_FRAME = 200;
+
+// Uneven animation frame times (seconds), as requestAnimationFrame gives
+const JITTER = [0.011, 0.023, 0.017, 0.031, 0.009, 0.016];
+
+// Every ParticlePool array, including free slots
+const POOL_ARRAYS = [
+    'x', 'y', 'vx', 'vy', 'age', 'maxLife', 'life', 'baseSize', 'size', 'opacity',
+    'twinklePhase', 'twinkleSpeed', 'red', 'green', 'blue', 'crystal', 'parent', 'root',
+    'depth', 'direction', 'childMask', 'orientation', 'siteX', 'siteY', 'active', 'free'
+];
+
+function createRenderer(width, height, devicePixelRatio) {
+    return new VisualRenderer(createFakeCanvas(), {
+        backend: '2d',
+        viewport: { width, height, devicePixelRatio }
+    });
+}
+
+// A slow breath, 2 seconds in and 2 out, counting cycles from `firstCycle`
+function breathAt(frame, firstCycle = 0) {
+    const time = frame * FIXED_STEP;
+    const cycle = firstCycle + Math.floor(time / 4);
+    const inhaling = time % 4 < 2;
+
+    return {
+        intensity: quantizeIntensity((1 - Math.cos(Math.PI * time / 2)) / 2),
+        phase: inhaling ? BreathPhase.INHALE : BreathPhase.EXHALE,
+        totalCycles: cycle
+    };
+}
+
+// Everything the nebula simulation holds
+function snapshotNebula(nebula) {
+    const pool = nebula.particles;
+    const crystals = nebula.crystals;
+
+    return {
+        size: [nebula.canvasWidth, nebula.canvasHeight],
+        palette: nebula.palette,
+        particleLimit: nebula.particleLimit,
+        spawnRate: nebula.spawnRate,
+        spawnTimer: nebula.spawnTimer,
+        rng: nebula.rng.seed,
+        count: pool.count,
+        freeCount: pool.freeCount,
+        pool: Object.fromEntries(POOL_ARRAYS.map(name => [name, pool[name].slice()])),
+        crystals: {
+            strength: crystals.strength,
+            bonded: crystals.bonded,
+            structures: crystals.structures,
+            dissolving: crystals.dissolving,
+            forming: crystals.forming,
+            seeds: crystals.seeds.slice(0, crystals.structures)
+        }
+    };
+}
+
+function snapshotFluid(fluid) {
+    const { nx, ny, pressureIterations, time, jetAngle } = fluid;
+    const fields = [fluid.u, fluid.v, fluid.pressure, ...fluid.dye].map(field => field.slice());
+
+    return { nx, ny, pressureIterations, time, jetAngle, fields };
+}
+
+function snapshotGeometry(geometry) {
+    const { layerCount, lineGlow, visibleLayers, unfold, lock, rotation, time } = geometry;
+    return { layerCount, lineGlow, visibleLayers, unfold, lock, rotation, time };
+}
+
+const SNAPSHOTS = { nebula: snapshotNebula, fluid: snapshotFluid, geometry: snapshotGeometry };
+
+function snapshot(renderer) {
+    return SNAPSHOTS[renderer.mode](renderer.activeVisual);
+}
+
+// ========================================
+// LIVE SESSION
+// ========================================
+
+// A custom palette, a palette switch, a quality drop and a resize
+const NEBULA_CHANGES = {
+    90: (renderer, timeline) => {
+        const colors = ['#101030', '#4060ff', '#ffe0a0'];
+        renderer.definePalette('custom-test', colors);
+        timeline.mark('customPalette', { palette: 'custom-test', colors });
+        renderer.setPalette('custom-test');
+        timeline.mark('palette', { palette: 'custom-test' });
+    },
+    150: (renderer, timeline) => {
+        renderer.setPalette('solarFlare');
+        timeline.mark('palette', { palette: 'solarFlare' });
+    },
+    260: (renderer, timeline) => {
+        renderer.setQuality('medium');
+        timeline.mark('quality', { quality: 'medium' });
+    },
+    330: (renderer, timeline) => {
+        renderer.resize({ width: 1024, height: 640, devicePixelRatio: 1 });
+        timeline.mark('resize', renderer.getVisualSize());
+    }
+};
+
+function qualityChange(tier) {
+    return (renderer, timeline) => {
+        renderer.setQuality(tier);
+        timeline.mark('quality', { quality: tier });
+    };
+}
+
+// Records a session the way the app does: jittery frames through a
+// fixed-step clock, applying `changes` (by frame) along the way
+function recordSession({ mode = 'nebula', changes = NEBULA_CHANGES, firstCycle = 0 } = {}) {
+    const renderer = createRenderer(800, 600, 1);
+    renderer.setMode(mode, { duration: 0 });
+    renderer.setQuality(DEFAULT_QUALITY_TIER);
+    renderer.reset(SEED);
+
+    const timeline = new BreathTimeline({
+        seed: SEED,
+        ...renderer.getVisualSize(),
+        palette: renderer.palette,
+        mode: renderer.mode,
+        createdAt: 0
+    });
+
+    const clock = new FixedStepClock();
+    const snapshots = {};
+
+    for (let n = 0; timeline.frameCount < FRAMES; n++) {
+        const steps = clock.advance(JITTER[n % JITTER.length]);
+
+        for (let s = 0; s < steps && timeline.frameCount < FRAMES; s++) {
+            const change = changes[timeline.frameCount];
+            if (change) change(renderer, timeline);
+
+            const state = breathAt(timeline.frameCount, firstCycle);
+            renderer.update(state, clock.step);
+            timeline.record(state, clock.step);
+
+            if (timeline.frameCount === SEEK_FRAME) {
+                snapshots.seek = snapshot(renderer);
+            }
+        }
+        renderer.render();
+    }
+
+    snapshots.end = snapshot(renderer);
+    return { timeline, snapshots };
+}
+
+// Play at `speed` with uneven frame times until the recording ends
+function play(player, frameTimes) {
+    for (let n = 0; !player.isComplete; n++) {
+        player.advance(frameTimes[n % frameTimes.length]);
+        player.renderer.render();
+    }
+    player.finish();
+}
+
+// ========================================
+// REPLAY
+// ========================================
+
+describe('TimelinePlayer', () => {
+    let live;
+
+    before(() => {
+        live = recordSession();
+    });
+
+    it('records the session it was fed', () => {
+        const { timeline, snapshots } = live;
+
+        assert.equal(timeline.frameCount, FRAMES);
+        assert.deepEqual(timeline.events.map(e => [e.frame, e.type]), [
+            [90, 'customPalette'], [90, 'palette'], [150, 'palette'], [260, 'quality'], [330, 'resize']
+        ]);
+
+        // The run covers crystals, not just free gas
+        assert.ok(snapshots.seek.crystals.bonded > 0, 'crystals formed by the seek frame');
+        assert.deepEqual(snapshots.end.size, [1024, 640]);
+    });
+
+    it('rebuilds the same nebula at speed 1', () => {
+        const renderer = createRenderer(1280, 720, 2);
+        play(new TimelinePlayer(live.timeline, renderer), JITTER.slice().reverse());
+
+        assert.deepEqual(snapshot(renderer), live.snapshots.end);
+    });
+
+    it('rebuilds the same nebula at speed 4', () => {
+        const renderer = createRenderer(640, 480, 3);
+        play(new TimelinePlayer(live.timeline, renderer, { speed: 4 }), [1 / 60]);
+
+        assert.deepEqual(snapshot(renderer), live.snapshots.end);
+    });
+
+    it('matches the live run after a seek, and carries on to the same end', () => {
+        const renderer = createRenderer(800, 600, 1);
+        const player = new TimelinePlayer(live.timeline, renderer, { speed: 2 });
+
+        play(player, [0.02]);
+        player.seek(SEEK_FRAME);
+        assert.equal(player.frameIndex, SEEK_FRAME);
+        assert.deepEqual(snapshot(renderer), live.snapshots.seek);
+
+        play(player, JITTER);
+        assert.deepEqual(snapshot(renderer), live.snapshots.end);
+    });
+});
+
+describe('Quality tiers in every mode', () => {
+    it('replays the fluid grid and solver of each recorded tier', () => {
+        const { timeline, snapshots } = recordSession({
+            mode: 'fluid',
+            changes: { 120: qualityChange('low'), 300: qualityChange('medium') }
+        });
+
+        // Low at the seek frame, medium at the end: both coarser than high
+        const cells = ({ nx, ny }) => nx * ny;
+        assert.equal(snapshots.seek.pressureIterations, 8);
+        assert.equal(snapshots.end.pressureIterations, 12);
+        assert.ok(cells(snapshots.seek) < cells(snapshots.end));
+        assert.ok(cells(snapshots.end) < 160 * 90);
+
+        const renderer = createRenderer(1280, 720, 2);
+        play(new TimelinePlayer(timeline, renderer, { speed: 4 }), JITTER);
+        assert.equal(renderer.mode, 'fluid');
+        assert.deepEqual(snapshot(renderer), snapshots.end);
+
+        const player = new TimelinePlayer(timeline, renderer);
+        player.seek(SEEK_FRAME);
+        assert.deepEqual(snapshot(renderer), snapshots.seek);
+    });
+
+    it('replays the geometry layers and glow of each recorded tier', () => {
+        const { timeline, snapshots } = recordSession({
+            mode: 'geometry',
+            changes: { 120: qualityChange('low'), 300: qualityChange('medium') },
+            firstCycle: 30
+        });
+
+        // Low holds the stack at 4 layers; medium lets it open to 6
+        assert.equal(snapshots.seek.visibleLayers, 4);
+        assert.equal(snapshots.seek.lineGlow, 0);
+        assert.equal(snapshots.end.visibleLayers, 6);
+
+        const renderer = createRenderer(1280, 720, 2);
+        play(new TimelinePlayer(timeline, renderer), JITTER);
+        assert.deepEqual(snapshot(renderer), snapshots.end);
+
+        const player = new TimelinePlayer(timeline, renderer);
+        player.seek(SEEK_FRAME);
+        assert.deepEqual(snapshot(renderer), snapshots.seek);
+    });
+});
+
+// ========================================
+// SERIALIZATION
+// ========================================
+
+describe('BreathTimeline JSON', () => {
+    it('round-trips through JSON and still replays exactly', () => {
+        const { timeline, snapshots } = recordSession();
+
+        const restored = BreathTimeline.fromJSON(JSON.parse(JSON.stringify(timeline)));
+        assert.deepEqual(restored.toJSON(), timeline.toJSON());
+        assert.equal(restored.frameCount, timeline.frameCount);
+
+        const renderer = createRenderer(800, 600, 1);
+        new TimelinePlayer(restored, renderer).finish();
+        assert.deepEqual(snapshot(renderer), snapshots.end);
+    });
+
+    it('rejects other versions', () => {
+        assert.throws(() => BreathTimeline.fromJSON({ version: 99, frames: [] }), /Unsupported breath timeline/);
+        assert.throws(() => BreathTimeline.fromJSON(null), /Unsupported breath timeline/);
+    });
+});